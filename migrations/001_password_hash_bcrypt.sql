@@ -0,0 +1,6 @@
+-- 001_password_hash_bcrypt.sql
+-- password_hash now stores "bcrypt$<hash>" (67 chars) instead of 64-char sha256 hex.
+-- Legacy sha256 rows stay as-is and are rehashed on the next successful login.
+
+ALTER TABLE users   ALTER COLUMN password_hash TYPE TEXT;
+ALTER TABLE company ALTER COLUMN password_hash TYPE TEXT;
@@ -0,0 +1,20 @@
+-- 002_credential_claims.sql
+-- Generated crew credentials are delivered once via a claim code instead of
+-- being stored reversibly. Admin resets reuse users.reset_token_hash.
+
+CREATE TABLE IF NOT EXISTS credential_claims (
+  claim_id            BIGSERIAL PRIMARY KEY,
+  user_id             INTEGER NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+  claim_code_hash     VARCHAR(64) NOT NULL UNIQUE,
+  secret_enc          TEXT,                    -- sealed with a key derived from the claim code
+  created_by_user_id  INTEGER REFERENCES users(user_id) ON DELETE SET NULL,
+  expires_at          TIMESTAMPTZ NOT NULL,
+  claimed_at          TIMESTAMPTZ,
+  invalidated_at      TIMESTAMPTZ,
+  created_at          TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_credential_claims_user ON credential_claims (user_id);
+
+-- reversible password storage is retired
+ALTER TABLE users DROP COLUMN IF EXISTS password_enc;
@@ -0,0 +1,34 @@
+-- 003_refresh_token_rotation.sql
+-- Refresh tokens rotate on every /auth/refresh. Sessions created from one login
+-- share a family_id; replaying a rotated token revokes the whole family.
+
+ALTER TABLE refresh_sessions
+  ADD COLUMN IF NOT EXISTS family_id   UUID NOT NULL DEFAULT gen_random_uuid(),
+  ADD COLUMN IF NOT EXISTS replaced_at TIMESTAMPTZ;
+
+-- same type as session_id (serial / uuid depending on environment)
+DO $$
+DECLARE
+  id_type TEXT;
+BEGIN
+  SELECT format_type(atttypid, atttypmod) INTO id_type
+  FROM pg_attribute
+  WHERE attrelid = 'refresh_sessions'::regclass AND attname = 'session_id';
+
+  EXECUTE format('ALTER TABLE refresh_sessions ADD COLUMN IF NOT EXISTS replaced_by_session_id %s', id_type);
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_refresh_sessions_family ON refresh_sessions (family_id);
+
+-- security events (token reuse, revocations, ...)
+CREATE TABLE IF NOT EXISTS auth_events (
+  event_id      BIGSERIAL PRIMARY KEY,
+  event_type    VARCHAR(64) NOT NULL,
+  user_id       INTEGER REFERENCES users(user_id) ON DELETE SET NULL,
+  ip_address    VARCHAR(64),
+  user_agent    VARCHAR(512),
+  details_json  JSONB NOT NULL DEFAULT '{}'::jsonb,
+  created_at    TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_auth_events_user ON auth_events (user_id, created_at DESC);
@@ -0,0 +1,10 @@
+-- 004_session_metadata.sql
+-- Device info for the session management API (/auth/sessions).
+
+ALTER TABLE refresh_sessions
+  ADD COLUMN IF NOT EXISTS created_at   TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  ADD COLUMN IF NOT EXISTS last_used_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS user_agent   VARCHAR(512),
+  ADD COLUMN IF NOT EXISTS ip_address   VARCHAR(64);
+
+CREATE INDEX IF NOT EXISTS idx_refresh_sessions_user ON refresh_sessions (user_id, revoked_at);
@@ -0,0 +1,6 @@
+-- 005_token_version.sql
+-- Access tokens carry users.token_version ("tv"); requireAuth rejects tokens whose
+-- version no longer matches. Bumped on offboarding, role change, password change.
+
+ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS token_version INTEGER NOT NULL DEFAULT 0;
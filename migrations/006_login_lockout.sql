@@ -0,0 +1,33 @@
+-- 006_login_lockout.sql
+-- Failed-login tracking per username / IP and an auditable lockout history.
+-- Per-company limits live in company.metadata_json.login_security.
+
+CREATE TABLE IF NOT EXISTS login_attempts (
+  attempt_id  BIGSERIAL PRIMARY KEY,
+  kind        VARCHAR(16) NOT NULL,            -- 'login' | 'forgot'
+  username    VARCHAR(255) NOT NULL,
+  user_id     INTEGER REFERENCES users(user_id) ON DELETE SET NULL,
+  ip_address  VARCHAR(64),
+  success     BOOLEAN NOT NULL DEFAULT false,
+  created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_login_attempts_username ON login_attempts (username, kind, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_login_attempts_ip ON login_attempts (ip_address, kind, created_at DESC);
+
+CREATE TABLE IF NOT EXISTS account_lockouts (
+  lockout_id           BIGSERIAL PRIMARY KEY,
+  username             VARCHAR(255) NOT NULL,
+  user_id              INTEGER REFERENCES users(user_id) ON DELETE SET NULL,
+  company_id           UUID REFERENCES company(company_id) ON DELETE SET NULL,
+  ip_address           VARCHAR(64),
+  failed_attempts      INTEGER NOT NULL,
+  lockout_minutes      INTEGER NOT NULL,
+  locked_until         TIMESTAMPTZ NOT NULL,
+  reason               VARCHAR(64) NOT NULL,
+  unlocked_at          TIMESTAMPTZ,
+  unlocked_by_user_id  INTEGER REFERENCES users(user_id) ON DELETE SET NULL,
+  created_at           TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_account_lockouts_username ON account_lockouts (username, locked_until DESC);
@@ -0,0 +1,20 @@
+-- 007_totp_2fa.sql
+-- Optional TOTP 2FA for admin roles. Secrets are AES-256-GCM encrypted (MFA_ENC_KEY).
+-- Enforcement per company: company.metadata_json.login_security.require_2fa = true
+
+ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS mfa_enabled            BOOLEAN NOT NULL DEFAULT false,
+  ADD COLUMN IF NOT EXISTS mfa_secret_enc         TEXT,
+  ADD COLUMN IF NOT EXISTS mfa_pending_secret_enc TEXT,
+  ADD COLUMN IF NOT EXISTS mfa_last_used_step     BIGINT,
+  ADD COLUMN IF NOT EXISTS mfa_enabled_at         TIMESTAMPTZ;
+
+CREATE TABLE IF NOT EXISTS mfa_recovery_codes (
+  recovery_code_id  BIGSERIAL PRIMARY KEY,
+  user_id           INTEGER NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+  code_hash         VARCHAR(64) NOT NULL,
+  used_at           TIMESTAMPTZ,
+  created_at        TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_mfa_recovery_codes_user ON mfa_recovery_codes (user_id);
@@ -0,0 +1,23 @@
+-- 008_invitations.sql
+-- Self-registration is invitation-only. An invitation fixes company / ship / rank / role;
+-- only the sha256 of the code is stored and it can be used once.
+
+CREATE TABLE IF NOT EXISTS invitations (
+  invitation_id        BIGSERIAL PRIMARY KEY,
+  code_hash            VARCHAR(64) NOT NULL UNIQUE,
+  company_id           UUID REFERENCES company(company_id) ON DELETE CASCADE,
+  ship_id              INTEGER REFERENCES ships(ship_id) ON DELETE CASCADE,
+  rank                 VARCHAR(255),
+  role_id              INTEGER NOT NULL,
+  email                VARCHAR(255),
+  note                 TEXT,
+  created_by_user_id   INTEGER REFERENCES users(user_id) ON DELETE SET NULL,
+  expires_at           TIMESTAMPTZ NOT NULL,
+  used_at              TIMESTAMPTZ,
+  used_by_user_id      INTEGER REFERENCES users(user_id) ON DELETE SET NULL,
+  revoked_at           TIMESTAMPTZ,
+  revoked_by_user_id   INTEGER REFERENCES users(user_id) ON DELETE SET NULL,
+  created_at           TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_invitations_company ON invitations (company_id, created_at DESC);
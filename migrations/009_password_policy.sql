@@ -0,0 +1,18 @@
+-- 009_password_policy.sql
+-- Password age / forced change and reuse history (see src/utils/passwordPolicy.js).
+
+ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS password_changed_at   TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS must_change_password  BOOLEAN NOT NULL DEFAULT false;
+
+-- existing passwords start their max-age clock now
+UPDATE users SET password_changed_at = NOW() WHERE password_changed_at IS NULL AND password_hash IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS password_history (
+  password_history_id  BIGSERIAL PRIMARY KEY,
+  user_id              INTEGER NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+  password_hash        TEXT NOT NULL,
+  created_at           TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_password_history_user ON password_history (user_id, created_at DESC);
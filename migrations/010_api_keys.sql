@@ -0,0 +1,27 @@
+-- 010_api_keys.sql
+-- Per-company (optionally per-ship) API keys for machine clients such as the Unity
+-- activity tracker. Only the sha256 of the key is stored; key_prefix identifies it in lists.
+
+CREATE TABLE IF NOT EXISTS api_keys (
+  api_key_id          BIGSERIAL PRIMARY KEY,
+  key_prefix          VARCHAR(32) NOT NULL,
+  key_hash            VARCHAR(64) NOT NULL UNIQUE,
+  label               VARCHAR(255) NOT NULL,
+  company_id          UUID NOT NULL REFERENCES company(company_id) ON DELETE CASCADE,
+  ship_id             INTEGER REFERENCES ships(ship_id) ON DELETE CASCADE,
+  scopes              TEXT[] NOT NULL DEFAULT ARRAY['activity:write'],
+  created_by_user_id  INTEGER REFERENCES users(user_id) ON DELETE SET NULL,
+  created_at          TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_used_at        TIMESTAMPTZ,
+  last_used_ip        VARCHAR(64),
+  expires_at          TIMESTAMPTZ,
+  revoked_at          TIMESTAMPTZ,
+  revoked_by_user_id  INTEGER REFERENCES users(user_id) ON DELETE SET NULL,
+  rotated_to_key_id   BIGINT REFERENCES api_keys(api_key_id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_keys_company ON api_keys (company_id, created_at DESC);
+
+-- which key wrote a log row
+ALTER TABLE activity_logs
+  ADD COLUMN IF NOT EXISTS api_key_id BIGINT REFERENCES api_keys(api_key_id) ON DELETE SET NULL;
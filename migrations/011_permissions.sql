@@ -0,0 +1,144 @@
+-- 011_permissions.sql
+-- Data-driven roles: named permissions, system roles 1-4 seeded with today's rules,
+-- and per-company custom roles (company_id set). See src/utils/permissions.js.
+
+CREATE TABLE IF NOT EXISTS roles (
+  role_id  SERIAL PRIMARY KEY,
+  name     VARCHAR(100) NOT NULL
+);
+
+ALTER TABLE roles
+  ADD COLUMN IF NOT EXISTS description  TEXT,
+  ADD COLUMN IF NOT EXISTS scope        VARCHAR(16) NOT NULL DEFAULT 'self',
+  ADD COLUMN IF NOT EXISTS company_id   UUID REFERENCES company(company_id) ON DELETE CASCADE,
+  ADD COLUMN IF NOT EXISTS is_system    BOOLEAN NOT NULL DEFAULT false,
+  ADD COLUMN IF NOT EXISTS created_by_user_id INTEGER REFERENCES users(user_id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS created_at   TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  ADD COLUMN IF NOT EXISTS updated_at   TIMESTAMPTZ NOT NULL DEFAULT NOW();
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'roles_scope_check') THEN
+    ALTER TABLE roles ADD CONSTRAINT roles_scope_check CHECK (scope IN ('global', 'company', 'ship', 'self'));
+  END IF;
+END $$;
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_roles_company_name ON roles (COALESCE(company_id::text, ''), lower(name));
+
+INSERT INTO roles (role_id, name, description, scope, is_system) VALUES
+  (1, 'Super Admin', 'Platform operator', 'global', true),
+  (2, 'Admin', 'Company administrator', 'company', true),
+  (3, 'Sub Admin', 'Ship administrator', 'ship', true),
+  (4, 'Crew', 'Crew member', 'self', true)
+ON CONFLICT (role_id) DO UPDATE
+  SET name = EXCLUDED.name, description = EXCLUDED.description, scope = EXCLUDED.scope, is_system = true;
+
+SELECT setval(pg_get_serial_sequence('roles', 'role_id'), GREATEST((SELECT MAX(role_id) FROM roles), 4));
+
+CREATE TABLE IF NOT EXISTS permissions (
+  permission_key  VARCHAR(64) PRIMARY KEY,
+  description     TEXT NOT NULL,
+  global_only     BOOLEAN NOT NULL DEFAULT false   -- never granted to company custom roles
+);
+
+INSERT INTO permissions (permission_key, description, global_only) VALUES
+  ('company.view',          'View companies in scope', false),
+  ('company.create',        'Create companies', true),
+  ('company.update',        'Update companies in scope', false),
+  ('company.delete',        'Delete companies', true),
+  ('company.security',      'Change login security and password policy of a company', true),
+  ('ship.view',             'View ships in scope', false),
+  ('ship.manage',           'Create and update ships in scope', false),
+  ('ship.delete',           'Delete ships', true),
+  ('user.view',             'View users in scope', false),
+  ('user.create',           'Create users in scope', false),
+  ('user.update',           'Update users in scope', false),
+  ('user.delete',           'Delete users in scope', false),
+  ('user.import',           'Import users from Excel', false),
+  ('user.bulk_status',      'Change onboard/offboard status in bulk', false),
+  ('user.reset_password',   'Set passwords and issue reset tokens for users in scope', false),
+  ('user.sessions',         'View and revoke sessions, unlock accounts of users in scope', false),
+  ('user.mfa_reset',        'Reset two-factor authentication of users in scope', false),
+  ('incident.view',         'View incident reports', false),
+  ('incident.create',       'Report incidents', false),
+  ('incident.edit',         'Edit any incident report in scope', false),
+  ('incident.edit_own',     'Edit incident reports you filed', false),
+  ('incident.delete',       'Delete any incident report in scope', false),
+  ('incident.delete_own',   'Delete incident reports you filed', false),
+  ('certificate.view',      'View certificates in scope', false),
+  ('certificate.manage',    'Create, update and delete certificates in scope', false),
+  ('assessment.view',       'View assessments in scope', false),
+  ('assessment.manage',     'Create, update and delete assessments in scope', false),
+  ('assessment.publish',    'Publish / unpublish assessments', false),
+  ('activity.view',         'View activity logs in scope', false),
+  ('invitation.manage',     'Create, list and revoke signup invitations', false),
+  ('api_key.manage',        'Manage company API keys', false),
+  ('role.manage',           'Manage custom roles of the company', false)
+ON CONFLICT (permission_key) DO UPDATE
+  SET description = EXCLUDED.description, global_only = EXCLUDED.global_only;
+
+CREATE TABLE IF NOT EXISTS role_permissions (
+  role_id         INTEGER NOT NULL REFERENCES roles(role_id) ON DELETE CASCADE,
+  permission_key  VARCHAR(64) NOT NULL REFERENCES permissions(permission_key) ON DELETE CASCADE,
+  PRIMARY KEY (role_id, permission_key)
+);
+
+-- Super Admin: everything
+INSERT INTO role_permissions (role_id, permission_key)
+SELECT 1, permission_key FROM permissions
+ON CONFLICT DO NOTHING;
+
+-- Admin
+INSERT INTO role_permissions (role_id, permission_key)
+SELECT 2, k FROM unnest(ARRAY[
+  'company.view', 'company.update',
+  'ship.view', 'ship.manage',
+  'user.view', 'user.create', 'user.update', 'user.delete', 'user.import', 'user.bulk_status',
+  'user.reset_password', 'user.sessions', 'user.mfa_reset',
+  'incident.view', 'incident.create', 'incident.edit', 'incident.delete',
+  'certificate.view', 'certificate.manage',
+  'assessment.view', 'assessment.manage', 'assessment.publish',
+  'activity.view', 'invitation.manage', 'api_key.manage', 'role.manage'
+]) AS k
+ON CONFLICT DO NOTHING;
+
+-- Sub Admin
+INSERT INTO role_permissions (role_id, permission_key)
+SELECT 3, k FROM unnest(ARRAY[
+  'company.view',
+  'ship.view',
+  'user.view', 'user.create', 'user.update', 'user.import', 'user.bulk_status',
+  'user.reset_password', 'user.sessions',
+  'incident.view', 'incident.create', 'incident.edit', 'incident.delete',
+  'certificate.view', 'certificate.manage',
+  'assessment.view', 'assessment.manage', 'assessment.publish',
+  'activity.view', 'invitation.manage'
+]) AS k
+ON CONFLICT DO NOTHING;
+
+-- Crew
+INSERT INTO role_permissions (role_id, permission_key)
+SELECT 4, k FROM unnest(ARRAY[
+  'company.view',
+  'ship.view',
+  'user.view',
+  'incident.view', 'incident.create', 'incident.edit_own', 'incident.delete_own',
+  'certificate.view',
+  'assessment.view',
+  'activity.view'
+]) AS k
+ON CONFLICT DO NOTHING;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'users_role_id_fkey') THEN
+    ALTER TABLE users ADD CONSTRAINT users_role_id_fkey FOREIGN KEY (role_id) REFERENCES roles(role_id);
+  END IF;
+END $$;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'invitations_role_id_fkey') THEN
+    ALTER TABLE invitations ADD CONSTRAINT invitations_role_id_fkey FOREIGN KEY (role_id) REFERENCES roles(role_id) ON DELETE CASCADE;
+  END IF;
+END $$;
@@ -0,0 +1,147 @@
+-- 012_row_level_security.sql
+-- Row-level security on tenant tables. The API sets app.user_id / app.company_id /
+-- app.ship_id / app.scope on the request's connection (src/db.js); policies filter on them
+-- with the same rules as the role scopes (src/utils/permissions.js).
+-- No app.scope set (login, signup, background jobs) = system context, not filtered
+-- (replaced by a BYPASSRLS system role in 028_rls_default_deny.sql: unset now denies).
+-- FORCE makes the policies apply to the table owner too. The API's database user must not
+-- be a superuser or have BYPASSRLS, otherwise Postgres skips the policies.
+
+CREATE OR REPLACE FUNCTION app_ctx(key text) RETURNS text
+LANGUAGE sql STABLE AS $$
+  SELECT NULLIF(current_setting('app.' || key, true), '')
+$$;
+
+-- company / ship / own-row rule shared by most tables
+CREATE OR REPLACE FUNCTION app_row_visible(row_company uuid, row_ship integer, row_user integer)
+RETURNS boolean LANGUAGE sql STABLE AS $$
+  SELECT CASE app_ctx('scope')
+    WHEN 'global'  THEN true
+    WHEN 'company' THEN row_company = app_ctx('company_id')::uuid
+    WHEN 'ship'    THEN row_company = app_ctx('company_id')::uuid AND row_ship = app_ctx('ship_id')::integer
+    WHEN 'self'    THEN row_user = app_ctx('user_id')::integer
+    ELSE app_ctx('scope') IS NULL
+  END
+$$;
+
+-- -------------------- company / ships --------------------
+ALTER TABLE company ENABLE ROW LEVEL SECURITY;
+ALTER TABLE company FORCE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS tenant_company ON company;
+CREATE POLICY tenant_company ON company
+  USING (
+    app_ctx('scope') IS NULL OR app_ctx('scope') = 'global'
+    OR company_id = app_ctx('company_id')::uuid
+  );
+
+ALTER TABLE ships ENABLE ROW LEVEL SECURITY;
+ALTER TABLE ships FORCE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS tenant_ships ON ships;
+CREATE POLICY tenant_ships ON ships
+  USING (
+    CASE app_ctx('scope')
+      WHEN 'global'  THEN true
+      WHEN 'company' THEN company_id = app_ctx('company_id')::uuid
+      WHEN 'ship'    THEN company_id = app_ctx('company_id')::uuid AND ship_id = app_ctx('ship_id')::integer
+      WHEN 'self'    THEN company_id = app_ctx('company_id')::uuid AND ship_id = app_ctx('ship_id')::integer
+      ELSE app_ctx('scope') IS NULL
+    END
+  );
+
+-- -------------------- users --------------------
+ALTER TABLE users ENABLE ROW LEVEL SECURITY;
+ALTER TABLE users FORCE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS tenant_users ON users;
+CREATE POLICY tenant_users ON users
+  USING (app_row_visible(company_id, ship_id, user_id));
+
+ALTER TABLE user_ship_history ENABLE ROW LEVEL SECURITY;
+ALTER TABLE user_ship_history FORCE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS tenant_user_ship_history ON user_ship_history;
+CREATE POLICY tenant_user_ship_history ON user_ship_history
+  USING (EXISTS (SELECT 1 FROM users u WHERE u.user_id = user_ship_history.user_id));
+
+-- -------------------- incidents --------------------
+-- crew read their own reports, ship-only reports of their ship and company-wide ones;
+-- they write only their own
+ALTER TABLE incident_reports ENABLE ROW LEVEL SECURITY;
+ALTER TABLE incident_reports FORCE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS tenant_incidents ON incident_reports;
+CREATE POLICY tenant_incidents ON incident_reports
+  USING (app_row_visible(company_id, ship_id, reported_by_user_id));
+DROP POLICY IF EXISTS tenant_incidents_crew_read ON incident_reports;
+CREATE POLICY tenant_incidents_crew_read ON incident_reports FOR SELECT
+  USING (
+    app_ctx('scope') = 'self'
+    AND company_id = app_ctx('company_id')::uuid
+    AND (visible_to_ship_only IS NOT TRUE OR ship_id = app_ctx('ship_id')::integer)
+  );
+
+-- -------------------- certificates --------------------
+ALTER TABLE certificates ENABLE ROW LEVEL SECURITY;
+ALTER TABLE certificates FORCE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS tenant_certificates ON certificates;
+CREATE POLICY tenant_certificates ON certificates
+  USING (app_row_visible(company_id, ship_id, user_id));
+
+-- -------------------- assessments --------------------
+-- crew read published assessments of their company (company-wide or their ship)
+ALTER TABLE assessments ENABLE ROW LEVEL SECURITY;
+ALTER TABLE assessments FORCE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS tenant_assessments ON assessments;
+CREATE POLICY tenant_assessments ON assessments
+  USING (app_row_visible(company_id, ship_id, NULL));
+DROP POLICY IF EXISTS tenant_assessments_crew_read ON assessments;
+CREATE POLICY tenant_assessments_crew_read ON assessments FOR SELECT
+  USING (
+    app_ctx('scope') = 'self'
+    AND status = 'published'
+    AND company_id = app_ctx('company_id')::uuid
+    AND (ship_id IS NULL OR ship_id = app_ctx('ship_id')::integer)
+  );
+
+-- questions / options follow their assessment (its policies apply inside the subquery)
+ALTER TABLE assessment_questions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE assessment_questions FORCE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS tenant_assessment_questions ON assessment_questions;
+CREATE POLICY tenant_assessment_questions ON assessment_questions
+  USING (EXISTS (SELECT 1 FROM assessments a WHERE a.assessment_id = assessment_questions.assessment_id));
+
+ALTER TABLE assessment_options ENABLE ROW LEVEL SECURITY;
+ALTER TABLE assessment_options FORCE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS tenant_assessment_options ON assessment_options;
+CREATE POLICY tenant_assessment_options ON assessment_options
+  USING (EXISTS (SELECT 1 FROM assessment_questions q WHERE q.question_id = assessment_options.question_id));
+
+-- -------------------- activity --------------------
+ALTER TABLE activity_logs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE activity_logs FORCE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS tenant_activity_logs ON activity_logs;
+CREATE POLICY tenant_activity_logs ON activity_logs
+  USING (app_row_visible(company_id, ship_id, user_id));
+
+-- -------------------- invitations / api keys / roles --------------------
+ALTER TABLE invitations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE invitations FORCE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS tenant_invitations ON invitations;
+CREATE POLICY tenant_invitations ON invitations
+  USING (app_row_visible(company_id, ship_id, NULL));
+
+ALTER TABLE api_keys ENABLE ROW LEVEL SECURITY;
+ALTER TABLE api_keys FORCE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS tenant_api_keys ON api_keys;
+CREATE POLICY tenant_api_keys ON api_keys
+  USING (app_row_visible(company_id, ship_id, NULL));
+
+-- system roles (company_id NULL) are readable by everyone, only global scope changes them
+ALTER TABLE roles ENABLE ROW LEVEL SECURITY;
+ALTER TABLE roles FORCE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS tenant_roles ON roles;
+CREATE POLICY tenant_roles ON roles
+  USING (
+    app_ctx('scope') IS NULL OR app_ctx('scope') = 'global'
+    OR company_id = app_ctx('company_id')::uuid
+  );
+DROP POLICY IF EXISTS tenant_roles_system_read ON roles;
+CREATE POLICY tenant_roles_system_read ON roles FOR SELECT
+  USING (company_id IS NULL);
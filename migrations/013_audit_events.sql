@@ -0,0 +1,47 @@
+-- 013_audit_events.sql
+-- Audit trail of administrative mutations (who changed what). Rows are written in the same
+-- transaction as the change (src/utils/audit.js) and are append-only for the API: there are
+-- no UPDATE / DELETE policies, so with FORCE RLS the app cannot modify or remove them.
+
+CREATE TABLE IF NOT EXISTS audit_events (
+  audit_id        BIGSERIAL PRIMARY KEY,
+  created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  request_id      VARCHAR(64),
+  actor_user_id   INTEGER REFERENCES users(user_id) ON DELETE SET NULL,
+  actor_role_id   INTEGER,
+  actor_scope     VARCHAR(16),
+  action          VARCHAR(64) NOT NULL,         -- e.g. user.update, company.delete
+  entity_type     VARCHAR(32) NOT NULL,
+  entity_id       VARCHAR(64),
+  company_id      UUID,                         -- tenant of the entity (no FK: survives deletes)
+  ship_id         INTEGER,
+  before_json     JSONB,
+  after_json      JSONB,
+  changes_json    JSONB,                        -- { field: { from, to } }
+  details_json    JSONB NOT NULL DEFAULT '{}'::jsonb,
+  ip_address      VARCHAR(64),
+  user_agent      VARCHAR(512)
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_events_created ON audit_events (created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_events_company ON audit_events (company_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_events_entity ON audit_events (entity_type, entity_id);
+CREATE INDEX IF NOT EXISTS idx_audit_events_actor ON audit_events (actor_user_id, created_at DESC);
+
+ALTER TABLE audit_events ENABLE ROW LEVEL SECURITY;
+ALTER TABLE audit_events FORCE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS audit_events_read ON audit_events;
+CREATE POLICY audit_events_read ON audit_events FOR SELECT
+  USING (app_row_visible(company_id, ship_id, actor_user_id));
+DROP POLICY IF EXISTS audit_events_insert ON audit_events;
+CREATE POLICY audit_events_insert ON audit_events FOR INSERT
+  WITH CHECK (true);
+
+INSERT INTO permissions (permission_key, description, global_only) VALUES
+  ('audit.view', 'View and export the audit trail in scope', false)
+ON CONFLICT (permission_key) DO UPDATE
+  SET description = EXCLUDED.description, global_only = EXCLUDED.global_only;
+
+INSERT INTO role_permissions (role_id, permission_key)
+SELECT r, 'audit.view' FROM unnest(ARRAY[1, 2, 3]) AS r
+ON CONFLICT DO NOTHING;
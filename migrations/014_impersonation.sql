@@ -0,0 +1,48 @@
+-- 014_impersonation.sql
+-- Support "act as user": an operator / company admin gets a short-lived token for another
+-- user (src/controller/impersonationController.js). Each session is a row here so it can be
+-- ended early; requireAuth rejects tokens whose session is ended or expired.
+
+CREATE TABLE IF NOT EXISTS impersonation_sessions (
+  impersonation_id      UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  impersonator_user_id  INTEGER NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+  target_user_id        INTEGER NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+  company_id            UUID,                 -- tenant of the target user
+  ship_id               INTEGER,
+  reason                TEXT NOT NULL,
+  read_only             BOOLEAN NOT NULL DEFAULT true,
+  started_at            TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at            TIMESTAMPTZ NOT NULL,
+  ended_at              TIMESTAMPTZ,
+  ended_by_user_id      INTEGER REFERENCES users(user_id) ON DELETE SET NULL,
+  ip_address            VARCHAR(64),
+  user_agent            VARCHAR(512)
+);
+
+CREATE INDEX IF NOT EXISTS idx_impersonation_sessions_impersonator
+  ON impersonation_sessions (impersonator_user_id, started_at DESC);
+CREATE INDEX IF NOT EXISTS idx_impersonation_sessions_target
+  ON impersonation_sessions (target_user_id, started_at DESC);
+
+ALTER TABLE impersonation_sessions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE impersonation_sessions FORCE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS tenant_impersonation_sessions ON impersonation_sessions;
+CREATE POLICY tenant_impersonation_sessions ON impersonation_sessions
+  USING (app_row_visible(company_id, ship_id, impersonator_user_id));
+
+-- who was really behind an audited action
+ALTER TABLE audit_events
+  ADD COLUMN IF NOT EXISTS impersonator_user_id INTEGER REFERENCES users(user_id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS impersonation_id     UUID;
+
+CREATE INDEX IF NOT EXISTS idx_audit_events_impersonation
+  ON audit_events (impersonation_id) WHERE impersonation_id IS NOT NULL;
+
+INSERT INTO permissions (permission_key, description, global_only) VALUES
+  ('user.impersonate', 'Act as a user with a narrower role in scope (support)', false)
+ON CONFLICT (permission_key) DO UPDATE
+  SET description = EXCLUDED.description, global_only = EXCLUDED.global_only;
+
+INSERT INTO role_permissions (role_id, permission_key)
+SELECT r, 'user.impersonate' FROM unnest(ARRAY[1, 2]) AS r
+ON CONFLICT DO NOTHING;
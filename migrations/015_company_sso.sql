@@ -0,0 +1,83 @@
+-- 015_company_sso.sql
+-- OpenID Connect single sign-on for shore staff (src/controller/ssoController.js).
+-- One IdP per company. Crew (self-scoped roles) keep local credentials.
+
+CREATE TABLE IF NOT EXISTS company_sso (
+  company_id             UUID PRIMARY KEY REFERENCES company(company_id) ON DELETE CASCADE,
+  protocol               VARCHAR(8) NOT NULL DEFAULT 'oidc' CHECK (protocol IN ('oidc')),
+  enabled                BOOLEAN NOT NULL DEFAULT false,
+  issuer                 VARCHAR(512) NOT NULL,      -- discovery: <issuer>/.well-known/openid-configuration
+  client_id              VARCHAR(255) NOT NULL,
+  client_secret_enc      TEXT,                       -- AES-GCM (SSO_ENC_KEY, utils/oidc.js); NULL = public client (PKCE only)
+  scopes                 VARCHAR(255) NOT NULL DEFAULT 'openid email profile',
+  email_claim            VARCHAR(64) NOT NULL DEFAULT 'email',
+  role_claim             VARCHAR(64),                -- e.g. groups / roles
+  role_mapping           JSONB NOT NULL DEFAULT '{}'::jsonb,  -- { "<claim value>": role_id }
+  default_role_id        INTEGER REFERENCES roles(role_id) ON DELETE SET NULL,  -- no mapping match; NULL = deny
+  allowed_email_domains  TEXT[] NOT NULL DEFAULT '{}', -- empty = company.email_domain
+  auto_provision         BOOLEAN NOT NULL DEFAULT true,
+  enforce_sso            BOOLEAN NOT NULL DEFAULT false, -- staff cannot use local passwords
+  created_at             TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at             TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_by_user_id     INTEGER REFERENCES users(user_id) ON DELETE SET NULL
+);
+
+ALTER TABLE company_sso ENABLE ROW LEVEL SECURITY;
+ALTER TABLE company_sso FORCE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS tenant_company_sso ON company_sso;
+CREATE POLICY tenant_company_sso ON company_sso
+  USING (
+    app_ctx('scope') IS NULL OR app_ctx('scope') = 'global'
+    OR company_id = app_ctx('company_id')::uuid
+  );
+
+-- IdP subject -> local user
+CREATE TABLE IF NOT EXISTS user_identities (
+  issuer          VARCHAR(512) NOT NULL,
+  subject         VARCHAR(255) NOT NULL,
+  user_id         INTEGER NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+  company_id      UUID NOT NULL,
+  email           VARCHAR(255),
+  created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_login_at   TIMESTAMPTZ,
+  PRIMARY KEY (issuer, subject)
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_identities_user ON user_identities (user_id);
+
+ALTER TABLE user_identities ENABLE ROW LEVEL SECURITY;
+ALTER TABLE user_identities FORCE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS tenant_user_identities ON user_identities;
+CREATE POLICY tenant_user_identities ON user_identities
+  USING (EXISTS (SELECT 1 FROM users u WHERE u.user_id = user_identities.user_id));
+
+-- In-flight logins: state / nonce / PKCE verifier between redirect and callback, then the
+-- one-time code the frontend exchanges for our tokens. Only touched by the (unauthenticated)
+-- login flow, i.e. outside any tenant context.
+CREATE TABLE IF NOT EXISTS sso_login_requests (
+  state_hash          CHAR(64) PRIMARY KEY,
+  company_id          UUID NOT NULL REFERENCES company(company_id) ON DELETE CASCADE,
+  nonce               VARCHAR(64) NOT NULL,
+  code_verifier       VARCHAR(128) NOT NULL,
+  return_to           VARCHAR(1024),
+  created_at          TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at          TIMESTAMPTZ NOT NULL,
+  completed_at        TIMESTAMPTZ,
+  user_id             INTEGER REFERENCES users(user_id) ON DELETE CASCADE,
+  exchange_code_hash  CHAR(64) UNIQUE,
+  exchange_expires_at TIMESTAMPTZ,
+  exchanged_at        TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_sso_login_requests_expires ON sso_login_requests (expires_at);
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS auth_provider VARCHAR(16) NOT NULL DEFAULT 'local';
+
+INSERT INTO permissions (permission_key, description, global_only) VALUES
+  ('company.sso', 'Configure single sign-on of a company', false)
+ON CONFLICT (permission_key) DO UPDATE
+  SET description = EXCLUDED.description, global_only = EXCLUDED.global_only;
+
+INSERT INTO role_permissions (role_id, permission_key)
+SELECT r, 'company.sso' FROM unnest(ARRAY[1, 2]) AS r
+ON CONFLICT DO NOTHING;
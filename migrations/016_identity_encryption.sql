@@ -0,0 +1,22 @@
+-- 016_identity_encryption.sql
+-- Crew identity documents encrypted at rest (src/utils/pii.js, envelope encryption with
+-- versioned keys from PII_ENC_KEYS). The app writes only the *_enc columns; existing plaintext
+-- is moved over (and the plaintext columns cleared) by `npm run pii:rotate`, which also
+-- re-wraps values onto the current key after a key change.
+
+ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS passport_number_enc     TEXT,
+  ADD COLUMN IF NOT EXISTS seaman_book_number_enc  TEXT,
+  ADD COLUMN IF NOT EXISTS date_of_birth_enc       TEXT,
+  ADD COLUMN IF NOT EXISTS place_of_birth_enc      TEXT;
+
+-- Unmasked passport / seaman's book numbers, date and place of birth in API responses
+-- (everyone else gets "****1234"; users always see their own).
+INSERT INTO permissions (permission_key, description, global_only) VALUES
+  ('user.identity_view', 'View crew identity documents unmasked', false)
+ON CONFLICT (permission_key) DO UPDATE
+  SET description = EXCLUDED.description, global_only = EXCLUDED.global_only;
+
+INSERT INTO role_permissions (role_id, permission_key)
+SELECT r, 'user.identity_view' FROM unnest(ARRAY[1, 2]) AS r
+ON CONFLICT DO NOTHING;
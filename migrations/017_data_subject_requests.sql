@@ -0,0 +1,20 @@
+-- 017_data_subject_requests.sql
+-- GDPR data-subject tooling (src/controller/dataSubjectController.js):
+--   GET  /users/:id/data-export  everything tied to a user as one JSON document
+--   POST /users/:id/erase        pseudonymize the user; the users row stays as a tombstone so
+--                                incidents, certificates, ship history and activity statistics
+--                                keep pointing at a (now anonymous) person
+
+ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS erased_at          TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS erased_by_user_id  INTEGER REFERENCES users(user_id) ON DELETE SET NULL;
+
+INSERT INTO permissions (permission_key, description, global_only) VALUES
+  ('user.export', 'Export all personal data of a user (data-subject access request)', false),
+  ('user.erase', 'Erase (pseudonymize) a user''s personal data', false)
+ON CONFLICT (permission_key) DO UPDATE
+  SET description = EXCLUDED.description, global_only = EXCLUDED.global_only;
+
+INSERT INTO role_permissions (role_id, permission_key)
+SELECT r, p FROM unnest(ARRAY[1, 2]) AS r, unnest(ARRAY['user.export', 'user.erase']) AS p
+ON CONFLICT DO NOTHING;
@@ -0,0 +1,29 @@
+-- 018_data_retention.sql
+-- Per-company retention (company.metadata_json.retention) enforced by the purge job
+-- (src/utils/retention.js, `npm run retention:purge` or RETENTION_JOB_INTERVAL_MINUTES).
+
+-- when an incident was soft-deleted (retention counts from here)
+ALTER TABLE incident_reports ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;
+UPDATE incident_reports SET deleted_at = updated_at WHERE is_deleted IS TRUE AND deleted_at IS NULL;
+
+-- activity logs past retention when the company chose "archive" instead of "delete"
+CREATE TABLE IF NOT EXISTS activity_logs_archive (LIKE activity_logs);
+ALTER TABLE activity_logs_archive ADD COLUMN IF NOT EXISTS archived_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
+CREATE INDEX IF NOT EXISTS idx_activity_logs_archive_company ON activity_logs_archive (company_id, occurred_at);
+
+ALTER TABLE activity_logs_archive ENABLE ROW LEVEL SECURITY;
+ALTER TABLE activity_logs_archive FORCE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS tenant_activity_logs_archive ON activity_logs_archive;
+CREATE POLICY tenant_activity_logs_archive ON activity_logs_archive
+  USING (app_row_visible(company_id, ship_id, user_id));
+
+CREATE INDEX IF NOT EXISTS idx_activity_logs_company_occurred ON activity_logs (company_id, occurred_at);
+
+INSERT INTO permissions (permission_key, description, global_only) VALUES
+  ('company.retention', 'Configure data retention of a company and run its purge', false)
+ON CONFLICT (permission_key) DO UPDATE
+  SET description = EXCLUDED.description, global_only = EXCLUDED.global_only;
+
+INSERT INTO role_permissions (role_id, permission_key)
+SELECT r, 'company.retention' FROM unnest(ARRAY[1, 2]) AS r
+ON CONFLICT DO NOTHING;
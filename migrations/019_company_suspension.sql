@@ -0,0 +1,84 @@
+-- 019_company_suspension.sql
+-- Suspending a company (is_active = false) blocks its users and API keys (src/utils/companyStatus.js).
+-- suspend_at / reactivate_at schedule the change (e.g. contract end); the company-schedule job
+-- (src/utils/companyStatus.js, `npm run company:schedule`) applies them, but the effective state
+-- below already honours a date that has passed.
+
+ALTER TABLE company ADD COLUMN IF NOT EXISTS suspended_at TIMESTAMPTZ;
+ALTER TABLE company ADD COLUMN IF NOT EXISTS suspension_reason TEXT;
+ALTER TABLE company ADD COLUMN IF NOT EXISTS suspend_at TIMESTAMPTZ;
+ALTER TABLE company ADD COLUMN IF NOT EXISTS reactivate_at TIMESTAMPTZ;
+
+UPDATE company SET suspended_at = updated_at WHERE is_active IS FALSE AND suspended_at IS NULL;
+
+-- same rule as isCompanySuspended() in src/utils/companyStatus.js
+CREATE OR REPLACE FUNCTION app_company_suspended(cid uuid) RETURNS boolean
+LANGUAGE sql STABLE AS $$
+  SELECT COALESCE((
+    SELECT CASE
+      WHEN c.is_active IS FALSE THEN NOT COALESCE(c.reactivate_at <= NOW(), false)
+      ELSE COALESCE(c.suspend_at <= NOW(), false)
+    END
+    FROM company c
+    WHERE c.company_id = cid
+  ), false)
+$$;
+
+-- -------------------- read-only tenant data --------------------
+-- Requests (app.scope set, so also super admin) cannot change rows of a suspended company.
+-- Background jobs (no app.scope) still can: retention, the schedule job, migrations.
+-- Deleting the whole company sets app.suspended_override for its transaction (companyController).
+-- The API turns SQLSTATE FMC01 into 423 (src/middleware/dbContext.js).
+CREATE OR REPLACE FUNCTION app_block_suspended_company_writes() RETURNS trigger
+LANGUAGE plpgsql AS $$
+DECLARE
+  cid uuid;
+BEGIN
+  IF app_ctx('scope') IS NULL OR app_ctx('suspended_override') = 'on' THEN
+    RETURN COALESCE(NEW, OLD);
+  END IF;
+
+  IF TG_OP <> 'INSERT' THEN
+    cid := (to_jsonb(OLD) ->> 'company_id')::uuid;
+    IF cid IS NOT NULL AND app_company_suspended(cid) THEN
+      RAISE EXCEPTION 'company % is suspended, its data is read-only', cid USING ERRCODE = 'FMC01';
+    END IF;
+  END IF;
+
+  IF TG_OP <> 'DELETE' THEN
+    cid := (to_jsonb(NEW) ->> 'company_id')::uuid;
+    IF cid IS NOT NULL AND app_company_suspended(cid) THEN
+      RAISE EXCEPTION 'company % is suspended, its data is read-only', cid USING ERRCODE = 'FMC01';
+    END IF;
+  END IF;
+
+  RETURN COALESCE(NEW, OLD);
+END
+$$;
+
+DO $$
+DECLARE
+  t text;
+BEGIN
+  FOREACH t IN ARRAY ARRAY[
+    'ships', 'users', 'user_ship_history', 'incident_reports', 'certificates', 'assessments',
+    'activity_logs', 'invitations', 'api_keys', 'roles', 'company_sso', 'user_identities'
+  ] LOOP
+    EXECUTE format('DROP TRIGGER IF EXISTS trg_suspended_company_readonly ON %I', t);
+    EXECUTE format(
+      'CREATE TRIGGER trg_suspended_company_readonly BEFORE INSERT OR UPDATE OR DELETE ON %I
+         FOR EACH ROW EXECUTE FUNCTION app_block_suspended_company_writes()',
+      t
+    );
+  END LOOP;
+END
+$$;
+
+INSERT INTO permissions (permission_key, description, global_only) VALUES
+  ('company.suspend', 'Suspend / reactivate a company (now or at a scheduled date)', true)
+ON CONFLICT (permission_key) DO UPDATE
+  SET description = EXCLUDED.description, global_only = EXCLUDED.global_only;
+
+INSERT INTO role_permissions (role_id, permission_key)
+SELECT r, 'company.suspend' FROM unnest(ARRAY[1]) AS r
+ON CONFLICT DO NOTHING;
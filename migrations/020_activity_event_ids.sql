@@ -0,0 +1,11 @@
+-- 020_activity_event_ids.sql
+-- Client-generated event ids for Unity activity events (POST /activity/track and /activity/track/batch).
+-- A replayed event (offline queue uploaded twice, retry after a timeout) is recognised and not stored again.
+
+ALTER TABLE activity_logs ADD COLUMN IF NOT EXISTS client_event_id VARCHAR(64);
+ALTER TABLE activity_logs_archive ADD COLUMN IF NOT EXISTS client_event_id VARCHAR(64);
+
+-- ids are unique per company (each simulator fleet generates its own)
+CREATE UNIQUE INDEX IF NOT EXISTS uq_activity_logs_client_event
+  ON activity_logs (company_id, client_event_id)
+  WHERE client_event_id IS NOT NULL;
@@ -0,0 +1,21 @@
+-- 021_vessel_timezones.sql
+-- Unity timestamps without an offset are vessel wall-clock time (src/utils/unityTime.js).
+-- ships.timezone resolves them; activity_logs keeps what the client sent next to the UTC occurred_at.
+
+-- IANA name ("Asia/Singapore") or fixed offset ("+08:00"); NULL = DEFAULT_VESSEL_TIMEZONE (UTC)
+ALTER TABLE ships ADD COLUMN IF NOT EXISTS timezone VARCHAR(64);
+
+-- raw client timestamp, the zone / offset used to read it, and its offset from UTC in minutes
+-- (vessel-local time = occurred_at + client_utc_offset minutes)
+ALTER TABLE activity_logs ADD COLUMN IF NOT EXISTS client_timestamp VARCHAR(64);
+ALTER TABLE activity_logs ADD COLUMN IF NOT EXISTS client_timezone VARCHAR(64);
+ALTER TABLE activity_logs ADD COLUMN IF NOT EXISTS client_utc_offset SMALLINT;
+
+ALTER TABLE activity_logs_archive ADD COLUMN IF NOT EXISTS client_timestamp VARCHAR(64);
+ALTER TABLE activity_logs_archive ADD COLUMN IF NOT EXISTS client_timezone VARCHAR(64);
+ALTER TABLE activity_logs_archive ADD COLUMN IF NOT EXISTS client_utc_offset SMALLINT;
+
+-- older rows: the raw value is still in payload_json
+UPDATE activity_logs
+SET client_timestamp = LEFT(payload_json->>'timestamp', 64)
+WHERE client_timestamp IS NULL AND payload_json ? 'timestamp';
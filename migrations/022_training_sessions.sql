@@ -0,0 +1,45 @@
+-- 022_training_sessions.sql
+-- Simulator sessions rebuilt from activity_logs (src/utils/trainingSessions.js): start / end events
+-- paired per user and training type, dangling sessions closed after an idle timeout.
+-- Filled by the training-sessions job (`npm run sessions:build` or TRAINING_SESSIONS_INTERVAL_MINUTES).
+
+CREATE TABLE IF NOT EXISTS training_sessions (
+  session_id          BIGSERIAL PRIMARY KEY,
+  user_id             INTEGER NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+  company_id          UUID,
+  ship_id             INTEGER,
+  training_type       VARCHAR(255),
+  started_at          TIMESTAMPTZ NOT NULL,
+  last_event_at       TIMESTAMPTZ NOT NULL,
+  ended_at            TIMESTAMPTZ,                 -- NULL = still open
+  end_reason          VARCHAR(16) CHECK (end_reason IN ('end_event', 'idle_timeout', 'next_start')),
+  duration_seconds    INTEGER NOT NULL DEFAULT 0,  -- ended_at (or last_event_at while open) - started_at
+  event_count         INTEGER NOT NULL DEFAULT 0,
+  start_activity_id   BIGINT,
+  end_activity_id     BIGINT,
+  created_at          TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_training_sessions_user ON training_sessions (user_id, started_at);
+CREATE INDEX IF NOT EXISTS idx_training_sessions_company ON training_sessions (company_id, started_at);
+CREATE INDEX IF NOT EXISTS idx_training_sessions_open ON training_sessions (last_event_at) WHERE ended_at IS NULL;
+
+ALTER TABLE training_sessions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE training_sessions FORCE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS tenant_training_sessions ON training_sessions;
+CREATE POLICY tenant_training_sessions ON training_sessions
+  USING (app_row_visible(company_id, ship_id, user_id));
+
+DROP TRIGGER IF EXISTS trg_suspended_company_readonly ON training_sessions;
+CREATE TRIGGER trg_suspended_company_readonly BEFORE INSERT OR UPDATE OR DELETE ON training_sessions
+  FOR EACH ROW EXECUTE FUNCTION app_block_suspended_company_writes();
+
+-- how far incremental jobs have read an append-only table (highest id processed)
+CREATE TABLE IF NOT EXISTS job_cursors (
+  job_name     VARCHAR(64) PRIMARY KEY,
+  last_id      BIGINT NOT NULL DEFAULT 0,
+  updated_at   TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- the sessionizer reads a user's events in time order
+CREATE INDEX IF NOT EXISTS idx_activity_logs_user_occurred ON activity_logs (user_id, occurred_at);
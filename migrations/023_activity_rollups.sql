@@ -0,0 +1,29 @@
+-- 023_activity_rollups.sql
+-- Daily activity counts per user for GET /activity/stats (src/utils/activityRollups.js).
+-- Kept up to date incrementally by the activity-rollups job (job_cursors), so stats never scan
+-- activity_logs. Rollups outlive the retention purge of the raw rows.
+
+CREATE TABLE IF NOT EXISTS activity_daily_rollups (
+  day             DATE NOT NULL,                 -- UTC day of occurred_at
+  company_id      UUID NOT NULL,
+  ship_id         INTEGER,
+  user_id         INTEGER NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+  training_type   VARCHAR(255) NOT NULL DEFAULT '',  -- '' = none
+  activity_type   VARCHAR(255) NOT NULL DEFAULT '',
+  event_count     INTEGER NOT NULL DEFAULT 0,
+  updated_at      TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_activity_daily_rollups
+  ON activity_daily_rollups (day, company_id, (COALESCE(ship_id, 0)), user_id, training_type, activity_type);
+CREATE INDEX IF NOT EXISTS idx_activity_daily_rollups_company ON activity_daily_rollups (company_id, day);
+CREATE INDEX IF NOT EXISTS idx_activity_daily_rollups_user ON activity_daily_rollups (user_id, day);
+
+ALTER TABLE activity_daily_rollups ENABLE ROW LEVEL SECURITY;
+ALTER TABLE activity_daily_rollups FORCE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS tenant_activity_daily_rollups ON activity_daily_rollups;
+CREATE POLICY tenant_activity_daily_rollups ON activity_daily_rollups
+  USING (app_row_visible(company_id, ship_id, user_id));
+
+-- time-in-training per period comes from training_sessions
+CREATE INDEX IF NOT EXISTS idx_training_sessions_ship ON training_sessions (ship_id, started_at);
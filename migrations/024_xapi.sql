@@ -0,0 +1,65 @@
+-- 024_xapi.sql
+-- xAPI (Tin Can) Learning Record Store for third-party e-learning content (src/controller/xapiController.js).
+-- Statements are kept as received in xapi_statements and mirrored into activity_logs (activity_id),
+-- so GET /activity, sessions and stats include them. Actors are users (account.name = username).
+
+CREATE TABLE IF NOT EXISTS xapi_statements (
+  statement_seq   BIGSERIAL UNIQUE,              -- storage order, paging cursor of GET /xapi/statements
+  company_id      UUID NOT NULL,
+  statement_id    UUID NOT NULL,
+  ship_id         INTEGER,
+  user_id         INTEGER NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+  activity_id     BIGINT REFERENCES activity_logs(activity_id) ON DELETE SET NULL,
+  verb_id         TEXT NOT NULL,
+  object_id       TEXT NOT NULL,                 -- activity IRI, or statement id for StatementRef
+  registration    UUID,
+  statement       JSONB NOT NULL,                -- as returned by GET (id, timestamp, stored, authority set)
+  "timestamp"     TIMESTAMPTZ NOT NULL,
+  stored          TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  voided          BOOLEAN NOT NULL DEFAULT FALSE,
+  api_key_id      BIGINT REFERENCES api_keys(api_key_id) ON DELETE SET NULL,
+  PRIMARY KEY (company_id, statement_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_xapi_statements_company ON xapi_statements (company_id, statement_seq);
+CREATE INDEX IF NOT EXISTS idx_xapi_statements_user ON xapi_statements (user_id, statement_seq);
+CREATE INDEX IF NOT EXISTS idx_xapi_statements_verb ON xapi_statements (company_id, verb_id);
+CREATE INDEX IF NOT EXISTS idx_xapi_statements_object ON xapi_statements (company_id, object_id);
+CREATE INDEX IF NOT EXISTS idx_xapi_statements_activity ON xapi_statements (activity_id);
+
+-- State resource: documents an activity keeps per learner (bookmarks, suspend data)
+CREATE TABLE IF NOT EXISTS xapi_activity_state (
+  company_id      UUID NOT NULL,
+  ship_id         INTEGER,
+  user_id         INTEGER NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+  activity_iri    TEXT NOT NULL,
+  registration    UUID,
+  state_id        TEXT NOT NULL,
+  content         BYTEA NOT NULL,
+  content_type    VARCHAR(255) NOT NULL,
+  updated_at      TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_xapi_activity_state
+  ON xapi_activity_state (company_id, user_id, activity_iri,
+    (COALESCE(registration, '00000000-0000-0000-0000-000000000000'::uuid)), state_id);
+
+ALTER TABLE xapi_statements ENABLE ROW LEVEL SECURITY;
+ALTER TABLE xapi_statements FORCE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS tenant_xapi_statements ON xapi_statements;
+CREATE POLICY tenant_xapi_statements ON xapi_statements
+  USING (app_row_visible(company_id, ship_id, user_id));
+
+ALTER TABLE xapi_activity_state ENABLE ROW LEVEL SECURITY;
+ALTER TABLE xapi_activity_state FORCE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS tenant_xapi_activity_state ON xapi_activity_state;
+CREATE POLICY tenant_xapi_activity_state ON xapi_activity_state
+  USING (app_row_visible(company_id, ship_id, user_id));
+
+DROP TRIGGER IF EXISTS trg_suspended_company_readonly ON xapi_statements;
+CREATE TRIGGER trg_suspended_company_readonly BEFORE INSERT OR UPDATE OR DELETE ON xapi_statements
+  FOR EACH ROW EXECUTE FUNCTION app_block_suspended_company_writes();
+
+DROP TRIGGER IF EXISTS trg_suspended_company_readonly ON xapi_activity_state;
+CREATE TRIGGER trg_suspended_company_readonly BEFORE INSERT OR UPDATE OR DELETE ON xapi_activity_state
+  FOR EACH ROW EXECUTE FUNCTION app_block_suspended_company_writes();
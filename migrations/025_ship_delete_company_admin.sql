@@ -0,0 +1,12 @@
+-- 025_ship_delete_company_admin.sql
+-- ship.delete was seeded global-only in 011, which took deleting ships away from company Admins
+-- (role 2), who could delete their own company's ships before. Company scoping is enforced by
+-- shipsController.deleteShip and the ships RLS policy.
+
+UPDATE permissions
+SET description = 'Delete ships in scope', global_only = false
+WHERE permission_key = 'ship.delete';
+
+INSERT INTO role_permissions (role_id, permission_key)
+VALUES (2, 'ship.delete')
+ON CONFLICT DO NOTHING;
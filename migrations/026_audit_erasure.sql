@@ -0,0 +1,47 @@
+-- 026_audit_erasure.sql
+-- Erasing a user (POST /users/:id/erase) also pseudonymizes the person inside the audit trail:
+-- the before / after / changes / details payloads of audit rows about that user keep their shape
+-- (who changed what, when) but personal fields read "[erased]".
+-- audit_events stays append-only for the API: the UPDATE policy only opens while
+-- app_pseudonymize_user_audit runs (transaction-local app.audit_erase_user).
+
+-- doc with every present, non-null key of `keys` replaced by mask
+CREATE OR REPLACE FUNCTION app_jsonb_mask(doc jsonb, keys text[], mask jsonb) RETURNS jsonb
+LANGUAGE sql IMMUTABLE AS $$
+  SELECT CASE
+    WHEN doc IS NULL OR jsonb_typeof(doc) <> 'object' THEN doc
+    ELSE doc || COALESCE(
+      (SELECT jsonb_object_agg(k, mask) FROM unnest(keys) AS k WHERE doc ? k AND doc -> k <> 'null'::jsonb),
+      '{}'::jsonb
+    )
+  END
+$$;
+
+DROP POLICY IF EXISTS audit_events_erase_read ON audit_events;
+CREATE POLICY audit_events_erase_read ON audit_events FOR SELECT
+  USING (entity_type = 'user' AND entity_id = app_ctx('audit_erase_user'));
+DROP POLICY IF EXISTS audit_events_erase ON audit_events;
+CREATE POLICY audit_events_erase ON audit_events FOR UPDATE
+  USING (entity_type = 'user' AND entity_id = app_ctx('audit_erase_user'))
+  WITH CHECK (entity_type = 'user' AND entity_id = app_ctx('audit_erase_user'));
+
+-- returns the number of audit rows rewritten
+CREATE OR REPLACE FUNCTION app_pseudonymize_user_audit(target_user integer, fields text[]) RETURNS integer
+LANGUAGE plpgsql AS $$
+DECLARE
+  n integer;
+BEGIN
+  PERFORM set_config('app.audit_erase_user', target_user::text, true);
+
+  UPDATE audit_events
+  SET before_json  = app_jsonb_mask(before_json, fields, '"[erased]"'),
+      after_json   = app_jsonb_mask(after_json, fields, '"[erased]"'),
+      changes_json = app_jsonb_mask(changes_json, fields, '{"from": "[erased]", "to": "[erased]"}'),
+      details_json = app_jsonb_mask(details_json, fields, '"[erased]"')
+  WHERE entity_type = 'user' AND entity_id = target_user::text;
+  GET DIAGNOSTICS n = ROW_COUNT;
+
+  PERFORM set_config('app.audit_erase_user', '', true);
+  RETURN n;
+END
+$$;
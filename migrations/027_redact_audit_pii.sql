@@ -0,0 +1,37 @@
+-- 027_redact_audit_pii.sql
+-- Audit rows written before 016_identity_encryption.sql stored crew identity documents
+-- (passport / seaman's book number, date and place of birth) in plain text in their
+-- before / after / changes payloads. Rewrites them the way src/utils/audit.js now writes
+-- them: present values read "[redacted]", a change keeps only whether each side was set.
+-- Run as the table owner: FORCE RLS (and the lack of an UPDATE policy) is lifted for the
+-- duration of this transaction only.
+
+BEGIN;
+
+ALTER TABLE audit_events NO FORCE ROW LEVEL SECURITY;
+
+WITH pii(keys) AS (
+  SELECT ARRAY[
+    'passport_number', 'passport_number_enc',
+    'seaman_book_number', 'seaman_book_number_enc',
+    'date_of_birth', 'date_of_birth_enc',
+    'place_of_birth', 'place_of_birth_enc'
+  ]
+)
+UPDATE audit_events a
+SET before_json = app_jsonb_mask(a.before_json, pii.keys, '"[redacted]"'),
+    after_json  = app_jsonb_mask(a.after_json, pii.keys, '"[redacted]"'),
+    changes_json = a.changes_json || COALESCE(
+      (SELECT jsonb_object_agg(k, jsonb_build_object(
+                'from', CASE WHEN a.changes_json -> k -> 'from' = 'null'::jsonb THEN 'null'::jsonb ELSE '"[redacted]"'::jsonb END,
+                'to',   CASE WHEN a.changes_json -> k -> 'to'   = 'null'::jsonb THEN 'null'::jsonb ELSE '"[redacted]"'::jsonb END))
+       FROM unnest(pii.keys) AS k
+       WHERE jsonb_typeof(a.changes_json -> k) = 'object'),
+      '{}'::jsonb
+    )
+FROM pii
+WHERE a.before_json ?| pii.keys OR a.after_json ?| pii.keys OR a.changes_json ?| pii.keys;
+
+ALTER TABLE audit_events FORCE ROW LEVEL SECURITY;
+
+COMMIT;
@@ -0,0 +1,57 @@
+-- 028_rls_default_deny.sql
+-- Row-level security no longer treats "no app.scope set" as a system context: a connection of
+-- the API's database user without a tenant context now sees (and writes) nothing.
+-- Code that legitimately works without a caller (login / signup / token flows, the API-key
+-- lookup, background jobs and scripts) connects as a separate role that bypasses RLS:
+--
+--   CREATE ROLE fmc_system LOGIN BYPASSRLS PASSWORD '...';
+--   GRANT <api user> TO fmc_system;          -- same table privileges as the API's user
+--
+-- and the API gets it as PG_SYSTEM_USER / PG_SYSTEM_PASSWORD (src/db.js). The API's own user
+-- must still not be a superuser or have BYPASSRLS.
+-- app_block_suspended_company_writes() (019) keeps skipping connections without app.scope:
+-- after this migration only the system role gets past the policies that way.
+
+CREATE OR REPLACE FUNCTION app_row_visible(row_company uuid, row_ship integer, row_user integer)
+RETURNS boolean LANGUAGE sql STABLE AS $$
+  SELECT CASE app_ctx('scope')
+    WHEN 'global'  THEN true
+    WHEN 'company' THEN row_company = app_ctx('company_id')::uuid
+    WHEN 'ship'    THEN row_company = app_ctx('company_id')::uuid AND row_ship = app_ctx('ship_id')::integer
+    WHEN 'self'    THEN row_user = app_ctx('user_id')::integer
+    ELSE false
+  END
+$$;
+
+DROP POLICY IF EXISTS tenant_company ON company;
+CREATE POLICY tenant_company ON company
+  USING (
+    app_ctx('scope') = 'global'
+    OR company_id = app_ctx('company_id')::uuid
+  );
+
+DROP POLICY IF EXISTS tenant_ships ON ships;
+CREATE POLICY tenant_ships ON ships
+  USING (
+    CASE app_ctx('scope')
+      WHEN 'global'  THEN true
+      WHEN 'company' THEN company_id = app_ctx('company_id')::uuid
+      WHEN 'ship'    THEN company_id = app_ctx('company_id')::uuid AND ship_id = app_ctx('ship_id')::integer
+      WHEN 'self'    THEN company_id = app_ctx('company_id')::uuid AND ship_id = app_ctx('ship_id')::integer
+      ELSE false
+    END
+  );
+
+DROP POLICY IF EXISTS tenant_roles ON roles;
+CREATE POLICY tenant_roles ON roles
+  USING (
+    app_ctx('scope') = 'global'
+    OR company_id = app_ctx('company_id')::uuid
+  );
+
+DROP POLICY IF EXISTS tenant_company_sso ON company_sso;
+CREATE POLICY tenant_company_sso ON company_sso
+  USING (
+    app_ctx('scope') = 'global'
+    OR company_id = app_ctx('company_id')::uuid
+  );
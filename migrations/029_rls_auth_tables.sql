@@ -0,0 +1,80 @@
+-- 029_rls_auth_tables.sql
+-- Row-level security for the login / session tables, which 012 left out. Rows follow the user
+-- they belong to: the users policy applies inside the EXISTS, so a row is visible exactly when
+-- its user is (global scope also sees rows of unknown usernames / deleted users).
+-- Login, token and SSO flows run on the system role (028) and are not affected.
+
+-- -------------------- sessions / credentials / 2FA / password reuse --------------------
+ALTER TABLE refresh_sessions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE refresh_sessions FORCE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS tenant_refresh_sessions ON refresh_sessions;
+CREATE POLICY tenant_refresh_sessions ON refresh_sessions
+  USING (EXISTS (SELECT 1 FROM users u WHERE u.user_id = refresh_sessions.user_id));
+
+ALTER TABLE credential_claims ENABLE ROW LEVEL SECURITY;
+ALTER TABLE credential_claims FORCE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS tenant_credential_claims ON credential_claims;
+CREATE POLICY tenant_credential_claims ON credential_claims
+  USING (EXISTS (SELECT 1 FROM users u WHERE u.user_id = credential_claims.user_id));
+
+ALTER TABLE mfa_recovery_codes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE mfa_recovery_codes FORCE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS tenant_mfa_recovery_codes ON mfa_recovery_codes;
+CREATE POLICY tenant_mfa_recovery_codes ON mfa_recovery_codes
+  USING (EXISTS (SELECT 1 FROM users u WHERE u.user_id = mfa_recovery_codes.user_id));
+
+ALTER TABLE password_history ENABLE ROW LEVEL SECURITY;
+ALTER TABLE password_history FORCE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS tenant_password_history ON password_history;
+CREATE POLICY tenant_password_history ON password_history
+  USING (EXISTS (SELECT 1 FROM users u WHERE u.user_id = password_history.user_id));
+
+-- -------------------- auth events --------------------
+-- append-only like audit_events: any context may log (an event can concern a user outside
+-- the caller's scope, e.g. the impersonator); reading and erasing follow the user
+ALTER TABLE auth_events ENABLE ROW LEVEL SECURITY;
+ALTER TABLE auth_events FORCE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS auth_events_read ON auth_events;
+CREATE POLICY auth_events_read ON auth_events FOR SELECT
+  USING (
+    app_ctx('scope') = 'global'
+    OR EXISTS (SELECT 1 FROM users u WHERE u.user_id = auth_events.user_id)
+  );
+DROP POLICY IF EXISTS auth_events_insert ON auth_events;
+CREATE POLICY auth_events_insert ON auth_events FOR INSERT
+  WITH CHECK (true);
+DROP POLICY IF EXISTS auth_events_erase ON auth_events;
+CREATE POLICY auth_events_erase ON auth_events FOR DELETE
+  USING (EXISTS (SELECT 1 FROM users u WHERE u.user_id = auth_events.user_id));
+
+-- -------------------- login throttling --------------------
+-- keyed on username as well: attempts / lockouts are counted per username (utils/loginThrottle.js)
+ALTER TABLE login_attempts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE login_attempts FORCE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS tenant_login_attempts ON login_attempts;
+CREATE POLICY tenant_login_attempts ON login_attempts
+  USING (
+    app_ctx('scope') = 'global'
+    OR EXISTS (
+      SELECT 1 FROM users u
+      WHERE u.user_id = login_attempts.user_id OR u.username = login_attempts.username
+    )
+  );
+
+ALTER TABLE account_lockouts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE account_lockouts FORCE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS tenant_account_lockouts ON account_lockouts;
+CREATE POLICY tenant_account_lockouts ON account_lockouts
+  USING (
+    app_ctx('scope') = 'global'
+    OR EXISTS (
+      SELECT 1 FROM users u
+      WHERE u.user_id = account_lockouts.user_id OR u.username = account_lockouts.username
+    )
+  );
+
+-- -------------------- SSO login requests --------------------
+-- nonces, PKCE verifiers and one-time codes of logins in flight: only the SSO flow (system
+-- role) and the retention job touch them, so no policy = no tenant context ever sees a row
+ALTER TABLE sso_login_requests ENABLE ROW LEVEL SECURITY;
+ALTER TABLE sso_login_requests FORCE ROW LEVEL SECURITY;
@@ -3,6 +3,7 @@ import express from 'express';
 import cors from 'cors';
 import swaggerUi from "swagger-ui-express";
 import swaggerSpec from "./swagger.js";
+import { requestId } from './middleware/requestId.js';
 
 import { router as companyRoutes } from './routes/companyRoutes.js';
 import { router as shipRoutes } from './routes/shipRoutes.js';
@@ -12,13 +13,45 @@ import { router as incidentRoutes } from './routes/incidentRoutes.js';
 import { router as certificateRoutes } from './routes/certificateRoutes.js';
 import { router as assessmentRoutes } from './routes/assessmentRoutes.js';
 import { router as activityRoutes } from './routes/activityRoutes.js';
+import { router as invitationRoutes } from './routes/invitationRoutes.js';
+import { router as apiKeyRoutes } from './routes/apiKeyRoutes.js';
+import { router as roleRoutes } from './routes/roleRoutes.js';
+import { router as auditRoutes } from './routes/auditRoutes.js';
+import { router as xapiRoutes } from './routes/xapiRoutes.js';
 
 
 const app = express();
 const PORT = process.env.PORT || 4000;
 
-app.use(cors());
+// req.ip (login throttling, sessions, audit) reads X-Forwarded-For only up to the trusted proxies.
+// TRUST_PROXY: number of proxy hops (default 1 = Vercel's edge), "false" for direct connections,
+// or a comma-separated list of proxy addresses / subnets.
+const trustProxy = (v) => {
+  if (v === undefined || v === '') return 1;
+  if (v === 'false') return false;
+  return /^\d+$/.test(v) ? Number(v) : v;
+};
+app.set('trust proxy', trustProxy(process.env.TRUST_PROXY));
+
+app.use(
+  cors({
+    exposedHeaders: [
+      'X-Request-Id',
+      'X-Impersonated-By',
+      'X-Impersonation-Id',
+      'X-Experience-API-Version',
+      'X-Experience-API-Consistent-Through',
+      'Last-Modified',
+    ],
+  })
+);
+// offline-sync uploads from the simulator are larger than a normal request (see routes/activityRoutes.js)
+app.use('/activity/track/batch', express.json({ limit: process.env.ACTIVITY_BATCH_BODY_LIMIT || '4mb' }));
+// xAPI: statement batches from e-learning content; state documents are stored as sent (any content type)
+app.use('/xapi/statements', express.json({ limit: process.env.XAPI_BODY_LIMIT || '4mb' }));
+app.use('/xapi/activities/state', express.raw({ type: () => true, limit: process.env.XAPI_STATE_BODY_LIMIT || '1mb' }));
 app.use(express.json());
+app.use(requestId);
 app.use("/docs", swaggerUi.serve, swaggerUi.setup(swaggerSpec));
 app.get("/openapi.json", (req, res) => res.json(swaggerSpec));
 
@@ -36,6 +69,11 @@ app.use('/incidents', incidentRoutes);
 app.use('/certificates', certificateRoutes);
 app.use('/assessments', assessmentRoutes);
 app.use('/activity', activityRoutes);
+app.use('/invitations', invitationRoutes);
+app.use('/api-keys', apiKeyRoutes);
+app.use('/roles', roleRoutes);
+app.use('/audit', auditRoutes);
+app.use('/xapi', xapiRoutes);
 
 export default app; // vercel important
 
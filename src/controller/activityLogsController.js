@@ -1,95 +1,116 @@
 // src/controller/activityLogsController.js
-import { db } from '../db.js';
-
-// simple API key protection for Unity calls 
-// Add ACTIVITY_API_KEY=some_secret in .env
-const requireActivityKey = (req, res) => {
-  const key =
-    req.headers['x-activity-key'] ||
-    req.headers['activity_api_key'] ||     // Postman might lowercase it
-    req.headers['activity-api-key'];       // just in case
-
-  const expected = process.env.ACTIVITY_API_KEY;
-  if (!expected) return true;
-
-  if (String(key || '') !== String(expected)) {
-    res.status(401).json({ error: 'Invalid activity key' });
-    return false;
-  }
-  return true;
-};
+import { db, withTransaction } from '../db.js';
+import { SCOPE_GLOBAL, SCOPE_COMPANY, SCOPE_SHIP, SCOPE_SELF } from '../utils/permissions.js';
+import { userInKeyScope } from '../utils/apiKeys.js';
+import { DEFAULT_VESSEL_TIMEZONE, isValidTimeZone, parseUnityTimestamp } from '../utils/unityTime.js';
+
+const ACTIVITY_COLUMNS = `(user_id, username, company_id, ship_id, activity_type, training_type, payload_json,
+   occurred_at, api_key_id, client_event_id, client_timestamp, client_timezone, client_utc_offset)`;
+const COLUMN_COUNT = 13;
+
+const RETURNING = `activity_id, user_id, username, company_id, ship_id, activity_type, training_type,
+  occurred_at, created_at, client_event_id, client_timestamp, client_timezone, client_utc_offset`;
+
+// the user with their ship's timezone (legacy timestamps are vessel-local)
+const USER_SQL = `SELECT u.user_id, u.username, u.company_id, u.ship_id, u.role_id, s.timezone AS ship_timezone
+                  FROM users u LEFT JOIN ships s ON s.ship_id = u.ship_id`;
+
+// replays of an already stored event id are skipped (migrations/020_activity_event_ids.sql)
+const ON_DUPLICATE_EVENT = `ON CONFLICT (company_id, client_event_id) WHERE client_event_id IS NOT NULL DO NOTHING`;
 
-// Parse "YYYY-MM-DD-HH:mm" into Date (fallback to now)
-const parseUnityTimestamp = (s) => {
-  if (!s) return null;
-  const m = String(s).match(/^(\d{4})-(\d{2})-(\d{2})-(\d{2}):(\d{2})$/);
-  if (!m) return null;
-  const [_, Y, M, D, h, min] = m;
-  // interpret as local server time; if you want UTC, use Date.UTC(...)
-  return new Date(Number(Y), Number(M) - 1, Number(D), Number(h), Number(min), 0);
+const BATCH_MAX_EVENTS = Number(process.env.ACTIVITY_BATCH_MAX_EVENTS || 5000);
+const INSERT_CHUNK = 500;
+
+const isValidEventId = (v) => typeof v === "string" && v.length > 0 && v.length <= 64;
+
+const TZ_ERROR = "tz must be an IANA timezone (e.g. Asia/Singapore) or an offset like +08:00";
+
+// zone a vessel-local timestamp is read in: the event's tz, else the ship's
+const eventTimeZone = (event, userRow) =>
+  [event.tz, userRow.ship_timezone].find(isValidTimeZone) || DEFAULT_VESSEL_TIMEZONE;
+
+// a timestamp was sent but cannot be read: rejected on both endpoints, "now" would misdate the event
+const unreadableTimestamp = (event, userRow) =>
+  event.timestamp !== undefined &&
+  event.timestamp !== null &&
+  event.timestamp !== "" &&
+  !parseUnityTimestamp(event.timestamp, eventTimeZone(event, userRow));
+
+// one Unity event -> activity_logs values (ACTIVITY_COLUMNS order); eventId is stored as its own column.
+// No timestamp means now; the raw value is kept in client_timestamp.
+const toActivityValues = (event, userRow, apiKeyId) => {
+  const { username, trainingType, timestamp, activityType, eventId, ...rest } = event;
+  const time = parseUnityTimestamp(timestamp, eventTimeZone(event, userRow));
+  return [
+    userRow.user_id,
+    String(username),
+    userRow.company_id,
+    userRow.ship_id ?? null,
+    String(activityType || "training"),
+    trainingType ?? null,
+    JSON.stringify({ username, trainingType, timestamp, activityType, ...rest }),
+    time?.occurredAt || new Date(),
+    apiKeyId,
+    eventId ?? null,
+    timestamp == null ? null : String(timestamp).slice(0, 64),
+    time?.timezone ?? null,
+    time?.utcOffset ?? null,
+  ];
 };
 
 /**
- * POST /activity/track
+ * POST /activity/track  (requireApiKey('activity:write'))
  * Body example:
  * { "username":"user5008", "trainingType":"Training", "timestamp":"2025-12-24-09:28", "activityType":"login" }
  *
  * activityType optional: if missing, we'll store "training"
+ * timestamp: ISO-8601 with offset, or vessel-local "YYYY-MM-DD-HH:mm" / ISO without offset
+ *   (read in tz, else the ship's timezone, else UTC; see utils/unityTime.js); missing = now,
+ *   unreadable = 400
+ * eventId optional: client-generated id; sending the same event again returns the stored log (200),
+ *   an eventId already stored for another user of the company gets 409
  */
 export const trackActivity = async (req, res) => {
-  if (!requireActivityKey(req, res)) return;
-
-  const { username, trainingType, timestamp, activityType, ...rest } = req.body || {};
-  if (!username) return res.status(400).json({ error: "username is required" });
-
-  const occurredAt = parseUnityTimestamp(timestamp) || new Date();
-  const finalActivityType = activityType || "training";
+  const event = req.body || {};
+  if (!event.username) return res.status(400).json({ error: "username is required" });
+  if (event.eventId !== undefined && !isValidEventId(event.eventId)) {
+    return res.status(400).json({ error: "eventId must be a string of at most 64 characters" });
+  }
+  if (event.tz !== undefined && !isValidTimeZone(event.tz)) return res.status(400).json({ error: TZ_ERROR });
 
   try {
     // resolve user_id/company_id/ship_id from username
-    const u = await db.query(
-      `SELECT user_id, company_id, ship_id, role_id FROM users WHERE username = $1 LIMIT 1`,
-      [String(username)]
-    );
+    const u = await db.query(`${USER_SQL} WHERE u.username = $1 LIMIT 1`, [String(event.username)]);
     const userRow = u.rows[0] || null;
 
-    // (optional safety) if caller is logged-in crew, don’t allow logging for other users
-    // If Unity won’t send Authorization header, this won’t run.
-    if (req.user?.role_id && Number(req.user.role_id) === 4) {
-      if (userRow?.user_id && Number(req.user.user_id) !== Number(userRow.user_id)) {
-        return res.status(403).json({ error: "Crew can only log their own activity" });
-      }
+    // unknown usernames get the same answer so keys can't probe other tenants
+    if (!userInKeyScope(req.apiKey, userRow)) {
+      return res.status(403).json({ error: "username is outside this API key's scope" });
     }
+    if (unreadableTimestamp(event, userRow)) return res.status(400).json({ error: "timestamp is not a readable date" });
 
     const insert = await db.query(
       `
-      INSERT INTO activity_logs
-        (user_id, username, company_id, ship_id, activity_type, training_type, payload_json, occurred_at)
-      VALUES
-        ($1, $2, $3, $4, $5, $6, $7::jsonb, $8)
-      RETURNING
-        activity_id,
-        user_id,
-        username,
-        company_id,
-        ship_id,
-        activity_type,
-        training_type,
-        occurred_at,
-        created_at
+      INSERT INTO activity_logs ${ACTIVITY_COLUMNS}
+      VALUES ($1, $2, $3, $4, $5, $6, $7::jsonb, $8, $9, $10, $11, $12, $13)
+      ${ON_DUPLICATE_EVENT}
+      RETURNING ${RETURNING}
       `,
-      [
-        userRow?.user_id ?? null,
-        String(username),
-        userRow?.company_id ?? null,
-        userRow?.ship_id ?? null,
-        String(finalActivityType),
-        trainingType ?? null,
-        JSON.stringify({ username, trainingType, timestamp, activityType, ...rest }),
-        occurredAt,
-      ]
+      toActivityValues(event, userRow, req.apiKey.api_key_id)
     );
 
+    if (!insert.rows.length) {
+      // only the same user's log comes back; another user's event id is a conflict, not a replay
+      const existing = await db.query(
+        `SELECT ${RETURNING} FROM activity_logs WHERE company_id = $1 AND client_event_id = $2 AND user_id = $3`,
+        [userRow.company_id, event.eventId, userRow.user_id]
+      );
+      if (!existing.rows.length) {
+        return res.status(409).json({ error: "eventId is already used by another user's event" });
+      }
+      return res.json({ message: "Activity already logged", duplicate: true, log: existing.rows[0] });
+    }
+
     return res.status(201).json({
       message: "Activity logged",
       log: insert.rows[0],
@@ -100,6 +121,105 @@ export const trackActivity = async (req, res) => {
   }
 };
 
+/**
+ * POST /activity/track/batch  (requireApiKey('activity:write'))
+ * Offline sync: the simulator uploads its local queue in one request.
+ * Body: { "events": [ { "eventId":"…", "username":"user5008", "timestamp":"2025-12-24-09:28", ... }, ... ] }
+ *
+ * Every event needs a client-generated eventId; a timestamp, when sent, must be readable.
+ * Result per event (same order):
+ * accepted (stored), duplicate (already stored / repeated in the batch; safe to drop from the queue)
+ * or rejected (with error; will not succeed on retry either).
+ * Inserts run in chunks inside one transaction: on a server error nothing is stored and the
+ * whole batch can be sent again.
+ */
+export const trackActivityBatch = async (req, res) => {
+  const { events } = req.body || {};
+  if (!Array.isArray(events) || !events.length) {
+    return res.status(400).json({ error: "events must be a non-empty array" });
+  }
+  if (events.length > BATCH_MAX_EVENTS) {
+    return res.status(413).json({ error: `At most ${BATCH_MAX_EVENTS} events per batch` });
+  }
+
+  const { api_key_id } = req.apiKey;
+
+  try {
+    const usernames = [
+      ...new Set(events.map((e) => e?.username).filter((v) => typeof v === "string" && v)),
+    ];
+    const { rows: userRows } = await db.query(`${USER_SQL} WHERE u.username = ANY($1::text[])`, [usernames]);
+    const usersByName = new Map(userRows.map((r) => [r.username, r]));
+
+    const results = [];
+    const pending = []; // { result, values }
+    const seen = new Set();
+
+    events.forEach((event, index) => {
+      const eventId = event?.eventId ?? null;
+      const result = { index, eventId };
+      results.push(result);
+
+      const reject = (error) => Object.assign(result, { status: "rejected", error });
+
+      if (!event || typeof event !== "object" || Array.isArray(event)) return reject("event must be an object");
+      if (!isValidEventId(eventId)) return reject("eventId must be a string of at most 64 characters");
+      if (!event.username) return reject("username is required");
+      if (event.tz !== undefined && !isValidTimeZone(event.tz)) return reject(TZ_ERROR);
+
+      const userRow = usersByName.get(String(event.username));
+      if (!userInKeyScope(req.apiKey, userRow)) return reject("username is outside this API key's scope");
+
+      if (unreadableTimestamp(event, userRow)) return reject("timestamp is not a readable date");
+
+      if (seen.has(eventId)) return Object.assign(result, { status: "duplicate" });
+      seen.add(eventId);
+
+      pending.push({ result, values: toActivityValues(event, userRow, api_key_id) });
+    });
+
+    await withTransaction(async (client) => {
+      for (let i = 0; i < pending.length; i += INSERT_CHUNK) {
+        const chunk = pending.slice(i, i + INSERT_CHUNK);
+        const placeholders = chunk.map((_, r) => {
+          const p = Array.from({ length: COLUMN_COUNT }, (__, c) => `$${r * COLUMN_COUNT + c + 1}`);
+          p[6] += "::jsonb";
+          return `(${p.join(", ")})`;
+        });
+
+        const { rows } = await client.query(
+          `INSERT INTO activity_logs ${ACTIVITY_COLUMNS}
+           VALUES ${placeholders.join(", ")}
+           ${ON_DUPLICATE_EVENT}
+           RETURNING activity_id, client_event_id`,
+          chunk.flatMap((p) => p.values)
+        );
+
+        const stored = new Map(rows.map((r) => [r.client_event_id, r.activity_id]));
+        for (const { result } of chunk) {
+          if (stored.has(result.eventId)) {
+            Object.assign(result, { status: "accepted", activity_id: stored.get(result.eventId) });
+          } else {
+            Object.assign(result, { status: "duplicate" });
+          }
+        }
+      }
+    });
+
+    const count = (status) => results.filter((r) => r.status === status).length;
+    return res.json({
+      message: "Batch processed",
+      accepted: count("accepted"),
+      duplicates: count("duplicate"),
+      rejected: count("rejected"),
+      results,
+    });
+  } catch (err) {
+    console.error("Error trackActivityBatch:", err);
+    return res.status(500).json({ error: "Failed to log activity batch" });
+  }
+};
+
 /**
  * GET /activity
  * Role-based:
@@ -109,7 +229,7 @@ export const trackActivity = async (req, res) => {
  */
 export const getActivityLogs = async (req, res) => {
   try {
-    const { role_id, company_id, ship_id, user_id } = req.user;
+    const { scope, company_id, ship_id, user_id } = req.user;
 
     const {
       company_id: qCompanyId,
@@ -121,8 +241,8 @@ export const getActivityLogs = async (req, res) => {
 
     const lim = Math.min(Number(limit) || 100, 500);
 
-    // ROLE 1: superadmin (can filter anything)
-    if (Number(role_id) === 1) {
+    // global scope (can filter anything)
+    if (scope === SCOPE_GLOBAL) {
       const filters = [];
       const values = [];
       let i = 1;
@@ -145,8 +265,8 @@ export const getActivityLogs = async (req, res) => {
       return res.json(rows);
     }
 
-    // ROLE 2: admin (company scoped)
-    if (Number(role_id) === 2) {
+    // company scope
+    if (scope === SCOPE_COMPANY) {
       const filters = [`company_id = $1`];
       const values = [company_id];
       let i = 2;
@@ -168,8 +288,8 @@ export const getActivityLogs = async (req, res) => {
       return res.json(rows);
     }
 
-    // ROLE 3: subadmin (ship scoped)
-    if (Number(role_id) === 3) {
+    // ship scope
+    if (scope === SCOPE_SHIP) {
       if (!ship_id) return res.json([]);
 
       const filters = [`ship_id = $1`];
@@ -192,8 +312,8 @@ export const getActivityLogs = async (req, res) => {
       return res.json(rows);
     }
 
-    // ROLE 4: crew (ONLY own logs)
-    if (Number(role_id) === 4) {
+    // self scope: crew (ONLY own logs)
+    if (scope === SCOPE_SELF) {
       const sql = `
         SELECT *
         FROM activity_logs
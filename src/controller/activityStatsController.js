@@ -0,0 +1,145 @@
+// src/controller/activityStatsController.js
+import { db } from '../db.js';
+import { buildActivityFilters } from '../utils/activityScope.js';
+
+// Dashboard numbers from the rollups, never from raw activity_logs:
+// events / active users from activity_daily_rollups (activity-rollups job),
+// time in training from training_sessions (training-sessions job). Days are UTC.
+
+const INTERVALS = ['day', 'week', 'month'];
+
+// group_by -> [select expression, output name]; sessions: false = no time-in-training for it
+const DIMENSIONS = {
+  training_type: {
+    rollup: [["NULLIF(t.training_type, '')", 'training_type']],
+    sessions: [['t.training_type', 'training_type']],
+  },
+  activity_type: { rollup: [["NULLIF(t.activity_type, '')", 'activity_type']], sessions: false },
+  ship: {
+    rollup: [['t.ship_id', 'ship_id'], ['s.ship_name', 'ship_name']],
+    sessions: [['t.ship_id', 'ship_id'], ['s.ship_name', 'ship_name']],
+  },
+  rank: { rollup: [['u.rank', 'rank']], sessions: [['u.rank', 'rank']] },
+};
+
+const MAX_ROWS = 5000;
+
+const JOINS = `LEFT JOIN users u ON u.user_id = t.user_id
+      LEFT JOIN ships s ON s.ship_id = t.ship_id`;
+
+// SELECT / GROUP BY parts for one source table
+const grouping = (periodExpr, dims) => {
+  const cols = [...(periodExpr ? [[periodExpr, 'period']] : []), ...dims];
+  return {
+    select: cols.map(([expr, name]) => `${expr} AS ${name}`).join(', '),
+    groupBy: cols.length ? `GROUP BY ${cols.map((_, i) => i + 1).join(', ')}` : '',
+    names: cols.map(([, name]) => name),
+  };
+};
+
+const keyOf = (row, names) => JSON.stringify(names.map((n) => row[n]));
+
+/**
+ * GET /activity/stats (activity.view)
+ * interval: day | week | month (optional), group_by: training_type | activity_type | ship | rank (optional),
+ * from / to (UTC days, [from, to)), company_id, ship_id, user_id, username, training_type, activity_type.
+ * Scoped like GET /activity.
+ */
+export const getActivityStats = async (req, res) => {
+  const { interval, group_by: groupBy } = req.query;
+  if (interval && !INTERVALS.includes(interval)) {
+    return res.status(400).json({ error: `interval must be one of: ${INTERVALS.join(', ')}` });
+  }
+  if (groupBy && !DIMENSIONS[groupBy]) {
+    return res.status(400).json({ error: `group_by must be one of: ${Object.keys(DIMENSIONS).join(', ')}` });
+  }
+
+  const rollupFilters = buildActivityFilters(req.user, req.query, {
+    timeColumn: 't.day',
+    activityType: true,
+    dateOnly: true,
+  });
+  if (rollupFilters.error) return res.status(400).json({ error: rollupFilters.error });
+
+  const dim = groupBy ? DIMENSIONS[groupBy] : { rollup: [], sessions: [] };
+  // first day of the period, as text so both sources key the same
+  const periodOf = (ts) => `to_char(date_trunc('${interval}', ${ts}), 'YYYY-MM-DD')`;
+  // time in training cannot be split by activity type
+  const withTime = dim.sessions !== false && !req.query.activity_type;
+
+  const base = {
+    interval: interval || null,
+    group_by: groupBy || null,
+    from: req.query.from ?? null,
+    to: req.query.to ?? null,
+  };
+  if (rollupFilters.none) {
+    return res.json({ ...base, summary: { events: 0, active_users: 0 }, rows: [] });
+  }
+
+  try {
+    const r = grouping(interval ? periodOf('t.day::timestamp') : null, dim.rollup);
+    const counts = `SUM(t.event_count)::bigint AS events, COUNT(DISTINCT t.user_id)::int AS active_users`;
+
+    const queries = [
+      db.query(
+        `SELECT ${r.select ? `${r.select}, ` : ''}${counts}
+         FROM activity_daily_rollups t
+         ${JOINS}
+         ${rollupFilters.where}
+         ${r.groupBy}
+         ORDER BY 1
+         LIMIT ${MAX_ROWS}`,
+        rollupFilters.values
+      ),
+      db.query(`SELECT ${counts} FROM activity_daily_rollups t ${JOINS} ${rollupFilters.where}`, rollupFilters.values),
+    ];
+
+    let sessionGroup = null;
+    if (withTime) {
+      const sessionFilters = buildActivityFilters(req.user, req.query, { timeColumn: 't.started_at' });
+      sessionGroup = grouping(interval ? periodOf(`t.started_at AT TIME ZONE 'UTC'`) : null, dim.sessions);
+      const seconds = `COALESCE(SUM(t.duration_seconds), 0)::bigint AS training_seconds`;
+      queries.push(
+        db.query(
+          `SELECT ${sessionGroup.select ? `${sessionGroup.select}, ` : ''}${seconds}
+           FROM training_sessions t
+           ${JOINS}
+           ${sessionFilters.where}
+           ${sessionGroup.groupBy}
+           LIMIT ${MAX_ROWS}`,
+          sessionFilters.values
+        ),
+        db.query(`SELECT ${seconds} FROM training_sessions t ${JOINS} ${sessionFilters.where}`, sessionFilters.values)
+      );
+    }
+
+    const [rowsRes, summaryRes, timeRes, timeSummaryRes] = await Promise.all(queries);
+
+    const time = new Map(
+      (timeRes?.rows || []).map((row) => [keyOf(row, sessionGroup.names), Number(row.training_seconds)])
+    );
+    const withHours = (seconds) =>
+      withTime ? { training_seconds: seconds, training_hours: Math.round((seconds / 3600) * 100) / 100 } : {};
+
+    const rows = rowsRes.rows.map((row) => ({
+      ...row,
+      events: Number(row.events),
+      ...withHours(time.get(keyOf(row, r.names)) || 0),
+    }));
+
+    const s = summaryRes.rows[0];
+    return res.json({
+      ...base,
+      summary: {
+        events: Number(s.events || 0),
+        active_users: s.active_users,
+        ...withHours(Number(timeSummaryRes?.rows[0].training_seconds || 0)),
+      },
+      rows,
+    });
+  } catch (err) {
+    console.error('Error getActivityStats:', err);
+    return res.status(500).json({ error: 'Failed to fetch activity stats' });
+  }
+};
@@ -0,0 +1,331 @@
+// src/controller/apiKeysController.js
+import { db, withTransaction } from '../db.js';
+import { API_KEY_SCOPES, generateApiKey, hashApiKey, apiKeyStatus } from '../utils/apiKeys.js';
+import { SCOPE_GLOBAL, SCOPE_COMPANY } from '../utils/permissions.js';
+import { recordAudit } from '../utils/audit.js';
+import { isUuid } from '../utils/validation.js';
+
+const KEY_COLUMNS = `
+  k.api_key_id, k.key_prefix, k.label, k.company_id, k.ship_id, k.scopes,
+  k.created_by_user_id, k.created_at, k.last_used_at, k.last_used_ip,
+  k.expires_at, k.revoked_at, k.revoked_by_user_id, k.rotated_to_key_id`;
+
+const withStatus = (row) => ({ ...row, status: apiKeyStatus(row) });
+
+// global -> all, company -> own company, narrower -> own company + ship
+const scopeWhere = (req, params) => {
+  if (req.user.scope === SCOPE_GLOBAL) return 'TRUE';
+  params.push(req.user.company_id);
+  let where = `k.company_id = $${params.length}`;
+
+  if (req.user.scope !== SCOPE_COMPANY) {
+    params.push(req.user.ship_id);
+    where += ` AND k.ship_id = $${params.length}`;
+  }
+  return where;
+};
+
+const loadKeyInScope = async (req, id) => {
+  const params = [id];
+  const where = scopeWhere(req, params);
+  const { rows } = await db.query(`SELECT ${KEY_COLUMNS} FROM api_keys k WHERE k.api_key_id = $1 AND ${where}`, params);
+  return rows[0] || null;
+};
+
+// null = no expiry; undefined = invalid
+const parseExpiry = (body) => {
+  if (body.expires_at != null && body.expires_at !== '') {
+    const d = new Date(body.expires_at);
+    return Number.isNaN(d.getTime()) || d <= new Date() ? undefined : d;
+  }
+  if (body.expires_in_days != null && body.expires_in_days !== '') {
+    const n = Number(body.expires_in_days);
+    return Number.isInteger(n) && n > 0 ? new Date(Date.now() + n * 86400000) : undefined;
+  }
+  return null;
+};
+
+const parseScopes = (scopes) => {
+  if (scopes == null) return ['activity:write'];
+  const list = Array.isArray(scopes) ? scopes.map(String) : [String(scopes)];
+  return list.length && list.every((s) => API_KEY_SCOPES.includes(s)) ? [...new Set(list)] : null;
+};
+
+const insertKey = async (client, { label, company_id, ship_id, scopes, expires_at, created_by_user_id }) => {
+  const { key, prefix } = generateApiKey();
+  const { rows } = await client.query(
+    `INSERT INTO api_keys
+       (key_prefix, key_hash, label, company_id, ship_id, scopes, created_by_user_id, expires_at, created_at)
+     VALUES ($1,$2,$3,$4,$5,$6,$7,$8, NOW())
+     RETURNING api_key_id, key_prefix, label, company_id, ship_id, scopes,
+               created_by_user_id, created_at, last_used_at, expires_at, revoked_at`,
+    [prefix, hashApiKey(key), label, company_id, ship_id, scopes, created_by_user_id, expires_at]
+  );
+  return { api_key: key, row: rows[0] };
+};
+
+// -------------------- POST /api-keys --------------------
+export const createApiKey = async (req, res) => {
+  const body = req.body || {};
+  const label = String(body.label || '').trim();
+  if (!label) return res.status(400).json({ error: 'label is required' });
+
+  let company_id = body.company_id ?? null;
+  if (req.user.scope === SCOPE_GLOBAL) {
+    if (!company_id || !isUuid(company_id)) return res.status(400).json({ error: 'company_id (uuid) is required' });
+  } else {
+    if (company_id && String(company_id) !== String(req.user.company_id)) {
+      return res.status(403).json({ error: 'Forbidden: company scope' });
+    }
+    company_id = req.user.company_id;
+  }
+
+  let ship_id = body.ship_id != null && body.ship_id !== '' ? Number(body.ship_id) : null;
+  if (ship_id != null && Number.isNaN(ship_id)) return res.status(400).json({ error: 'ship_id must be a number' });
+  if (req.user.scope !== SCOPE_GLOBAL && req.user.scope !== SCOPE_COMPANY) {
+    if (ship_id != null && ship_id !== Number(req.user.ship_id)) {
+      return res.status(403).json({ error: 'Forbidden: ship scope' });
+    }
+    ship_id = Number(req.user.ship_id);
+  }
+
+  const scopes = parseScopes(body.scopes);
+  if (!scopes) return res.status(400).json({ error: `scopes must be any of: ${API_KEY_SCOPES.join(', ')}` });
+
+  const expires_at = parseExpiry(body);
+  if (expires_at === undefined) {
+    return res.status(400).json({ error: 'expires_at must be a future date / expires_in_days a positive integer' });
+  }
+
+  try {
+    const c = await db.query(`SELECT 1 FROM company WHERE company_id = $1`, [company_id]);
+    if (!c.rows.length) return res.status(404).json({ error: 'Company not found' });
+
+    if (ship_id != null) {
+      const s = await db.query(`SELECT 1 FROM ships WHERE ship_id = $1 AND company_id = $2`, [ship_id, company_id]);
+      if (!s.rows.length) return res.status(400).json({ error: 'Ship does not belong to this company' });
+    }
+
+    const { api_key, row } = await withTransaction(async (client) => {
+      const created = await insertKey(client, {
+        label,
+        company_id,
+        ship_id,
+        scopes,
+        expires_at,
+        created_by_user_id: req.user.user_id,
+      });
+      await recordAudit(
+        req,
+        { action: 'api_key.create', entity_type: 'api_key', entity_id: created.row.api_key_id, after: created.row },
+        client
+      );
+      return created;
+    });
+
+    // ✅ the key itself is only returned here
+    return res.status(201).json({ message: 'API key created', api_key, key: withStatus(row) });
+  } catch (err) {
+    console.error('Error creating API key:', err);
+    return res.status(500).json({ error: 'Failed to create API key' });
+  }
+};
+
+// -------------------- GET /api-keys --------------------
+export const listApiKeys = async (req, res) => {
+  const { company_id, include_revoked } = req.query;
+
+  try {
+    const params = [];
+    const where = [scopeWhere(req, params)];
+
+    if (company_id && req.user.scope === SCOPE_GLOBAL) {
+      params.push(company_id);
+      where.push(`k.company_id = $${params.length}`);
+    }
+    if (String(include_revoked) !== 'true') where.push('k.revoked_at IS NULL');
+
+    const { rows } = await db.query(
+      `SELECT ${KEY_COLUMNS}, s.ship_name
+       FROM api_keys k
+       LEFT JOIN ships s ON s.ship_id = k.ship_id
+       WHERE ${where.join(' AND ')}
+       ORDER BY k.created_at DESC, k.api_key_id DESC`,
+      params
+    );
+
+    return res.json(rows.map(withStatus));
+  } catch (err) {
+    console.error('Error listing API keys:', err);
+    return res.status(500).json({ error: 'Failed to fetch API keys' });
+  }
+};
+
+// -------------------- PATCH /api-keys/:id --------------------
+// label / expiry only; scope changes need a new key
+export const updateApiKey = async (req, res) => {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id)) return res.status(400).json({ error: 'api_key_id must be a number' });
+
+  const body = req.body || {};
+  const label = body.label !== undefined ? String(body.label).trim() : null;
+  if (label === '') return res.status(400).json({ error: 'label cannot be empty' });
+
+  const clearExpiry = body.expires_at === null;
+  const expires_at = clearExpiry ? null : parseExpiry(body);
+  if (expires_at === undefined) {
+    return res.status(400).json({ error: 'expires_at must be a future date / expires_in_days a positive integer' });
+  }
+
+  try {
+    const current = await loadKeyInScope(req, id);
+    if (!current) return res.status(404).json({ error: 'API key not found' });
+    if (current.revoked_at) return res.status(409).json({ error: 'API key is revoked' });
+
+    const updated = await withTransaction(async (client) => {
+      const { rows } = await client.query(
+        `UPDATE api_keys
+         SET label = COALESCE($2, label),
+             expires_at = CASE WHEN $3::boolean THEN NULL ELSE COALESCE($4, expires_at) END
+         WHERE api_key_id = $1
+         RETURNING api_key_id, key_prefix, label, company_id, ship_id, scopes,
+                   created_at, last_used_at, expires_at, revoked_at`,
+        [id, label, clearExpiry, expires_at]
+      );
+      await recordAudit(
+        req,
+        { action: 'api_key.update', entity_type: 'api_key', entity_id: id, before: current, after: rows[0] },
+        client
+      );
+      return rows[0];
+    });
+
+    return res.json(withStatus(updated));
+  } catch (err) {
+    console.error('Error updating API key:', err);
+    return res.status(500).json({ error: 'Failed to update API key' });
+  }
+};
+
+// -------------------- POST /api-keys/:id/rotate --------------------
+// Issues a replacement with the same scope. The old key stops working immediately,
+// or after grace_minutes so deployed simulator builds can be updated.
+export const rotateApiKey = async (req, res) => {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id)) return res.status(400).json({ error: 'api_key_id must be a number' });
+
+  const grace = Number(req.body?.grace_minutes ?? 0);
+  if (!Number.isInteger(grace) || grace < 0 || grace > 60 * 24 * 7) {
+    return res.status(400).json({ error: 'grace_minutes must be between 0 and 10080' });
+  }
+
+  const client = await db.connect();
+  try {
+    await client.query('BEGIN');
+
+    const params = [id];
+    const where = scopeWhere(req, params);
+    const { rows } = await client.query(
+      `SELECT ${KEY_COLUMNS} FROM api_keys k WHERE k.api_key_id = $1 AND ${where} FOR UPDATE`,
+      params
+    );
+    const current = rows[0];
+
+    if (!current) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'API key not found' });
+    }
+    if (apiKeyStatus(current) !== 'active') {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: `API key is ${apiKeyStatus(current)}` });
+    }
+
+    const { api_key, row } = await insertKey(client, {
+      label: current.label,
+      company_id: current.company_id,
+      ship_id: current.ship_id,
+      scopes: current.scopes,
+      expires_at: current.expires_at,
+      created_by_user_id: req.user.user_id,
+    });
+
+    let old;
+    if (grace > 0) {
+      old = await client.query(
+        `UPDATE api_keys
+         SET expires_at = LEAST(COALESCE(expires_at, 'infinity'), NOW() + ($2 || ' minutes')::interval),
+             rotated_to_key_id = $3
+         WHERE api_key_id = $1
+         RETURNING expires_at, revoked_at, revoked_by_user_id, rotated_to_key_id`,
+        [id, String(grace), row.api_key_id]
+      );
+    } else {
+      old = await client.query(
+        `UPDATE api_keys SET revoked_at = NOW(), revoked_by_user_id = $2, rotated_to_key_id = $3 WHERE api_key_id = $1
+         RETURNING expires_at, revoked_at, revoked_by_user_id, rotated_to_key_id`,
+        [id, req.user.user_id, row.api_key_id]
+      );
+    }
+
+    await recordAudit(
+      req,
+      {
+        action: 'api_key.rotate',
+        entity_type: 'api_key',
+        entity_id: id,
+        before: current,
+        after: { ...current, ...old.rows[0] },
+        details: { new_api_key_id: row.api_key_id, grace_minutes: grace },
+      },
+      client
+    );
+
+    await client.query('COMMIT');
+
+    return res.status(201).json({
+      message: 'API key rotated',
+      api_key,
+      key: withStatus(row),
+      replaced_api_key_id: id,
+      old_key_valid_until: grace > 0 ? new Date(Date.now() + grace * 60000) : null,
+    });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error rotating API key:', err);
+    return res.status(500).json({ error: 'Failed to rotate API key' });
+  } finally {
+    client.release();
+  }
+};
+
+// -------------------- DELETE /api-keys/:id --------------------
+export const revokeApiKey = async (req, res) => {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id)) return res.status(400).json({ error: 'api_key_id must be a number' });
+
+  try {
+    const current = await loadKeyInScope(req, id);
+    if (!current) return res.status(404).json({ error: 'API key not found' });
+    if (current.revoked_at) return res.status(409).json({ error: 'API key is already revoked' });
+
+    const rows = await withTransaction(async (client) => {
+      const r = await client.query(
+        `UPDATE api_keys SET revoked_at = NOW(), revoked_by_user_id = $2
+         WHERE api_key_id = $1 AND revoked_at IS NULL
+         RETURNING api_key_id, revoked_at`,
+        [id, req.user.user_id]
+      );
+      await recordAudit(
+        req,
+        { action: 'api_key.revoke', entity_type: 'api_key', entity_id: id, before: current, after: { ...current, ...r.rows[0] } },
+        client
+      );
+      return r.rows;
+    });
+
+    return res.json({ message: 'API key revoked', ...rows[0] });
+  } catch (err) {
+    console.error('Error revoking API key:', err);
+    return res.status(500).json({ error: 'Failed to revoke API key' });
+  }
+};
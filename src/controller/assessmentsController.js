@@ -1,44 +1,42 @@
 // src/controller/assessmentsController.js
 import { db } from '../db.js';
-
-const ROLE_SUPERADMIN = 1;
-const ROLE_ADMIN = 2;
-const ROLE_SUBADMIN = 3;
-const ROLE_CREW = 4;
+import { SCOPE_GLOBAL, SCOPE_COMPANY, SCOPE_SHIP, hasPermission } from '../utils/permissions.js';
+import { recordAudit } from '../utils/audit.js';
 
 /**
- * Builds scope WHERE + params for assessments based on role.
+ * Builds scope WHERE + params for assessments based on the role's data scope.
  * IMPORTANT: supports startIndex so it can be safely combined with other $ placeholders
  * (example: when you already use $1 for assessment_id, use startIndex=2).
  */
 const assessScope = (req, alias = 'a', startIndex = 1) => {
   const a = alias ? `${alias}.` : '';
-  const role = Number(req.user?.role_id);
+  const scope = req.user?.scope;
 
   const p1 = `$${startIndex}`;
   const p2 = `$${startIndex + 1}`;
 
-  if (role === ROLE_SUPERADMIN) return { where: 'TRUE', params: [] };
+  if (scope === SCOPE_GLOBAL) return { where: 'TRUE', params: [] };
 
-  if (role === ROLE_ADMIN) {
+  if (scope === SCOPE_COMPANY) {
     return { where: `${a}company_id = ${p1}`, params: [req.user.company_id] };
   }
 
-  if (role === ROLE_SUBADMIN) {
+  if (scope === SCOPE_SHIP) {
     return {
       where: `${a}company_id = ${p1} AND ${a}ship_id = ${p2}`,
       params: [req.user.company_id, req.user.ship_id],
     };
   }
 
-  // ROLE_CREW: only published for their company, and ship either NULL or matches their ship
+  // self scope (crew): only published for their company, and ship either NULL or matches their ship
   return {
     where: `${a}status = 'published' AND ${a}company_id = ${p1} AND (${a}ship_id IS NULL OR ${a}ship_id = ${p2})`,
     params: [req.user.company_id, req.user.ship_id],
   };
 };
 
-const canWrite = (roleId) => [ROLE_SUPERADMIN, ROLE_ADMIN, ROLE_SUBADMIN].includes(Number(roleId));
+// assessment.manage is checked by the route; publishing additionally needs assessment.publish
+const canPublish = (user) => hasPermission(user, 'assessment.publish');
 
 // helper: build nested object from join rows
 const shapeAssessmentRows = (rows) => {
@@ -200,10 +198,8 @@ export const getAssessmentById = async (req, res) => {
   }
 };
 
-// POST /assessments (roles 1-3)
+// POST /assessments (assessment.manage)
 export const createAssessment = async (req, res) => {
-  if (!canWrite(req.user?.role_id)) return res.status(403).json({ error: 'Forbidden' });
-
   const {
     ship_id, // nullable
     title,
@@ -219,10 +215,13 @@ export const createAssessment = async (req, res) => {
 
   if (!company_id) return res.status(400).json({ error: 'Token missing company_id' });
   if (!title) return res.status(400).json({ error: 'title is required' });
+  if (status === 'published' && !canPublish(req.user)) {
+    return res.status(403).json({ error: 'Forbidden (assessment.publish required)' });
+  }
 
   // scope enforcement
-  if (Number(req.user.role_id) === ROLE_SUBADMIN) {
-    // subadmin must be locked to their ship if ship_id is provided
+  if (req.user.scope !== SCOPE_GLOBAL && req.user.scope !== SCOPE_COMPANY) {
+    // ship scope must be locked to their ship if ship_id is provided
     if (ship_id != null && Number(ship_id) !== Number(req.user.ship_id)) {
       return res.status(403).json({ error: 'Forbidden (ship scope)' });
     }
@@ -296,6 +295,18 @@ export const createAssessment = async (req, res) => {
       }
     }
 
+    await recordAudit(
+      req,
+      {
+        action: 'assessment.create',
+        entity_type: 'assessment',
+        entity_id: assessment.assessment_id,
+        after: assessment,
+        details: { question_count: questions.length },
+      },
+      client
+    );
+
     await client.query('COMMIT');
 
     // return nested
@@ -310,11 +321,9 @@ export const createAssessment = async (req, res) => {
   }
 };
 
-// PUT /assessments/:id (roles 1-3)
+// PUT /assessments/:id (assessment.manage)
 // If body.questions provided -> replace full question tree
 export const updateAssessment = async (req, res) => {
-  if (!canWrite(req.user?.role_id)) return res.status(403).json({ error: 'Forbidden' });
-
   const id = String(req.params.id);
   const {
     company_id,
@@ -334,7 +343,7 @@ export const updateAssessment = async (req, res) => {
     const { where, params } = assessScope(req, 'a', 2);
 
     const aCheck = await client.query(
-      `SELECT a.assessment_id FROM assessments a WHERE a.assessment_id = $1 AND (${where})`,
+      `SELECT a.* FROM assessments a WHERE a.assessment_id = $1 AND (${where})`,
       [id, ...params]
     );
 
@@ -343,13 +352,20 @@ export const updateAssessment = async (req, res) => {
       return res.status(404).json({ error: 'Assessment not found' });
     }
 
+    // publishing or unpublishing needs assessment.publish
+    const wasPublished = aCheck.rows[0].status === 'published';
+    if (status && (status === 'published') !== wasPublished && !canPublish(req.user)) {
+      await client.query('ROLLBACK');
+      return res.status(403).json({ error: 'Forbidden (assessment.publish required)' });
+    }
+
     // prevent scope changes outside allowed scope
-    if (Number(req.user.role_id) === ROLE_ADMIN && company_id && String(company_id) !== String(req.user.company_id)) {
+    if (req.user.scope === SCOPE_COMPANY && company_id && String(company_id) !== String(req.user.company_id)) {
       await client.query('ROLLBACK');
       return res.status(403).json({ error: 'Forbidden (company scope)' });
     }
 
-    if (Number(req.user.role_id) === ROLE_SUBADMIN) {
+    if (req.user.scope !== SCOPE_GLOBAL && req.user.scope !== SCOPE_COMPANY) {
       if (
         (company_id && String(company_id) !== String(req.user.company_id)) ||
         (ship_id && Number(ship_id) !== Number(req.user.ship_id))
@@ -359,7 +375,7 @@ export const updateAssessment = async (req, res) => {
       }
     }
 
-    await client.query(
+    const updated = await client.query(
       `
       UPDATE assessments SET
         company_id    = COALESCE($1, company_id),
@@ -370,6 +386,7 @@ export const updateAssessment = async (req, res) => {
         metadata_json = COALESCE($6, metadata_json),
         updated_at    = NOW()
       WHERE assessment_id = $7
+      RETURNING *
       `,
       [
         company_id ?? null,
@@ -434,6 +451,19 @@ export const updateAssessment = async (req, res) => {
       }
     }
 
+    await recordAudit(
+      req,
+      {
+        action: 'assessment.update',
+        entity_type: 'assessment',
+        entity_id: id,
+        before: aCheck.rows[0],
+        after: updated.rows[0],
+        details: { questions_replaced: questions !== undefined, question_count: questions?.length ?? null },
+      },
+      client
+    );
+
     await client.query('COMMIT');
     return getAssessmentById(req, res);
   } catch (err) {
@@ -445,10 +475,8 @@ export const updateAssessment = async (req, res) => {
   }
 };
 
-// DELETE /assessments/:id (roles 1-3)
+// DELETE /assessments/:id (assessment.manage)
 export const deleteAssessment = async (req, res) => {
-  if (!canWrite(req.user?.role_id)) return res.status(403).json({ error: 'Forbidden' });
-
   const id = String(req.params.id);
   const client = await db.connect();
 
@@ -459,7 +487,7 @@ export const deleteAssessment = async (req, res) => {
     const { where, params } = assessScope(req, 'a', 2);
 
     const ok = await client.query(
-      `SELECT a.assessment_id FROM assessments a WHERE a.assessment_id = $1 AND (${where})`,
+      `SELECT a.* FROM assessments a WHERE a.assessment_id = $1 AND (${where})`,
       [id, ...params]
     );
 
@@ -478,6 +506,12 @@ export const deleteAssessment = async (req, res) => {
     await client.query(`DELETE FROM assessment_questions WHERE assessment_id = $1`, [id]);
     await client.query(`DELETE FROM assessments WHERE assessment_id = $1`, [id]);
 
+    await recordAudit(
+      req,
+      { action: 'assessment.delete', entity_type: 'assessment', entity_id: id, before: ok.rows[0] },
+      client
+    );
+
     await client.query('COMMIT');
     return res.json({ message: 'Assessment deleted' });
   } catch (err) {
@@ -0,0 +1,178 @@
+// src/controller/auditController.js
+import { db } from '../db.js';
+import { SCOPE_GLOBAL, SCOPE_COMPANY, SCOPE_SHIP } from '../utils/permissions.js';
+import { isUuid } from '../utils/validation.js';
+
+const MAX_LIMIT = 500;
+const EXPORT_MAX_ROWS = Number(process.env.AUDIT_EXPORT_MAX_ROWS || 10000);
+
+const CSV_COLUMNS = [
+  'audit_id',
+  'created_at',
+  'request_id',
+  'actor_user_id',
+  'actor_username',
+  'actor_role_id',
+  'actor_scope',
+  'impersonator_user_id',
+  'impersonation_id',
+  'action',
+  'entity_type',
+  'entity_id',
+  'company_id',
+  'ship_id',
+  'ip_address',
+  'changes_json',
+  'details_json',
+];
+
+const isDate = (v) => !Number.isNaN(new Date(v).getTime());
+
+// global -> all, company -> own company, ship -> own company + ship, self -> own actions
+const scopeWhere = (req, params) => {
+  const { scope } = req.user;
+  if (scope === SCOPE_GLOBAL) return 'TRUE';
+
+  if (scope === SCOPE_COMPANY || scope === SCOPE_SHIP) {
+    params.push(req.user.company_id);
+    let where = `a.company_id = $${params.length}`;
+    if (scope === SCOPE_SHIP) {
+      params.push(req.user.ship_id);
+      where += ` AND a.ship_id = $${params.length}`;
+    }
+    return where;
+  }
+
+  params.push(req.user.user_id);
+  return `a.actor_user_id = $${params.length}`;
+};
+
+/**
+ * WHERE clause from query filters. Returns { where, params } or { error }.
+ */
+const buildFilters = (req) => {
+  const q = req.query;
+  const params = [];
+  const where = [scopeWhere(req, params)];
+
+  const add = (sql, value) => {
+    params.push(value);
+    where.push(sql.replace('?', `$${params.length}`));
+  };
+
+  if (q.company_id) {
+    if (!isUuid(q.company_id)) return { error: 'company_id must be a uuid' };
+    if (req.user.scope === SCOPE_GLOBAL) add('a.company_id = ?', String(q.company_id));
+  }
+  if (q.ship_id) {
+    if (!Number.isInteger(Number(q.ship_id))) return { error: 'ship_id must be a number' };
+    add('a.ship_id = ?', Number(q.ship_id));
+  }
+  if (q.actor_user_id) {
+    if (!Number.isInteger(Number(q.actor_user_id))) return { error: 'actor_user_id must be a number' };
+    add('a.actor_user_id = ?', Number(q.actor_user_id));
+  }
+  if (q.impersonator_user_id) {
+    if (!Number.isInteger(Number(q.impersonator_user_id))) return { error: 'impersonator_user_id must be a number' };
+    add('a.impersonator_user_id = ?', Number(q.impersonator_user_id));
+  }
+  if (q.impersonation_id) {
+    if (!isUuid(q.impersonation_id)) return { error: 'impersonation_id must be a uuid' };
+    add('a.impersonation_id = ?', String(q.impersonation_id));
+  }
+  if (q.entity_type) add('a.entity_type = ?', String(q.entity_type));
+  if (q.entity_id) add('a.entity_id = ?', String(q.entity_id));
+  if (q.request_id) add('a.request_id = ?', String(q.request_id));
+
+  // action=user.update or action=user.* (prefix)
+  if (q.action) {
+    const action = String(q.action);
+    if (action.endsWith('.*')) add('a.action LIKE ?', `${action.slice(0, -1)}%`);
+    else add('a.action = ?', action);
+  }
+
+  if (q.from) {
+    if (!isDate(q.from)) return { error: 'from must be a date' };
+    add('a.created_at >= ?', new Date(q.from));
+  }
+  if (q.to) {
+    if (!isDate(q.to)) return { error: 'to must be a date' };
+    add('a.created_at < ?', new Date(q.to));
+  }
+
+  return { where: where.join(' AND '), params };
+};
+
+const SELECT_EVENTS = `
+  SELECT a.audit_id, a.created_at, a.request_id,
+         a.actor_user_id, u.username AS actor_username, a.actor_role_id, a.actor_scope,
+         a.impersonator_user_id, a.impersonation_id,
+         a.action, a.entity_type, a.entity_id, a.company_id, a.ship_id,
+         a.before_json, a.after_json, a.changes_json, a.details_json,
+         a.ip_address, a.user_agent
+  FROM audit_events a
+  LEFT JOIN users u ON u.user_id = a.actor_user_id`;
+
+// -------------------- GET /audit --------------------
+export const getAuditEvents = async (req, res) => {
+  const filters = buildFilters(req);
+  if (filters.error) return res.status(400).json({ error: filters.error });
+
+  const limit = Math.min(Math.max(Number(req.query.limit) || 100, 1), MAX_LIMIT);
+  const offset = Math.max(Number(req.query.offset) || 0, 0);
+
+  try {
+    const { where, params } = filters;
+
+    const { rows } = await db.query(
+      `${SELECT_EVENTS}
+       WHERE ${where}
+       ORDER BY a.created_at DESC, a.audit_id DESC
+       LIMIT ${limit} OFFSET ${offset}`,
+      params
+    );
+
+    return res.json({ limit, offset, events: rows });
+  } catch (err) {
+    console.error('Error getAuditEvents:', err);
+    return res.status(500).json({ error: 'Failed to fetch audit events' });
+  }
+};
+
+// -------------------- GET /audit/export --------------------
+const csvCell = (v) => {
+  if (v === null || v === undefined) return '';
+  const s = v instanceof Date ? v.toISOString() : typeof v === 'object' ? JSON.stringify(v) : String(v);
+  // quote everything that could break the row; prefix formula-looking cells for spreadsheets
+  const safe = /^[=+\-@]/.test(s) ? `'${s}` : s;
+  return /[",\r\n]/.test(safe) || safe !== s ? `"${safe.replace(/"/g, '""')}"` : safe;
+};
+
+export const exportAuditEvents = async (req, res) => {
+  const filters = buildFilters(req);
+  if (filters.error) return res.status(400).json({ error: filters.error });
+
+  try {
+    const { where, params } = filters;
+
+    const { rows } = await db.query(
+      `${SELECT_EVENTS}
+       WHERE ${where}
+       ORDER BY a.created_at DESC, a.audit_id DESC
+       LIMIT ${EXPORT_MAX_ROWS}`,
+      params
+    );
+
+    const lines = [CSV_COLUMNS.join(',')];
+    for (const row of rows) lines.push(CSV_COLUMNS.map((c) => csvCell(row[c])).join(','));
+
+    const stamp = new Date().toISOString().slice(0, 10);
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="audit-${stamp}.csv"`);
+    if (rows.length === EXPORT_MAX_ROWS) res.set('X-Export-Truncated', 'true');
+    return res.send(`${lines.join('\r\n')}\r\n`);
+  } catch (err) {
+    console.error('Error exportAuditEvents:', err);
+    return res.status(500).json({ error: 'Failed to export audit events' });
+  }
+};
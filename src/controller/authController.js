@@ -1,67 +1,57 @@
 // src/controller/authController.js
-import { db } from '../db.js';
+import { db, withTransaction } from '../db.js';
 import crypto from 'crypto';
-import jwt from 'jsonwebtoken';
+import { hashPassword, verifyPassword } from '../utils/password.js';
+import { redeemCredentialClaim } from '../utils/credentialClaims.js';
+import { logAuthEvent, getClientIp, getUserAgent } from '../utils/authEvents.js';
+import { bumpTokenVersion } from '../utils/tokenVersion.js';
+import { recordUserAction } from '../utils/audit.js';
+import {
+  generateRefreshToken,
+  hashRefreshToken,
+  signAccessToken,
+  signLoginStepToken,
+  verifyLoginStepToken,
+  issueLoginTokens,
+} from '../utils/authTokens.js';
+import { getCompanyLoginSecurity, isSsoEnforced } from '../utils/companySettings.js';
+import { userBlockedBySuspension, COMPANY_SUSPENDED_ERROR } from '../utils/companyStatus.js';
+import { sendTemplatedMail } from '../utils/mailer.js';
+import { hashInvitationCode, invitationStatus } from '../utils/invitations.js';
+import {
+  getPasswordPolicy,
+  validateNewPassword,
+  passwordPolicyError,
+  recordPasswordHistory,
+  setUserPassword,
+  isPasswordExpired,
+} from '../utils/passwordPolicy.js';
+import {
+  checkIpThrottle,
+  checkAccountLock,
+  checkForgotThrottle,
+  recordAttempt,
+  registerFailedLogin,
+  unlockAccount,
+} from '../utils/loginThrottle.js';
+import { SCOPE_GLOBAL, SCOPE_COMPANY, SCOPE_SHIP, SCOPE_SELF, getRole } from '../utils/permissions.js';
+import { isUuid } from '../utils/validation.js';
 
 // -------------------- constants --------------------
-const ROLE_SUPERADMIN = 1;
-const ROLE_ADMIN = 2;
-const ROLE_SUBADMIN = 3;
-const ROLE_CREW = 4;
-
-const ACCESS_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '5h';
-const REFRESH_EXPIRES_DAYS = Number(process.env.REFRESH_EXPIRES_DAYS || 7);
+const ADMIN_RESET_EXPIRES_HOURS = Number(process.env.ADMIN_RESET_EXPIRES_HOURS || 24);
+const RESET_TOKEN_MINUTES = Number(process.env.RESET_TOKEN_MINUTES || 15);
+// frontend page that reads ?username=&token= and calls POST /auth/reset-password
+const RESET_PASSWORD_URL =
+  process.env.RESET_PASSWORD_URL || `${process.env.APP_BASE_URL || 'http://localhost:3000'}/reset-password`;
 
 // -------------------- helpers --------------------
 const normalizeStatus = (s) => (s ? String(s).trim().toLowerCase() : null);
 const isOnboard = (s) => normalizeStatus(s) === 'onboard';
 
-// ✅ Admin roles are "Onboard" by default (status doesn't matter for login)
-const isAdminRole = (roleId) =>
-  [ROLE_SUPERADMIN, ROLE_ADMIN, ROLE_SUBADMIN].includes(Number(roleId));
-
-// sha256 hash (your current approach)
-const hashPassword = (plain) =>
-  crypto.createHash('sha256').update(String(plain)).digest('hex');
-
-// AES-256-GCM reversible encryption (Option B)
-const getEncKey = () => {
-  const b64 = process.env.PASSWORD_ENC_KEY;
-  if (!b64) throw new Error('PASSWORD_ENC_KEY missing in .env');
-  const key = Buffer.from(b64, 'base64');
-  if (key.length !== 32) throw new Error('PASSWORD_ENC_KEY must be 32 bytes base64');
-  return key;
-};
-
-/**
- * Returns: base64(iv).base64(tag).base64(ciphertext)
- */
-const encryptPassword = (plain) => {
-  const key = getEncKey();
-  const iv = crypto.randomBytes(12);
-  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
-
-  const ciphertext = Buffer.concat([cipher.update(String(plain), 'utf8'), cipher.final()]);
-  const tag = cipher.getAuthTag();
-
-  return `${iv.toString('base64')}.${tag.toString('base64')}.${ciphertext.toString('base64')}`;
-};
-
-const decryptPassword = (enc) => {
-  if (!enc) return null;
-  const key = getEncKey();
-  const parts = String(enc).split('.');
-  if (parts.length !== 3) throw new Error('Invalid password_enc format');
-
-  const iv = Buffer.from(parts[0], 'base64');
-  const tag = Buffer.from(parts[1], 'base64');
-  const ciphertext = Buffer.from(parts[2], 'base64');
-
-  const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
-  decipher.setAuthTag(tag);
-
-  const plain = Buffer.concat([decipher.update(ciphertext), decipher.final()]);
-  return plain.toString('utf8');
+// ✅ Admin roles (any scope wider than self) are "Onboard" by default (status doesn't matter for login)
+const isAdminRole = async (roleId) => {
+  const role = await getRole(roleId);
+  return !!role && role.scope !== SCOPE_SELF;
 };
 
 // reset token flow (forgot/reset password)
@@ -69,42 +59,19 @@ const generateResetToken = () => crypto.randomBytes(24).toString('hex');
 const hashResetToken = (token) =>
   crypto.createHash('sha256').update(String(token)).digest('hex');
 
-// refresh token flow
-const generateRefreshToken = () => crypto.randomBytes(48).toString('hex');
-const hashRefreshToken = (token) =>
-  crypto.createHash('sha256').update(String(token)).digest('hex');
-
-const signAccessToken = (user) => {
-  const secret = process.env.JWT_SECRET;
-  if (!secret) throw new Error('JWT_SECRET missing in .env');
-
-  return jwt.sign(
-    {
-      user_id: user.user_id,
-      role_id: user.role_id,
-      company_id: user.company_id,
-      ship_id: user.ship_id,
-    },
-    secret,
-    { expiresIn: ACCESS_EXPIRES_IN }
-  );
-};
-
-const canAdmin = (roleId) => [ROLE_SUPERADMIN, ROLE_ADMIN, ROLE_SUBADMIN].includes(Number(roleId));
-
-// company/ship scope checks for admin actions on other users
+// company/ship scope checks for admin actions on other users (permission is checked by the route)
 const ensureUserScopeForAdmin = async (req, targetUserId) => {
-  const role = Number(req.user?.role_id);
+  const scope = req.user?.scope;
 
-  if (role === ROLE_SUPERADMIN) return true;
+  if (scope === SCOPE_GLOBAL) return true;
 
-  if (role === ROLE_ADMIN) {
+  if (scope === SCOPE_COMPANY) {
     const r = await db.query(`SELECT company_id FROM users WHERE user_id = $1`, [Number(targetUserId)]);
     if (!r.rows.length) return false;
     return String(r.rows[0].company_id) === String(req.user.company_id);
   }
 
-  if (role === ROLE_SUBADMIN) {
+  if (scope === SCOPE_SHIP) {
     const r = await db.query(`SELECT company_id, ship_id FROM users WHERE user_id = $1`, [Number(targetUserId)]);
     if (!r.rows.length) return false;
     return (
@@ -116,6 +83,38 @@ const ensureUserScopeForAdmin = async (req, targetUserId) => {
   return false;
 };
 
+// -------------------- SESSIONS: helpers --------------------
+// One "session" = one login (refresh family). Rotated rows are collapsed into it.
+const listActiveSessions = async (userId) => {
+  const { rows } = await db.query(
+    `
+    SELECT
+      family_id,
+      MIN(created_at)                                   AS created_at,
+      MAX(COALESCE(last_used_at, created_at))           AS last_used_at,
+      MAX(expires_at)                                   AS expires_at,
+      (ARRAY_AGG(user_agent ORDER BY created_at DESC))[1] AS user_agent,
+      (ARRAY_AGG(ip_address ORDER BY created_at DESC))[1] AS ip_address
+    FROM refresh_sessions
+    WHERE user_id = $1
+    GROUP BY family_id
+    HAVING BOOL_AND(revoked_at IS NULL)
+       AND BOOL_OR(replaced_at IS NULL AND expires_at > NOW())
+    ORDER BY last_used_at DESC
+    `,
+    [userId]
+  );
+  return rows;
+};
+
+const revokeAllSessionsForUser = async (userId, client = db) => {
+  const { rowCount } = await client.query(
+    `UPDATE refresh_sessions SET revoked_at = NOW() WHERE user_id = $1 AND revoked_at IS NULL`,
+    [userId]
+  );
+  return rowCount;
+};
+
 // -------------------- AUTH: LOGIN (access + refresh) --------------------
 export const login = async (req, res) => {
   const { username, password } = req.body;
@@ -124,10 +123,17 @@ export const login = async (req, res) => {
     return res.status(400).json({ error: 'username and password are required' });
   }
 
+  const ip = getClientIp(req);
+
   try {
+    // ✅ brute-force protection: IP throttle (429) + account lockout (423)
+    if (!(await checkIpThrottle(res, ip, 'login'))) return;
+    if (!(await checkAccountLock(res, username))) return;
+
     const { rows } = await db.query(
       `
-      SELECT user_id, full_name, status, username, password_hash, role_id, ship_id, company_id
+      SELECT user_id, full_name, status, username, password_hash, role_id, ship_id, company_id, token_version,
+             mfa_enabled, must_change_password, password_changed_at
       FROM users
       WHERE username = $1
       LIMIT 1
@@ -135,124 +141,220 @@ export const login = async (req, res) => {
       [String(username)]
     );
 
-    if (!rows.length) return res.status(401).json({ error: 'Invalid credentials' });
+    if (!rows.length) {
+      await registerFailedLogin({ username, ip });
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
 
     const user = rows[0];
 
-    // ✅ Only ROLE_CREW must be onboard to login
-    if (!isAdminRole(user.role_id) && !isOnboard(user.status)) {
+    // ✅ Only self-scoped (crew) roles must be onboard to login
+    if (!(await isAdminRole(user.role_id)) && !isOnboard(user.status)) {
       return res.status(403).json({ error: 'User is not onboard. Login disabled.' });
     }
 
-    const incomingHash = hashPassword(password);
-    if (incomingHash !== user.password_hash) {
+    const { ok, needsRehash } = await verifyPassword(password, user.password_hash);
+    if (!ok) {
+      const lock = await registerFailedLogin({
+        username,
+        user_id: user.user_id,
+        company_id: user.company_id,
+        ip,
+      });
+
+      if (lock) {
+        await logAuthEvent({
+          event_type: 'account_locked',
+          user_id: user.user_id,
+          req,
+          details: { lockout_id: lock.lockout_id, lockout_minutes: lock.lockout_minutes },
+        });
+      }
+
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
-    // Access token (5h or env)
-    const access_token = signAccessToken(user);
+    await recordAttempt({ kind: 'login', username, user_id: user.user_id, ip, success: true });
 
-    // Refresh token (stored server-side as hash)
-    const refresh_token = generateRefreshToken();
-    const refresh_hash = hashRefreshToken(refresh_token);
+    // ✅ suspended company -> none of its users may sign in (told only after the password matched)
+    if (await userBlockedBySuspension(user)) {
+      return res.status(403).json(COMPANY_SUSPENDED_ERROR);
+    }
 
-    await db.query(
-      `
-      INSERT INTO refresh_sessions (user_id, refresh_token_hash, expires_at)
-      VALUES ($1, $2, NOW() + ($3 || ' days')::interval)
-      `,
-      [user.user_id, refresh_hash, String(REFRESH_EXPIRES_DAYS)]
-    );
+    // ✅ company signs shore staff in through its IdP -> local password not accepted
+    if ((await getRole(user.role_id))?.scope === SCOPE_COMPANY && (await isSsoEnforced(user.company_id))) {
+      return res.status(403).json({
+        error: 'Your company requires single sign-on',
+        sso_required: true,
+        login_url: `/auth/sso/${user.company_id}/login`,
+      });
+    }
 
-    return res.json({
-      message: 'Login successful',
-      access_token,
-      refresh_token,
-      user: {
-        user_id: user.user_id,
-        full_name: user.full_name,
-        role_id: user.role_id,
-        company_id: user.company_id,
-        ship_id: user.ship_id,
-      },
-    });
+    // ✅ legacy sha256 row -> upgrade to bcrypt now that we have the plain password
+    if (needsRehash) {
+      await db.query(`UPDATE users SET password_hash = $1, updated_at = NOW() WHERE user_id = $2`, [
+        await hashPassword(password),
+        user.user_id,
+      ]);
+    }
+
+    // ✅ generated / admin-set / expired password -> must be changed before any session is issued
+    const expired = isPasswordExpired(user.password_changed_at, await getPasswordPolicy(user.company_id));
+    if (user.must_change_password || expired) {
+      return res.json({
+        message: expired ? 'Your password has expired' : 'You must change your password before continuing',
+        password_change_required: true,
+        reason: expired ? 'expired' : 'must_change',
+        password_change_token: signLoginStepToken(user, 'password_change'),
+      });
+    }
+
+    // ✅ 2FA: password alone is not enough -> second step via /auth/2fa/login
+    if (user.mfa_enabled) {
+      return res.json({
+        message: 'Two-factor code required',
+        mfa_required: true,
+        mfa_token: signLoginStepToken(user, 'mfa'),
+      });
+    }
+
+    // ✅ company enforces 2FA for admin roles but user has not enrolled yet
+    if ((await isAdminRole(user.role_id)) && (await getCompanyLoginSecurity(user.company_id)).require_2fa === true) {
+      return res.json({
+        message: 'Your company requires two-factor authentication. Enroll via /auth/2fa/setup.',
+        mfa_enrollment_required: true,
+        mfa_token: signLoginStepToken(user, 'mfa_enroll'),
+      });
+    }
+
+    return res.json(await issueLoginTokens(req, user));
   } catch (err) {
     console.error('Error logging in:', err);
     return res.status(500).json({ error: 'Login failed' });
   }
 };
 
-// -------------------- AUTH: SIGNUP --------------------
+// -------------------- AUTH: SIGNUP (invitation only) --------------------
+// company / ship / rank / role come from the invitation, never from the body
 export const signup = async (req, res) => {
   const {
+    invitation_code,
     seafarer_id,
     full_name,
     username,
     password,
-    company_id,
-    ship_id,
-    rank,
     trip,
     status = 'onboard',
-    role_id = ROLE_CREW,
     embarkation_date,
     disembarkation_date,
   } = req.body;
 
+  if (!invitation_code) return res.status(400).json({ error: 'invitation_code is required' });
   if (!seafarer_id || !full_name || !username || !password) {
     return res.status(400).json({ error: 'seafarer_id, full_name, username, password are required' });
   }
 
+  const client = await db.connect();
   try {
-    const password_hash = hashPassword(password);
-    const password_enc = encryptPassword(password);
+    await client.query('BEGIN');
+
+    const inv = await client.query(
+      `
+      SELECT invitation_id, company_id, ship_id, rank, role_id, expires_at, used_at, revoked_at
+      FROM invitations
+      WHERE code_hash = $1
+      FOR UPDATE
+      `,
+      [hashInvitationCode(invitation_code)]
+    );
+
+    const invitation = inv.rows[0];
+    const invStatus = invitation ? invitationStatus(invitation) : null;
+    if (invStatus !== 'pending') {
+      await client.query('ROLLBACK');
+      await logAuthEvent({
+        event_type: 'signup_invalid_invitation',
+        req,
+        details: { username: String(username), invitation_status: invStatus },
+      });
+      return res.status(400).json({ error: 'Invalid or expired invitation' });
+    }
+
+    const violations = await validateNewPassword(
+      { password, username, company_id: invitation.company_id },
+      client
+    );
+    if (violations.length) {
+      await client.query('ROLLBACK');
+      return passwordPolicyError(res, violations);
+    }
+
+    const password_hash = await hashPassword(password);
 
-    const finalRoleId = Number(role_id);
+    const finalRoleId = Number(invitation.role_id);
     // ✅ Admin roles default onboard
     const finalStatus =
-      isAdminRole(finalRoleId) ? 'Onboard' : (status ?? null);
+      (await isAdminRole(finalRoleId)) ? 'Onboard' : (status ?? null);
 
-    const { rows } = await db.query(
+    const { rows } = await client.query(
       `
       INSERT INTO users
         (seafarer_id, full_name, rank, trip,
          embarkation_date, disembarkation_date,
-         status, username, password_hash, password_enc,
+         status, username, password_hash, password_changed_at,
          ship_id, company_id, role_id, created_at, updated_at)
       VALUES
         ($1,$2,$3,$4,
          $5,$6,
-         $7,$8,$9,$10,
-         $11,$12,$13, NOW(), NOW())
+         $7,$8,$9, NOW(),
+         $10,$11,$12, NOW(), NOW())
       RETURNING user_id, seafarer_id, full_name, username, role_id, company_id, ship_id, status
       `,
       [
         String(seafarer_id),
         String(full_name),
-        rank ?? null,
+        invitation.rank ?? null,
         trip ?? null,
         embarkation_date ?? null,
         disembarkation_date ?? null,
         finalStatus,
         String(username),
         password_hash,
-        password_enc,
-        ship_id != null ? Number(ship_id) : null,
-        company_id ?? null,
+        invitation.ship_id,
+        invitation.company_id,
         finalRoleId,
       ]
     );
 
+    await recordPasswordHistory(rows[0].user_id, password_hash, client);
+
+    await client.query(
+      `UPDATE invitations SET used_at = NOW(), used_by_user_id = $2 WHERE invitation_id = $1`,
+      [invitation.invitation_id, rows[0].user_id]
+    );
+
+    await client.query('COMMIT');
+
+    await logAuthEvent({
+      event_type: 'signup',
+      user_id: rows[0].user_id,
+      req,
+      details: { invitation_id: invitation.invitation_id },
+    });
+
     return res.status(201).json({
       message: 'Signup successful',
       user: rows[0],
     });
   } catch (err) {
+    await client.query('ROLLBACK');
     console.error('Error signing up:', err);
     if (err.code === '23505') {
       return res.status(409).json({ error: 'Duplicate username or seafarer_id' });
     }
     return res.status(500).json({ error: 'Signup failed' });
+  } finally {
+    client.release();
   }
 };
 
@@ -261,11 +363,28 @@ export const forgotPassword = async (req, res) => {
   const { username } = req.body;
   if (!username) return res.status(400).json({ error: 'username is required' });
 
+  const ip = getClientIp(req);
+
   try {
-    const u = await db.query(`SELECT user_id FROM users WHERE username = $1 LIMIT 1`, [String(username)]);
+    if (!(await checkIpThrottle(res, ip, 'forgot'))) return;
+    if (!(await checkForgotThrottle(res, username))) return;
 
-    // Don't reveal existence
-    if (!u.rows.length) return res.json({ message: 'If account exists, reset token generated' });
+    await recordAttempt({ kind: 'forgot', username, ip, success: true });
+
+    const u = await db.query(
+      `SELECT user_id, username, full_name, email, company_id FROM users WHERE username = $1 LIMIT 1`,
+      [String(username)]
+    );
+
+    // Don't reveal existence (same answer whether or not the user / email exists)
+    const generic = { message: 'If the account exists, a reset link has been sent to its email address' };
+    if (!u.rows.length) return res.json(generic);
+
+    const user = u.rows[0];
+    if (!user.email) {
+      await logAuthEvent({ event_type: 'password_reset_no_email', user_id: user.user_id, req });
+      return res.json(generic);
+    }
 
     const token = generateResetToken();
     const tokenHash = hashResetToken(token);
@@ -274,21 +393,37 @@ export const forgotPassword = async (req, res) => {
       `
       UPDATE users
       SET reset_token_hash = $1,
-          reset_token_expires_at = NOW() + INTERVAL '15 minutes',
+          reset_token_expires_at = NOW() + ($2 || ' minutes')::interval,
           updated_at = NOW()
-      WHERE user_id = $2
+      WHERE user_id = $3
       `,
-      [tokenHash, u.rows[0].user_id]
+      [tokenHash, String(RESET_TOKEN_MINUTES), user.user_id]
     );
 
-    if (!rowCount) return res.json({ message: 'If account exists, reset token generated' });
+    if (!rowCount) return res.json(generic);
 
-    // returning token because no email flow yet
-    return res.json({
-      message: 'Reset token generated',
-      reset_token: token,
-      expires_in_minutes: 15,
-    });
+    const reset_url =
+      `${RESET_PASSWORD_URL}?username=${encodeURIComponent(user.username)}&token=${encodeURIComponent(token)}`;
+
+    try {
+      await sendTemplatedMail({
+        template: 'password_reset',
+        company_id: user.company_id,
+        to: user.email,
+        vars: {
+          name: user.full_name || user.username,
+          username: user.username,
+          reset_url,
+          expires_in_minutes: RESET_TOKEN_MINUTES,
+        },
+      });
+      await logAuthEvent({ event_type: 'password_reset_requested', user_id: user.user_id, req });
+    } catch (mailErr) {
+      console.error('Error sending reset email:', mailErr);
+      await logAuthEvent({ event_type: 'password_reset_mail_failed', user_id: user.user_id, req });
+    }
+
+    return res.json(generic);
   } catch (err) {
     console.error('Error forgotPassword:', err);
     return res.status(500).json({ error: 'Forgot password failed' });
@@ -307,7 +442,7 @@ export const resetPassword = async (req, res) => {
 
     const u = await db.query(
       `
-      SELECT user_id, reset_token_hash, reset_token_expires_at
+      SELECT user_id, username, company_id, reset_token_hash, reset_token_expires_at
       FROM users
       WHERE username = $1
       LIMIT 1
@@ -327,26 +462,19 @@ export const resetPassword = async (req, res) => {
       return res.status(400).json({ error: 'Reset token expired' });
     }
 
-    const password_hash = hashPassword(new_password);
-    const password_enc = encryptPassword(new_password);
+    const violations = await validateNewPassword({
+      password: new_password,
+      user_id: user.user_id,
+      username: user.username,
+      company_id: user.company_id,
+    });
+    if (violations.length) return passwordPolicyError(res, violations);
 
-    await db.query(
-      `
-      UPDATE users
-      SET password_hash = $1,
-          password_enc = $2,
-          reset_token_hash = NULL,
-          reset_token_expires_at = NULL,
-          updated_at = NOW()
-      WHERE user_id = $3
-      `,
-      [password_hash, password_enc, user.user_id]
-    );
+    await setUserPassword({ user_id: user.user_id, password: new_password });
 
     // OPTIONAL: revoke ALL refresh sessions for this user (recommended)
-    await db.query(`UPDATE refresh_sessions SET revoked_at = NOW() WHERE user_id = $1 AND revoked_at IS NULL`, [
-      user.user_id,
-    ]);
+    await revokeAllSessionsForUser(user.user_id);
+    await bumpTokenVersion(user.user_id);
 
     return res.json({ message: 'Password reset successful' });
   } catch (err) {
@@ -355,48 +483,207 @@ export const resetPassword = async (req, res) => {
   }
 };
 
-// -------------------- AUTH: REFRESH ACCESS TOKEN --------------------
+// -------------------- AUTH: CHANGE PASSWORD --------------------
+// Logged in (Bearer) or mid-login with body.password_change_token (forced / expired password).
+export const changePassword = async (req, res) => {
+  const { current_password, new_password, password_change_token } = req.body;
+  if (!current_password || !new_password) {
+    return res.status(400).json({ error: 'current_password and new_password are required' });
+  }
+
+  let step = null;
+  if (password_change_token) {
+    step = verifyLoginStepToken(password_change_token, 'password_change');
+    if (!step) return res.status(401).json({ error: 'Invalid or expired token' });
+  }
+
+  const userId = step ? step.user_id : req.user?.user_id;
+  if (!userId) return res.status(401).json({ error: 'Unauthorized' });
+
+  const ip = getClientIp(req);
+
+  try {
+    const { rows } = await db.query(
+      `
+      SELECT user_id, full_name, username, password_hash, role_id, ship_id, company_id, token_version
+      FROM users
+      WHERE user_id = $1
+      LIMIT 1
+      `,
+      [Number(userId)]
+    );
+    if (!rows.length) return res.status(401).json({ error: 'User no longer exists' });
+
+    const user = rows[0];
+
+    // step token issued before a revoke (tv bump) is dead
+    if (step && Number(step.tv || 0) !== Number(user.token_version || 0)) {
+      return res.status(401).json({ error: 'Invalid or expired token' });
+    }
+
+    if (!(await checkAccountLock(res, user.username))) return;
+
+    const { ok } = await verifyPassword(current_password, user.password_hash);
+    if (!ok) {
+      await registerFailedLogin({ username: user.username, user_id: user.user_id, company_id: user.company_id, ip });
+      return res.status(401).json({ error: 'Current password is incorrect' });
+    }
+
+    const violations = await validateNewPassword({
+      password: new_password,
+      user_id: user.user_id,
+      username: user.username,
+      company_id: user.company_id,
+    });
+    if (current_password === new_password) violations.push('must differ from the current password');
+    if (violations.length) return passwordPolicyError(res, violations);
+
+    await setUserPassword({ user_id: user.user_id, password: new_password });
+
+    // ✅ every other device has to log in with the new password
+    await revokeAllSessionsForUser(user.user_id);
+    await bumpTokenVersion(user.user_id);
+    await logAuthEvent({ event_type: 'password_changed', user_id: user.user_id, req });
+
+    if (step) return res.json({ message: 'Password changed. Please log in with your new password.' });
+
+    // logged-in caller keeps working with a fresh session
+    const tokens = await issueLoginTokens(req, { ...user, token_version: Number(user.token_version || 0) + 1 });
+    return res.json({ ...tokens, message: 'Password changed' });
+  } catch (err) {
+    console.error('Error changePassword:', err);
+    return res.status(500).json({ error: 'Change password failed' });
+  }
+};
+
+// -------------------- AUTH: REFRESH ACCESS TOKEN (rotating) --------------------
+// Every call swaps the refresh token for a new one in the same session family.
+// Presenting an already-rotated token means it leaked -> revoke the whole family.
 export const refreshAccessToken = async (req, res) => {
   const { refresh_token } = req.body;
   if (!refresh_token) return res.status(400).json({ error: 'refresh_token is required' });
 
+  const client = await db.connect();
   try {
     const refresh_hash = hashRefreshToken(refresh_token);
 
-    const s = await db.query(
+    await client.query('BEGIN');
+
+    const s = await client.query(
       `
-      SELECT session_id, user_id, expires_at, revoked_at
+      SELECT session_id, user_id, family_id, expires_at, revoked_at, replaced_at
       FROM refresh_sessions
       WHERE refresh_token_hash = $1
       LIMIT 1
+      FOR UPDATE
       `,
       [refresh_hash]
     );
 
-    if (!s.rows.length) return res.status(401).json({ error: 'Invalid refresh token' });
+    if (!s.rows.length) {
+      await client.query('ROLLBACK');
+      return res.status(401).json({ error: 'Invalid refresh token' });
+    }
 
     const session = s.rows[0];
-    if (session.revoked_at) return res.status(401).json({ error: 'Refresh token revoked' });
-    if (new Date(session.expires_at) < new Date()) return res.status(401).json({ error: 'Refresh token expired' });
 
-    const u = await db.query(
-      `SELECT user_id, full_name, status, role_id, ship_id, company_id FROM users WHERE user_id = $1 LIMIT 1`,
+    // ❌ reuse of a rotated token -> kill every session descending from the same login
+    if (session.replaced_at) {
+      const revoked = await client.query(
+        `
+        UPDATE refresh_sessions
+        SET revoked_at = NOW()
+        WHERE family_id = $1 AND revoked_at IS NULL
+        `,
+        [session.family_id]
+      );
+      await client.query('COMMIT');
+
+      await logAuthEvent({
+        event_type: 'refresh_token_reuse',
+        user_id: session.user_id,
+        req,
+        details: {
+          session_id: session.session_id,
+          family_id: session.family_id,
+          sessions_revoked: revoked.rowCount,
+        },
+      });
+
+      return res.status(401).json({ error: 'Refresh token reuse detected. All sessions for this login were revoked.' });
+    }
+
+    if (session.revoked_at) {
+      await client.query('ROLLBACK');
+      return res.status(401).json({ error: 'Refresh token revoked' });
+    }
+    if (new Date(session.expires_at) < new Date()) {
+      await client.query('ROLLBACK');
+      return res.status(401).json({ error: 'Refresh token expired' });
+    }
+
+    const u = await client.query(
+      `SELECT user_id, full_name, status, role_id, ship_id, company_id, token_version FROM users WHERE user_id = $1 LIMIT 1`,
       [session.user_id]
     );
-    if (!u.rows.length) return res.status(401).json({ error: 'User not found' });
+    if (!u.rows.length) {
+      await client.query('ROLLBACK');
+      return res.status(401).json({ error: 'User not found' });
+    }
 
     const user = u.rows[0];
 
-    // ✅ Only ROLE_CREW must be onboard
-    if (!isAdminRole(user.role_id) && !isOnboard(user.status)) {
+    // ✅ Only self-scoped (crew) roles must be onboard
+    if (!(await isAdminRole(user.role_id)) && !isOnboard(user.status)) {
+      await client.query('ROLLBACK');
       return res.status(403).json({ error: 'User is not onboard. Login disabled.' });
     }
 
-    const access_token = signAccessToken(user);
-    return res.json({ access_token });
+    if (await userBlockedBySuspension(user)) {
+      await client.query('ROLLBACK');
+      return res.status(403).json(COMPANY_SUSPENDED_ERROR);
+    }
+
+    // rotate: new session keeps the family + original expiry (no endless sliding)
+    const new_refresh_token = generateRefreshToken();
+
+    const n = await client.query(
+      `
+      INSERT INTO refresh_sessions
+        (user_id, refresh_token_hash, family_id, expires_at, user_agent, ip_address, last_used_at)
+      VALUES ($1, $2, $3, $4, $5, $6, NOW())
+      RETURNING session_id
+      `,
+      [
+        session.user_id,
+        hashRefreshToken(new_refresh_token),
+        session.family_id,
+        session.expires_at,
+        getUserAgent(req),
+        getClientIp(req),
+      ]
+    );
+
+    await client.query(
+      `
+      UPDATE refresh_sessions
+      SET replaced_at = NOW(),
+          replaced_by_session_id = $1
+      WHERE session_id = $2
+      `,
+      [n.rows[0].session_id, session.session_id]
+    );
+
+    await client.query('COMMIT');
+
+    const access_token = signAccessToken(user, session.family_id);
+    return res.json({ access_token, refresh_token: new_refresh_token });
   } catch (err) {
+    await client.query('ROLLBACK');
     console.error('Error refreshAccessToken:', err);
     return res.status(500).json({ error: 'Refresh failed' });
+  } finally {
+    client.release();
   }
 };
 
@@ -412,7 +699,8 @@ export const logout = async (req, res) => {
       `
       UPDATE refresh_sessions
       SET revoked_at = NOW()
-      WHERE refresh_token_hash = $1
+      WHERE revoked_at IS NULL
+        AND family_id = (SELECT family_id FROM refresh_sessions WHERE refresh_token_hash = $1)
       `,
       [refresh_hash]
     );
@@ -424,10 +712,164 @@ export const logout = async (req, res) => {
   }
 };
 
-// -------------------- ADMIN: VIEW USER PASSWORD (Option B) --------------------
-export const adminViewPassword = async (req, res) => {
-  if (!canAdmin(req.user?.role_id)) return res.status(403).json({ error: 'Forbidden' });
+// -------------------- SESSIONS: GET /auth/sessions (my devices) --------------------
+export const getMySessions = async (req, res) => {
+  try {
+    const rows = await listActiveSessions(req.user.user_id);
+
+    return res.json(
+      rows.map((r) => ({
+        session_id: r.family_id,
+        created_at: r.created_at,
+        last_used_at: r.last_used_at,
+        expires_at: r.expires_at,
+        user_agent: r.user_agent,
+        ip_address: r.ip_address,
+        current: !!req.user.sid && String(req.user.sid) === String(r.family_id),
+      }))
+    );
+  } catch (err) {
+    console.error('Error getMySessions:', err);
+    return res.status(500).json({ error: 'Failed to fetch sessions' });
+  }
+};
+
+// -------------------- SESSIONS: DELETE /auth/sessions/:id --------------------
+export const revokeMySession = async (req, res) => {
+  const familyId = String(req.params.id || '');
+  if (!isUuid(familyId)) return res.status(400).json({ error: 'session id must be a UUID' });
+
+  try {
+    const { rowCount } = await db.query(
+      `
+      UPDATE refresh_sessions
+      SET revoked_at = NOW()
+      WHERE family_id = $1 AND user_id = $2 AND revoked_at IS NULL
+      `,
+      [familyId, req.user.user_id]
+    );
+
+    if (!rowCount) return res.status(404).json({ error: 'Session not found' });
+
+    await logAuthEvent({
+      event_type: 'session_revoked',
+      user_id: req.user.user_id,
+      req,
+      details: { family_id: familyId, by_user_id: req.user.user_id },
+    });
+
+    return res.json({ message: 'Session revoked' });
+  } catch (err) {
+    console.error('Error revokeMySession:', err);
+    return res.status(500).json({ error: 'Failed to revoke session' });
+  }
+};
+
+// -------------------- ADMIN: GET /auth/admin/users/:user_id/sessions --------------------
+export const adminGetUserSessions = async (req, res) => {
+  const targetUserId = Number(req.params.user_id);
+  if (!targetUserId) return res.status(400).json({ error: 'user_id must be a number' });
+
+  try {
+    const inScope = await ensureUserScopeForAdmin(req, targetUserId);
+    if (!inScope) return res.status(403).json({ error: 'Forbidden (scope)' });
+
+    const rows = await listActiveSessions(targetUserId);
+    return res.json(rows.map(({ family_id, ...r }) => ({ session_id: family_id, ...r })));
+  } catch (err) {
+    console.error('Error adminGetUserSessions:', err);
+    return res.status(500).json({ error: 'Failed to fetch sessions' });
+  }
+};
+
+// -------------------- ADMIN: DELETE /auth/admin/users/:user_id/sessions --------------------
+// e.g. Master cutting off a signed-off seafarer from shore
+export const adminRevokeUserSessions = async (req, res) => {
+  const targetUserId = Number(req.params.user_id);
+  if (!targetUserId) return res.status(400).json({ error: 'user_id must be a number' });
+
+  try {
+    const inScope = await ensureUserScopeForAdmin(req, targetUserId);
+    if (!inScope) return res.status(403).json({ error: 'Forbidden (scope)' });
+
+    const revoked = await withTransaction(async (client) => {
+      const n = await revokeAllSessionsForUser(targetUserId, client);
+      await bumpTokenVersion(targetUserId, client);
+      await recordUserAction(
+        req,
+        { action: 'user.sessions_revoke', user_id: targetUserId, details: { sessions_revoked: n } },
+        client
+      );
+      return n;
+    });
+
+    await logAuthEvent({
+      event_type: 'sessions_revoked_by_admin',
+      user_id: targetUserId,
+      req,
+      details: { by_user_id: req.user.user_id, sessions_revoked: revoked },
+    });
+
+    return res.json({ message: 'All sessions revoked', sessions_revoked: revoked });
+  } catch (err) {
+    console.error('Error adminRevokeUserSessions:', err);
+    return res.status(500).json({ error: 'Failed to revoke sessions' });
+  }
+};
 
+// -------------------- ADMIN: UNLOCK ACCOUNT (after failed-login lockout) --------------------
+export const adminUnlockAccount = async (req, res) => {
+  const targetUserId = Number(req.params.user_id);
+  if (!targetUserId) return res.status(400).json({ error: 'user_id must be a number' });
+
+  try {
+    const inScope = await ensureUserScopeForAdmin(req, targetUserId);
+    if (!inScope) return res.status(403).json({ error: 'Forbidden (scope)' });
+
+    const cleared = await withTransaction(async (client) => {
+      // unlockAccount runs on the request connection, i.e. inside this transaction
+      const n = await unlockAccount({ user_id: targetUserId, unlocked_by_user_id: req.user.user_id });
+      await recordUserAction(req, { action: 'user.unlock', user_id: targetUserId, details: { lockouts_cleared: n } }, client);
+      return n;
+    });
+
+    await logAuthEvent({
+      event_type: 'account_unlocked',
+      user_id: targetUserId,
+      req,
+      details: { by_user_id: req.user.user_id, lockouts_cleared: cleared },
+    });
+
+    return res.json({ message: cleared ? 'Account unlocked' : 'Account was not locked', lockouts_cleared: cleared });
+  } catch (err) {
+    console.error('Error adminUnlockAccount:', err);
+    return res.status(500).json({ error: 'Failed to unlock account' });
+  }
+};
+
+// -------------------- AUTH: CLAIM GENERATED CREDENTIALS (one-time) --------------------
+export const claimCredentials = async (req, res) => {
+  const { claim_code } = req.body;
+  if (!claim_code) return res.status(400).json({ error: 'claim_code is required' });
+
+  try {
+    const claim = await redeemCredentialClaim(claim_code, req);
+    if (claim.error) return res.status(400).json({ error: claim.error });
+
+    return res.json({
+      message: 'Credentials claimed. This code cannot be used again.',
+      username: claim.username,
+      password: claim.password,
+    });
+  } catch (err) {
+    console.error('Error claimCredentials:', err);
+    return res.status(500).json({ error: 'Failed to claim credentials' });
+  }
+};
+
+// -------------------- ADMIN: ISSUE RESET TOKEN FOR USER --------------------
+// Admin hands the token to the crew member, who sets a new password via /auth/reset-password
+export const adminIssueResetToken = async (req, res) => {
   const { user_id } = req.params;
   const targetUserId = Number(user_id);
   if (!targetUserId) return res.status(400).json({ error: 'user_id must be a number' });
@@ -436,68 +878,95 @@ export const adminViewPassword = async (req, res) => {
     const inScope = await ensureUserScopeForAdmin(req, targetUserId);
     if (!inScope) return res.status(403).json({ error: 'Forbidden (scope)' });
 
-    const r = await db.query(
-      `
-      SELECT user_id, full_name, username, password_enc
-      FROM users
-      WHERE user_id = $1
-      LIMIT 1
-      `,
-      [targetUserId]
-    );
+    const token = generateResetToken();
+    const tokenHash = hashResetToken(token);
 
-    if (!r.rows.length) return res.status(404).json({ error: 'User not found' });
+    const rows = await withTransaction(async (client) => {
+      const r = await client.query(
+        `
+        UPDATE users
+        SET reset_token_hash = $1,
+            reset_token_expires_at = NOW() + ($2 || ' hours')::interval,
+            updated_at = NOW()
+        WHERE user_id = $3 AND username IS NOT NULL
+        RETURNING user_id, username, reset_token_expires_at
+        `,
+        [tokenHash, String(ADMIN_RESET_EXPIRES_HOURS), targetUserId]
+      );
+      if (r.rows.length) {
+        await recordUserAction(
+          req,
+          { action: 'user.reset_token_issue', user_id: targetUserId, details: { expires_at: r.rows[0].reset_token_expires_at } },
+          client
+        );
+      }
+      return r.rows;
+    });
 
-    const enc = r.rows[0].password_enc;
-    const plain = enc ? decryptPassword(enc) : null;
+    if (!rows.length) return res.status(404).json({ error: 'User not found or has no login' });
 
     return res.json({
-      user_id: r.rows[0].user_id,
-      full_name: r.rows[0].full_name,
-      username: r.rows[0].username,
-      password: plain,
+      message: 'Reset token issued',
+      user_id: rows[0].user_id,
+      username: rows[0].username,
+      reset_token: token,
+      expires_at: rows[0].reset_token_expires_at,
     });
   } catch (err) {
-    console.error('Error adminViewPassword:', err);
-    return res.status(500).json({ error: 'Failed to view password' });
+    console.error('Error adminIssueResetToken:', err);
+    return res.status(500).json({ error: 'Failed to issue reset token' });
   }
 };
 
 // -------------------- ADMIN: SET/CHANGE USER PASSWORD --------------------
 export const adminSetPassword = async (req, res) => {
-  if (!canAdmin(req.user?.role_id)) return res.status(403).json({ error: 'Forbidden' });
-
   const { user_id } = req.params;
   const targetUserId = Number(user_id);
   if (!targetUserId) return res.status(400).json({ error: 'user_id must be a number' });
 
-  const { new_password } = req.body;
+  const { new_password, must_change_password = true } = req.body;
   if (!new_password) return res.status(400).json({ error: 'new_password is required' });
 
   try {
     const inScope = await ensureUserScopeForAdmin(req, targetUserId);
     if (!inScope) return res.status(403).json({ error: 'Forbidden (scope)' });
 
-    const password_hash = hashPassword(new_password);
-    const password_enc = encryptPassword(new_password);
+    const u = await db.query(`SELECT user_id, username, company_id FROM users WHERE user_id = $1`, [targetUserId]);
+    if (!u.rows.length) return res.status(404).json({ error: 'User not found' });
 
-    const { rowCount } = await db.query(
-      `
-      UPDATE users
-      SET password_hash = $1,
-          password_enc = $2,
-          updated_at = NOW()
-      WHERE user_id = $3
-      `,
-      [password_hash, password_enc, targetUserId]
-    );
-
-    if (!rowCount) return res.status(404).json({ error: 'User not found' });
-
-    // OPTIONAL: revoke ALL refresh sessions for this user (recommended)
-    await db.query(`UPDATE refresh_sessions SET revoked_at = NOW() WHERE user_id = $1 AND revoked_at IS NULL`, [
-      targetUserId,
-    ]);
+    const violations = await validateNewPassword({
+      password: new_password,
+      user_id: targetUserId,
+      username: u.rows[0].username,
+      company_id: u.rows[0].company_id,
+    });
+    if (violations.length) return passwordPolicyError(res, violations);
+
+    // ✅ admin knows this password -> user changes it on next login (unless told otherwise)
+    await withTransaction(async (client) => {
+      await setUserPassword(
+        {
+          user_id: targetUserId,
+          password: new_password,
+          mustChange: must_change_password !== false,
+        },
+        client
+      );
+
+      // OPTIONAL: revoke ALL refresh sessions for this user (recommended)
+      const revoked = await revokeAllSessionsForUser(targetUserId, client);
+      await bumpTokenVersion(targetUserId, client);
+
+      await recordUserAction(
+        req,
+        {
+          action: 'user.password_set',
+          user_id: targetUserId,
+          details: { must_change_password: must_change_password !== false, sessions_revoked: revoked },
+        },
+        client
+      );
+    });
 
     return res.json({ message: 'Password updated' });
   } catch (err) {
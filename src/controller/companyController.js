@@ -1,23 +1,26 @@
 // src/controller/companyController.js
-import { db } from "../db.js";
+import { db, systemDb } from "../db.js";
 import crypto from "crypto";
-
-const ROLE_SUPERADMIN = 1;
-const ROLE_ADMIN = 2;
-
-const isRole = (req, roleId) => Number(req.user?.role_id) === Number(roleId);
-
-const ensureRole = (req, res, allowedRoles) => {
-  const roleId = Number(req.user?.role_id);
-  if (!roleId || !allowedRoles.includes(roleId)) {
-    res.status(403).json({ error: "Forbidden" });
-    return false;
-  }
-  return true;
-};
+import { hashPassword } from "../utils/password.js";
+import { bumpTokenVersion } from "../utils/tokenVersion.js";
+import { parseJson } from "../utils/companySettings.js";
+import { recordAudit } from "../utils/audit.js";
+import { invalidateCompanyStatusCache } from "../utils/companyStatus.js";
+import { SCOPE_GLOBAL, SYSTEM_ROLE_ADMIN, hasPermission } from "../utils/permissions.js";
+import {
+  POLICY_KEYS,
+  validateNewPassword,
+  passwordPolicyError,
+  recordPasswordHistory,
+} from "../utils/passwordPolicy.js";
+
+// metadata_json keys only company.security may change (via PUT /companies/:id/security)
+const SUPERADMIN_METADATA_KEYS = ["login_security", "password_policy"];
+
+const isGlobal = (req) => req.user?.scope === SCOPE_GLOBAL;
 
 const ensureCompanyScope = (req, res, companyId) => {
-  if (isRole(req, ROLE_SUPERADMIN)) return true;
+  if (isGlobal(req)) return true;
 
   if (!req.user?.company_id || String(req.user.company_id) !== String(companyId)) {
     res.status(403).json({ error: "Forbidden (company scope)" });
@@ -26,54 +29,7 @@ const ensureCompanyScope = (req, res, companyId) => {
   return true;
 };
 
-// ✅ sha256 hash (must match authController login)
-const hashPassword = (plain) =>
-  crypto.createHash("sha256").update(String(plain)).digest("hex");
-
-// ✅ AES-256-GCM reversible encryption helpers (same format as authController/usersController)
-const getEncKey = () => {
-  const b64 = process.env.PASSWORD_ENC_KEY;
-  if (!b64) throw new Error("PASSWORD_ENC_KEY missing in .env");
-  const key = Buffer.from(b64, "base64");
-  if (key.length !== 32) throw new Error("PASSWORD_ENC_KEY must be 32 bytes base64");
-  return key;
-};
-
-const encryptPassword = (plain) => {
-  const key = getEncKey();
-  const iv = crypto.randomBytes(12);
-  const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
-
-  const ciphertext = Buffer.concat([cipher.update(String(plain), "utf8"), cipher.final()]);
-  const tag = cipher.getAuthTag();
-
-  return `${iv.toString("base64")}.${tag.toString("base64")}.${ciphertext.toString("base64")}`;
-};
-
-const decryptPassword = (enc) => {
-  try {
-    if (!enc) return null;
-    const parts = String(enc).split(".");
-    if (parts.length !== 3) return null;
-
-    const [ivB64, tagB64, ctB64] = parts;
-    const key = getEncKey();
-
-    const iv = Buffer.from(ivB64, "base64");
-    const tag = Buffer.from(tagB64, "base64");
-    const ciphertext = Buffer.from(ctB64, "base64");
-
-    const decipher = crypto.createDecipheriv("aes-256-gcm", key, iv);
-    decipher.setAuthTag(tag);
-
-    const plain = Buffer.concat([decipher.update(ciphertext), decipher.final()]);
-    return plain.toString("utf8");
-  } catch {
-    return null;
-  }
-};
-
-// ✅ Make username unique in users table
+// ✅ Make username unique in users table (all companies, so not limited by the caller's scope)
 const makeUniqueUsername = async (base) => {
   const clean = String(base || "")
     .trim()
@@ -82,12 +38,12 @@ const makeUniqueUsername = async (base) => {
 
   if (!clean) return null;
 
-  const check1 = await db.query("SELECT 1 FROM users WHERE username = $1 LIMIT 1", [clean]);
+  const check1 = await systemDb.query("SELECT 1 FROM users WHERE username = $1 LIMIT 1", [clean]);
   if (check1.rows.length === 0) return clean;
 
   for (let i = 0; i < 5; i++) {
     const candidate = `${clean}.${crypto.randomBytes(2).toString("hex")}`;
-    const check = await db.query("SELECT 1 FROM users WHERE username = $1 LIMIT 1", [candidate]);
+    const check = await systemDb.query("SELECT 1 FROM users WHERE username = $1 LIMIT 1", [candidate]);
     if (check.rows.length === 0) return candidate;
   }
 
@@ -95,36 +51,27 @@ const makeUniqueUsername = async (base) => {
 };
 
 // -------------------- GET /companies --------------------
-// role1 -> all (with admin password)
-// others -> only their company (NO password)
+// global scope -> all (with admin username)
+// others -> only their company
 export const getAllCompanies = async (req, res) => {
   try {
-    if (isRole(req, ROLE_SUPERADMIN)) {
-      // Join admin user (role_id=2, ship_id null) to decrypt password
+    if (isGlobal(req)) {
+      // Join company admin user (system Admin role, ship_id null) for the login username
       const { rows } = await db.query(
         `
         SELECT
           c.*,
-          u.username AS admin_username,
-          u.password_enc AS admin_password_enc
+          u.username AS admin_username
         FROM company c
         LEFT JOIN users u
           ON u.company_id = c.company_id
-         AND u.role_id = 2
+         AND u.role_id = ${SYSTEM_ROLE_ADMIN}
          AND u.ship_id IS NULL
         ORDER BY c.company_id
         `
       );
 
-      const out = rows.map((r) => {
-        const { admin_password_enc, ...rest } = r;
-        return {
-          ...rest,
-          admin_password: decryptPassword(admin_password_enc), // ✅ plain (role1 only)
-        };
-      });
-
-      return res.json(out);
+      return res.json(rows.map(({ password_hash, ...rest }) => rest));
     }
 
     if (!req.user?.company_id) return res.json([]);
@@ -132,7 +79,7 @@ export const getAllCompanies = async (req, res) => {
     const { rows } = await db.query("SELECT * FROM company WHERE company_id = $1", [
       req.user.company_id,
     ]);
-    return res.json(rows);
+    return res.json(rows.map(({ password_hash, ...rest }) => rest));
   } catch (err) {
     console.error("Error getting companies:", err);
     return res.status(500).json({ error: "Failed to fetch companies" });
@@ -140,25 +87,24 @@ export const getAllCompanies = async (req, res) => {
 };
 
 // -------------------- GET /companies/:id --------------------
-// role1 -> any company + admin password
-// role2+ -> only own company (NO password)
+// global scope -> any company + admin username
+// others -> only own company
 export const getCompanyById = async (req, res) => {
   const id = String(req.params.id);
 
   try {
     if (!ensureCompanyScope(req, res, id)) return;
 
-    if (isRole(req, ROLE_SUPERADMIN)) {
+    if (isGlobal(req)) {
       const { rows } = await db.query(
         `
         SELECT
           c.*,
-          u.username AS admin_username,
-          u.password_enc AS admin_password_enc
+          u.username AS admin_username
         FROM company c
         LEFT JOIN users u
           ON u.company_id = c.company_id
-         AND u.role_id = 2
+         AND u.role_id = ${SYSTEM_ROLE_ADMIN}
          AND u.ship_id IS NULL
         WHERE c.company_id = $1
         LIMIT 1
@@ -168,33 +114,24 @@ export const getCompanyById = async (req, res) => {
 
       if (!rows.length) return res.status(404).json({ error: "Company not found" });
 
-      const row = rows[0];
-      const plain = decryptPassword(row.admin_password_enc);
-
-      // remove enc from response
-      delete row.admin_password_enc;
-
-      return res.json({
-        ...row,
-        admin_password: plain,
-      });
+      const { password_hash, ...row } = rows[0];
+      return res.json(row);
     }
 
-    // non-superadmin: normal company fetch (no password)
+    // non-superadmin: normal company fetch
     const { rows } = await db.query("SELECT * FROM company WHERE company_id = $1", [id]);
     if (!rows.length) return res.status(404).json({ error: "Company not found" });
 
-    return res.json(rows[0]);
+    const { password_hash, ...row } = rows[0];
+    return res.json(row);
   } catch (err) {
     console.error("Error getting company:", err);
     return res.status(500).json({ error: "Failed to fetch company" });
   }
 };
 
-// -------------------- POST /companies (role1 only) --------------------
+// -------------------- POST /companies (company.create) --------------------
 export const createCompany = async (req, res) => {
-  if (!ensureRole(req, res, [ROLE_SUPERADMIN])) return;
-
   const {
     company_name,
     code,
@@ -218,6 +155,9 @@ export const createCompany = async (req, res) => {
     return res.status(400).json({ error: "username and password are required for company admin login" });
   }
 
+  const violations = await validateNewPassword({ password, username });
+  if (violations.length) return passwordPolicyError(res, violations);
+
   try {
     const existingCompany = await db.query("SELECT 1 FROM company WHERE username = $1 LIMIT 1", [
       String(username).trim(),
@@ -230,8 +170,7 @@ export const createCompany = async (req, res) => {
 
     const uniqueUsername = await makeUniqueUsername(username);
 
-    const password_hash = hashPassword(password);
-    const password_enc = encryptPassword(password);
+    const password_hash = await hashPassword(password);
 
     const { rows } = await db.query(
       `INSERT INTO company
@@ -268,35 +207,48 @@ export const createCompany = async (req, res) => {
       ]
     );
 
-    const company = rows[0];
+    const { password_hash: _hash, ...company } = rows[0];
 
-    await db.query(
+    // superadmin chose this password -> admin changes it at first login
+    const { rows: adminRows } = await db.query(
       `INSERT INTO users
-       (seafarer_id, full_name, username, password_hash, password_enc,
+       (seafarer_id, full_name, username, password_hash,
+        password_changed_at, must_change_password,
         company_id, ship_id, role_id,
         status, created_at, updated_at, email)
        VALUES
-       ($1, $2, $3, $4, $5,
-        $6, NULL, 2,
-        'Onboard', NOW(), NOW(), $7)`,
+       ($1, $2, $3, $4,
+        NOW(), true,
+        $5, NULL, $7,
+        'Onboard', NOW(), NOW(), $6)
+       RETURNING user_id`,
       [
         `COMPANY:${company.company_id}`,
         `${company.company_name} Admin`,
         uniqueUsername,
         password_hash,
-        password_enc,
         company.company_id,
         email ?? null,
+        SYSTEM_ROLE_ADMIN,
       ]
     );
 
+    await recordPasswordHistory(adminRows[0].user_id, password_hash);
+
+    await recordAudit(req, {
+      action: "company.create",
+      entity_type: "company",
+      entity_id: company.company_id,
+      after: company,
+      details: { admin_user_id: adminRows[0].user_id, admin_username: uniqueUsername },
+    });
+
     await db.query("COMMIT");
 
     return res.status(201).json({
       ...company,
       admin_user_created: true,
       admin_username: uniqueUsername,
-      admin_password: password, // optional (only for immediate response)
     });
   } catch (err) {
     await db.query("ROLLBACK");
@@ -309,9 +261,13 @@ export const createCompany = async (req, res) => {
 export const updateCompany = async (req, res) => {
   const id = String(req.params.id);
 
-  if (!ensureRole(req, res, [ROLE_SUPERADMIN, ROLE_ADMIN])) return;
   if (!ensureCompanyScope(req, res, id)) return;
 
+  // suspending blocks every user of the company -> same permission as POST /companies/:id/suspend
+  if (req.body?.is_active !== undefined && !hasPermission(req.user, "company.suspend")) {
+    return res.status(403).json({ error: "Forbidden: is_active needs company.suspend" });
+  }
+
   const {
     company_name,
     code,
@@ -331,19 +287,57 @@ export const updateCompany = async (req, res) => {
   } = req.body;
 
   try {
+    // login_security / password_policy need company.security -> keep existing for others
+    let nextMetadata = metadata_json ?? null;
+    if (nextMetadata && !hasPermission(req.user, "company.security")) {
+      const cur = await db.query("SELECT metadata_json FROM company WHERE company_id = $1", [id]);
+      const existing = parseJson(cur.rows[0]?.metadata_json);
+      nextMetadata = { ...parseJson(nextMetadata) };
+      for (const key of SUPERADMIN_METADATA_KEYS) {
+        if (existing[key] !== undefined) nextMetadata[key] = existing[key];
+        else delete nextMetadata[key];
+      }
+    }
+
+    if (password) {
+      const admin = await db.query(
+        "SELECT user_id, username FROM users WHERE company_id = $1 AND role_id = $2 AND ship_id IS NULL LIMIT 1",
+        [id, SYSTEM_ROLE_ADMIN]
+      );
+      const violations = await validateNewPassword({
+        password,
+        user_id: admin.rows[0]?.user_id ?? null,
+        username: username ?? admin.rows[0]?.username ?? null,
+        company_id: id,
+      });
+      if (violations.length) return passwordPolicyError(res, violations);
+    }
+
     let newUsername = username ?? null;
     if (username) newUsername = await makeUniqueUsername(username);
 
-    const newPasswordHash = password ? hashPassword(password) : null;
-    const newPasswordEnc = password ? encryptPassword(password) : null;
+    const newPasswordHash = password ? await hashPassword(password) : null;
 
-    const { rowCount } = await db.query(
+    await db.query("BEGIN");
+
+    const before = await db.query("SELECT * FROM company WHERE company_id = $1 FOR UPDATE", [id]);
+    if (!before.rows.length) {
+      await db.query("ROLLBACK");
+      return res.status(404).json({ error: "Company not found" });
+    }
+
+    const { rows: updated } = await db.query(
       `UPDATE company
        SET
          company_name        = COALESCE($1, company_name),
          code                = COALESCE($2, code),
          email_domain        = COALESCE($3, email_domain),
          is_active           = COALESCE($4, is_active),
+         suspended_at        = CASE
+                                 WHEN $4::boolean IS FALSE AND is_active IS NOT FALSE THEN NOW()
+                                 WHEN $4::boolean IS TRUE THEN NULL
+                                 ELSE suspended_at
+                               END,
          metadata_json       = COALESCE($5, metadata_json),
          ships_count         = COALESCE($6, ships_count),
          role                = COALESCE($7, role),
@@ -356,13 +350,14 @@ export const updateCompany = async (req, res) => {
          username            = COALESCE($14, username),
          password_hash       = COALESCE($15, password_hash),
          updated_at          = NOW()
-       WHERE company_id = $16`,
+       WHERE company_id = $16
+       RETURNING *`,
       [
         company_name ?? null,
         code ?? null,
         email_domain ?? null,
         is_active ?? null,
-        metadata_json ?? null,
+        nextMetadata,
         ships_count ?? null,
         role ?? null,
         regional_address ?? null,
@@ -377,58 +372,289 @@ export const updateCompany = async (req, res) => {
       ]
     );
 
-    if (!rowCount) return res.status(404).json({ error: "Company not found" });
-
     // Sync company admin user
-    if (newUsername || newPasswordHash || newPasswordEnc || email || company_name) {
-      await db.query(
+    let adminRows = [];
+    if (newUsername || newPasswordHash || email || company_name) {
+      ({ rows: adminRows } = await db.query(
         `UPDATE users
          SET
            username = COALESCE($1, username),
            password_hash = COALESCE($2, password_hash),
-           password_enc = COALESCE($3, password_enc),
-           email = COALESCE($4, email),
-           full_name = COALESCE($5, full_name),
+           password_changed_at = CASE WHEN $2::text IS NULL THEN password_changed_at ELSE NOW() END,
+           must_change_password = CASE WHEN $2::text IS NULL THEN must_change_password ELSE true END,
+           email = COALESCE($3, email),
+           full_name = COALESCE($4, full_name),
            status = 'Onboard',
            updated_at = NOW()
-         WHERE company_id = $6 AND role_id = 2 AND ship_id IS NULL`,
+         WHERE company_id = $5 AND role_id = ${SYSTEM_ROLE_ADMIN} AND ship_id IS NULL
+         RETURNING user_id`,
         [
           newUsername,
           newPasswordHash,
-          newPasswordEnc,
           email ?? null,
           company_name ? `${company_name} Admin` : null,
           id,
         ]
-      );
+      ));
+
+      // password changed -> admin must log in again (and pick their own password)
+      if (newPasswordHash) {
+        for (const r of adminRows) await recordPasswordHistory(r.user_id, newPasswordHash);
+        await bumpTokenVersion(adminRows.map((r) => r.user_id));
+      }
     }
 
+    await recordAudit(req, {
+      action: "company.update",
+      entity_type: "company",
+      entity_id: id,
+      before: before.rows[0],
+      after: updated[0],
+      details: {
+        admin_user_ids: adminRows.map((r) => r.user_id),
+        admin_password_changed: !!newPasswordHash,
+      },
+    });
+
+    await db.query("COMMIT");
+    invalidateCompanyStatusCache(id);
+
     return res.json({ message: "Company updated", username: newUsername ?? undefined });
   } catch (err) {
+    await db.query("ROLLBACK").catch(() => {});
     console.error("Error updating company:", err);
     return res.status(500).json({ error: "Failed to update company" });
   }
 };
 
-// -------------------- DELETE /companies/:id (role1 only) --------------------
-export const deleteCompany = async (req, res) => {
-  if (!ensureRole(req, res, [ROLE_SUPERADMIN])) return;
+// -------------------- PUT /companies/:id/security (company.security) --------------------
+// Stored in company.metadata_json.login_security:
+//   require_2fa (admin roles must use TOTP), max_failed_attempts, window_minutes,
+//   lockout_minutes, max_lockout_minutes (see utils/loginThrottle.js)
+// and body.password_policy in company.metadata_json.password_policy (see utils/passwordPolicy.js)
+const SECURITY_KEYS = ["require_2fa", "max_failed_attempts", "window_minutes", "lockout_minutes", "max_lockout_minutes"];
 
+export const updateCompanySecurity = async (req, res) => {
   const id = String(req.params.id);
+  const body = req.body || {};
+
+  const patch = {};
+  for (const k of SECURITY_KEYS) {
+    if (body[k] === undefined) continue;
+    if (k === "require_2fa") {
+      if (typeof body[k] !== "boolean") return res.status(400).json({ error: "require_2fa must be boolean" });
+      patch[k] = body[k];
+    } else {
+      const n = Number(body[k]);
+      if (!Number.isInteger(n) || n <= 0) return res.status(400).json({ error: `${k} must be a positive integer` });
+      patch[k] = n;
+    }
+  }
+
+  const policyPatch = {};
+  if (body.password_policy !== undefined) {
+    if (!body.password_policy || typeof body.password_policy !== "object") {
+      return res.status(400).json({ error: "password_policy must be an object" });
+    }
+    for (const k of POLICY_KEYS) {
+      const v = body.password_policy[k];
+      if (v === undefined) continue;
+      if (k.startsWith("require_")) {
+        if (typeof v !== "boolean") return res.status(400).json({ error: `password_policy.${k} must be boolean` });
+        policyPatch[k] = v;
+      } else {
+        const n = Number(v);
+        const min = k === "min_length" ? 8 : 0;
+        if (!Number.isInteger(n) || n < min) {
+          return res.status(400).json({ error: `password_policy.${k} must be an integer >= ${min}` });
+        }
+        policyPatch[k] = n;
+      }
+    }
+  }
+
+  if (!Object.keys(patch).length && !Object.keys(policyPatch).length) {
+    return res.status(400).json({ error: `Provide password_policy or at least one of: ${SECURITY_KEYS.join(", ")}` });
+  }
 
   try {
     await db.query("BEGIN");
 
-    await db.query("DELETE FROM users WHERE company_id = $1 AND role_id = 2 AND ship_id IS NULL", [
+    const cur = await db.query("SELECT metadata_json FROM company WHERE company_id = $1 FOR UPDATE", [id]);
+    if (!cur.rows.length) {
+      await db.query("ROLLBACK");
+      return res.status(404).json({ error: "Company not found" });
+    }
+
+    const metadata = parseJson(cur.rows[0].metadata_json);
+    const before = { login_security: metadata.login_security ?? null, password_policy: metadata.password_policy ?? null };
+    metadata.login_security = { ...(metadata.login_security || {}), ...patch };
+    metadata.password_policy = { ...(metadata.password_policy || {}), ...policyPatch };
+
+    await db.query("UPDATE company SET metadata_json = $1, updated_at = NOW() WHERE company_id = $2", [
+      JSON.stringify(metadata),
       id,
     ]);
 
-    const { rowCount } = await db.query("DELETE FROM company WHERE company_id = $1", [id]);
-    if (!rowCount) {
+    await recordAudit(req, {
+      action: "company.security_update",
+      entity_type: "company",
+      entity_id: id,
+      company_id: id,
+      ship_id: null,
+      before,
+      after: { login_security: metadata.login_security, password_policy: metadata.password_policy },
+    });
+
+    await db.query("COMMIT");
+
+    return res.json({
+      message: "Company security settings updated",
+      login_security: metadata.login_security,
+      password_policy: metadata.password_policy,
+    });
+  } catch (err) {
+    await db.query("ROLLBACK").catch(() => {});
+    console.error("Error updating company security:", err);
+    return res.status(500).json({ error: "Failed to update company security settings" });
+  }
+};
+
+// -------------------- suspension (company.suspend) --------------------
+// body.at: ISO date in the future = scheduled (company.suspend_at / reactivate_at, applied by the
+// company-schedule job); missing or past = now. See src/utils/companyStatus.js for what it blocks.
+const parseScheduleAt = (v) => {
+  if (v === undefined || v === null || v === "") return { at: null };
+  const d = new Date(v);
+  if (Number.isNaN(d.getTime())) return { error: "at must be an ISO date" };
+  return { at: d > new Date() ? d : null };
+};
+
+const SUSPENSION_COLUMNS = "company_id, is_active, suspended_at, suspension_reason, suspend_at, reactivate_at";
+
+const changeSuspension = async (req, res, { action, sql, params, validate }) => {
+  const id = String(req.params.id);
+
+  try {
+    await db.query("BEGIN");
+
+    const before = await db.query(`SELECT ${SUSPENSION_COLUMNS} FROM company WHERE company_id = $1 FOR UPDATE`, [id]);
+    if (!before.rows.length) {
       await db.query("ROLLBACK");
       return res.status(404).json({ error: "Company not found" });
     }
 
+    const invalid = validate?.(before.rows[0]);
+    if (invalid) {
+      await db.query("ROLLBACK");
+      return res.status(409).json({ error: invalid });
+    }
+
+    const { rows } = await db.query(
+      `UPDATE company SET ${sql}, updated_at = NOW() WHERE company_id = $1 RETURNING ${SUSPENSION_COLUMNS}`,
+      [id, ...params]
+    );
+
+    await recordAudit(req, {
+      action,
+      entity_type: "company",
+      entity_id: id,
+      company_id: id,
+      ship_id: null,
+      before: before.rows[0],
+      after: rows[0],
+      details: { trigger: "manual" },
+    });
+
+    await db.query("COMMIT");
+    invalidateCompanyStatusCache(id);
+
+    return res.json(rows[0]);
+  } catch (err) {
+    await db.query("ROLLBACK").catch(() => {});
+    console.error(`Error ${action}:`, err);
+    return res.status(500).json({ error: "Failed to change company status" });
+  }
+};
+
+// -------------------- POST /companies/:id/suspend --------------------
+export const suspendCompany = async (req, res) => {
+  const { reason } = req.body || {};
+  if (reason !== undefined && reason !== null && (typeof reason !== "string" || reason.length > 500)) {
+    return res.status(400).json({ error: "reason must be a string of at most 500 characters" });
+  }
+  const { at, error } = parseScheduleAt(req.body?.at);
+  if (error) return res.status(400).json({ error });
+
+  if (at) {
+    return changeSuspension(req, res, {
+      action: "company.suspend_scheduled",
+      sql: "suspend_at = $2, suspension_reason = COALESCE($3, suspension_reason)",
+      params: [at, reason ?? null],
+      validate: (c) => (c.is_active === false ? "Company is already suspended" : null),
+    });
+  }
+
+  return changeSuspension(req, res, {
+    action: "company.suspend",
+    sql: "is_active = false, suspended_at = NOW(), suspend_at = NULL, suspension_reason = $2",
+    params: [reason ?? null],
+    validate: (c) => (c.is_active === false ? "Company is already suspended" : null),
+  });
+};
+
+// -------------------- POST /companies/:id/reactivate --------------------
+export const reactivateCompany = async (req, res) => {
+  const { at, error } = parseScheduleAt(req.body?.at);
+  if (error) return res.status(400).json({ error });
+
+  if (at) {
+    return changeSuspension(req, res, {
+      action: "company.reactivate_scheduled",
+      sql: "reactivate_at = $2",
+      params: [at],
+      validate: (c) =>
+        c.is_active === false ? null : "Company is not suspended (reactivate without at cancels a scheduled suspension)",
+    });
+  }
+
+  // also cancels a scheduled suspension / reactivation
+  return changeSuspension(req, res, {
+    action: "company.reactivate",
+    sql: "is_active = true, suspended_at = NULL, suspension_reason = NULL, suspend_at = NULL, reactivate_at = NULL",
+    params: [],
+  });
+};
+
+// -------------------- DELETE /companies/:id (company.delete) --------------------
+export const deleteCompany = async (req, res) => {
+  const id = String(req.params.id);
+
+  try {
+    await db.query("BEGIN");
+
+    // a suspended company's rows are read-only (migrations/019), but it may still be deleted as a whole
+    await db.query("SELECT set_config('app.suspended_override', 'on', true)");
+
+    const { rows: deletedAdmins } = await db.query(
+      "DELETE FROM users WHERE company_id = $1 AND role_id = $2 AND ship_id IS NULL RETURNING user_id, username",
+      [id, SYSTEM_ROLE_ADMIN]
+    );
+
+    const { rows } = await db.query("DELETE FROM company WHERE company_id = $1 RETURNING *", [id]);
+    if (!rows.length) {
+      await db.query("ROLLBACK");
+      return res.status(404).json({ error: "Company not found" });
+    }
+
+    await recordAudit(req, {
+      action: "company.delete",
+      entity_type: "company",
+      entity_id: id,
+      before: rows[0],
+      details: { deleted_admin_users: deletedAdmins },
+    });
+
     await db.query("COMMIT");
     return res.json({ message: "Company deleted" });
   } catch (err) {
@@ -0,0 +1,244 @@
+// src/controller/dataSubjectController.js
+import { db, withTransaction } from "../db.js";
+import { recordAudit } from "../utils/audit.js";
+import { bumpTokenVersion } from "../utils/tokenVersion.js";
+import { PII_FIELDS, PII_ENC_COLUMNS, decryptUserPii } from "../utils/pii.js";
+import { checkRoleAssignable } from "../utils/permissions.js";
+
+// Data-subject requests (GDPR art. 15 / 17) for former crew.
+// Assessment results arrive from the simulator as activity logs (activity_type "assessment...").
+
+// never part of an export: credentials and internal bookkeeping
+const EXPORT_HIDDEN = [
+  "password_hash",
+  "reset_token_hash",
+  "reset_token_expires_at",
+  "mfa_secret_enc",
+  "mfa_pending_secret_enc",
+  "mfa_last_used_step",
+  "token_version",
+  ...PII_ENC_COLUMNS,
+];
+
+// users columns cleared on erase; rank, company / ship, role and dates stay for statistics
+const ERASED_COLUMNS = [
+  "username",
+  "email",
+  "password_hash",
+  "reset_token_hash",
+  "reset_token_expires_at",
+  "sex",
+  "nationality",
+  "trip",
+  "embarkation_port",
+  "disembarkation_port",
+  "passport_issue_place",
+  "passport_issue_date",
+  "passport_expiry_date",
+  "seaman_book_issue_date",
+  "seaman_book_expiry_date",
+  "mfa_secret_enc",
+  "mfa_pending_secret_enc",
+  "mfa_last_used_step",
+  "mfa_enabled_at",
+  ...PII_FIELDS,
+  ...PII_ENC_COLUMNS,
+];
+
+const ERASED_STATUS = "Erased";
+
+// personal fields masked in the user's audit rows
+const AUDIT_ERASED_FIELDS = [...new Set(["full_name", "seafarer_id", "username", "email", ...ERASED_COLUMNS])];
+
+const parseUserId = (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (Number.isNaN(id)) {
+    res.status(400).json({ error: "user_id must be a number" });
+    return null;
+  }
+  return id;
+};
+
+// -------------------- GET /users/:id/data-export (user.export) --------------------
+// One JSON document (download) with everything tied to the user.
+export const exportUserData = async (req, res) => {
+  const id = parseUserId(req, res);
+  if (id === null) return;
+
+  try {
+    // scope comes from RLS (tenant_users policy): users outside the caller's scope are "not found"
+    const u = await db.query(`SELECT * FROM users WHERE user_id = $1`, [id]);
+    if (!u.rows.length) return res.status(404).json({ error: "User not found" });
+
+    const profile = { ...u.rows[0], ...decryptUserPii(u.rows[0]) };
+    for (const k of EXPORT_HIDDEN) delete profile[k];
+
+    const q = async (sql) => (await db.query(sql, [id])).rows;
+
+    const [
+      shipHistory,
+      activityLogs,
+      trainingSessions,
+      xapiStatements,
+      certificates,
+      incidents,
+      identities,
+      sessions,
+      authEvents,
+    ] = await Promise.all([
+      q(`SELECT h.*, s.ship_name
+         FROM user_ship_history h
+         LEFT JOIN ships s ON s.ship_id = h.ship_id
+         WHERE h.user_id = $1
+         ORDER BY h.created_at`),
+      q(`SELECT * FROM activity_logs WHERE user_id = $1 ORDER BY occurred_at`),
+      q(`SELECT * FROM training_sessions WHERE user_id = $1 ORDER BY started_at`),
+      q(`SELECT statement FROM xapi_statements WHERE user_id = $1 ORDER BY statement_seq`),
+      q(`SELECT * FROM certificates WHERE user_id = $1 ORDER BY created_at`),
+      q(`SELECT * FROM incident_reports WHERE reported_by_user_id = $1 ORDER BY created_at`),
+      q(`SELECT issuer, subject, email, created_at, last_login_at FROM user_identities WHERE user_id = $1`),
+      q(`SELECT family_id AS session_id, created_at, last_used_at, expires_at, revoked_at, user_agent, ip_address
+         FROM refresh_sessions WHERE user_id = $1 ORDER BY created_at`),
+      q(`SELECT event_type, ip_address, user_agent, details_json, created_at
+         FROM auth_events WHERE user_id = $1 ORDER BY created_at`),
+    ]);
+
+    const data = {
+      generated_at: new Date().toISOString(),
+      generated_by_user_id: req.user.user_id,
+      profile,
+      ship_history: shipHistory,
+      activity_logs: activityLogs,
+      assessment_results: activityLogs.filter((a) => /^assessment/i.test(String(a.activity_type || ""))),
+      training_sessions: trainingSessions,
+      xapi_statements: xapiStatements.map((r) => r.statement),
+      certificates,
+      incidents_reported: incidents,
+      sso_identities: identities,
+      sessions,
+      auth_events: authEvents,
+    };
+
+    await recordAudit(req, {
+      action: "user.data_export",
+      entity_type: "user",
+      entity_id: id,
+      company_id: profile.company_id ?? null,
+      ship_id: profile.ship_id ?? null,
+      details: {
+        counts: Object.fromEntries(
+          Object.entries(data)
+            .filter(([, v]) => Array.isArray(v))
+            .map(([k, v]) => [k, v.length])
+        ),
+      },
+    });
+
+    res.set("Content-Disposition", `attachment; filename="user-${id}-data-export.json"`);
+    return res.json(data);
+  } catch (err) {
+    console.error("Error exporting user data:", err);
+    return res.status(500).json({ error: "Failed to export user data" });
+  }
+};
+
+// -------------------- POST /users/:id/erase (user.erase) --------------------
+// Pseudonymizes the person and keeps the users row as a tombstone, so incidents, certificates,
+// ship history and activity statistics stay intact. Logins, sessions and 2FA are removed.
+// The audit trail is kept as the legal record of who changed what, but the person's fields inside
+// earlier audit rows about them are pseudonymized too (migrations/026_audit_erasure.sql).
+export const eraseUser = async (req, res) => {
+  const id = parseUserId(req, res);
+  if (id === null) return;
+
+  const reason = String(req.body?.reason || "").trim();
+  if (!reason) return res.status(400).json({ error: "reason is required" });
+  if (reason.length > 500) return res.status(400).json({ error: "reason must be at most 500 characters" });
+
+  if (id === Number(req.user.user_id)) return res.status(400).json({ error: "You cannot erase yourself" });
+
+  try {
+    const cur = await db.query(`SELECT * FROM users WHERE user_id = $1`, [id]);
+    const current = cur.rows[0];
+    if (!current) return res.status(404).json({ error: "User not found" });
+    if (current.erased_at) return res.status(409).json({ error: "User is already erased" });
+
+    // ✅ only people whose role the caller could assign (no erasing wider admins)
+    const assignable = await checkRoleAssignable(req.user, current.role_id, current.company_id);
+    if (!assignable.ok) return res.status(403).json({ error: assignable.error });
+
+    const erased = await withTransaction(async (client) => {
+      const { rows } = await client.query(
+        `UPDATE users
+         SET ${ERASED_COLUMNS.map((c) => `${c} = NULL`).join(", ")},
+             seafarer_id = 'ERASED:' || user_id,
+             full_name = 'Erased user #' || user_id,
+             status = $2,
+             mfa_enabled = false,
+             must_change_password = false,
+             auth_provider = 'local',
+             erased_at = NOW(),
+             erased_by_user_id = $3,
+             updated_at = NOW()
+         WHERE user_id = $1 AND erased_at IS NULL
+         RETURNING *`,
+        [id, ERASED_STATUS, req.user.user_id]
+      );
+      if (!rows.length) return null;
+
+      // login material and security logs (IP / device) of the person
+      await client.query(`DELETE FROM refresh_sessions WHERE user_id = $1`, [id]);
+      await client.query(`DELETE FROM mfa_recovery_codes WHERE user_id = $1`, [id]);
+      await client.query(`DELETE FROM credential_claims WHERE user_id = $1`, [id]);
+      await client.query(`DELETE FROM password_history WHERE user_id = $1`, [id]);
+      await client.query(`DELETE FROM user_identities WHERE user_id = $1`, [id]);
+      await client.query(`DELETE FROM auth_events WHERE user_id = $1`, [id]);
+      await client.query(`DELETE FROM login_attempts WHERE user_id = $1 OR username = $2`, [id, current.username]);
+      await client.query(
+        `UPDATE account_lockouts SET username = 'erased', ip_address = NULL WHERE user_id = $1 OR username = $2`,
+        [id, current.username]
+      );
+
+      // statistics stay, the name inside them goes
+      await client.query(`UPDATE activity_logs SET username = NULL WHERE user_id = $1`, [id]);
+      // xAPI statements and state name the person (actor account), the activity_logs rows keep the numbers
+      await client.query(`DELETE FROM xapi_statements WHERE user_id = $1`, [id]);
+      await client.query(`DELETE FROM xapi_activity_state WHERE user_id = $1`, [id]);
+      await client.query(`UPDATE invitations SET email = NULL, note = NULL WHERE used_by_user_id = $1`, [id]);
+
+      await bumpTokenVersion(id, client);
+
+      // before the erase event itself, which only names the reason
+      await client.query(`SELECT app_pseudonymize_user_audit($1, $2::text[])`, [id, AUDIT_ERASED_FIELDS]);
+
+      await recordAudit(
+        req,
+        {
+          action: "user.erase",
+          entity_type: "user",
+          entity_id: id,
+          company_id: current.company_id,
+          ship_id: current.ship_id,
+          details: { reason },
+        },
+        client
+      );
+      return rows[0];
+    });
+    if (!erased) return res.status(409).json({ error: "User is already erased" });
+
+    return res.json({
+      message: "User erased",
+      user: {
+        user_id: erased.user_id,
+        seafarer_id: erased.seafarer_id,
+        full_name: erased.full_name,
+        status: erased.status,
+        erased_at: erased.erased_at,
+      },
+    });
+  } catch (err) {
+    console.error("Error erasing user:", err);
+    return res.status(500).json({ error: "Failed to erase user" });
+  }
+};
@@ -0,0 +1,239 @@
+// src/controller/impersonationController.js
+import { db, withTransaction } from '../db.js';
+import { signImpersonationToken } from '../utils/authTokens.js';
+import { getClientIp, getUserAgent } from '../utils/authEvents.js';
+import { recordAudit } from '../utils/audit.js';
+import { IMPERSONATION_TTL_MINUTES, IMPERSONATION_MAX_MINUTES } from '../utils/impersonation.js';
+import { SCOPE_GLOBAL, SCOPE_COMPANY, getRole, isScopeWithin } from '../utils/permissions.js';
+import { isUuid } from '../utils/validation.js';
+
+const SESSION_COLUMNS = `
+  s.impersonation_id, s.impersonator_user_id, s.target_user_id, s.company_id, s.ship_id,
+  s.reason, s.read_only, s.started_at, s.expires_at, s.ended_at, s.ended_by_user_id`;
+
+const withStatus = (row) => ({
+  ...row,
+  status: row.ended_at ? 'ended' : new Date(row.expires_at) <= new Date() ? 'expired' : 'active',
+});
+
+// global -> all, company -> own company, ship -> own company + ship
+const scopeWhere = (req, params) => {
+  if (req.user.scope === SCOPE_GLOBAL) return 'TRUE';
+
+  params.push(req.user.company_id);
+  let where = `s.company_id = $${params.length}`;
+
+  if (req.user.scope !== SCOPE_COMPANY) {
+    params.push(req.user.ship_id);
+    where += ` AND s.ship_id = $${params.length}`;
+  }
+  return where;
+};
+
+// -------------------- POST /auth/impersonate/:user_id --------------------
+// Read-only unless body.read_only = false (global scope only). Only users whose role is
+// strictly narrower than the caller's, and inside the caller's company / ship.
+export const startImpersonation = async (req, res) => {
+  const targetUserId = Number(req.params.user_id);
+  if (!Number.isInteger(targetUserId)) return res.status(400).json({ error: 'user_id must be a number' });
+
+  if (req.user.impersonator) {
+    return res.status(403).json({ error: 'Not allowed while impersonating a user' });
+  }
+  if (targetUserId === Number(req.user.user_id)) {
+    return res.status(400).json({ error: 'You cannot impersonate yourself' });
+  }
+
+  const reason = String(req.body?.reason || '').trim();
+  if (!reason) return res.status(400).json({ error: 'reason is required' });
+  if (reason.length > 500) return res.status(400).json({ error: 'reason must be at most 500 characters' });
+
+  const readOnly = req.body?.read_only !== false;
+  if (!readOnly && req.user.scope !== SCOPE_GLOBAL) {
+    return res.status(403).json({ error: 'Only platform operators can start a write-enabled impersonation' });
+  }
+
+  const minutes = req.body?.minutes != null ? Number(req.body.minutes) : IMPERSONATION_TTL_MINUTES;
+  if (!Number.isInteger(minutes) || minutes < 1 || minutes > IMPERSONATION_MAX_MINUTES) {
+    return res.status(400).json({ error: `minutes must be between 1 and ${IMPERSONATION_MAX_MINUTES}` });
+  }
+
+  try {
+    const t = await db.query(
+      `SELECT user_id, full_name, username, role_id, company_id, ship_id, token_version
+       FROM users WHERE user_id = $1`,
+      [targetUserId]
+    );
+    const target = t.rows[0];
+    if (!target) return res.status(404).json({ error: 'User not found' });
+
+    // ✅ same tenant, and never an equal or wider role (no admin-as-admin)
+    if (req.user.scope !== SCOPE_GLOBAL) {
+      if (String(target.company_id) !== String(req.user.company_id)) {
+        return res.status(403).json({ error: 'Forbidden (company scope)' });
+      }
+      if (req.user.scope !== SCOPE_COMPANY && Number(target.ship_id) !== Number(req.user.ship_id)) {
+        return res.status(403).json({ error: 'Forbidden (ship scope)' });
+      }
+    }
+
+    const role = await getRole(target.role_id);
+    if (!role) return res.status(409).json({ error: 'User has no valid role' });
+    if (role.scope === req.user.scope || !isScopeWithin(role.scope, req.user.scope)) {
+      return res.status(403).json({ error: 'Cannot impersonate a user with an equal or wider role' });
+    }
+
+    const session = await withTransaction(async (client) => {
+      const { rows } = await client.query(
+        `INSERT INTO impersonation_sessions
+           (impersonator_user_id, target_user_id, company_id, ship_id, reason, read_only,
+            started_at, expires_at, ip_address, user_agent)
+         VALUES ($1, $2, $3, $4, $5, $6, NOW(), NOW() + ($7 || ' minutes')::interval, $8, $9)
+         RETURNING impersonation_id, impersonator_user_id, target_user_id, company_id, ship_id,
+                   reason, read_only, started_at, expires_at, ended_at, ended_by_user_id`,
+        [
+          req.user.user_id,
+          target.user_id,
+          target.company_id,
+          target.ship_id,
+          reason,
+          readOnly,
+          String(minutes),
+          getClientIp(req),
+          getUserAgent(req),
+        ]
+      );
+
+      await recordAudit(
+        req,
+        {
+          action: 'impersonation.start',
+          entity_type: 'user',
+          entity_id: target.user_id,
+          company_id: target.company_id,
+          ship_id: target.ship_id,
+          details: {
+            impersonation_id: rows[0].impersonation_id,
+            reason,
+            read_only: readOnly,
+            expires_at: rows[0].expires_at,
+          },
+        },
+        client
+      );
+      return rows[0];
+    });
+
+    const access_token = signImpersonationToken(target, req.user, session);
+
+    return res.status(201).json({
+      message: 'Impersonation started',
+      access_token,
+      impersonation: withStatus(session),
+      user: {
+        user_id: target.user_id,
+        full_name: target.full_name,
+        role_id: target.role_id,
+        company_id: target.company_id,
+        ship_id: target.ship_id,
+      },
+    });
+  } catch (err) {
+    console.error('Error startImpersonation:', err);
+    return res.status(500).json({ error: 'Failed to start impersonation' });
+  }
+};
+
+// -------------------- GET /auth/impersonate --------------------
+export const listImpersonations = async (req, res) => {
+  const { active, user_id } = req.query;
+
+  try {
+    const params = [];
+    const where = [scopeWhere(req, params)];
+
+    if (user_id) {
+      if (!Number.isInteger(Number(user_id))) return res.status(400).json({ error: 'user_id must be a number' });
+      params.push(Number(user_id));
+      where.push(`(s.target_user_id = $${params.length} OR s.impersonator_user_id = $${params.length})`);
+    }
+    if (String(active) === 'true') where.push('s.ended_at IS NULL AND s.expires_at > NOW()');
+
+    const { rows } = await db.query(
+      `SELECT ${SESSION_COLUMNS},
+              i.username AS impersonator_username, t.username AS target_username
+       FROM impersonation_sessions s
+       LEFT JOIN users i ON i.user_id = s.impersonator_user_id
+       LEFT JOIN users t ON t.user_id = s.target_user_id
+       WHERE ${where.join(' AND ')}
+       ORDER BY s.started_at DESC
+       LIMIT 200`,
+      params
+    );
+
+    return res.json(rows.map(withStatus));
+  } catch (err) {
+    console.error('Error listImpersonations:', err);
+    return res.status(500).json({ error: 'Failed to fetch impersonation sessions' });
+  }
+};
+
+// -------------------- DELETE /auth/impersonate/:impersonation_id --------------------
+// The impersonator ends their own session; global scope can end any.
+export const endImpersonation = async (req, res) => {
+  const id = req.params.impersonation_id;
+  if (!isUuid(id)) return res.status(400).json({ error: 'impersonation_id must be a uuid' });
+  if (req.user.impersonator) {
+    return res.status(403).json({ error: 'Not allowed while impersonating a user' });
+  }
+
+  try {
+    const params = [id];
+    const where = scopeWhere(req, params);
+
+    const cur = await db.query(
+      `SELECT ${SESSION_COLUMNS} FROM impersonation_sessions s WHERE s.impersonation_id = $1 AND ${where}`,
+      params
+    );
+    const current = cur.rows[0];
+    if (!current) return res.status(404).json({ error: 'Impersonation session not found' });
+
+    if (req.user.scope !== SCOPE_GLOBAL && Number(current.impersonator_user_id) !== Number(req.user.user_id)) {
+      return res.status(403).json({ error: 'Only the impersonator can end this session' });
+    }
+    if (withStatus(current).status !== 'active') {
+      return res.status(409).json({ error: `Impersonation session is already ${withStatus(current).status}` });
+    }
+
+    const ended = await withTransaction(async (client) => {
+      const { rows } = await client.query(
+        `UPDATE impersonation_sessions s
+         SET ended_at = NOW(), ended_by_user_id = $2
+         WHERE s.impersonation_id = $1 AND s.ended_at IS NULL
+         RETURNING ${SESSION_COLUMNS}`,
+        [id, req.user.user_id]
+      );
+      if (!rows.length) return null;
+
+      await recordAudit(
+        req,
+        {
+          action: 'impersonation.end',
+          entity_type: 'user',
+          entity_id: current.target_user_id,
+          details: { impersonation_id: id, impersonator_user_id: current.impersonator_user_id },
+          before: current,
+          after: rows[0],
+        },
+        client
+      );
+      return rows[0];
+    });
+    if (!ended) return res.status(409).json({ error: 'Impersonation session is no longer active' });
+
+    return res.json({ message: 'Impersonation ended', impersonation: withStatus(ended) });
+  } catch (err) {
+    console.error('Error endImpersonation:', err);
+    return res.status(500).json({ error: 'Failed to end impersonation' });
+  }
+};
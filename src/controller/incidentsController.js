@@ -1,19 +1,14 @@
 // src/controller/incidentsController.js
-import { db } from '../db.js';
+import { db, withTransaction } from '../db.js';
 
-const ROLE_SUPERADMIN = 1;
-const ROLE_ADMIN = 2;
-const ROLE_SUBADMIN = 3;
-const ROLE_CREW = 4;
-
-const isUuid = (v) =>
-  typeof v === 'string' &&
-  /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i.test(v);
+import { SCOPE_GLOBAL, SCOPE_COMPANY, SCOPE_SHIP, hasPermission } from '../utils/permissions.js';
+import { recordAudit } from '../utils/audit.js';
+import { isUuid } from '../utils/validation.js';
 
 const buildIncidentListQuery = (user) => {
-  const { role_id, company_id, ship_id, user_id } = user;
+  const { scope, company_id, ship_id, user_id } = user;
 
-  if (role_id === ROLE_SUPERADMIN) {
+  if (scope === SCOPE_GLOBAL) {
     return {
       text: `
         SELECT *
@@ -25,7 +20,7 @@ const buildIncidentListQuery = (user) => {
     };
   }
 
-  if (role_id === ROLE_ADMIN) {
+  if (scope === SCOPE_COMPANY) {
     return {
       text: `
         SELECT *
@@ -38,7 +33,7 @@ const buildIncidentListQuery = (user) => {
     };
   }
 
-  if (role_id === ROLE_SUBADMIN) {
+  if (scope === SCOPE_SHIP) {
     return {
       text: `
         SELECT *
@@ -52,7 +47,7 @@ const buildIncidentListQuery = (user) => {
     };
   }
 
-  // role4 crew
+  // self scope (crew)
   return {
     text: `
       SELECT *
@@ -76,15 +71,15 @@ const buildIncidentListQuery = (user) => {
 };
 
 const canSeeIncident = (user, incident) => {
-  const { role_id, company_id, ship_id, user_id } = user;
+  const { scope, company_id, ship_id, user_id } = user;
 
-  if (role_id === ROLE_SUPERADMIN) return true;
+  if (scope === SCOPE_GLOBAL) return true;
 
-  if (role_id === ROLE_ADMIN) {
+  if (scope === SCOPE_COMPANY) {
     return String(incident.company_id) === String(company_id);
   }
 
-  if (role_id === ROLE_SUBADMIN) {
+  if (scope === SCOPE_SHIP) {
     return (
       String(incident.company_id) === String(company_id) &&
       Number(incident.ship_id) === Number(ship_id)
@@ -105,15 +100,15 @@ const canSeeIncident = (user, incident) => {
   return false;
 };
 
-// Rules applied
+// Rules applied (by role scope)
 
-// Role 1: all incidents
+// global: all incidents
 
-// Role 2: incidents where company_id = req.user.company_id
+// company: incidents where company_id = req.user.company_id
 
-// Role 3: incidents where company_id = req.user.company_id AND ship_id = req.user.ship_id
+// ship: incidents where company_id = req.user.company_id AND ship_id = req.user.ship_id
 
-// Role 4 (crew):
+// self (crew):
 
 // can see:
 
@@ -125,7 +120,8 @@ const canSeeIncident = (user, incident) => {
 
 // can create incidents (forced reported_by_user_id = req.user.user_id)
 
-// can update/delete only their own incidents
+// incident.edit / incident.delete: any incident in scope
+// incident.edit_own / incident.delete_own: only their own incidents
 
 // GET /incidents
 export const getAllIncidents = async (req, res) => {
@@ -187,7 +183,7 @@ export const createIncident = async (req, res) => {
   if (Number.isNaN(shipId)) return res.status(400).json({ error: 'ship_id must be a number' });
   if (!title) return res.status(400).json({ error: 'title is required' });
 
-  const { role_id, company_id: myCompanyId, ship_id: myShipId, user_id: myUserId } = req.user;
+  const { scope, company_id: myCompanyId, ship_id: myShipId, user_id: myUserId } = req.user;
 
   try {
     // ship must exist
@@ -202,73 +198,82 @@ export const createIncident = async (req, res) => {
     }
 
     // scope rules
-    if (role_id === ROLE_ADMIN) {
+    if (scope === SCOPE_COMPANY) {
       if (String(finalCompanyId) !== String(myCompanyId)) {
         return res.status(403).json({ error: 'Forbidden (company scope)' });
       }
     }
 
-    if (role_id === ROLE_SUBADMIN || role_id === ROLE_CREW) {
+    if (scope !== SCOPE_GLOBAL && scope !== SCOPE_COMPANY) {
       if (String(finalCompanyId) !== String(myCompanyId) || Number(shipId) !== Number(myShipId)) {
         return res.status(403).json({ error: 'Forbidden (ship scope)' });
       }
     }
 
-    // reporter forced for everyone except superadmin (superadmin may specify)
+    // reporter forced for everyone except global scope (may specify)
     const reporterId =
-      role_id === ROLE_SUPERADMIN && req.body.reported_by_user_id
+      scope === SCOPE_GLOBAL && req.body.reported_by_user_id
         ? parseInt(req.body.reported_by_user_id, 10)
         : myUserId;
 
-    const { rows } = await db.query(
-      `
-      INSERT INTO incident_reports (
-        ship_id, company_id, reported_by_user_id,
-        visible_to_ship_only, title, description,
-        incident_type, severity, location_on_ship,
-        root_cause, corrective_action, preventive_action,
-        status, occurred_at, reported_at, closed_at,
-        reference_code, is_deleted, created_at, updated_at
-      )
-      VALUES (
-        $1, $2, $3,
-        COALESCE($4, false),
-        $5, $6,
-        $7, $8, $9,
-        $10, $11, $12,
-        COALESCE($13, 'Reported'),
-        $14,
-        COALESCE($15, NOW()),
-        $16,
-        $17,
-        false,
-        NOW(),
-        NOW()
-      )
-      RETURNING *
-      `,
-      [
-        shipId,
-        finalCompanyId,
-        reporterId,
-        visible_to_ship_only,
-        title,
-        description || null,
-        incident_type || null,
-        severity || null,
-        location_on_ship || null,
-        root_cause || null,
-        corrective_action || null,
-        preventive_action || null,
-        status || null,
-        occurred_at || null,
-        reported_at || null,
-        closed_at || null,
-        reference_code || null,
-      ]
-    );
-
-    res.status(201).json(rows[0]);
+    const created = await withTransaction(async (client) => {
+      const { rows } = await client.query(
+        `
+        INSERT INTO incident_reports (
+          ship_id, company_id, reported_by_user_id,
+          visible_to_ship_only, title, description,
+          incident_type, severity, location_on_ship,
+          root_cause, corrective_action, preventive_action,
+          status, occurred_at, reported_at, closed_at,
+          reference_code, is_deleted, created_at, updated_at
+        )
+        VALUES (
+          $1, $2, $3,
+          COALESCE($4, false),
+          $5, $6,
+          $7, $8, $9,
+          $10, $11, $12,
+          COALESCE($13, 'Reported'),
+          $14,
+          COALESCE($15, NOW()),
+          $16,
+          $17,
+          false,
+          NOW(),
+          NOW()
+        )
+        RETURNING *
+        `,
+        [
+          shipId,
+          finalCompanyId,
+          reporterId,
+          visible_to_ship_only,
+          title,
+          description || null,
+          incident_type || null,
+          severity || null,
+          location_on_ship || null,
+          root_cause || null,
+          corrective_action || null,
+          preventive_action || null,
+          status || null,
+          occurred_at || null,
+          reported_at || null,
+          closed_at || null,
+          reference_code || null,
+        ]
+      );
+
+      await recordAudit(
+        req,
+        { action: 'incident.create', entity_type: 'incident', entity_id: rows[0].incident_id, after: rows[0] },
+        client
+      );
+      return rows[0];
+    });
+
+    res.status(201).json(created);
   } catch (err) {
     console.error('Error creating incident:', err);
     if (err.code === '23503') {
@@ -295,17 +300,16 @@ export const updateIncident = async (req, res) => {
     // authorize
     if (!canSeeIncident(req.user, incident)) return res.status(403).json({ error: 'Forbidden' });
 
-    // crew can only update their own reported incidents
-    if (req.user.role_id === ROLE_CREW && Number(incident.reported_by_user_id) !== Number(req.user.user_id)) {
+    // incident.edit_own only covers incidents the caller reported
+    if (!hasPermission(req.user, 'incident.edit') && Number(incident.reported_by_user_id) !== Number(req.user.user_id)) {
       return res.status(403).json({ error: 'Forbidden (only own incident)' });
     }
 
-    // prevent lower roles from moving incident to other ship/company
+    // prevent narrower scopes from moving incident to other ship/company
     const nextShipId = req.body.ship_id ? parseInt(req.body.ship_id, 10) : null;
     const nextCompanyId = req.body.company_id ? String(req.body.company_id) : null;
 
-    if ((req.user.role_id === ROLE_ADMIN || req.user.role_id === ROLE_SUBADMIN || req.user.role_id === ROLE_CREW) &&
-        (nextShipId || nextCompanyId)) {
+    if (req.user.scope !== SCOPE_GLOBAL && (nextShipId || nextCompanyId)) {
       // they must remain in their scope
       const mustCompany = String(req.user.company_id);
       const mustShip = req.user.ship_id;
@@ -313,7 +317,7 @@ export const updateIncident = async (req, res) => {
       if (nextCompanyId && String(nextCompanyId) !== mustCompany) {
         return res.status(403).json({ error: 'Forbidden (cannot change company_id)' });
       }
-      if ((req.user.role_id === ROLE_SUBADMIN || req.user.role_id === ROLE_CREW) && nextShipId && Number(nextShipId) !== Number(mustShip)) {
+      if (req.user.scope !== SCOPE_COMPANY && nextShipId && Number(nextShipId) !== Number(mustShip)) {
         return res.status(403).json({ error: 'Forbidden (cannot change ship_id)' });
       }
     }
@@ -335,47 +339,58 @@ export const updateIncident = async (req, res) => {
       reference_code,
     } = req.body;
 
-    const { rowCount } = await db.query(
-      `
-      UPDATE incident_reports
-      SET
-        visible_to_ship_only = COALESCE($1, visible_to_ship_only),
-        title                = COALESCE($2, title),
-        description          = COALESCE($3, description),
-        incident_type        = COALESCE($4, incident_type),
-        severity             = COALESCE($5, severity),
-        location_on_ship     = COALESCE($6, location_on_ship),
-        root_cause           = COALESCE($7, root_cause),
-        corrective_action    = COALESCE($8, corrective_action),
-        preventive_action    = COALESCE($9, preventive_action),
-        status               = COALESCE($10, status),
-        occurred_at          = COALESCE($11, occurred_at),
-        reported_at          = COALESCE($12, reported_at),
-        closed_at            = COALESCE($13, closed_at),
-        reference_code       = COALESCE($14, reference_code),
-        updated_at           = NOW()
-      WHERE incident_id = $15
-      `,
-      [
-        visible_to_ship_only ?? null,
-        title ?? null,
-        description ?? null,
-        incident_type ?? null,
-        severity ?? null,
-        location_on_ship ?? null,
-        root_cause ?? null,
-        corrective_action ?? null,
-        preventive_action ?? null,
-        status ?? null,
-        occurred_at ?? null,
-        reported_at ?? null,
-        closed_at ?? null,
-        reference_code ?? null,
-        incidentId,
-      ]
-    );
-
-    if (!rowCount) return res.status(404).json({ error: 'Incident not found' });
+    const updated = await withTransaction(async (client) => {
+      const { rows } = await client.query(
+        `
+        UPDATE incident_reports
+        SET
+          visible_to_ship_only = COALESCE($1, visible_to_ship_only),
+          title                = COALESCE($2, title),
+          description          = COALESCE($3, description),
+          incident_type        = COALESCE($4, incident_type),
+          severity             = COALESCE($5, severity),
+          location_on_ship     = COALESCE($6, location_on_ship),
+          root_cause           = COALESCE($7, root_cause),
+          corrective_action    = COALESCE($8, corrective_action),
+          preventive_action    = COALESCE($9, preventive_action),
+          status               = COALESCE($10, status),
+          occurred_at          = COALESCE($11, occurred_at),
+          reported_at          = COALESCE($12, reported_at),
+          closed_at            = COALESCE($13, closed_at),
+          reference_code       = COALESCE($14, reference_code),
+          updated_at           = NOW()
+        WHERE incident_id = $15
+        RETURNING *
+        `,
+        [
+          visible_to_ship_only ?? null,
+          title ?? null,
+          description ?? null,
+          incident_type ?? null,
+          severity ?? null,
+          location_on_ship ?? null,
+          root_cause ?? null,
+          corrective_action ?? null,
+          preventive_action ?? null,
+          status ?? null,
+          occurred_at ?? null,
+          reported_at ?? null,
+          closed_at ?? null,
+          reference_code ?? null,
+          incidentId,
+        ]
+      );
+      if (!rows.length) return null;
+
+      await recordAudit(
+        req,
+        { action: 'incident.update', entity_type: 'incident', entity_id: incidentId, before: incident, after: rows[0] },
+        client
+      );
+      return rows[0];
+    });
+
+    if (!updated) return res.status(404).json({ error: 'Incident not found' });
     res.json({ message: 'Incident updated' });
   } catch (err) {
     console.error('Error updating incident:', err);
@@ -399,19 +414,30 @@ export const deleteIncident = async (req, res) => {
 
     if (!canSeeIncident(req.user, incident)) return res.status(403).json({ error: 'Forbidden' });
 
-    // crew can only delete their own incident
-    if (req.user.role_id === ROLE_CREW && Number(incident.reported_by_user_id) !== Number(req.user.user_id)) {
+    // incident.delete_own only covers incidents the caller reported
+    if (!hasPermission(req.user, 'incident.delete') && Number(incident.reported_by_user_id) !== Number(req.user.user_id)) {
       return res.status(403).json({ error: 'Forbidden (only own incident)' });
     }
 
-    const { rowCount } = await db.query(
-      `UPDATE incident_reports
-       SET is_deleted = true, updated_at = NOW()
-       WHERE incident_id = $1`,
-      [incidentId]
-    );
-
-    if (!rowCount) return res.status(404).json({ error: 'Incident not found' });
+    const deleted = await withTransaction(async (client) => {
+      const { rows } = await client.query(
+        `UPDATE incident_reports
+         SET is_deleted = true, deleted_at = NOW(), updated_at = NOW()
+         WHERE incident_id = $1
+         RETURNING *`,
+        [incidentId]
+      );
+      if (!rows.length) return null;
+
+      await recordAudit(
+        req,
+        { action: 'incident.delete', entity_type: 'incident', entity_id: incidentId, before: incident, after: rows[0] },
+        client
+      );
+      return rows[0];
+    });
+
+    if (!deleted) return res.status(404).json({ error: 'Incident not found' });
     res.json({ message: 'Incident deleted (soft delete)' });
   } catch (err) {
     console.error('Error deleting incident:', err);
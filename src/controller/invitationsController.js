@@ -0,0 +1,264 @@
+// src/controller/invitationsController.js
+import { db, withTransaction } from '../db.js';
+import {
+  INVITATION_TTL_HOURS,
+  generateInvitationCode,
+  hashInvitationCode,
+  invitationStatus,
+} from '../utils/invitations.js';
+import { sendTemplatedMail } from '../utils/mailer.js';
+import { recordAudit } from '../utils/audit.js';
+import {
+  SCOPE_GLOBAL,
+  SCOPE_COMPANY,
+  SCOPE_SHIP,
+  SYSTEM_ROLE_CREW,
+  isScopeWithin,
+  checkRoleAssignable,
+} from '../utils/permissions.js';
+import { isUuid } from '../utils/validation.js';
+
+const STATUSES = ['pending', 'used', 'revoked', 'expired'];
+
+// frontend page that reads ?code= and calls POST /auth/signup
+const SIGNUP_URL =
+  process.env.SIGNUP_URL || `${process.env.APP_BASE_URL || 'http://localhost:3000'}/signup`;
+
+const withStatus = (row) => ({ ...row, status: invitationStatus(row) });
+
+// global -> all, company -> own company, ship -> own company + ship
+const scopeWhere = (req, params) => {
+  if (req.user.scope === SCOPE_GLOBAL) return 'TRUE';
+
+  params.push(req.user.company_id);
+  let where = `i.company_id = $${params.length}`;
+
+  if (req.user.scope !== SCOPE_COMPANY) {
+    params.push(req.user.ship_id);
+    where += ` AND i.ship_id = $${params.length}`;
+  }
+  return where;
+};
+
+// -------------------- POST /invitations --------------------
+export const createInvitation = async (req, res) => {
+  const inviterScope = req.user.scope;
+  const { rank, email, note, expires_in_hours } = req.body || {};
+  const role_id = Number(req.body?.role_id ?? SYSTEM_ROLE_CREW);
+
+  let company_id = req.body?.company_id ?? null;
+  let ship_id = req.body?.ship_id != null && req.body.ship_id !== '' ? Number(req.body.ship_id) : null;
+
+  if (inviterScope === SCOPE_GLOBAL) {
+    if (!company_id || !isUuid(company_id)) {
+      return res.status(400).json({ error: 'company_id (uuid) is required' });
+    }
+  } else {
+    if (company_id && String(company_id) !== String(req.user.company_id)) {
+      return res.status(403).json({ error: 'Forbidden: company scope' });
+    }
+    company_id = req.user.company_id;
+
+    if (inviterScope !== SCOPE_COMPANY) {
+      if (ship_id != null && ship_id !== Number(req.user.ship_id)) {
+        return res.status(403).json({ error: 'Forbidden: ship scope' });
+      }
+      ship_id = Number(req.user.ship_id);
+    }
+  }
+
+  if (ship_id != null && Number.isNaN(ship_id)) return res.status(400).json({ error: 'ship_id must be a number' });
+  if (!Number.isInteger(role_id)) return res.status(400).json({ error: 'role_id must be a number' });
+
+  const hours = expires_in_hours != null ? Number(expires_in_hours) : INVITATION_TTL_HOURS;
+  if (!Number.isFinite(hours) || hours <= 0 || hours > 24 * 30) {
+    return res.status(400).json({ error: 'expires_in_hours must be between 1 and 720' });
+  }
+
+  try {
+    // ✅ can only invite roles below your own (narrower scope, no extra permissions)
+    const assignable = await checkRoleAssignable(req.user, role_id, company_id);
+    if (
+      !assignable.ok ||
+      assignable.role.scope === SCOPE_GLOBAL ||
+      assignable.role.scope === inviterScope ||
+      !isScopeWithin(assignable.role.scope, inviterScope)
+    ) {
+      return res.status(403).json({ error: assignable.error || 'You cannot invite users with this role' });
+    }
+    if (assignable.role.scope === SCOPE_SHIP && ship_id == null) {
+      return res.status(400).json({ error: 'ship_id is required for ship-scoped roles' });
+    }
+
+    const c = await db.query(`SELECT company_id, company_name FROM company WHERE company_id = $1`, [company_id]);
+    if (!c.rows.length) return res.status(404).json({ error: 'Company not found' });
+
+    if (ship_id != null) {
+      const s = await db.query(`SELECT 1 FROM ships WHERE ship_id = $1 AND company_id = $2`, [ship_id, company_id]);
+      if (!s.rows.length) return res.status(400).json({ error: 'Ship does not belong to this company' });
+    }
+
+    const invitation_code = generateInvitationCode();
+
+    const created = await withTransaction(async (client) => {
+      const { rows } = await client.query(
+        `
+        INSERT INTO invitations
+          (code_hash, company_id, ship_id, rank, role_id, email, note,
+           created_by_user_id, expires_at, created_at)
+        VALUES ($1,$2,$3,$4,$5,$6,$7,$8, NOW() + ($9 || ' hours')::interval, NOW())
+        RETURNING invitation_id, company_id, ship_id, rank, role_id, email, note,
+                  created_by_user_id, expires_at, used_at, revoked_at, created_at
+        `,
+        [
+          hashInvitationCode(invitation_code),
+          company_id,
+          ship_id,
+          rank ?? null,
+          role_id,
+          email ?? null,
+          note ?? null,
+          req.user.user_id,
+          String(hours),
+        ]
+      );
+
+      await recordAudit(
+        req,
+        { action: 'invitation.create', entity_type: 'invitation', entity_id: rows[0].invitation_id, after: rows[0] },
+        client
+      );
+      return rows[0];
+    });
+
+    const invitation = withStatus(created);
+    const signup_url = `${SIGNUP_URL}?code=${encodeURIComponent(invitation_code)}`;
+
+    let email_sent = false;
+    if (email) {
+      try {
+        await sendTemplatedMail({
+          template: 'invitation',
+          company_id,
+          to: email,
+          vars: {
+            company_name: c.rows[0].company_name,
+            invitation_code,
+            signup_url,
+            expires_at: new Date(invitation.expires_at).toISOString(),
+          },
+        });
+        email_sent = true;
+      } catch (mailErr) {
+        console.error('Error sending invitation email:', mailErr);
+      }
+    }
+
+    // ✅ code is only returned here
+    return res.status(201).json({
+      message: 'Invitation created',
+      invitation,
+      invitation_code,
+      signup_url,
+      email_sent,
+    });
+  } catch (err) {
+    console.error('Error creating invitation:', err);
+    return res.status(500).json({ error: 'Failed to create invitation' });
+  }
+};
+
+// -------------------- GET /invitations --------------------
+export const listInvitations = async (req, res) => {
+  const { status, company_id } = req.query;
+  if (status && !STATUSES.includes(String(status))) {
+    return res.status(400).json({ error: `status must be one of: ${STATUSES.join(', ')}` });
+  }
+
+  try {
+    const params = [];
+    const where = [scopeWhere(req, params)];
+
+    if (company_id && req.user.scope === SCOPE_GLOBAL) {
+      params.push(company_id);
+      where.push(`i.company_id = $${params.length}`);
+    }
+
+    if (status === 'pending') where.push(`i.used_at IS NULL AND i.revoked_at IS NULL AND i.expires_at > NOW()`);
+    if (status === 'used') where.push(`i.used_at IS NOT NULL`);
+    if (status === 'revoked') where.push(`i.revoked_at IS NOT NULL`);
+    if (status === 'expired') where.push(`i.used_at IS NULL AND i.revoked_at IS NULL AND i.expires_at <= NOW()`);
+
+    const { rows } = await db.query(
+      `
+      SELECT i.invitation_id, i.company_id, i.ship_id, i.rank, i.role_id, i.email, i.note,
+             i.created_by_user_id, i.expires_at, i.used_at, i.used_by_user_id,
+             i.revoked_at, i.revoked_by_user_id, i.created_at,
+             s.ship_name
+      FROM invitations i
+      LEFT JOIN ships s ON s.ship_id = i.ship_id
+      WHERE ${where.join(' AND ')}
+      ORDER BY i.created_at DESC, i.invitation_id DESC
+      `,
+      params
+    );
+
+    return res.json(rows.map(withStatus));
+  } catch (err) {
+    console.error('Error listing invitations:', err);
+    return res.status(500).json({ error: 'Failed to fetch invitations' });
+  }
+};
+
+// -------------------- DELETE /invitations/:id --------------------
+export const revokeInvitation = async (req, res) => {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id)) return res.status(400).json({ error: 'invitation_id must be a number' });
+
+  try {
+    const params = [id];
+    const where = scopeWhere(req, params);
+
+    const cur = await db.query(
+      `SELECT i.invitation_id, i.company_id, i.ship_id, i.role_id, i.email,
+              i.expires_at, i.used_at, i.revoked_at
+       FROM invitations i
+       WHERE i.invitation_id = $1 AND ${where}`,
+      params
+    );
+    if (!cur.rows.length) return res.status(404).json({ error: 'Invitation not found' });
+
+    const status = invitationStatus(cur.rows[0]);
+    if (status !== 'pending') return res.status(409).json({ error: `Invitation is already ${status}` });
+
+    const rows = await withTransaction(async (client) => {
+      const r = await client.query(
+        `UPDATE invitations
+         SET revoked_at = NOW(), revoked_by_user_id = $2
+         WHERE invitation_id = $1 AND used_at IS NULL AND revoked_at IS NULL
+         RETURNING invitation_id, revoked_at`,
+        [id, req.user.user_id]
+      );
+      if (r.rows.length) {
+        await recordAudit(
+          req,
+          {
+            action: 'invitation.revoke',
+            entity_type: 'invitation',
+            entity_id: id,
+            before: cur.rows[0],
+            after: { ...cur.rows[0], ...r.rows[0] },
+          },
+          client
+        );
+      }
+      return r.rows;
+    });
+    if (!rows.length) return res.status(409).json({ error: 'Invitation is no longer pending' });
+
+    return res.json({ message: 'Invitation revoked', ...rows[0] });
+  } catch (err) {
+    console.error('Error revoking invitation:', err);
+    return res.status(500).json({ error: 'Failed to revoke invitation' });
+  }
+};
@@ -0,0 +1,379 @@
+// src/controller/mfaController.js
+import { db, withTransaction } from '../db.js';
+import {
+  generateTotpSecret,
+  buildOtpauthUrl,
+  verifyTotp,
+  encryptMfaSecret,
+  decryptMfaSecret,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+} from '../utils/mfa.js';
+import { verifyLoginStepToken, issueLoginTokens } from '../utils/authTokens.js';
+import { logAuthEvent, getClientIp } from '../utils/authEvents.js';
+import { checkAccountLock, recordAttempt, registerFailedLogin } from '../utils/loginThrottle.js';
+import { getCompanyLoginSecurity } from '../utils/companySettings.js';
+import { userBlockedBySuspension, COMPANY_SUSPENDED_ERROR } from '../utils/companyStatus.js';
+import { bumpTokenVersion } from '../utils/tokenVersion.js';
+import { recordUserAction } from '../utils/audit.js';
+import { SCOPE_GLOBAL, SCOPE_COMPANY, SCOPE_SHIP, SCOPE_SELF, getRole } from '../utils/permissions.js';
+
+// -------------------- helpers --------------------
+// 2FA is offered to admin roles only (any scope wider than self)
+const canUseMfa = async (roleId) => {
+  const role = await getRole(roleId);
+  return !!role && role.scope !== SCOPE_SELF;
+};
+
+// Records the TOTP step as used. Conditional so two requests racing with the same code
+// cannot both pass: false when that step (or a later one) was already taken.
+const claimTotpStep = async (client, userId, step) => {
+  const { rowCount } = await client.query(
+    `
+    UPDATE users SET mfa_last_used_step = $1
+    WHERE user_id = $2 AND (mfa_last_used_step IS NULL OR mfa_last_used_step < $1)
+    `,
+    [step, Number(userId)]
+  );
+  return rowCount > 0;
+};
+
+const loadMfaUser = async (userId) => {
+  const { rows } = await db.query(
+    `
+    SELECT user_id, full_name, username, role_id, company_id, ship_id, token_version,
+           mfa_enabled, mfa_secret_enc, mfa_pending_secret_enc, mfa_last_used_step
+    FROM users
+    WHERE user_id = $1
+    LIMIT 1
+    `,
+    [Number(userId)]
+  );
+  return rows[0] || null;
+};
+
+// Caller is either logged in (req.user) or mid-login with an enrollment token
+// (company enforces 2FA and the user has no full session yet).
+const resolveMfaCaller = (req) => {
+  if (req.body?.mfa_token) {
+    const payload = verifyLoginStepToken(req.body.mfa_token, 'mfa_enroll');
+    return payload ? { user_id: payload.user_id, tv: payload.tv, enrolling: true } : null;
+  }
+  return req.user ? { user_id: req.user.user_id, tv: req.user.tv, enrolling: false } : null;
+};
+
+const replaceRecoveryCodes = async (client, userId) => {
+  const codes = generateRecoveryCodes();
+  await client.query(`DELETE FROM mfa_recovery_codes WHERE user_id = $1`, [userId]);
+  for (const code of codes) {
+    await client.query(
+      `INSERT INTO mfa_recovery_codes (user_id, code_hash, created_at) VALUES ($1, $2, NOW())`,
+      [userId, hashRecoveryCode(code)]
+    );
+  }
+  return codes;
+};
+
+// -------------------- 2FA: SETUP (start enrollment) --------------------
+export const setupMfa = async (req, res) => {
+  const caller = resolveMfaCaller(req);
+  if (!caller) return res.status(401).json({ error: 'Invalid or expired token' });
+
+  try {
+    const user = await loadMfaUser(caller.user_id);
+    if (!user) return res.status(401).json({ error: 'User not found' });
+    if (Number(caller.tv || 0) !== Number(user.token_version || 0)) {
+      return res.status(401).json({ error: 'Token has been revoked' });
+    }
+    if (!(await canUseMfa(user.role_id))) return res.status(403).json({ error: '2FA is available for admin roles only' });
+    if (user.mfa_enabled) return res.status(409).json({ error: '2FA already enabled' });
+
+    const secret = generateTotpSecret();
+
+    await db.query(
+      `UPDATE users SET mfa_pending_secret_enc = $1, updated_at = NOW() WHERE user_id = $2`,
+      [encryptMfaSecret(secret), user.user_id]
+    );
+
+    return res.json({
+      message: 'Scan the QR / enter the secret in your authenticator app, then confirm via /auth/2fa/verify',
+      secret,
+      otpauth_url: buildOtpauthUrl(secret, user.username),
+    });
+  } catch (err) {
+    console.error('Error setupMfa:', err);
+    return res.status(500).json({ error: '2FA setup failed' });
+  }
+};
+
+// -------------------- 2FA: VERIFY (confirm enrollment) --------------------
+export const verifyMfaSetup = async (req, res) => {
+  const caller = resolveMfaCaller(req);
+  if (!caller) return res.status(401).json({ error: 'Invalid or expired token' });
+
+  const { code } = req.body;
+  if (!code) return res.status(400).json({ error: 'code is required' });
+
+  const client = await db.connect();
+  try {
+    const user = await loadMfaUser(caller.user_id);
+    if (!user) return res.status(401).json({ error: 'User not found' });
+    if (Number(caller.tv || 0) !== Number(user.token_version || 0)) {
+      return res.status(401).json({ error: 'Token has been revoked' });
+    }
+    if (user.mfa_enabled) return res.status(409).json({ error: '2FA already enabled' });
+    if (!user.mfa_pending_secret_enc) return res.status(400).json({ error: 'Run /auth/2fa/setup first' });
+
+    const secret = decryptMfaSecret(user.mfa_pending_secret_enc);
+    const step = verifyTotp(secret, code);
+    if (step === null) return res.status(400).json({ error: 'Invalid code' });
+
+    await client.query('BEGIN');
+
+    await client.query(
+      `
+      UPDATE users
+      SET mfa_enabled = true,
+          mfa_secret_enc = mfa_pending_secret_enc,
+          mfa_pending_secret_enc = NULL,
+          mfa_last_used_step = $1,
+          mfa_enabled_at = NOW(),
+          updated_at = NOW()
+      WHERE user_id = $2
+      `,
+      [step, user.user_id]
+    );
+
+    const recovery_codes = await replaceRecoveryCodes(client, user.user_id);
+
+    await client.query('COMMIT');
+
+    await logAuthEvent({ event_type: 'mfa_enabled', user_id: user.user_id, req });
+
+    const body = {
+      message: '2FA enabled. Store the recovery codes safely; they are shown only once.',
+      recovery_codes,
+    };
+
+    // enrolled during login -> finish the login now
+    if (caller.enrolling) {
+      if (await userBlockedBySuspension(user)) return res.status(403).json({ ...COMPANY_SUSPENDED_ERROR, ...body });
+      return res.json({ ...(await issueLoginTokens(req, user)), ...body });
+    }
+
+    return res.json(body);
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error verifyMfaSetup:', err);
+    return res.status(500).json({ error: '2FA verification failed' });
+  } finally {
+    client.release();
+  }
+};
+
+// -------------------- 2FA: LOGIN (second step) --------------------
+export const loginWithMfa = async (req, res) => {
+  const { mfa_token, code, recovery_code } = req.body;
+  if (!mfa_token || (!code && !recovery_code)) {
+    return res.status(400).json({ error: 'mfa_token and code (or recovery_code) are required' });
+  }
+
+  const payload = verifyLoginStepToken(mfa_token, 'mfa');
+  if (!payload) return res.status(401).json({ error: 'Invalid or expired mfa_token' });
+
+  const ip = getClientIp(req);
+
+  try {
+    const user = await loadMfaUser(payload.user_id);
+    if (!user || !user.mfa_enabled) return res.status(401).json({ error: 'Invalid or expired mfa_token' });
+    if (Number(payload.tv || 0) !== Number(user.token_version || 0)) {
+      return res.status(401).json({ error: 'Invalid or expired mfa_token' });
+    }
+
+    if (!(await checkAccountLock(res, user.username))) return;
+
+    let ok = false;
+    let usedRecovery = false;
+
+    if (code) {
+      const step = verifyTotp(decryptMfaSecret(user.mfa_secret_enc), code, user.mfa_last_used_step);
+      ok = step !== null && (await claimTotpStep(db, user.user_id, step));
+    } else {
+      const { rowCount } = await db.query(
+        `
+        UPDATE mfa_recovery_codes
+        SET used_at = NOW()
+        WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+        `,
+        [user.user_id, hashRecoveryCode(recovery_code)]
+      );
+      ok = rowCount > 0;
+      usedRecovery = ok;
+    }
+
+    if (!ok) {
+      const lock = await registerFailedLogin({
+        kind: 'mfa',
+        username: user.username,
+        user_id: user.user_id,
+        company_id: user.company_id,
+        ip,
+      });
+      if (lock) {
+        await logAuthEvent({
+          event_type: 'account_locked',
+          user_id: user.user_id,
+          req,
+          details: { lockout_id: lock.lockout_id, lockout_minutes: lock.lockout_minutes, reason: 'failed_2fa_codes' },
+        });
+      }
+      return res.status(401).json({ error: 'Invalid code' });
+    }
+
+    await recordAttempt({ kind: 'mfa', username: user.username, user_id: user.user_id, ip, success: true });
+
+    // company suspended between the two login steps
+    if (await userBlockedBySuspension(user)) return res.status(403).json(COMPANY_SUSPENDED_ERROR);
+
+    if (usedRecovery) {
+      await logAuthEvent({ event_type: 'mfa_recovery_code_used', user_id: user.user_id, req });
+    }
+
+    return res.json(await issueLoginTokens(req, user));
+  } catch (err) {
+    console.error('Error loginWithMfa:', err);
+    return res.status(500).json({ error: 'Login failed' });
+  }
+};
+
+// -------------------- 2FA: REGENERATE RECOVERY CODES --------------------
+export const regenerateRecoveryCodes = async (req, res) => {
+  const { code } = req.body;
+  if (!code) return res.status(400).json({ error: 'code is required' });
+
+  const client = await db.connect();
+  try {
+    const user = await loadMfaUser(req.user.user_id);
+    if (!user?.mfa_enabled) return res.status(400).json({ error: '2FA is not enabled' });
+
+    const step = verifyTotp(decryptMfaSecret(user.mfa_secret_enc), code, user.mfa_last_used_step);
+    if (step === null) return res.status(400).json({ error: 'Invalid code' });
+
+    await client.query('BEGIN');
+    if (!(await claimTotpStep(client, user.user_id, step))) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'Invalid code' });
+    }
+    const recovery_codes = await replaceRecoveryCodes(client, user.user_id);
+    await client.query('COMMIT');
+
+    return res.json({ message: 'New recovery codes generated; old ones no longer work.', recovery_codes });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error regenerateRecoveryCodes:', err);
+    return res.status(500).json({ error: 'Failed to regenerate recovery codes' });
+  } finally {
+    client.release();
+  }
+};
+
+// -------------------- 2FA: DISABLE (self) --------------------
+export const disableMfa = async (req, res) => {
+  const { code } = req.body;
+  if (!code) return res.status(400).json({ error: 'code is required' });
+
+  try {
+    const user = await loadMfaUser(req.user.user_id);
+    if (!user?.mfa_enabled) return res.status(400).json({ error: '2FA is not enabled' });
+
+    if ((await getCompanyLoginSecurity(user.company_id)).require_2fa === true) {
+      return res.status(403).json({ error: 'Your company requires 2FA; it cannot be disabled' });
+    }
+
+    const step = verifyTotp(decryptMfaSecret(user.mfa_secret_enc), code, user.mfa_last_used_step);
+    if (step === null) return res.status(400).json({ error: 'Invalid code' });
+
+    // claim first: a code already used (login, regenerate) cannot switch 2FA off
+    const disabled = await withTransaction(async (client) => {
+      if (!(await claimTotpStep(client, user.user_id, step))) return false;
+
+      await client.query(
+        `
+        UPDATE users
+        SET mfa_enabled = false, mfa_secret_enc = NULL, mfa_pending_secret_enc = NULL,
+            mfa_last_used_step = NULL, mfa_enabled_at = NULL, updated_at = NOW()
+        WHERE user_id = $1
+        `,
+        [user.user_id]
+      );
+      await client.query(`DELETE FROM mfa_recovery_codes WHERE user_id = $1`, [user.user_id]);
+      await bumpTokenVersion(user.user_id, client);
+
+      await recordUserAction(req, { action: 'user.mfa_disable', user_id: user.user_id }, client);
+      return true;
+    });
+    if (!disabled) return res.status(400).json({ error: 'Invalid code' });
+
+    await logAuthEvent({ event_type: 'mfa_disabled', user_id: user.user_id, req });
+
+    return res.json({ message: '2FA disabled. Sign in again on your devices.' });
+  } catch (err) {
+    console.error('Error disableMfa:', err);
+    return res.status(500).json({ error: 'Failed to disable 2FA' });
+  }
+};
+
+// -------------------- ADMIN: RESET USER 2FA (lost device) --------------------
+// Requires user.mfa_reset. Global scope: anyone; company / ship scope: users in that scope.
+export const adminResetMfa = async (req, res) => {
+  const scope = req.user?.scope;
+  const targetUserId = Number(req.params.user_id);
+  if (!targetUserId) return res.status(400).json({ error: 'user_id must be a number' });
+
+  try {
+    const target = await loadMfaUser(targetUserId);
+    if (!target) return res.status(404).json({ error: 'User not found' });
+
+    if (scope !== SCOPE_GLOBAL && scope !== SCOPE_COMPANY && scope !== SCOPE_SHIP) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+    if (scope !== SCOPE_GLOBAL && String(target.company_id) !== String(req.user.company_id)) {
+      return res.status(403).json({ error: 'Forbidden (scope)' });
+    }
+    if (scope === SCOPE_SHIP && Number(target.ship_id) !== Number(req.user.ship_id)) {
+      return res.status(403).json({ error: 'Forbidden (scope)' });
+    }
+
+    await withTransaction(async (client) => {
+      await client.query(
+        `
+        UPDATE users
+        SET mfa_enabled = false, mfa_secret_enc = NULL, mfa_pending_secret_enc = NULL,
+            mfa_last_used_step = NULL, mfa_enabled_at = NULL, updated_at = NOW()
+        WHERE user_id = $1
+        `,
+        [targetUserId]
+      );
+      await client.query(`DELETE FROM mfa_recovery_codes WHERE user_id = $1`, [targetUserId]);
+      await bumpTokenVersion(targetUserId, client);
+
+      await recordUserAction(
+        req,
+        { action: 'user.mfa_reset', user_id: targetUserId, details: { mfa_was_enabled: Boolean(target.mfa_enabled) } },
+        client
+      );
+    });
+
+    await logAuthEvent({
+      event_type: 'mfa_reset_by_admin',
+      user_id: targetUserId,
+      req,
+      details: { by_user_id: req.user.user_id },
+    });
+
+    return res.json({ message: '2FA reset. The user must enroll again on next login if required.' });
+  } catch (err) {
+    console.error('Error adminResetMfa:', err);
+    return res.status(500).json({ error: 'Failed to reset 2FA' });
+  }
+};
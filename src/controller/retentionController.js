@@ -0,0 +1,105 @@
+// src/controller/retentionController.js
+import { db, withTransaction } from "../db.js";
+import { recordAudit } from "../utils/audit.js";
+import { parseJson } from "../utils/companySettings.js";
+import { RETENTION_DEFAULTS, getRetentionPolicy, parseRetentionPatch, purgeCompanyData } from "../utils/retention.js";
+import { SCOPE_GLOBAL } from "../utils/permissions.js";
+
+const ensureCompany = async (req, res) => {
+  const id = String(req.params.id);
+  if (req.user.scope !== SCOPE_GLOBAL && id !== String(req.user.company_id)) {
+    res.status(403).json({ error: "Forbidden: company scope" });
+    return null;
+  }
+  const { rows } = await db.query("SELECT company_id FROM company WHERE company_id = $1", [id]);
+  if (!rows.length) {
+    res.status(404).json({ error: "Company not found" });
+    return null;
+  }
+  return id;
+};
+
+// -------------------- GET /companies/:id/retention (company.retention) --------------------
+export const getRetention = async (req, res) => {
+  try {
+    const id = await ensureCompany(req, res);
+    if (!id) return;
+
+    return res.json({ company_id: id, retention: await getRetentionPolicy(id) });
+  } catch (err) {
+    console.error("Error getRetention:", err);
+    return res.status(500).json({ error: "Failed to fetch retention settings" });
+  }
+};
+
+// -------------------- PUT /companies/:id/retention (company.retention) --------------------
+export const updateRetention = async (req, res) => {
+  const { patch, error } = parseRetentionPatch(req.body || {});
+  if (error) return res.status(400).json({ error });
+
+  try {
+    const id = await ensureCompany(req, res);
+    if (!id) return;
+
+    const retention = await withTransaction(async (client) => {
+      const cur = await client.query("SELECT metadata_json FROM company WHERE company_id = $1 FOR UPDATE", [id]);
+      const metadata = parseJson(cur.rows[0]?.metadata_json);
+      const before = metadata.retention ?? null;
+      metadata.retention = { ...(metadata.retention || {}), ...patch };
+
+      await client.query("UPDATE company SET metadata_json = $1, updated_at = NOW() WHERE company_id = $2", [
+        JSON.stringify(metadata),
+        id,
+      ]);
+
+      await recordAudit(
+        req,
+        {
+          action: "company.retention_update",
+          entity_type: "company",
+          entity_id: id,
+          company_id: id,
+          ship_id: null,
+          before,
+          after: metadata.retention,
+        },
+        client
+      );
+      return metadata.retention;
+    });
+
+    return res.json({ message: "Retention settings updated", retention: { ...RETENTION_DEFAULTS, ...retention } });
+  } catch (err) {
+    console.error("Error updateRetention:", err);
+    return res.status(500).json({ error: "Failed to update retention settings" });
+  }
+};
+
+// -------------------- GET /companies/:id/retention/report (company.retention) --------------------
+// Dry run: what the next purge would remove, per data class.
+export const getRetentionReport = async (req, res) => {
+  try {
+    const id = await ensureCompany(req, res);
+    if (!id) return;
+
+    return res.json(await purgeCompanyData(id, { dryRun: true, req }));
+  } catch (err) {
+    console.error("Error getRetentionReport:", err);
+    return res.status(500).json({ error: "Failed to build retention report" });
+  }
+};
+
+// -------------------- POST /companies/:id/retention/purge (company.retention) --------------------
+// Runs the company's purge now instead of waiting for the job.
+export const runRetentionPurge = async (req, res) => {
+  try {
+    const id = await ensureCompany(req, res);
+    if (!id) return;
+
+    const report = await withTransaction((client) => purgeCompanyData(id, { req, trigger: "manual" }, client));
+    return res.json({ message: "Retention purge finished", ...report });
+  } catch (err) {
+    console.error("Error runRetentionPurge:", err);
+    return res.status(500).json({ error: "Failed to run retention purge" });
+  }
+};
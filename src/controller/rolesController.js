@@ -0,0 +1,313 @@
+// src/controller/rolesController.js
+import { db, withTransaction } from '../db.js';
+import {
+  SCOPES,
+  SCOPE_GLOBAL,
+  hasPermission,
+  isScopeWithin,
+  invalidateRoleCache,
+} from '../utils/permissions.js';
+import { recordAudit } from '../utils/audit.js';
+import { isUuid } from '../utils/validation.js';
+
+const ROLE_COLUMNS = `
+  r.role_id, r.name, r.description, r.scope, r.company_id, r.is_system,
+  r.created_by_user_id, r.created_at, r.updated_at,
+  COALESCE(array_agg(rp.permission_key ORDER BY rp.permission_key)
+           FILTER (WHERE rp.permission_key IS NOT NULL), '{}') AS permissions`;
+
+// system roles are visible to everyone; custom roles only inside their company (global: all)
+const scopeWhere = (req, params) => {
+  if (req.user.scope === SCOPE_GLOBAL) return 'TRUE';
+  params.push(req.user.company_id);
+  return `(r.company_id IS NULL OR r.company_id = $${params.length})`;
+};
+
+const loadRoleInScope = async (req, id) => {
+  const params = [id];
+  const where = scopeWhere(req, params);
+  const { rows } = await db.query(
+    `SELECT ${ROLE_COLUMNS}
+     FROM roles r
+     LEFT JOIN role_permissions rp ON rp.role_id = r.role_id
+     WHERE r.role_id = $1 AND ${where}
+     GROUP BY r.role_id`,
+    params
+  );
+  return rows[0] || null;
+};
+
+/**
+ * Validates body.permissions against the catalog and the caller's own permissions.
+ * Returns { keys } or { status, error }.
+ */
+const parsePermissions = async (req, raw, { allowGlobalOnly }) => {
+  if (!Array.isArray(raw)) return { status: 400, error: 'permissions must be an array of permission keys' };
+  const keys = [...new Set(raw.map((k) => String(k).trim()).filter(Boolean))];
+
+  const { rows } = await db.query(
+    `SELECT permission_key, global_only FROM permissions WHERE permission_key = ANY($1::text[])`,
+    [keys]
+  );
+  const known = new Map(rows.map((r) => [r.permission_key, r]));
+
+  const unknown = keys.filter((k) => !known.has(k));
+  if (unknown.length) return { status: 400, error: `Unknown permissions: ${unknown.join(', ')}` };
+
+  if (!allowGlobalOnly) {
+    const globalOnly = keys.filter((k) => known.get(k).global_only);
+    if (globalOnly.length) {
+      return { status: 400, error: `Not available to company roles: ${globalOnly.join(', ')}` };
+    }
+  }
+
+  // ✅ cannot hand out permissions you do not have yourself
+  const missing = keys.filter((k) => !hasPermission(req.user, k));
+  if (missing.length) {
+    return { status: 403, error: `Cannot grant permissions you do not have: ${missing.join(', ')}` };
+  }
+
+  return { keys };
+};
+
+const replacePermissions = async (client, roleId, keys) => {
+  await client.query(`DELETE FROM role_permissions WHERE role_id = $1`, [roleId]);
+  if (keys.length) {
+    await client.query(
+      `INSERT INTO role_permissions (role_id, permission_key)
+       SELECT $1, unnest($2::text[])`,
+      [roleId, keys]
+    );
+  }
+};
+
+// -------------------- GET /roles/permissions --------------------
+export const listPermissions = async (req, res) => {
+  try {
+    const { rows } = await db.query(
+      `SELECT permission_key, description, global_only FROM permissions ORDER BY permission_key`
+    );
+    return res.json(rows);
+  } catch (err) {
+    console.error('Error listing permissions:', err);
+    return res.status(500).json({ error: 'Failed to fetch permissions' });
+  }
+};
+
+// -------------------- GET /roles --------------------
+export const listRoles = async (req, res) => {
+  const { company_id } = req.query;
+
+  try {
+    const params = [];
+    const where = [scopeWhere(req, params)];
+
+    if (company_id && req.user.scope === SCOPE_GLOBAL) {
+      params.push(company_id);
+      where.push(`(r.company_id IS NULL OR r.company_id = $${params.length})`);
+    }
+
+    const { rows } = await db.query(
+      `SELECT ${ROLE_COLUMNS}
+       FROM roles r
+       LEFT JOIN role_permissions rp ON rp.role_id = r.role_id
+       WHERE ${where.join(' AND ')}
+       GROUP BY r.role_id
+       ORDER BY r.is_system DESC, r.role_id`,
+      params
+    );
+    return res.json(rows);
+  } catch (err) {
+    console.error('Error listing roles:', err);
+    return res.status(500).json({ error: 'Failed to fetch roles' });
+  }
+};
+
+// -------------------- POST /roles --------------------
+// Custom roles always belong to one company and are never global.
+export const createRole = async (req, res) => {
+  const body = req.body || {};
+  const name = String(body.name || '').trim();
+  const scope = String(body.scope || '').trim();
+
+  if (!name) return res.status(400).json({ error: 'name is required' });
+  if (!SCOPES.includes(scope) || scope === SCOPE_GLOBAL) {
+    return res.status(400).json({ error: 'scope must be one of: company, ship, self' });
+  }
+  if (!isScopeWithin(scope, req.user.scope)) {
+    return res.status(403).json({ error: 'Cannot create a role wider than your own' });
+  }
+
+  let company_id = body.company_id ?? null;
+  if (req.user.scope === SCOPE_GLOBAL) {
+    if (!company_id || !isUuid(company_id)) return res.status(400).json({ error: 'company_id (uuid) is required' });
+  } else {
+    if (company_id && String(company_id) !== String(req.user.company_id)) {
+      return res.status(403).json({ error: 'Forbidden: company scope' });
+    }
+    company_id = req.user.company_id;
+  }
+
+  const client = await db.connect();
+  try {
+    const perms = await parsePermissions(req, body.permissions ?? [], { allowGlobalOnly: false });
+    if (perms.error) return res.status(perms.status).json({ error: perms.error });
+
+    const c = await client.query(`SELECT 1 FROM company WHERE company_id = $1`, [company_id]);
+    if (!c.rows.length) return res.status(404).json({ error: 'Company not found' });
+
+    await client.query('BEGIN');
+
+    const { rows } = await client.query(
+      `INSERT INTO roles (name, description, scope, company_id, is_system, created_by_user_id, created_at, updated_at)
+       VALUES ($1, $2, $3, $4, false, $5, NOW(), NOW())
+       RETURNING *`,
+      [name, body.description ?? null, scope, company_id, req.user.user_id]
+    );
+    await replacePermissions(client, rows[0].role_id, perms.keys);
+
+    await recordAudit(
+      req,
+      {
+        action: 'role.create',
+        entity_type: 'role',
+        entity_id: rows[0].role_id,
+        ship_id: null,
+        after: { ...rows[0], permissions: perms.keys },
+      },
+      client
+    );
+
+    await client.query('COMMIT');
+
+    const role = await loadRoleInScope(req, rows[0].role_id);
+    return res.status(201).json(role);
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('Error creating role:', err);
+    if (err.code === '23505') return res.status(409).json({ error: 'A role with this name already exists' });
+    return res.status(500).json({ error: 'Failed to create role' });
+  } finally {
+    client.release();
+  }
+};
+
+// -------------------- PUT /roles/:id --------------------
+// name / description / scope / permissions; system roles can only be edited by global scope
+// and keep their scope (the code assigns them by id).
+export const updateRole = async (req, res) => {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id)) return res.status(400).json({ error: 'role_id must be a number' });
+
+  const body = req.body || {};
+
+  const client = await db.connect();
+  try {
+    const cur = await loadRoleInScope(req, id);
+    if (!cur) return res.status(404).json({ error: 'Role not found' });
+
+    if (cur.is_system && req.user.scope !== SCOPE_GLOBAL) {
+      return res.status(403).json({ error: 'System roles can only be changed by platform operators' });
+    }
+    if (Number(cur.role_id) === Number(req.user.role_id) && req.user.scope !== SCOPE_GLOBAL) {
+      return res.status(403).json({ error: 'You cannot change your own role' });
+    }
+
+    const name = body.name !== undefined ? String(body.name).trim() : null;
+    if (name === '') return res.status(400).json({ error: 'name cannot be empty' });
+
+    let scope = null;
+    if (body.scope !== undefined) {
+      scope = String(body.scope).trim();
+      if (cur.is_system && scope !== cur.scope) {
+        return res.status(400).json({ error: 'The scope of a system role cannot be changed' });
+      }
+      if (!SCOPES.includes(scope) || (!cur.is_system && scope === SCOPE_GLOBAL)) {
+        return res.status(400).json({ error: 'scope must be one of: company, ship, self' });
+      }
+      if (!isScopeWithin(scope, req.user.scope)) {
+        return res.status(403).json({ error: 'Cannot widen a role beyond your own scope' });
+      }
+    }
+
+    let perms = null;
+    if (body.permissions !== undefined) {
+      perms = await parsePermissions(req, body.permissions, { allowGlobalOnly: cur.is_system });
+      if (perms.error) return res.status(perms.status).json({ error: perms.error });
+    }
+
+    await client.query('BEGIN');
+
+    const { rows } = await client.query(
+      `UPDATE roles SET
+         name        = COALESCE($1, name),
+         description = COALESCE($2, description),
+         scope       = COALESCE($3, scope),
+         updated_at  = NOW()
+       WHERE role_id = $4
+       RETURNING role_id, name, description, scope, company_id, is_system, created_by_user_id, created_at, updated_at`,
+      [name, body.description ?? null, scope, id]
+    );
+    if (perms) await replacePermissions(client, id, perms.keys);
+
+    await recordAudit(
+      req,
+      {
+        action: 'role.update',
+        entity_type: 'role',
+        entity_id: id,
+        ship_id: null,
+        before: cur,
+        after: { ...rows[0], permissions: perms ? perms.keys : cur.permissions },
+      },
+      client
+    );
+
+    await client.query('COMMIT');
+    invalidateRoleCache(id);
+
+    return res.json(await loadRoleInScope(req, id));
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('Error updating role:', err);
+    if (err.code === '23505') return res.status(409).json({ error: 'A role with this name already exists' });
+    return res.status(500).json({ error: 'Failed to update role' });
+  } finally {
+    client.release();
+  }
+};
+
+// -------------------- DELETE /roles/:id --------------------
+export const deleteRole = async (req, res) => {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id)) return res.status(400).json({ error: 'role_id must be a number' });
+
+  try {
+    const cur = await loadRoleInScope(req, id);
+    if (!cur) return res.status(404).json({ error: 'Role not found' });
+    if (cur.is_system) return res.status(403).json({ error: 'System roles cannot be deleted' });
+
+    const inUse = await db.query(
+      `SELECT
+         (SELECT COUNT(*)::int FROM users WHERE role_id = $1) AS users,
+         (SELECT COUNT(*)::int FROM invitations WHERE role_id = $1 AND used_at IS NULL AND revoked_at IS NULL) AS invitations`,
+      [id]
+    );
+    const { users, invitations } = inUse.rows[0];
+    if (users || invitations) {
+      return res.status(409).json({ error: 'Role is still in use', users, invitations });
+    }
+
+    await withTransaction(async (client) => {
+      await client.query(`DELETE FROM roles WHERE role_id = $1`, [id]);
+      await recordAudit(req, { action: 'role.delete', entity_type: 'role', entity_id: id, ship_id: null, before: cur }, client);
+    });
+    invalidateRoleCache(id);
+
+    return res.json({ message: 'Role deleted', role_id: id });
+  } catch (err) {
+    console.error('Error deleting role:', err);
+    if (err.code === '23503') return res.status(409).json({ error: 'Role is still referenced' });
+    return res.status(500).json({ error: 'Failed to delete role' });
+  }
+};
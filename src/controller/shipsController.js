@@ -1,20 +1,27 @@
 // src/controller/shipsController.js
-import { db } from '../db.js';
-
-const ROLE_SUPERADMIN = 1;
-const ROLE_ADMIN = 2;
-const ROLE_SUBADMIN = 3;
-const ROLE_CREW = 4;
-
-const canWriteShips = (roleId) => roleId === ROLE_SUPERADMIN || roleId === ROLE_ADMIN;
+import { db, withTransaction } from '../db.js';
+import { SCOPE_GLOBAL, SCOPE_COMPANY, SCOPE_SHIP } from '../utils/permissions.js';
+import { recordAudit } from '../utils/audit.js';
+import { isValidTimeZone } from '../utils/unityTime.js';
+
+// vessel-local clock of the simulator (reads Unity timestamps without an offset)
+const TIMEZONE_ERROR = 'timezone must be an IANA timezone (e.g. Asia/Singapore) or an offset like +08:00';
+
+// ship.manage holders: global -> any ship, company -> own company, ship -> own ship only
+const canWriteShip = (user, ship) => {
+  if (user.scope === SCOPE_GLOBAL) return true;
+  if (user.scope === SCOPE_COMPANY) return String(ship.company_id) === String(user.company_id);
+  if (user.scope === SCOPE_SHIP) return Number(ship.ship_id) === Number(user.ship_id);
+  return false;
+};
 
 export const getAllShips = async (req, res) => {
   try {
-    const { role_id, company_id, ship_id } = req.user;
+    const { scope, company_id, ship_id } = req.user;
     const { company_id: queryCompanyId } = req.query;
 
-    // ✅ Role 1 (SuperAdmin)
-    if (role_id === ROLE_SUPERADMIN) {
+    // ✅ global scope (SuperAdmin)
+    if (scope === SCOPE_GLOBAL) {
       // Optional filter by company_id
       if (queryCompanyId) {
         const { rows } = await db.query(
@@ -28,8 +35,8 @@ export const getAllShips = async (req, res) => {
       return res.json(rows);
     }
 
-    // ✅ Role 2 (Admin) → only their company
-    if (role_id === ROLE_ADMIN) {
+    // ✅ company scope (Admin) → only their company
+    if (scope === SCOPE_COMPANY) {
       const { rows } = await db.query(
         'SELECT * FROM ships WHERE company_id = $1 ORDER BY ship_id',
         [company_id]
@@ -37,7 +44,7 @@ export const getAllShips = async (req, res) => {
       return res.json(rows);
     }
 
-    // ✅ Role 3 / 4 → only their ship
+    // ✅ ship / self scope → only their ship
     if (!ship_id) return res.json([]);
     const { rows } = await db.query(
       'SELECT * FROM ships WHERE ship_id = $1',
@@ -52,15 +59,15 @@ export const getAllShips = async (req, res) => {
 };
 
 // ROLE BASES ACCESS
-// Rules applied
+// Rules applied (by role scope)
 
-// Role 1: all ships
+// global: all ships
 
-// Role 2: only ships in their company
+// company: only ships in their company
 
-// Role 3/4: only their ship
+// ship/self: only their ship
 
-// Create/Update/Delete: Role 1 + Role 2 only (Role 2 restricted to their company)
+// Create/Update: ship.manage (create needs global/company scope), Delete: ship.delete
 
 //GET SHIP
 export const getShipById = async (req, res) => {
@@ -68,7 +75,7 @@ export const getShipById = async (req, res) => {
     const shipId = parseInt(req.params.id, 10);
     if (Number.isNaN(shipId)) return res.status(400).json({ error: 'ship_id must be a number' });
 
-    const { role_id, company_id, ship_id } = req.user;
+    const { scope, company_id, ship_id } = req.user;
 
     // fetch ship first
     const shipRes = await db.query('SELECT * FROM ships WHERE ship_id = $1', [shipId]);
@@ -77,9 +84,9 @@ export const getShipById = async (req, res) => {
     const ship = shipRes.rows[0];
 
     // authorize
-    if (role_id === ROLE_SUPERADMIN) return res.json(ship);
-    if (role_id === ROLE_ADMIN && String(ship.company_id) === String(company_id)) return res.json(ship);
-    if ((role_id === ROLE_SUBADMIN || role_id === ROLE_CREW) && shipId === ship_id) return res.json(ship);
+    if (scope === SCOPE_GLOBAL) return res.json(ship);
+    if (scope === SCOPE_COMPANY && String(ship.company_id) === String(company_id)) return res.json(ship);
+    if (scope !== SCOPE_COMPANY && shipId === Number(ship_id)) return res.json(ship);
 
     return res.status(403).json({ error: 'Forbidden' });
   } catch (err) {
@@ -90,8 +97,8 @@ export const getShipById = async (req, res) => {
 
 //POST SHIP
 export const createShip = async (req, res) => {
-  const { role_id, company_id } = req.user;
-  if (!canWriteShips(role_id)) return res.status(403).json({ error: 'Forbidden' });
+  const { scope, company_id } = req.user;
+  if (scope !== SCOPE_GLOBAL && scope !== SCOPE_COMPANY) return res.status(403).json({ error: 'Forbidden' });
 
   const {
     ship_name,
@@ -103,41 +110,49 @@ export const createShip = async (req, res) => {
     ship_type,
     capacity,
     powered_by,
+    timezone,
     company_id: bodyCompanyId,
   } = req.body;
 
   if (!bodyCompanyId || !ship_name) {
     return res.status(400).json({ error: 'company_id and ship_name are required' });
   }
+  if (timezone && !isValidTimeZone(timezone)) return res.status(400).json({ error: TIMEZONE_ERROR });
 
-  // role2 can only create inside their company
-  if (role_id === ROLE_ADMIN && String(bodyCompanyId) !== String(company_id)) {
+  // company scope can only create inside their company
+  if (scope === SCOPE_COMPANY && String(bodyCompanyId) !== String(company_id)) {
     return res.status(403).json({ error: 'Forbidden (company scope)' });
   }
 
   try {
-    const { rows } = await db.query(
-      `INSERT INTO ships
-       (ship_name, imo_number, flag, class, owner, validity,
-        ship_type, capacity, powered_by, company_id,
-        created_at, updated_at)
-       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10, NOW(), NOW())
-       RETURNING *`,
-      [
-        ship_name,
-        imo_number || null,
-        flag || null,
-        ship_class || null,
-        owner || null,
-        validity || null,
-        ship_type || null,
-        capacity || null,
-        powered_by || null,
-        bodyCompanyId,
-      ]
-    );
+    const ship = await withTransaction(async (client) => {
+      const { rows } = await client.query(
+        `INSERT INTO ships
+         (ship_name, imo_number, flag, class, owner, validity,
+          ship_type, capacity, powered_by, company_id, timezone,
+          created_at, updated_at)
+         VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11, NOW(), NOW())
+         RETURNING *`,
+        [
+          ship_name,
+          imo_number || null,
+          flag || null,
+          ship_class || null,
+          owner || null,
+          validity || null,
+          ship_type || null,
+          capacity || null,
+          powered_by || null,
+          bodyCompanyId,
+          timezone || null,
+        ]
+      );
+
+      await recordAudit(req, { action: 'ship.create', entity_type: 'ship', entity_id: rows[0].ship_id, after: rows[0] }, client);
+      return rows[0];
+    });
 
-    res.status(201).json(rows[0]);
+    res.status(201).json(ship);
   } catch (err) {
     console.error('Error creating ship:', err);
     res.status(500).json({ error: 'Failed to create ship' });
@@ -147,18 +162,17 @@ export const createShip = async (req, res) => {
 
 //PUT SHIP
 export const updateShip = async (req, res) => {
-  const { role_id, company_id } = req.user;
-  if (!canWriteShips(role_id)) return res.status(403).json({ error: 'Forbidden' });
+  const { scope, company_id } = req.user;
 
   const shipId = parseInt(req.params.id, 10);
   if (Number.isNaN(shipId)) return res.status(400).json({ error: 'ship_id must be a number' });
 
   try {
     // scope check
-    const current = await db.query('SELECT company_id FROM ships WHERE ship_id = $1', [shipId]);
+    const current = await db.query('SELECT * FROM ships WHERE ship_id = $1', [shipId]);
     if (!current.rows.length) return res.status(404).json({ error: 'Ship not found' });
 
-    if (role_id === ROLE_ADMIN && String(current.rows[0].company_id) !== String(company_id)) {
+    if (!canWriteShip(req.user, current.rows[0])) {
       return res.status(403).json({ error: 'Forbidden (company scope)' });
     }
 
@@ -172,45 +186,61 @@ export const updateShip = async (req, res) => {
       ship_type,
       capacity,
       powered_by,
+      timezone,
       company_id: newCompanyId,
     } = req.body;
 
-    // role2 cannot move ship to another company
-    if (role_id === ROLE_ADMIN && newCompanyId && String(newCompanyId) !== String(company_id)) {
+    if (timezone && !isValidTimeZone(timezone)) return res.status(400).json({ error: TIMEZONE_ERROR });
+
+    // only global scope can move a ship to another company
+    if (scope !== SCOPE_GLOBAL && newCompanyId && String(newCompanyId) !== String(company_id)) {
       return res.status(403).json({ error: 'Forbidden (cannot change company_id)' });
     }
 
-    const { rowCount } = await db.query(
-      `UPDATE ships
-       SET
-         ship_name  = COALESCE($1, ship_name),
-         imo_number = COALESCE($2, imo_number),
-         flag       = COALESCE($3, flag),
-         class      = COALESCE($4, class),
-         owner      = COALESCE($5, owner),
-         validity   = COALESCE($6, validity),
-         ship_type  = COALESCE($7, ship_type),
-         capacity   = COALESCE($8, capacity),
-         powered_by = COALESCE($9, powered_by),
-         company_id = COALESCE($10, company_id),
-         updated_at = NOW()
-       WHERE ship_id = $11`,
-      [
-        ship_name,
-        imo_number,
-        flag,
-        ship_class,
-        owner,
-        validity,
-        ship_type,
-        capacity,
-        powered_by,
-        newCompanyId,
-        shipId,
-      ]
-    );
+    const updated = await withTransaction(async (client) => {
+      const { rows } = await client.query(
+        `UPDATE ships
+         SET
+           ship_name  = COALESCE($1, ship_name),
+           imo_number = COALESCE($2, imo_number),
+           flag       = COALESCE($3, flag),
+           class      = COALESCE($4, class),
+           owner      = COALESCE($5, owner),
+           validity   = COALESCE($6, validity),
+           ship_type  = COALESCE($7, ship_type),
+           capacity   = COALESCE($8, capacity),
+           powered_by = COALESCE($9, powered_by),
+           company_id = COALESCE($10, company_id),
+           timezone   = COALESCE($12, timezone),
+           updated_at = NOW()
+         WHERE ship_id = $11
+         RETURNING *`,
+        [
+          ship_name,
+          imo_number,
+          flag,
+          ship_class,
+          owner,
+          validity,
+          ship_type,
+          capacity,
+          powered_by,
+          newCompanyId,
+          shipId,
+          timezone || null,
+        ]
+      );
+      if (!rows.length) return null;
 
-    if (!rowCount) return res.status(404).json({ error: 'Ship not found' });
+      await recordAudit(
+        req,
+        { action: 'ship.update', entity_type: 'ship', entity_id: shipId, before: current.rows[0], after: rows[0] },
+        client
+      );
+      return rows[0];
+    });
+
+    if (!updated) return res.status(404).json({ error: 'Ship not found' });
     res.json({ message: 'Ship updated' });
   } catch (err) {
     console.error('Error updating ship:', err);
@@ -220,22 +250,26 @@ export const updateShip = async (req, res) => {
 
 //DELETE SHIP
 export const deleteShip = async (req, res) => {
-  const { role_id, company_id } = req.user;
-  if (!canWriteShips(role_id)) return res.status(403).json({ error: 'Forbidden' });
 
   const shipId = parseInt(req.params.id, 10);
   if (Number.isNaN(shipId)) return res.status(400).json({ error: 'ship_id must be a number' });
 
   try {
-    const current = await db.query('SELECT company_id FROM ships WHERE ship_id = $1', [shipId]);
+    const current = await db.query('SELECT ship_id, company_id FROM ships WHERE ship_id = $1', [shipId]);
     if (!current.rows.length) return res.status(404).json({ error: 'Ship not found' });
 
-    if (role_id === ROLE_ADMIN && String(current.rows[0].company_id) !== String(company_id)) {
+    if (!canWriteShip(req.user, current.rows[0])) {
       return res.status(403).json({ error: 'Forbidden (company scope)' });
     }
 
-    const { rowCount } = await db.query('DELETE FROM ships WHERE ship_id = $1', [shipId]);
-    if (!rowCount) return res.status(404).json({ error: 'Ship not found' });
+    const deleted = await withTransaction(async (client) => {
+      const { rows } = await client.query('DELETE FROM ships WHERE ship_id = $1 RETURNING *', [shipId]);
+      if (!rows.length) return null;
+
+      await recordAudit(req, { action: 'ship.delete', entity_type: 'ship', entity_id: shipId, before: rows[0] }, client);
+      return rows[0];
+    });
+    if (!deleted) return res.status(404).json({ error: 'Ship not found' });
     res.json({ message: 'Ship deleted' });
   } catch (err) {
     console.error('Error deleting ship:', err);
@@ -244,11 +278,10 @@ export const deleteShip = async (req, res) => {
 };
 
 // GET /ships/company/:company_id
-// SuperAdmin only: get ships filtered by company_id
+// global scope only: get ships filtered by company_id
 export const getShipsByCompanyId = async (req, res) => {
   try {
-    const { role_id } = req.user;
-    if (Number(role_id) !== ROLE_SUPERADMIN) {
+    if (req.user.scope !== SCOPE_GLOBAL) {
       return res.status(403).json({ error: "Forbidden" });
     }
 
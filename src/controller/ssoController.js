@@ -0,0 +1,623 @@
+// src/controller/ssoController.js
+import { db, withTransaction } from '../db.js';
+import {
+  discover,
+  buildAuthorizationUrl,
+  exchangeCode,
+  verifyIdToken,
+  getClaim,
+  randomToken,
+  sha256Hex,
+  isAllowedIdpUrl,
+  encryptClientSecret,
+  decryptClientSecret,
+  isLegacyClientSecret,
+} from '../utils/oidc.js';
+import { issueLoginTokens } from '../utils/authTokens.js';
+import { logAuthEvent } from '../utils/authEvents.js';
+import { bumpTokenVersion } from '../utils/tokenVersion.js';
+import { recordAudit } from '../utils/audit.js';
+import { companySuspended, userBlockedBySuspension, COMPANY_SUSPENDED_ERROR } from '../utils/companyStatus.js';
+import { SCOPE_GLOBAL, SCOPE_COMPANY, SCOPE_SELF, getRole, checkRoleAssignable } from '../utils/permissions.js';
+import { isUuid } from '../utils/validation.js';
+
+// OpenID Connect sign-in for shore staff (company-scoped roles). Flow:
+//   GET  /auth/sso/:company_id/login -> redirect to the IdP (state + nonce + PKCE stored)
+//   GET  /auth/sso/callback          -> code exchanged, ID token checked, user matched / provisioned,
+//                                       browser sent back to return_to?code=<one-time code>
+//   POST /auth/sso/exchange          -> one-time code -> our usual access + refresh tokens
+const REQUEST_TTL_MINUTES = Number(process.env.SSO_REQUEST_TTL_MINUTES || 10);
+const EXCHANGE_TTL_SECONDS = Number(process.env.SSO_EXCHANGE_TTL_SECONDS || 120);
+
+// frontend page that reads ?code= (or ?error=) and calls POST /auth/sso/exchange
+const SSO_RETURN_URL =
+  process.env.SSO_RETURN_URL || `${process.env.APP_BASE_URL || 'http://localhost:3000'}/sso/callback`;
+
+const CONFIG_FIELDS = [
+  'enabled',
+  'issuer',
+  'client_id',
+  'scopes',
+  'email_claim',
+  'role_claim',
+  'role_mapping',
+  'default_role_id',
+  'allowed_email_domains',
+  'auto_provision',
+  'enforce_sso',
+];
+
+const DOMAIN_RE = /^(?=.{1,253}$)([a-z0-9-]+\.)+[a-z]{2,}$/;
+
+// must match the redirect URI registered at the IdP
+const callbackUrl = (req) => process.env.SSO_CALLBACK_URL || `${req.protocol}://${req.get('host')}/auth/sso/callback`;
+
+// only back to our own frontend (no open redirect)
+const safeReturnTo = (raw) => {
+  if (!raw) return SSO_RETURN_URL;
+  try {
+    const url = new URL(String(raw));
+    return url.origin === new URL(SSO_RETURN_URL).origin ? url.toString() : null;
+  } catch {
+    return null;
+  }
+};
+
+const withParams = (base, params) => {
+  const url = new URL(base);
+  for (const [k, v] of Object.entries(params)) url.searchParams.set(k, v);
+  return url.toString();
+};
+
+const publicConfig = (row) => {
+  if (!row) return null;
+  const { client_secret_enc, ...rest } = row;
+  return { ...rest, has_client_secret: !!client_secret_enc };
+};
+
+// -------------------- GET /companies/:id/sso (company.sso) --------------------
+export const getSsoConfig = async (req, res) => {
+  const id = String(req.params.id);
+  if (req.user.scope !== SCOPE_GLOBAL && id !== String(req.user.company_id)) {
+    return res.status(403).json({ error: 'Forbidden: company scope' });
+  }
+
+  try {
+    const { rows } = await db.query(`SELECT * FROM company_sso WHERE company_id = $1`, [id]);
+    if (!rows.length) return res.status(404).json({ error: 'SSO is not configured for this company' });
+    return res.json(publicConfig(rows[0]));
+  } catch (err) {
+    console.error('Error getSsoConfig:', err);
+    return res.status(500).json({ error: 'Failed to fetch SSO configuration' });
+  }
+};
+
+/**
+ * Validates the PUT body against the current row. Returns { values } or { status, error }.
+ */
+const parseSsoConfig = async (req, companyId, body, current) => {
+  const v = {};
+  for (const k of CONFIG_FIELDS) v[k] = body[k] !== undefined ? body[k] : current?.[k];
+
+  for (const k of ['enabled', 'auto_provision', 'enforce_sso']) {
+    if (v[k] === undefined || v[k] === null) v[k] = k === 'auto_provision';
+    if (typeof v[k] !== 'boolean') return { status: 400, error: `${k} must be boolean` };
+  }
+
+  // private / loopback hosts (mock IdP) only with SSO_ALLOW_LOCAL_ISSUER outside production, see utils/oidc.js
+  if (!(await isAllowedIdpUrl(v.issuer))) return { status: 400, error: 'issuer must be a public https URL' };
+  v.issuer = new URL(String(v.issuer)).toString().replace(/\/+$/, '');
+
+  v.client_id = String(v.client_id || '').trim();
+  if (!v.client_id) return { status: 400, error: 'client_id is required' };
+
+  v.scopes = String(v.scopes || 'openid email profile').trim();
+  if (!v.scopes.split(/\s+/).includes('openid')) return { status: 400, error: 'scopes must include openid' };
+
+  v.email_claim = String(v.email_claim || 'email').trim();
+  v.role_claim = v.role_claim ? String(v.role_claim).trim() : null;
+
+  v.role_mapping = v.role_mapping ?? {};
+  if (typeof v.role_mapping !== 'object' || Array.isArray(v.role_mapping)) {
+    return { status: 400, error: 'role_mapping must be an object of { claim value: role_id }' };
+  }
+  if (Object.keys(v.role_mapping).length && !v.role_claim) {
+    return { status: 400, error: 'role_claim is required with role_mapping' };
+  }
+
+  // ✅ SSO only hands out company-scoped (shore staff) roles the caller could assign
+  const roleIds = [...Object.values(v.role_mapping), ...(v.default_role_id != null ? [v.default_role_id] : [])];
+  for (const roleId of roleIds) {
+    if (!Number.isInteger(Number(roleId))) return { status: 400, error: 'role ids must be numbers' };
+    const assignable = await checkRoleAssignable(req.user, Number(roleId), companyId);
+    if (!assignable.ok) return { status: 403, error: `Role ${roleId}: ${assignable.error}` };
+    if (assignable.role.scope !== SCOPE_COMPANY) {
+      return { status: 400, error: `Role ${roleId}: SSO can only grant company-scoped roles` };
+    }
+  }
+  v.role_mapping = Object.fromEntries(Object.entries(v.role_mapping).map(([k, r]) => [String(k), Number(r)]));
+  v.default_role_id = v.default_role_id != null ? Number(v.default_role_id) : null;
+
+  v.allowed_email_domains = v.allowed_email_domains ?? [];
+  if (!Array.isArray(v.allowed_email_domains)) return { status: 400, error: 'allowed_email_domains must be an array' };
+  v.allowed_email_domains = [...new Set(v.allowed_email_domains.map((d) => String(d).trim().toLowerCase()))];
+  const bad = v.allowed_email_domains.find((d) => !DOMAIN_RE.test(d));
+  if (bad) return { status: 400, error: `Invalid email domain: ${bad}` };
+
+  return { values: v };
+};
+
+// -------------------- PUT /companies/:id/sso (company.sso) --------------------
+// Creates or updates. client_secret: string sets it, null clears it (public client), omitted keeps it.
+export const putSsoConfig = async (req, res) => {
+  const id = String(req.params.id);
+  const body = req.body || {};
+
+  if (!isUuid(id)) return res.status(400).json({ error: 'company_id must be a uuid' });
+  if (req.user.scope !== SCOPE_GLOBAL && id !== String(req.user.company_id)) {
+    return res.status(403).json({ error: 'Forbidden: company scope' });
+  }
+  if (body.client_secret !== undefined && body.client_secret !== null && typeof body.client_secret !== 'string') {
+    return res.status(400).json({ error: 'client_secret must be a string or null' });
+  }
+
+  try {
+    const c = await db.query(`SELECT company_id, email_domain FROM company WHERE company_id = $1`, [id]);
+    if (!c.rows.length) return res.status(404).json({ error: 'Company not found' });
+
+    const cur = await db.query(`SELECT * FROM company_sso WHERE company_id = $1`, [id]);
+    const current = cur.rows[0] || null;
+
+    const parsed = await parseSsoConfig(req, id, body, current);
+    if (parsed.error) return res.status(parsed.status).json({ error: parsed.error });
+    const v = parsed.values;
+
+    if (v.enabled && !v.allowed_email_domains.length && !c.rows[0].email_domain) {
+      return res.status(400).json({ error: 'Set allowed_email_domains or the company email_domain before enabling SSO' });
+    }
+
+    // catch typos before staff get locked out
+    if (v.enabled) {
+      try {
+        await discover(v.issuer);
+      } catch (e) {
+        return res.status(400).json({ error: `Issuer discovery failed: ${e.message}` });
+      }
+    }
+
+    // a kept secret still sealed with MFA_ENC_KEY moves to SSO_ENC_KEY on this save
+    const kept = current?.client_secret_enc ?? null;
+    const secretEnc =
+      body.client_secret === undefined
+        ? isLegacyClientSecret(kept)
+          ? encryptClientSecret(decryptClientSecret(kept))
+          : kept
+        : body.client_secret
+          ? encryptClientSecret(body.client_secret)
+          : null;
+
+    const saved = await withTransaction(async (client) => {
+      const { rows } = await client.query(
+        `INSERT INTO company_sso
+           (company_id, protocol, enabled, issuer, client_id, client_secret_enc, scopes,
+            email_claim, role_claim, role_mapping, default_role_id, allowed_email_domains,
+            auto_provision, enforce_sso, created_at, updated_at, updated_by_user_id)
+         VALUES ($1, 'oidc', $2, $3, $4, $5, $6, $7, $8, $9::jsonb, $10, $11::text[], $12, $13, NOW(), NOW(), $14)
+         ON CONFLICT (company_id) DO UPDATE SET
+           enabled = EXCLUDED.enabled,
+           issuer = EXCLUDED.issuer,
+           client_id = EXCLUDED.client_id,
+           client_secret_enc = EXCLUDED.client_secret_enc,
+           scopes = EXCLUDED.scopes,
+           email_claim = EXCLUDED.email_claim,
+           role_claim = EXCLUDED.role_claim,
+           role_mapping = EXCLUDED.role_mapping,
+           default_role_id = EXCLUDED.default_role_id,
+           allowed_email_domains = EXCLUDED.allowed_email_domains,
+           auto_provision = EXCLUDED.auto_provision,
+           enforce_sso = EXCLUDED.enforce_sso,
+           updated_at = NOW(),
+           updated_by_user_id = EXCLUDED.updated_by_user_id
+         RETURNING *`,
+        [
+          id,
+          v.enabled,
+          v.issuer,
+          v.client_id,
+          secretEnc,
+          v.scopes,
+          v.email_claim,
+          v.role_claim,
+          JSON.stringify(v.role_mapping),
+          v.default_role_id,
+          v.allowed_email_domains,
+          v.auto_provision,
+          v.enforce_sso,
+          req.user.user_id,
+        ]
+      );
+
+      await recordAudit(
+        req,
+        {
+          action: 'company.sso_update',
+          entity_type: 'company',
+          entity_id: id,
+          company_id: id,
+          ship_id: null,
+          before: current,
+          after: rows[0],
+        },
+        client
+      );
+      return rows[0];
+    });
+
+    return res.json({ message: 'SSO configuration saved', sso: publicConfig(saved) });
+  } catch (err) {
+    console.error('Error putSsoConfig:', err);
+    return res.status(500).json({ error: 'Failed to save SSO configuration' });
+  }
+};
+
+// -------------------- DELETE /companies/:id/sso (company.sso) --------------------
+// Linked identities stay (re-enabling keeps the same users); staff fall back to local login.
+export const deleteSsoConfig = async (req, res) => {
+  const id = String(req.params.id);
+  if (req.user.scope !== SCOPE_GLOBAL && id !== String(req.user.company_id)) {
+    return res.status(403).json({ error: 'Forbidden: company scope' });
+  }
+
+  try {
+    const deleted = await withTransaction(async (client) => {
+      const { rows } = await client.query(`DELETE FROM company_sso WHERE company_id = $1 RETURNING *`, [id]);
+      if (!rows.length) return null;
+
+      await recordAudit(
+        req,
+        { action: 'company.sso_delete', entity_type: 'company', entity_id: id, company_id: id, ship_id: null, before: rows[0] },
+        client
+      );
+      return rows[0];
+    });
+    if (!deleted) return res.status(404).json({ error: 'SSO is not configured for this company' });
+
+    return res.json({ message: 'SSO configuration removed' });
+  } catch (err) {
+    console.error('Error deleteSsoConfig:', err);
+    return res.status(500).json({ error: 'Failed to remove SSO configuration' });
+  }
+};
+
+// -------------------- POST /auth/sso/discover --------------------
+// Login page asks "does this email sign in with SSO?" before showing the password field.
+export const ssoDiscover = async (req, res) => {
+  const email = String(req.body?.email || '').trim().toLowerCase();
+  const domain = email.split('@')[1];
+  if (!domain) return res.status(400).json({ error: 'email is required' });
+
+  try {
+    const { rows } = await db.query(
+      `SELECT s.company_id
+       FROM company_sso s
+       JOIN company c ON c.company_id = s.company_id
+       WHERE s.enabled
+         AND ($1 = ANY(s.allowed_email_domains)
+              OR (cardinality(s.allowed_email_domains) = 0 AND LOWER(c.email_domain) = $1))
+       LIMIT 1`,
+      [domain]
+    );
+    if (!rows.length) return res.json({ sso: false });
+
+    return res.json({ sso: true, company_id: rows[0].company_id, login_url: `/auth/sso/${rows[0].company_id}/login` });
+  } catch (err) {
+    console.error('Error ssoDiscover:', err);
+    return res.status(500).json({ error: 'SSO discovery failed' });
+  }
+};
+
+// -------------------- GET /auth/sso/:company_id/login --------------------
+export const ssoLogin = async (req, res) => {
+  const companyId = String(req.params.company_id);
+  if (!isUuid(companyId)) return res.status(400).json({ error: 'company_id must be a uuid' });
+
+  const returnTo = safeReturnTo(req.query.return_to);
+  if (!returnTo) return res.status(400).json({ error: 'return_to must be a page of this application' });
+
+  try {
+    const { rows } = await db.query(`SELECT * FROM company_sso WHERE company_id = $1 AND enabled`, [companyId]);
+    const config = rows[0];
+    if (!config) return res.status(404).json({ error: 'SSO is not enabled for this company' });
+    if (await companySuspended(companyId)) return res.status(403).json(COMPANY_SUSPENDED_ERROR);
+
+    const doc = await discover(config.issuer);
+
+    const state = randomToken();
+    const nonce = randomToken(16);
+    const code_verifier = randomToken(48);
+
+    await db.query(
+      `INSERT INTO sso_login_requests (state_hash, company_id, nonce, code_verifier, return_to, created_at, expires_at)
+       VALUES ($1, $2, $3, $4, $5, NOW(), NOW() + ($6 || ' minutes')::interval)`,
+      [sha256Hex(state), companyId, nonce, code_verifier, returnTo, String(REQUEST_TTL_MINUTES)]
+    );
+
+    return res.redirect(
+      302,
+      buildAuthorizationUrl(doc, {
+        client_id: config.client_id,
+        redirect_uri: callbackUrl(req),
+        scopes: config.scopes,
+        state,
+        nonce,
+        code_verifier,
+      })
+    );
+  } catch (err) {
+    console.error('Error ssoLogin:', err);
+    return res.status(502).json({ error: 'Could not reach the identity provider' });
+  }
+};
+
+/**
+ * Role from the IdP claims: first role_mapping entry whose key is among the claim values,
+ * else default_role_id. null = no access.
+ */
+const mapRole = (config, claims) => {
+  const mapping = config.role_mapping || {};
+  if (config.role_claim) {
+    const raw = getClaim(claims, config.role_claim);
+    const values = new Set((Array.isArray(raw) ? raw : raw != null ? [raw] : []).map(String));
+    const hit = Object.keys(mapping).find((k) => values.has(k));
+    if (hit) return Number(mapping[hit]);
+  }
+  return config.default_role_id != null ? Number(config.default_role_id) : null;
+};
+
+// ✅ only shore staff accounts: crew keep local credentials, ship / platform accounts are not IdP-driven
+const ineligible = async (user) => {
+  const scope = (await getRole(user.role_id))?.scope;
+  if (scope === SCOPE_SELF) return 'crew_use_local_login';
+  return scope === SCOPE_COMPANY ? null : 'account_not_eligible';
+};
+
+/**
+ * Local user for verified ID token claims: linked identity, else an existing staff account
+ * with that email (linked now, only if the IdP sends email_verified: true), else a new account
+ * when auto_provision is on.
+ * Role follows the IdP mapping on every login. Returns { user } or { error } (error code).
+ */
+const resolveSsoUser = async (client, req, config, claims) => {
+  const email = String(getClaim(claims, config.email_claim) || '').trim().toLowerCase();
+  if (!email.includes('@')) return { error: 'email_missing' };
+  if (claims.email_verified === false) return { error: 'email_not_verified' };
+
+  const c = await client.query(`SELECT email_domain FROM company WHERE company_id = $1`, [config.company_id]);
+  const allowed = config.allowed_email_domains?.length
+    ? config.allowed_email_domains
+    : [String(c.rows[0]?.email_domain || '').toLowerCase()].filter(Boolean);
+  if (!allowed.includes(email.split('@')[1])) return { error: 'email_domain_not_allowed' };
+
+  const roleId = mapRole(config, claims);
+  const role = roleId != null ? await getRole(roleId) : null;
+  if (!role || role.scope !== SCOPE_COMPANY) return { error: 'no_role_for_user' };
+
+  const issuer = config.issuer;
+  const subject = String(claims.sub);
+
+  let user = null;
+  const linked = await client.query(
+    `SELECT u.* FROM user_identities i JOIN users u ON u.user_id = i.user_id
+     WHERE i.issuer = $1 AND i.subject = $2`,
+    [issuer, subject]
+  );
+  user = linked.rows[0] || null;
+  if (user && String(user.company_id) !== String(config.company_id)) return { error: 'identity_company_mismatch' };
+  const linkedError = user && (await ineligible(user));
+  if (linkedError) return { error: linkedError };
+
+  if (!user) {
+    const byEmail = await client.query(
+      `SELECT * FROM users WHERE company_id = $1 AND LOWER(email) = $2 ORDER BY user_id LIMIT 1`,
+      [config.company_id, email]
+    );
+    user = byEmail.rows[0] || null;
+    // ✅ an existing account is only taken over by an address the IdP vouches for
+    // (many IdPs omit email_verified, and users can often edit their email attribute)
+    if (user && claims.email_verified !== true) return { error: 'email_not_verified' };
+    const emailError = user && (await ineligible(user));
+    if (emailError) return { error: emailError };
+
+    if (!user && !config.auto_provision) return { error: 'user_not_provisioned' };
+
+    if (!user) {
+      const { rows } = await client.query(
+        `INSERT INTO users
+           (seafarer_id, full_name, email, company_id, ship_id, role_id, status,
+            auth_provider, must_change_password, created_at, updated_at)
+         VALUES ($1, $2, $3, $4, NULL, $5, 'Onboard', 'sso', false, NOW(), NOW())
+         RETURNING *`,
+        [
+          `SSO:${sha256Hex(`${issuer}|${subject}`).slice(0, 24)}`,
+          String(claims.name || email),
+          email,
+          config.company_id,
+          role.role_id,
+        ]
+      );
+      user = rows[0];
+
+      await recordAudit(
+        req,
+        {
+          action: 'user.create',
+          entity_type: 'user',
+          entity_id: user.user_id,
+          after: user,
+          details: { via: 'sso', issuer },
+          actor: { user_id: user.user_id, role_id: user.role_id, scope: role.scope },
+        },
+        client
+      );
+    }
+
+    await client.query(
+      `INSERT INTO user_identities (issuer, subject, user_id, company_id, email, created_at)
+       VALUES ($1, $2, $3, $4, $5, NOW())`,
+      [issuer, subject, user.user_id, config.company_id, email]
+    );
+  }
+
+  const currentRole = await getRole(user.role_id);
+
+  if (Number(user.role_id) !== Number(role.role_id)) {
+    const { rows } = await client.query(
+      `UPDATE users SET role_id = $1, updated_at = NOW() WHERE user_id = $2 RETURNING *`,
+      [role.role_id, user.user_id]
+    );
+    await bumpTokenVersion(user.user_id, client);
+    await recordAudit(
+      req,
+      {
+        action: 'user.update',
+        entity_type: 'user',
+        entity_id: user.user_id,
+        before: user,
+        after: rows[0],
+        details: { via: 'sso', issuer },
+        actor: { user_id: user.user_id, role_id: user.role_id, scope: currentRole?.scope ?? null },
+      },
+      client
+    );
+    user = rows[0];
+  }
+
+  await client.query(
+    `UPDATE user_identities SET last_login_at = NOW(), email = $3 WHERE issuer = $1 AND subject = $2`,
+    [issuer, subject, email]
+  );
+
+  return { user };
+};
+
+// -------------------- GET /auth/sso/callback --------------------
+export const ssoCallback = async (req, res) => {
+  const { state, code, error: idpError } = req.query;
+  if (!state) return res.status(400).json({ error: 'state is required' });
+
+  const client = await db.connect();
+  let returnTo = null;
+  let companyId = null;
+
+  // the login request is consumed either way; the browser goes back to the frontend
+  const fail = async (reason) => {
+    await client.query('COMMIT');
+    await logAuthEvent({ event_type: 'sso_login_failed', req, details: { company_id: companyId, reason } });
+    return res.redirect(302, withParams(returnTo, { error: reason }));
+  };
+
+  try {
+    await client.query('BEGIN');
+
+    const { rows } = await client.query(
+      `SELECT * FROM sso_login_requests
+       WHERE state_hash = $1 AND completed_at IS NULL AND expires_at > NOW()
+       FOR UPDATE`,
+      [sha256Hex(state)]
+    );
+    const request = rows[0];
+    if (!request) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'Invalid or expired SSO login, please start again' });
+    }
+    returnTo = request.return_to || SSO_RETURN_URL;
+    companyId = request.company_id;
+
+    await client.query(`UPDATE sso_login_requests SET completed_at = NOW() WHERE state_hash = $1`, [
+      request.state_hash,
+    ]);
+
+    if (idpError) return await fail(String(idpError).slice(0, 64));
+    if (!code) return await fail('code_missing');
+
+    const cfg = await client.query(`SELECT * FROM company_sso WHERE company_id = $1 AND enabled`, [companyId]);
+    const config = cfg.rows[0];
+    if (!config) return await fail('sso_disabled');
+    if (await companySuspended(companyId)) return await fail('company_suspended');
+
+    let claims;
+    try {
+      const doc = await discover(config.issuer);
+      const tokens = await exchangeCode(doc, {
+        client_id: config.client_id,
+        client_secret: config.client_secret_enc ? decryptClientSecret(config.client_secret_enc) : null,
+        redirect_uri: callbackUrl(req),
+        code: String(code),
+        code_verifier: request.code_verifier,
+      });
+      claims = await verifyIdToken(doc, tokens.id_token, { client_id: config.client_id, nonce: request.nonce });
+    } catch (e) {
+      console.error('SSO token validation failed:', e.message);
+      return await fail('invalid_id_token');
+    }
+
+    const resolved = await resolveSsoUser(client, req, config, claims);
+    if (resolved.error) return await fail(resolved.error);
+    const { user } = resolved;
+
+    const exchangeCodeValue = randomToken();
+    await client.query(
+      `UPDATE sso_login_requests
+       SET user_id = $2, exchange_code_hash = $3,
+           exchange_expires_at = NOW() + ($4 || ' seconds')::interval
+       WHERE state_hash = $1`,
+      [request.state_hash, user.user_id, sha256Hex(exchangeCodeValue), String(EXCHANGE_TTL_SECONDS)]
+    );
+
+    await client.query('COMMIT');
+
+    await logAuthEvent({
+      event_type: 'sso_login',
+      user_id: user.user_id,
+      req,
+      details: { company_id: companyId, issuer: config.issuer },
+    });
+
+    return res.redirect(302, withParams(returnTo, { code: exchangeCodeValue }));
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('Error ssoCallback:', err);
+    return res.status(500).json({ error: 'SSO login failed' });
+  } finally {
+    client.release();
+  }
+};
+
+// -------------------- POST /auth/sso/exchange --------------------
+export const ssoExchange = async (req, res) => {
+  const { code } = req.body || {};
+  if (!code) return res.status(400).json({ error: 'code is required' });
+
+  try {
+    const { rows } = await db.query(
+      `UPDATE sso_login_requests
+       SET exchanged_at = NOW()
+       WHERE exchange_code_hash = $1 AND exchanged_at IS NULL AND exchange_expires_at > NOW()
+       RETURNING user_id`,
+      [sha256Hex(code)]
+    );
+    if (!rows.length) return res.status(400).json({ error: 'Invalid or expired code' });
+
+    const u = await db.query(
+      `SELECT user_id, full_name, role_id, company_id, ship_id, token_version FROM users WHERE user_id = $1`,
+      [rows[0].user_id]
+    );
+    if (!u.rows.length) return res.status(401).json({ error: 'User no longer exists' });
+    if (await userBlockedBySuspension(u.rows[0])) return res.status(403).json(COMPANY_SUSPENDED_ERROR);
+
+    return res.json(await issueLoginTokens(req, u.rows[0]));
+  } catch (err) {
+    console.error('Error ssoExchange:', err);
+    return res.status(500).json({ error: 'SSO login failed' });
+  }
+};
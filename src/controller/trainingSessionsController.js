@@ -0,0 +1,105 @@
+// src/controller/trainingSessionsController.js
+import { db } from '../db.js';
+import { buildActivityFilters } from '../utils/activityScope.js';
+
+// Sessions are rebuilt from activity_logs by the training-sessions job (utils/trainingSessions.js).
+// Scoped like GET /activity (utils/activityScope.js); from / to apply to started_at.
+
+/**
+ * GET /activity/sessions (activity.view)
+ * Filters: company_id, ship_id (global / company scope), user_id, username, training_type,
+ * from, to (started_at), status (open | closed), limit
+ */
+export const getTrainingSessions = async (req, res) => {
+  const filters = buildActivityFilters(req.user, req.query, { timeColumn: 't.started_at' });
+  if (filters.error) return res.status(400).json({ error: filters.error });
+  if (filters.none) return res.json([]);
+
+  const { status, limit = 100 } = req.query;
+  if (status && !['open', 'closed'].includes(status)) {
+    return res.status(400).json({ error: 'status must be open or closed' });
+  }
+
+  let { where } = filters;
+  if (status) {
+    const cond = status === 'open' ? 't.ended_at IS NULL' : 't.ended_at IS NOT NULL';
+    where = where ? `${where} AND ${cond}` : `WHERE ${cond}`;
+  }
+  const lim = Math.min(Number(limit) || 100, 500);
+
+  try {
+    const { rows } = await db.query(
+      `
+      SELECT t.*, u.username, u.full_name, s.ship_name
+      FROM training_sessions t
+      LEFT JOIN users u ON u.user_id = t.user_id
+      LEFT JOIN ships s ON s.ship_id = t.ship_id
+      ${where}
+      ORDER BY t.started_at DESC
+      LIMIT ${lim}
+      `,
+      filters.values
+    );
+    return res.json(rows);
+  } catch (err) {
+    console.error('Error getTrainingSessions:', err);
+    return res.status(500).json({ error: 'Failed to fetch training sessions' });
+  }
+};
+
+// group_by -> columns identifying a row of the totals
+const GROUPS = {
+  user: ['t.user_id', 'u.username', 'u.full_name'],
+  ship: ['t.ship_id', 's.ship_name'],
+  company: ['t.company_id', 'c.company_name'],
+  training_type: ['t.training_type'],
+};
+
+/**
+ * GET /activity/sessions/totals (activity.view)
+ * Time spent in the simulator per user / ship / company / training_type (group_by, default user),
+ * with the same filters and scoping as GET /activity/sessions.
+ * Open sessions count up to their last event.
+ */
+export const getTrainingTotals = async (req, res) => {
+  const groupBy = req.query.group_by || 'user';
+  const cols = GROUPS[groupBy];
+  if (!cols) return res.status(400).json({ error: `group_by must be one of: ${Object.keys(GROUPS).join(', ')}` });
+
+  const filters = buildActivityFilters(req.user, req.query, { timeColumn: 't.started_at' });
+  if (filters.error) return res.status(400).json({ error: filters.error });
+  if (filters.none) return res.json({ group_by: groupBy, totals: [] });
+
+  try {
+    const { rows } = await db.query(
+      `
+      SELECT
+        ${cols.join(', ')},
+        COUNT(*)::int AS sessions,
+        COALESCE(SUM(t.duration_seconds), 0)::bigint AS total_seconds,
+        ROUND(COALESCE(SUM(t.duration_seconds), 0) / 3600.0, 2) AS total_hours,
+        MIN(t.started_at) AS first_started_at,
+        MAX(COALESCE(t.ended_at, t.last_event_at)) AS last_activity_at
+      FROM training_sessions t
+      LEFT JOIN users u ON u.user_id = t.user_id
+      LEFT JOIN ships s ON s.ship_id = t.ship_id
+      LEFT JOIN company c ON c.company_id = t.company_id
+      ${filters.where}
+      GROUP BY ${cols.join(', ')}
+      ORDER BY total_seconds DESC
+      LIMIT 1000
+      `,
+      filters.values
+    );
+
+    return res.json({
+      group_by: groupBy,
+      from: req.query.from ?? null,
+      to: req.query.to ?? null,
+      totals: rows.map((r) => ({ ...r, total_seconds: Number(r.total_seconds), total_hours: Number(r.total_hours) })),
+    });
+  } catch (err) {
+    console.error('Error getTrainingTotals:', err);
+    return res.status(500).json({ error: 'Failed to fetch training totals' });
+  }
+};
@@ -1,15 +1,32 @@
 // src/controller/usersController.js
-import { db } from "../db.js";
+import { db, systemDb, withTransaction } from "../db.js";
 import crypto from "crypto";
 import multer from "multer";
 import xlsx from "xlsx";
 import { handleShipHistoryChange } from "../utils/shipHistory.js";
+import { hashPassword } from "../utils/password.js";
+import { generatePassword } from "../utils/passwordPolicy.js";
+import { issueCredentialClaim } from "../utils/credentialClaims.js";
+import { bumpTokenVersion, invalidateTokenVersionCache } from "../utils/tokenVersion.js";
+import { resumeDbContext } from "../middleware/dbContext.js";
+import { recordAudit } from "../utils/audit.js";
+import { encryptPiiFields, presentUserPii } from "../utils/pii.js";
+import {
+  SCOPE_GLOBAL,
+  SCOPE_COMPANY,
+  SCOPE_SHIP,
+  SCOPE_SELF,
+  SYSTEM_ROLE_SUBADMIN,
+  SYSTEM_ROLE_CREW,
+  checkRoleAssignable,
+} from "../utils/permissions.js";
+import { isUuid } from "../utils/validation.js";
 
 // ================= STATUS / PASSWORD HELPERS =================
 const normalizeStatus = (s) => (s ? String(s).trim().toLowerCase() : null);
 const isOnboard = (s) => normalizeStatus(s) === "onboard";
 
-// ✅ Ship-admin rank detection (role_id=3)
+// ✅ Ship-admin rank detection (Sub Admin system role)
 const normalizeRank = (r) =>
   String(r || "")
     .trim()
@@ -159,63 +176,6 @@ const computeStatusFromDates = ({ disembarkation_date }) => {
   return "Offboard";
 };
 
-// password generator (readable)
-const generatePassword = (length = 12) => {
-  const chars = "ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnpqrstuvwxyz23456789@#$";
-  let out = "";
-  const bytes = crypto.randomBytes(length);
-  for (let i = 0; i < length; i++) out += chars[bytes[i] % chars.length];
-  return out;
-};
-
-// hash password (your current approach)
-const hashPassword = (plain) =>
-  crypto.createHash("sha256").update(String(plain)).digest("hex");
-
-// AES-256-GCM reversible encryption
-const getEncKey = () => {
-  const b64 = process.env.PASSWORD_ENC_KEY;
-  if (!b64) throw new Error("PASSWORD_ENC_KEY missing in .env");
-  const key = Buffer.from(b64, "base64");
-  if (key.length !== 32) throw new Error("PASSWORD_ENC_KEY must be 32 bytes base64");
-  return key;
-};
-
-/**
- * returns: base64(iv).base64(tag).base64(ciphertext)
- */
-const encryptPassword = (plain) => {
-  const key = getEncKey();
-  const iv = crypto.randomBytes(12);
-  const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
-
-  const ciphertext = Buffer.concat([cipher.update(String(plain), "utf8"), cipher.final()]);
-  const tag = cipher.getAuthTag();
-
-  return `${iv.toString("base64")}.${tag.toString("base64")}.${ciphertext.toString("base64")}`;
-};
-
-const decryptPassword = (enc) => {
-  try {
-    if (!enc) return null;
-    const [ivB64, tagB64, ctB64] = String(enc).split(".");
-    if (!ivB64 || !tagB64 || !ctB64) return null;
-
-    const key = getEncKey();
-    const iv = Buffer.from(ivB64, "base64");
-    const tag = Buffer.from(tagB64, "base64");
-    const ciphertext = Buffer.from(ctB64, "base64");
-
-    const decipher = crypto.createDecipheriv("aes-256-gcm", key, iv);
-    decipher.setAuthTag(tag);
-
-    const plain = Buffer.concat([decipher.update(ciphertext), decipher.final()]);
-    return plain.toString("utf8");
-  } catch {
-    return null;
-  }
-};
-
 // generate username based on seafarer_id + random suffix to avoid collisions
 const generateUsername = (seafarerId) => {
   const base = String(seafarerId).toLowerCase().replace(/[^a-z0-9]/g, "");
@@ -228,7 +188,8 @@ const MAX_USERNAME_TRIES = 5;
 const createUniqueUsername = async (seafarerId) => {
   for (let i = 0; i < MAX_USERNAME_TRIES; i++) {
     const candidate = generateUsername(seafarerId);
-    const { rows } = await db.query(`SELECT 1 FROM users WHERE username = $1 LIMIT 1`, [
+    // usernames are unique across all companies -> check outside the caller's scope
+    const { rows } = await systemDb.query(`SELECT 1 FROM users WHERE username = $1 LIMIT 1`, [
       candidate,
     ]);
     if (rows.length === 0) return candidate;
@@ -244,10 +205,6 @@ const normalizeKey = (k) =>
     .trim()
     .toLowerCase();
 
-const isUuid = (v) =>
-  typeof v === "string" &&
-  /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i.test(v);
-
 const parseIntOrNull = (v) => {
   if (v === null || v === undefined || String(v).trim() === "") return null;
   const n = Number.parseInt(String(v), 10);
@@ -268,16 +225,22 @@ const parseDateOrNull = (v) => {
   return d.toISOString().slice(0, 10); // YYYY-MM-DD
 };
 
-// If role is allowed, attach plaintext password via decrypt(password_enc)
-const canSeePlainPassword = (roleId) => [1, 2, 3].includes(Number(roleId));
-
-const attachPlainPasswordIfAllowed = (roleId, userRow) => {
-  if (!canSeePlainPassword(roleId)) return userRow;
-  const plain = decryptPassword(userRow.password_enc);
-  return {
-    ...userRow,
-    plain_password: plain, // frontend can show this
-  };
+// never send hashes / reset tokens / 2FA secrets / session bookkeeping to the client
+const SECRET_COLUMNS = [
+  "password_hash",
+  "reset_token_hash",
+  "reset_token_expires_at",
+  "mfa_secret_enc",
+  "mfa_pending_secret_enc",
+  "mfa_last_used_step",
+  "token_version",
+];
+
+const stripSecrets = (userRow) => {
+  if (!userRow) return userRow;
+  const rest = { ...userRow };
+  for (const c of SECRET_COLUMNS) delete rest[c];
+  return rest;
 };
 
 // ================= CRUD =================
@@ -285,18 +248,17 @@ const attachPlainPasswordIfAllowed = (roleId, userRow) => {
 // GET /users
 export const getAllUsers = async (req, res) => {
   try {
-    const role = Number(req.user.role_id);
-    const { company_id, ship_id, user_id } = req.user;
+    const { scope, company_id, ship_id, user_id } = req.user;
 
     let rows;
 
-    if (role === 1) {
+    if (scope === SCOPE_GLOBAL) {
       ({ rows } = await db.query("SELECT * FROM users ORDER BY user_id"));
-    } else if (role === 2) {
+    } else if (scope === SCOPE_COMPANY) {
       ({ rows } = await db.query("SELECT * FROM users WHERE company_id = $1 ORDER BY user_id", [
         company_id,
       ]));
-    } else if (role === 3) {
+    } else if (scope === SCOPE_SHIP) {
       ({ rows } = await db.query(
         "SELECT * FROM users WHERE company_id = $1 AND ship_id = $2 ORDER BY user_id",
         [company_id, ship_id]
@@ -305,7 +267,7 @@ export const getAllUsers = async (req, res) => {
       ({ rows } = await db.query("SELECT * FROM users WHERE user_id = $1", [user_id]));
     }
 
-    const out = rows.map((u) => attachPlainPasswordIfAllowed(role, u));
+    const out = rows.map((r) => presentUserPii(stripSecrets(r), req.user));
 
     // ✅ Sort by rank hierarchy, then by name
     out.sort((a, b) => {
@@ -333,11 +295,11 @@ export const getUserById = async (req, res) => {
   if (Number.isNaN(id)) return res.status(400).json({ error: "user_id must be a number" });
 
   try {
+    // scope comes from RLS (tenant_users policy): users outside the caller's scope are "not found"
     const { rows } = await db.query("SELECT * FROM users WHERE user_id = $1", [id]);
     if (!rows.length) return res.status(404).json({ error: "User not found" });
 
-    const role = Number(req.user.role_id);
-    return res.json(attachPlainPasswordIfAllowed(role, rows[0]));
+    return res.json(presentUserPii(stripSecrets(rows[0]), req.user));
   } catch (err) {
     console.error("Error getting user:", err);
     return res.status(500).json({ error: "Failed to fetch user" });
@@ -352,7 +314,7 @@ export const getUserShipHistory = async (req, res) => {
 
   try {
     // ✅ scope enforcement using req.user
-    const role = Number(req.user.role_id);
+    const scope = req.user.scope;
     const myCompany = req.user.company_id ? String(req.user.company_id) : null;
     const myShip = req.user.ship_id != null ? Number(req.user.ship_id) : null;
 
@@ -367,10 +329,10 @@ export const getUserShipHistory = async (req, res) => {
 
     const target = uRes.rows[0];
 
-    if (role === 2 && myCompany && String(target.company_id) !== myCompany) {
+    if (scope === SCOPE_COMPANY && myCompany && String(target.company_id) !== myCompany) {
       return res.status(403).json({ error: "Forbidden (company scope)" });
     }
-    if (role === 3) {
+    if (scope === SCOPE_SHIP) {
       if (myCompany && String(target.company_id) !== myCompany) {
         return res.status(403).json({ error: "Forbidden (company scope)" });
       }
@@ -378,7 +340,7 @@ export const getUserShipHistory = async (req, res) => {
         return res.status(403).json({ error: "Forbidden (ship scope)" });
       }
     }
-    if (role === 4 && Number(req.user.user_id) !== Number(id)) {
+    if (scope === SCOPE_SELF && Number(req.user.user_id) !== Number(id)) {
       return res.status(403).json({ error: "Forbidden" });
     }
 
@@ -402,8 +364,6 @@ export const getUserShipHistory = async (req, res) => {
 
 // POST /users
 export const createUser = async (req, res) => {
-  const role = Number(req.user.role_id);
-
   const {
     seafarer_id,
     full_name,
@@ -432,97 +392,119 @@ export const createUser = async (req, res) => {
     seaman_book_issue_date,
     seaman_book_expiry_date,
 
-    role_id, // optionally allow create user role (careful)
+    role_id, // optionally allow create user role (must be assignable by the caller)
   } = req.body;
 
   if (!seafarer_id || !full_name) {
     return res.status(400).json({ error: "seafarer_id and full_name are required" });
   }
 
+  const roleIdToInsert = role_id ?? SYSTEM_ROLE_CREW;
+
   const onboardNow = isOnboard(status);
 
+  const dob = parseDateOrNull(date_of_birth);
+  if (Number.isNaN(dob)) return res.status(400).json({ error: "Invalid date_of_birth" });
+
   try {
+    const assignable = await checkRoleAssignable(req.user, roleIdToInsert, company_id);
+    if (!assignable.ok) return res.status(403).json({ error: assignable.error });
+
+    // ✅ identity documents only ever stored encrypted
+    const pii = encryptPiiFields({ passport_number, seaman_book_number, date_of_birth: dob, place_of_birth });
+
     let generatedUsername = null;
     let generatedPassword = null;
     let passwordHashToStore = null;
-    let passwordEncToStore = null;
 
     if (onboardNow) {
       generatedUsername = await createUniqueUsername(seafarer_id);
       generatedPassword = generatePassword(12);
-      passwordHashToStore = hashPassword(generatedPassword);
-      passwordEncToStore = encryptPassword(generatedPassword);
+      passwordHashToStore = await hashPassword(generatedPassword);
     }
 
-    const { rows } = await db.query(
-      `INSERT INTO users
-       (seafarer_id, full_name, rank, trip,
-        embarkation_date, disembarkation_date, status,
-        username, password_hash, password_enc,
-        ship_id, company_id,
-        sex, date_of_birth, place_of_birth, nationality,
-        embarkation_port, disembarkation_port, end_of_contract, plus_months,
-        passport_number, passport_issue_place, passport_issue_date, passport_expiry_date,
-        seaman_book_number, seaman_book_issue_date, seaman_book_expiry_date,
-        role_id,
-        created_at, updated_at)
-       VALUES
-       ($1,$2,$3,$4,
-        $5,$6,$7,
-        $8,$9,$10,
-        $11,$12,
-        $13,$14,$15,$16,
-        $17,$18,$19,$20,
-        $21,$22,$23,$24,
-        $25,$26,$27,
-        $28,
-        NOW(), NOW())
-       RETURNING *`,
-      [
-        seafarer_id,
-        full_name,
-        rank ?? null,
-        trip ?? null,
-        embarkation_date ?? null,
-        disembarkation_date ?? null,
-        status ?? null,
-
-        generatedUsername,
-        passwordHashToStore,
-        passwordEncToStore,
-
-        ship_id ?? null,
-        company_id ?? null,
-
-        sex ?? null,
-        date_of_birth ?? null,
-        place_of_birth ?? null,
-        nationality ?? null,
-
-        embarkation_port ?? null,
-        disembarkation_port ?? null,
-        end_of_contract ?? null,
-        plus_months ?? null,
-
-        passport_number ?? null,
-        passport_issue_place ?? null,
-        passport_issue_date ?? null,
-        passport_expiry_date ?? null,
-
-        seaman_book_number ?? null,
-        seaman_book_issue_date ?? null,
-        seaman_book_expiry_date ?? null,
-
-        role_id ?? 4,
-      ]
-    );
+    const created = await withTransaction(async (client) => {
+      const { rows } = await client.query(
+        `INSERT INTO users
+         (seafarer_id, full_name, rank, trip,
+          embarkation_date, disembarkation_date, status,
+          username, password_hash,
+          ship_id, company_id,
+          sex, date_of_birth_enc, place_of_birth_enc, nationality,
+          embarkation_port, disembarkation_port, end_of_contract, plus_months,
+          passport_number_enc, passport_issue_place, passport_issue_date, passport_expiry_date,
+          seaman_book_number_enc, seaman_book_issue_date, seaman_book_expiry_date,
+          role_id,
+          created_at, updated_at)
+         VALUES
+         ($1,$2,$3,$4,
+          $5,$6,$7,
+          $8,$9,
+          $10,$11,
+          $12,$13,$14,$15,
+          $16,$17,$18,$19,
+          $20,$21,$22,$23,
+          $24,$25,$26,
+          $27,
+          NOW(), NOW())
+         RETURNING *`,
+        [
+          seafarer_id,
+          full_name,
+          rank ?? null,
+          trip ?? null,
+          embarkation_date ?? null,
+          disembarkation_date ?? null,
+          status ?? null,
+
+          generatedUsername,
+          passwordHashToStore,
+
+          ship_id ?? null,
+          company_id ?? null,
+
+          sex ?? null,
+          pii.date_of_birth_enc ?? null,
+          pii.place_of_birth_enc ?? null,
+          nationality ?? null,
+
+          embarkation_port ?? null,
+          disembarkation_port ?? null,
+          end_of_contract ?? null,
+          plus_months ?? null,
+
+          pii.passport_number_enc ?? null,
+          passport_issue_place ?? null,
+          passport_issue_date ?? null,
+          passport_expiry_date ?? null,
+
+          pii.seaman_book_number_enc ?? null,
+          seaman_book_issue_date ?? null,
+          seaman_book_expiry_date ?? null,
+
+          roleIdToInsert,
+        ]
+      );
+
+      await recordAudit(req, { action: "user.create", entity_type: "user", entity_id: rows[0].user_id, after: rows[0] }, client);
+      return rows[0];
+    });
 
-    const user = attachPlainPasswordIfAllowed(role, rows[0]);
+    const user = presentUserPii(stripSecrets(created), req.user);
+
+    // ✅ password is only retrievable once, via the claim code
+    const claim = onboardNow
+      ? await issueCredentialClaim({
+          user_id: user.user_id,
+          password: generatedPassword,
+          created_by_user_id: req.user.user_id,
+        })
+      : null;
 
     return res.status(201).json({
       user,
-      credentials: onboardNow
-        ? { username: generatedUsername, password: generatedPassword }
+      credentials: claim
+        ? { username: generatedUsername, claim_code: claim.claim_code, claim_expires_at: claim.expires_at }
         : null,
     });
   } catch (err) {
@@ -537,19 +519,16 @@ export const createUser = async (req, res) => {
 // PUT /users/:id
 // Generates creds ONLY if status becomes Onboard and user doesn't have creds yet.
 export const updateUser = async (req, res) => {
-  const role = Number(req.user.role_id);
   const id = parseInt(req.params.id, 10);
   if (Number.isNaN(id)) return res.status(400).json({ error: "user_id must be a number" });
 
   const body = req.body;
 
+  const dob = parseDateOrNull(body.date_of_birth);
+  if (Number.isNaN(dob)) return res.status(400).json({ error: "Invalid date_of_birth" });
+
   try {
-    const currentRes = await db.query(
-      `SELECT user_id, seafarer_id, status, username, password_hash, ship_id, company_id
-       FROM users
-       WHERE user_id = $1`,
-      [id]
-    );
+    const currentRes = await db.query(`SELECT * FROM users WHERE user_id = $1`, [id]);
     if (!currentRes.rows.length) return res.status(404).json({ error: "User not found" });
 
     const current = currentRes.rows[0];
@@ -561,100 +540,132 @@ export const updateUser = async (req, res) => {
     let newUsername = null;
     let newPassword = null;
     let newPasswordHash = null;
-    let newPasswordEnc = null;
 
     if (nextOnboard && !hasCreds) {
       const sidForUsername = body.seafarer_id || current.seafarer_id;
       newUsername = await createUniqueUsername(sidForUsername);
       newPassword = generatePassword(12);
-      newPasswordHash = hashPassword(newPassword);
-      newPasswordEnc = encryptPassword(newPassword);
+      newPasswordHash = await hashPassword(newPassword);
     }
 
+    const pii = encryptPiiFields({ ...body, date_of_birth: dob }, current);
+
     // store old ship before update for history
     const old_ship_id = current.ship_id ?? null;
     const company_id = current.company_id ?? null;
     const new_ship_id = body.ship_id ?? old_ship_id;
 
-    const { rowCount } = await db.query(
-      `UPDATE users
-       SET
-         seafarer_id = COALESCE($1, seafarer_id),
-         full_name = COALESCE($2, full_name),
-         rank = COALESCE($3, rank),
-         trip = COALESCE($4, trip),
-         embarkation_date = COALESCE($5, embarkation_date),
-         disembarkation_date = COALESCE($6, disembarkation_date),
-         status = COALESCE($7, status),
-
-         username = COALESCE($8::varchar, username),
-         password_hash = COALESCE($9::varchar, password_hash),
-         password_enc = COALESCE($10::text, password_enc),
-
-         ship_id = COALESCE($11, ship_id),
-         company_id = COALESCE($12::uuid, company_id),
-
-         sex = COALESCE($13, sex),
-         date_of_birth = COALESCE($14, date_of_birth),
-         place_of_birth = COALESCE($15, place_of_birth),
-         nationality = COALESCE($16, nationality),
-
-         embarkation_port = COALESCE($17, embarkation_port),
-         disembarkation_port = COALESCE($18, disembarkation_port),
-         end_of_contract = COALESCE($19, end_of_contract),
-         plus_months = COALESCE($20, plus_months),
-
-         passport_number = COALESCE($21, passport_number),
-         passport_issue_place = COALESCE($22, passport_issue_place),
-         passport_issue_date = COALESCE($23, passport_issue_date),
-         passport_expiry_date = COALESCE($24, passport_expiry_date),
-
-         seaman_book_number = COALESCE($25, seaman_book_number),
-         seaman_book_issue_date = COALESCE($26, seaman_book_issue_date),
-         seaman_book_expiry_date = COALESCE($27, seaman_book_expiry_date),
-
-         updated_at = NOW()
-       WHERE user_id = $28`,
-      [
-        body.seafarer_id ?? null,
-        body.full_name ?? null,
-        body.rank ?? null,
-        body.trip ?? null,
-        body.embarkation_date ?? null,
-        body.disembarkation_date ?? null,
-        body.status ?? null,
-
-        newUsername,
-        newPasswordHash,
-        newPasswordEnc,
-
-        body.ship_id ?? null,
-        body.company_id ?? null,
-
-        body.sex ?? null,
-        body.date_of_birth ?? null,
-        body.place_of_birth ?? null,
-        body.nationality ?? null,
-
-        body.embarkation_port ?? null,
-        body.disembarkation_port ?? null,
-        body.end_of_contract ?? null,
-        body.plus_months ?? null,
-
-        body.passport_number ?? null,
-        body.passport_issue_place ?? null,
-        body.passport_issue_date ?? null,
-        body.passport_expiry_date ?? null,
-
-        body.seaman_book_number ?? null,
-        body.seaman_book_issue_date ?? null,
-        body.seaman_book_expiry_date ?? null,
-
-        id,
-      ]
-    );
+    const updated = await withTransaction(async (client) => {
+      const { rows } = await client.query(
+        `UPDATE users
+         SET
+           seafarer_id = COALESCE($1, seafarer_id),
+           full_name = COALESCE($2, full_name),
+           rank = COALESCE($3, rank),
+           trip = COALESCE($4, trip),
+           embarkation_date = COALESCE($5, embarkation_date),
+           disembarkation_date = COALESCE($6, disembarkation_date),
+           status = COALESCE($7, status),
+
+           username = COALESCE($8::varchar, username),
+           password_hash = COALESCE($9::varchar, password_hash),
+
+           ship_id = COALESCE($10, ship_id),
+           company_id = COALESCE($11::uuid, company_id),
+
+           sex = COALESCE($12, sex),
+           date_of_birth_enc = COALESCE($13, date_of_birth_enc),
+           place_of_birth_enc = COALESCE($14, place_of_birth_enc),
+           nationality = COALESCE($15, nationality),
+
+           embarkation_port = COALESCE($16, embarkation_port),
+           disembarkation_port = COALESCE($17, disembarkation_port),
+           end_of_contract = COALESCE($18, end_of_contract),
+           plus_months = COALESCE($19, plus_months),
+
+           passport_number_enc = COALESCE($20, passport_number_enc),
+           passport_issue_place = COALESCE($21, passport_issue_place),
+           passport_issue_date = COALESCE($22, passport_issue_date),
+           passport_expiry_date = COALESCE($23, passport_expiry_date),
+
+           seaman_book_number_enc = COALESCE($24, seaman_book_number_enc),
+           seaman_book_issue_date = COALESCE($25, seaman_book_issue_date),
+           seaman_book_expiry_date = COALESCE($26, seaman_book_expiry_date),
+
+           -- legacy plaintext goes away once the encrypted value is written
+           date_of_birth = CASE WHEN $13::text IS NULL THEN date_of_birth END,
+           place_of_birth = CASE WHEN $14::text IS NULL THEN place_of_birth END,
+           passport_number = CASE WHEN $20::text IS NULL THEN passport_number END,
+           seaman_book_number = CASE WHEN $24::text IS NULL THEN seaman_book_number END,
+
+           updated_at = NOW()
+         WHERE user_id = $27
+         RETURNING *`,
+        [
+          body.seafarer_id ?? null,
+          body.full_name ?? null,
+          body.rank ?? null,
+          body.trip ?? null,
+          body.embarkation_date ?? null,
+          body.disembarkation_date ?? null,
+          body.status ?? null,
+
+          newUsername,
+          newPasswordHash,
+
+          body.ship_id ?? null,
+          body.company_id ?? null,
+
+          body.sex ?? null,
+          pii.date_of_birth_enc ?? null,
+          pii.place_of_birth_enc ?? null,
+          body.nationality ?? null,
+
+          body.embarkation_port ?? null,
+          body.disembarkation_port ?? null,
+          body.end_of_contract ?? null,
+          body.plus_months ?? null,
+
+          pii.passport_number_enc ?? null,
+          body.passport_issue_place ?? null,
+          body.passport_issue_date ?? null,
+          body.passport_expiry_date ?? null,
+
+          pii.seaman_book_number_enc ?? null,
+          body.seaman_book_issue_date ?? null,
+          body.seaman_book_expiry_date ?? null,
+
+          id,
+        ]
+      );
+      if (!rows.length) return null;
+
+      await recordAudit(
+        req,
+        {
+          action: "user.update",
+          entity_type: "user",
+          entity_id: id,
+          before: current,
+          after: rows[0],
+          details: { credentials_generated: Boolean(newUsername) },
+        },
+        client
+      );
+      return rows[0];
+    });
+
+    if (!updated) return res.status(404).json({ error: "User not found" });
 
-    if (!rowCount) return res.status(404).json({ error: "User not found" });
+    // ✅ offboarded, or moved to another ship / company -> existing access tokens stop working
+    // (the tenant context of a request comes from the token's ship_id / company_id claims)
+    const moved =
+      String(updated.company_id ?? "") !== String(current.company_id ?? "") ||
+      String(updated.ship_id ?? "") !== String(current.ship_id ?? "") ||
+      String(updated.role_id ?? "") !== String(current.role_id ?? "");
+    if (moved || (isOnboard(current.status) && normalizeStatus(nextStatus) === "offboard")) {
+      await bumpTokenVersion(id);
+    }
 
     // ✅ ship history auto update ONLY if ship changed
     await handleShipHistoryChange({
@@ -670,9 +681,20 @@ export const updateUser = async (req, res) => {
       notes: "Manual user update",
     });
 
+    const claim =
+      newUsername && newPassword
+        ? await issueCredentialClaim({
+            user_id: id,
+            password: newPassword,
+            created_by_user_id: req.user.user_id,
+          })
+        : null;
+
     return res.json({
       message: "User updated",
-      credentials: newUsername && newPassword ? { username: newUsername, password: newPassword } : null,
+      credentials: claim
+        ? { username: newUsername, claim_code: claim.claim_code, claim_expires_at: claim.expires_at }
+        : null,
     });
   } catch (err) {
     console.error("Error updating user:", err);
@@ -690,18 +712,32 @@ export const deleteUser = async (req, res) => {
   if (Number.isNaN(id)) return res.status(400).json({ error: "user_id must be a number" });
 
   try {
-    const { rowCount } = await db.query("DELETE FROM users WHERE user_id = $1", [id]);
-    if (!rowCount) return res.status(404).json({ error: "User not found" });
+    const deleted = await withTransaction(async (client) => {
+      const { rows } = await client.query("DELETE FROM users WHERE user_id = $1 RETURNING *", [id]);
+      if (!rows.length) return null;
+
+      await recordAudit(req, { action: "user.delete", entity_type: "user", entity_id: id, before: rows[0] }, client);
+      return rows[0];
+    });
+    if (!deleted) return res.status(404).json({ error: "User not found" });
+
+    // requireAuth will now see the user as gone
+    invalidateTokenVersionCache(id);
     return res.json({ message: "User deleted" });
   } catch (err) {
     console.error("Error deleting user:", err);
+    if (err.code === "23503") {
+      return res.status(409).json({
+        error: "User still has linked records (incidents, certificates, ...). Use POST /users/:id/erase instead.",
+      });
+    }
     return res.status(500).json({ error: "Failed to delete user" });
   }
 };
 
 // PATCH /users/bulk-status
 export const bulkUpdateUserStatus = async (req, res) => {
-  const role = Number(req.user?.role_id);
+  const scope = req.user?.scope;
 
   const user_ids = Array.isArray(req.body?.user_ids) ? req.body.user_ids : [];
   const statusRaw = req.body?.status;
@@ -730,7 +766,7 @@ export const bulkUpdateUserStatus = async (req, res) => {
   try {
     await db.query("BEGIN");
 
-    // 1) Fetch users + enforce scope (company/ship) for role 2/3
+    // 1) Fetch users + enforce scope (company/ship) for scoped roles
     const { rows: users } = await db.query(
       `SELECT user_id, seafarer_id, company_id, ship_id, status, username, password_hash
        FROM users
@@ -750,8 +786,9 @@ export const bulkUpdateUserStatus = async (req, res) => {
 
     const violations = [];
     for (const u of users) {
-      if (role === 2 && myCompany && String(u.company_id) !== myCompany) violations.push(u.user_id);
-      if (role === 3) {
+      if (scope === SCOPE_SELF && Number(u.user_id) !== Number(req.user.user_id)) violations.push(u.user_id);
+      if (scope === SCOPE_COMPANY && myCompany && String(u.company_id) !== myCompany) violations.push(u.user_id);
+      if (scope === SCOPE_SHIP) {
         if (myCompany && String(u.company_id) !== myCompany) violations.push(u.user_id);
         if (myShip != null && Number(u.ship_id) !== myShip) violations.push(u.user_id);
       }
@@ -781,38 +818,35 @@ export const bulkUpdateUserStatus = async (req, res) => {
       let username = null;
       let plainPassword = null;
       let password_hash = null;
-      let password_enc = null;
 
       if (isTargetOnboard && !hasCreds) {
         username = await createUniqueUsername(u.seafarer_id);
         plainPassword = generatePassword(12);
-        password_hash = hashPassword(plainPassword);
-        password_enc = encryptPassword(plainPassword);
+        password_hash = await hashPassword(plainPassword);
       }
 
       // if offboarding and user wants credentials removed
       const clearCreds = isTargetOffboard && remove_credentials;
 
-      const { rowCount } = await db.query(
+      const { rows: updatedRows } = await db.query(
         `UPDATE users
          SET
            status = $1,
            username = CASE WHEN $2::boolean THEN NULL ELSE COALESCE($3::varchar, username) END,
            password_hash = CASE WHEN $2::boolean THEN NULL ELSE COALESCE($4::varchar, password_hash) END,
-           password_enc = CASE WHEN $2::boolean THEN NULL ELSE COALESCE($5::text, password_enc) END,
            updated_at = NOW()
-         WHERE user_id = $6`,
+         WHERE user_id = $5
+         RETURNING user_id, seafarer_id, company_id, ship_id, status, username, password_hash`,
         [
           status,
           clearCreds,
           username,
           password_hash,
-          password_enc,
           u.user_id,
         ]
       );
 
-      if (!rowCount) {
+      if (!updatedRows.length) {
         results.skipped++;
         results.skipped_reasons.push({ user_id: u.user_id, reason: "Not updated" });
         continue;
@@ -820,16 +854,37 @@ export const bulkUpdateUserStatus = async (req, res) => {
 
       results.updated++;
 
+      // same transaction (BEGIN above runs on the request's connection)
+      await recordAudit(req, {
+        action: "user.bulk_status",
+        entity_type: "user",
+        entity_id: u.user_id,
+        before: u,
+        after: updatedRows[0],
+        details: { remove_credentials, credentials_generated: Boolean(plainPassword) },
+      });
+
       if (plainPassword) {
+        const claim = await issueCredentialClaim({
+          user_id: u.user_id,
+          password: plainPassword,
+          created_by_user_id: req.user.user_id,
+        });
         results.generated_credentials.push({
           user_id: u.user_id,
           seafarer_id: u.seafarer_id,
           username,
-          password: plainPassword,
+          claim_code: claim.claim_code,
+          claim_expires_at: claim.expires_at,
         });
       }
     }
 
+    // ✅ offboarded crew lose API access immediately (not at token expiry)
+    if (isTargetOffboard) {
+      await bumpTokenVersion(users.map((u) => u.user_id));
+    }
+
     await db.query("COMMIT");
     return res.json({
       message: "Bulk status update completed",
@@ -1022,7 +1077,8 @@ const getFullNameSmart = (row) => {
 
 // Validate company_id + ship_id from form data and enforce role scope (same as yours)
 const resolveImportScope = async (req) => {
-  const role = Number(req.user?.role_id);
+  const scope = req.user?.scope;
+  if (scope === SCOPE_SELF) return { error: "Import is not available for self-scoped roles" };
 
   const company_id = String(req.body?.company_id || "").trim();
   const ship_id_raw = req.body?.ship_id;
@@ -1038,12 +1094,12 @@ const resolveImportScope = async (req) => {
   if (!s.rows.length) return { error: "ship_id does not exist" };
   if (String(s.rows[0].company_id) !== company_id) return { error: "ship_id does not belong to company_id" };
 
-  if (role === 2 && String(req.user.company_id) !== company_id) {
-    return { error: "Role 2 company scope violation" };
+  if (scope === SCOPE_COMPANY && String(req.user.company_id) !== company_id) {
+    return { error: "Company scope violation" };
   }
-  if (role === 3) {
-    if (String(req.user.company_id) !== company_id) return { error: "Role 3 company scope violation" };
-    if (Number(req.user.ship_id) !== ship_id) return { error: "Role 3 ship scope violation" };
+  if (scope === SCOPE_SHIP) {
+    if (String(req.user.company_id) !== company_id) return { error: "Company scope violation" };
+    if (Number(req.user.ship_id) !== ship_id) return { error: "Ship scope violation" };
   }
 
   return { company_id, ship_id };
@@ -1080,14 +1136,11 @@ const pickSheetWithHeader = (wb, requestedSheetName) => {
   };
 };
 
-// POST /users/import (roles 1/2/3)
-// POST /users/import (roles 1/2/3)
+// POST /users/import (user.import)
 export const importUsersFromExcel = [
   upload.single("file"),
+  resumeDbContext, // multer continues from stream events, outside the request's db context
   async (req, res) => {
-    const role = Number(req.user?.role_id);
-    if (![1, 2, 3].includes(role)) return res.status(403).json({ error: "Forbidden" });
-
     if (!req.file) {
       return res.status(400).json({ error: 'Excel file is required (field name: "file")' });
     }
@@ -1177,16 +1230,16 @@ export const importUsersFromExcel = [
             : computeStatusFromDates({ disembarkation_date });
 
         // ✅ Auto role assignment:
-        // If rank is senior → role_id=3 + force Onboard
-        const role_id_to_insert = isShipAdminRank(rank) ? 3 : 4;
+        // If rank is senior → Sub Admin role + force Onboard
+        const role_id_to_insert = isShipAdminRank(rank) ? SYSTEM_ROLE_SUBADMIN : SYSTEM_ROLE_CREW;
 
-        if (role_id_to_insert === 3) {
+        if (role_id_to_insert === SYSTEM_ROLE_SUBADMIN) {
           status = "Onboard";
         }
 
         // ✅ If this user already exists in same company, UPDATE instead of INSERT
         const existingRes = await db.query(
-          `SELECT user_id, ship_id, company_id
+          `SELECT user_id, ship_id, company_id, role_id, status
            FROM users
            WHERE seafarer_id = $1 AND company_id = $2
            LIMIT 1`,
@@ -1224,6 +1277,15 @@ export const importUsersFromExcel = [
             ]
           );
 
+          // role or ship change, or offboarding -> revoke existing access tokens
+          if (
+            Number(existingUser.role_id) !== Number(role_id_to_insert) ||
+            String(existingUser.ship_id ?? "") !== String(ship_id ?? "") ||
+            (isOnboard(existingUser.status) && !isOnboard(status))
+          ) {
+            await bumpTokenVersion(existingUser.user_id);
+          }
+
           const oldShip = existingUser.ship_id ?? null;
           const newShip = ship_id;
 
@@ -1270,17 +1332,17 @@ export const importUsersFromExcel = [
           continue;
         }
 
+        const pii = encryptPiiFields({ passport_number, seaman_book_number, date_of_birth, place_of_birth });
+
         // ✅ Generate credentials if onboard
         let username = null;
         let password = null;
         let password_hash = null;
-        let password_enc = null;
 
         if (isOnboard(status)) {
           username = await createUniqueUsername(seafarer_id);
           password = generatePassword(12);
-          password_hash = hashPassword(password);
-          password_enc = encryptPassword(password);
+          password_hash = await hashPassword(password);
         }
 
         try {
@@ -1288,24 +1350,24 @@ export const importUsersFromExcel = [
             `INSERT INTO users
               (seafarer_id, full_name, rank, trip,
                embarkation_date, disembarkation_date, status,
-               username, password_hash, password_enc,
+               username, password_hash,
                ship_id, company_id,
-               sex, date_of_birth, place_of_birth, nationality,
+               sex, date_of_birth_enc, place_of_birth_enc, nationality,
                embarkation_port, disembarkation_port, end_of_contract, plus_months,
-               passport_number, passport_issue_place, passport_issue_date, passport_expiry_date,
-               seaman_book_number, seaman_book_issue_date, seaman_book_expiry_date,
+               passport_number_enc, passport_issue_place, passport_issue_date, passport_expiry_date,
+               seaman_book_number_enc, seaman_book_issue_date, seaman_book_expiry_date,
                role_id,
                created_at, updated_at)
              VALUES
               ($1,$2,$3,$4,
                $5,$6,$7,
-               $8,$9,$10,
-               $11,$12,
-               $13,$14,$15,$16,
-               $17,$18,$19,$20,
-               $21,$22,$23,$24,
-               $25,$26,$27,
-               $28,
+               $8,$9,
+               $10,$11,
+               $12,$13,$14,$15,
+               $16,$17,$18,$19,
+               $20,$21,$22,$23,
+               $24,$25,$26,
+               $27,
                NOW(), NOW())
              RETURNING user_id, seafarer_id, full_name, username, status, role_id`,
             [
@@ -1320,14 +1382,13 @@ export const importUsersFromExcel = [
 
               username,
               password_hash,
-              password_enc,
 
               ship_id,
               company_id,
 
               sex ?? null,
-              date_of_birth ?? null,
-              place_of_birth ?? null,
+              pii.date_of_birth_enc ?? null,
+              pii.place_of_birth_enc ?? null,
               nationality ?? null,
 
               embarkation_port ?? null,
@@ -1335,12 +1396,12 @@ export const importUsersFromExcel = [
               end_of_contract ?? null,
               plus_months ?? null,
 
-              passport_number ?? null,
+              pii.passport_number_enc ?? null,
               passport_issue_place ?? null,
               passport_issue_date ?? null,
               passport_expiry_date ?? null,
 
-              seaman_book_number ?? null,
+              pii.seaman_book_number_enc ?? null,
               seaman_book_issue_date ?? null,
               seaman_book_expiry_date ?? null,
 
@@ -1367,12 +1428,18 @@ export const importUsersFromExcel = [
           results.inserted++;
 
           if (password) {
+            const claim = await issueCredentialClaim({
+              user_id: inserted[0].user_id,
+              password,
+              created_by_user_id: req.user.user_id,
+            });
             results.created_credentials.push({
               row: rowNum,
               user_id: inserted[0].user_id,
               seafarer_id: inserted[0].seafarer_id,
               username: inserted[0].username,
-              password,
+              claim_code: claim.claim_code,
+              claim_expires_at: claim.expires_at,
               role_id: inserted[0].role_id,
             });
           }
@@ -1385,6 +1452,23 @@ export const importUsersFromExcel = [
         }
       }
 
+      // one summary event; rows are committed one by one above
+      await recordAudit(req, {
+        action: "user.import",
+        entity_type: "user",
+        entity_id: null,
+        company_id,
+        ship_id,
+        details: {
+          file_name: req.file.originalname ?? null,
+          sheet: sheetName,
+          total_rows: results.total_rows,
+          processed: results.inserted,
+          skipped: results.skipped,
+          credentials_created: results.created_credentials.length,
+        },
+      });
+
       return res.status(201).json({
         message: "Excel import completed",
         ...results,
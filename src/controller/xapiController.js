@@ -0,0 +1,664 @@
+// src/controller/xapiController.js
+import crypto from 'crypto';
+import { db, withTransaction } from '../db.js';
+import { userInKeyScope } from '../utils/apiKeys.js';
+import { DEFAULT_VESSEL_TIMEZONE, parseUnityTimestamp } from '../utils/unityTime.js';
+import { XAPI_VERSION } from '../middleware/xapiVersion.js';
+import { isUuid } from '../utils/validation.js';
+
+// xAPI Learning Record Store, a subset of xAPI 1.0.3: statements (POST / PUT / GET, voiding),
+// activities/state and agents. Clients authenticate with a company API key (HTTP Basic or X-Api-Key).
+// Actors must be Agents identified by account; account.name is the username (homePage is not checked).
+// Every statement except voiding ones is mirrored into activity_logs (migrations/024_xapi.sql):
+//   activity_type = last path segment of the verb IRI ("completed", "initialized", ...)
+//   training_type = IRI of the course-level activity (first grouping, else parent, else the object)
+// Voiding hides a statement from the LRS; its activity_logs row stays, like any logged event.
+
+const VOIDED_VERB = "http://adlnet.gov/expapi/verbs/voided";
+const ACCOUNT_HOMEPAGE = process.env.XAPI_ACCOUNT_HOMEPAGE || process.env.APP_BASE_URL || "http://localhost:3000";
+
+const MAX_STATEMENTS = Number(process.env.XAPI_MAX_STATEMENTS || 1000);
+const PAGE_SIZE = 100;
+const PAGE_MAX = 500;
+const INSERT_CHUNK = 500;
+
+const IRI_RE = /^[a-z][a-z0-9+.-]*:\S+$/i;
+
+const isIri = (v) => typeof v === "string" && v.length <= 2048 && IRI_RE.test(v);
+const isObject = (v) => !!v && typeof v === "object" && !Array.isArray(v);
+
+const USER_SQL = `SELECT u.user_id, u.username, u.full_name, u.company_id, u.ship_id, s.timezone AS ship_timezone
+                  FROM users u LEFT JOIN ships s ON s.ship_id = u.ship_id`;
+
+const AGENT_ERROR = "agent must be an Agent identified by account (account.name = username)";
+
+// account.name of an Agent, or null (Groups, mbox / openid agents cannot be matched to users)
+const agentUsername = (agent) => {
+  if (!isObject(agent) || (agent.objectType && agent.objectType !== "Agent")) return null;
+  const name = agent.account?.name;
+  return typeof name === "string" && name ? name : null;
+};
+
+const parseJsonParam = (v) => {
+  try {
+    return JSON.parse(String(v));
+  } catch {
+    return undefined;
+  }
+};
+
+// the user behind an agent query parameter, if the key may see them
+const findAgentUser = async (apiKey, username) => {
+  const { rows } = await db.query(`${USER_SQL} WHERE u.username = $1 LIMIT 1`, [username]);
+  return userInKeyScope(apiKey, rows[0]) ? rows[0] : null;
+};
+
+// -------------------- statements --------------------
+
+const validateStatement = (s) => {
+  if (!isObject(s)) return "statement must be an object";
+  if (s.id !== undefined && !isUuid(s.id)) return "id must be a UUID";
+  if (!agentUsername(s.actor)) return `actor: ${AGENT_ERROR}`;
+  if (!isObject(s.verb) || !isIri(s.verb.id)) return "verb.id must be an IRI";
+  if (s.verb.display !== undefined && !isObject(s.verb.display)) return "verb.display must be a language map";
+
+  if (!isObject(s.object)) return "object is required";
+  const objectType = s.object.objectType || "Activity";
+  if (objectType === "Activity") {
+    if (!isIri(s.object.id)) return "object.id must be an IRI";
+  } else if (objectType === "StatementRef") {
+    if (!isUuid(s.object.id)) return "object.id of a StatementRef must be a UUID";
+  } else {
+    return "object.objectType must be Activity or StatementRef";
+  }
+  if (s.verb.id === VOIDED_VERB && objectType !== "StatementRef") return "a voiding statement needs a StatementRef object";
+
+  if (s.result !== undefined) {
+    const r = s.result;
+    if (!isObject(r)) return "result must be an object";
+    if (r.success !== undefined && typeof r.success !== "boolean") return "result.success must be a boolean";
+    if (r.completion !== undefined && typeof r.completion !== "boolean") return "result.completion must be a boolean";
+    if (r.duration !== undefined && !/^P\S+$/.test(String(r.duration))) return "result.duration must be an ISO 8601 duration";
+    if (r.score !== undefined) {
+      if (!isObject(r.score)) return "result.score must be an object";
+      const { scaled } = r.score;
+      if (scaled !== undefined && (typeof scaled !== "number" || scaled < -1 || scaled > 1)) {
+        return "result.score.scaled must be a number between -1 and 1";
+      }
+    }
+  }
+
+  if (s.context !== undefined) {
+    if (!isObject(s.context)) return "context must be an object";
+    if (s.context.registration !== undefined && !isUuid(s.context.registration)) {
+      return "context.registration must be a UUID";
+    }
+  }
+  if (s.timestamp !== undefined && Number.isNaN(new Date(String(s.timestamp)).getTime())) {
+    return "timestamp must be an ISO 8601 date";
+  }
+  return null;
+};
+
+// key order independent JSON, to tell a resent statement from a different one with the same id
+const canonical = (v) => {
+  if (Array.isArray(v)) return `[${v.map(canonical).join(",")}]`;
+  if (isObject(v)) {
+    const keys = Object.keys(v).sort();
+    return `{${keys.map((k) => `${JSON.stringify(k)}:${canonical(v[k])}`).join(",")}}`;
+  }
+  return JSON.stringify(v);
+};
+const SIGNIFICANT = ["actor", "verb", "object", "result", "context", "attachments"];
+const sameStatement = (a, b) => SIGNIFICANT.every((k) => canonical(a[k] ?? null) === canonical(b[k] ?? null));
+
+const first = (v) => (Array.isArray(v) ? v[0] : v);
+const verbName = (verbId) => String(verbId).replace(/[/#]+$/, "").split(/[/#]/).pop().toLowerCase().slice(0, 255);
+const trainingActivity = (s) => {
+  const ca = s.context?.contextActivities || {};
+  return String((first(ca.grouping) || first(ca.parent) || s.object).id).slice(0, 255);
+};
+
+const ACTIVITY_COLUMNS = `(user_id, username, company_id, ship_id, activity_type, training_type, payload_json,
+   occurred_at, api_key_id, client_event_id, client_timestamp, client_timezone, client_utc_offset)`;
+const STATEMENT_COLUMNS = `(company_id, statement_id, ship_id, user_id, activity_id, verb_id, object_id, registration,
+   statement, "timestamp", stored, api_key_id)`;
+
+// multi-row INSERT ... VALUES in chunks; casts = { column index: "::type" }
+const insertRows = async (client, sql, rows, casts = {}, suffix = "") => {
+  const out = [];
+  for (let i = 0; i < rows.length; i += INSERT_CHUNK) {
+    const chunk = rows.slice(i, i + INSERT_CHUNK);
+    const width = chunk[0].length;
+    const placeholders = chunk.map(
+      (_, r) => `(${Array.from({ length: width }, (__, c) => `$${r * width + c + 1}${casts[c] || ""}`).join(", ")})`
+    );
+    const { rows: returned } = await client.query(`${sql} VALUES ${placeholders.join(", ")} ${suffix}`, chunk.flat());
+    out.push(...returned);
+  }
+  return out;
+};
+
+/**
+ * Validates and stores statements (all or nothing).
+ * Returns { ids } or { status, error }. A statement id already stored with the same content is a no-op.
+ */
+const storeStatements = async (req, input) => {
+  if (input.length > MAX_STATEMENTS) return { status: 413, error: `At most ${MAX_STATEMENTS} statements per request` };
+
+  const seen = new Set();
+  for (const [i, s] of input.entries()) {
+    const error = validateStatement(s);
+    if (error) return { status: 400, error: `statement ${i}: ${error}` };
+    if (s.id !== undefined) {
+      if (seen.has(s.id.toLowerCase())) return { status: 400, error: `statement ${i}: id ${s.id} is repeated` };
+      seen.add(s.id.toLowerCase());
+    }
+  }
+
+  const { api_key_id, company_id, label } = req.apiKey;
+  const usernames = [...new Set(input.map((s) => agentUsername(s.actor)))];
+  const { rows: userRows } = await db.query(`${USER_SQL} WHERE u.username = ANY($1::text[])`, [usernames]);
+  const usersByName = new Map(userRows.map((r) => [r.username, r]));
+  for (const name of usernames) {
+    // unknown usernames get the same answer so keys can't probe other tenants
+    if (!userInKeyScope(req.apiKey, usersByName.get(name))) {
+      return { status: 403, error: `actor ${name} is outside this API key's scope` };
+    }
+  }
+
+  const stored = new Date();
+  const authority = {
+    objectType: "Agent",
+    name: label || `API key ${api_key_id}`,
+    account: { homePage: ACCOUNT_HOMEPAGE, name: `api-key-${api_key_id}` },
+  };
+  const statements = input.map((s) => ({
+    ...s,
+    id: (s.id || crypto.randomUUID()).toLowerCase(),
+    timestamp: s.timestamp || stored.toISOString(),
+    stored: stored.toISOString(),
+    authority,
+    version: s.version || "1.0.0",
+  }));
+
+  return withTransaction(async (client) => {
+    const { rows: existing } = await client.query(
+      `SELECT statement_id, statement FROM xapi_statements WHERE company_id = $1 AND statement_id = ANY($2::uuid[])`,
+      [company_id, statements.map((s) => s.id)]
+    );
+    const existingById = new Map(existing.map((r) => [r.statement_id, r.statement]));
+    for (const s of statements) {
+      const prior = existingById.get(s.id);
+      if (prior && !sameStatement(prior, s)) return { status: 409, error: `Statement ${s.id} exists with different content` };
+    }
+    const fresh = statements.filter((s) => !existingById.has(s.id));
+
+    // voiding statements cannot be voided themselves (unknown targets are accepted, as the spec asks)
+    const targets = fresh.filter((s) => s.verb.id === VOIDED_VERB).map((s) => s.object.id.toLowerCase());
+    if (targets.length) {
+      const { rows: targetRows } = await client.query(
+        `SELECT statement_id FROM xapi_statements
+         WHERE company_id = $1 AND statement_id = ANY($2::uuid[]) AND verb_id = $3`,
+        [company_id, targets, VOIDED_VERB]
+      );
+      const inRequest = fresh.filter((s) => s.verb.id === VOIDED_VERB && targets.includes(s.id));
+      if (targetRows.length || inRequest.length) return { status: 400, error: "A voiding statement cannot be voided" };
+    }
+
+    const logged = fresh.filter((s) => s.verb.id !== VOIDED_VERB);
+    const logRows = logged.map((s) => {
+      const user = usersByName.get(agentUsername(s.actor));
+      const time = parseUnityTimestamp(s.timestamp, user.ship_timezone || DEFAULT_VESSEL_TIMEZONE);
+      return [
+        user.user_id,
+        user.username,
+        user.company_id,
+        user.ship_id ?? null,
+        verbName(s.verb.id),
+        trainingActivity(s),
+        JSON.stringify(s),
+        time?.occurredAt || stored,
+        api_key_id,
+        `xapi:${s.id}`,
+        String(s.timestamp).slice(0, 64),
+        time?.timezone ?? null,
+        time?.utcOffset ?? null,
+      ];
+    });
+    const logs = logRows.length
+      ? await insertRows(
+          client,
+          `INSERT INTO activity_logs ${ACTIVITY_COLUMNS}`,
+          logRows,
+          { 6: "::jsonb" },
+          `ON CONFLICT (company_id, client_event_id) WHERE client_event_id IS NOT NULL DO NOTHING
+           RETURNING activity_id, client_event_id`
+        )
+      : [];
+    const activityIds = new Map(logs.map((r) => [r.client_event_id, r.activity_id]));
+
+    if (fresh.length) {
+      await insertRows(
+        client,
+        `INSERT INTO xapi_statements ${STATEMENT_COLUMNS}`,
+        fresh.map((s) => {
+          const user = usersByName.get(agentUsername(s.actor));
+          return [
+            company_id,
+            s.id,
+            user.ship_id ?? null,
+            user.user_id,
+            activityIds.get(`xapi:${s.id}`) ?? null,
+            s.verb.id,
+            s.object.objectType === "StatementRef" ? s.object.id.toLowerCase() : s.object.id,
+            s.context?.registration ?? null,
+            JSON.stringify(s),
+            s.timestamp,
+            stored,
+            api_key_id,
+          ];
+        }),
+        { 8: "::jsonb" }
+      );
+    }
+
+    if (targets.length) {
+      await client.query(
+        `UPDATE xapi_statements SET voided = TRUE WHERE company_id = $1 AND statement_id = ANY($2::uuid[])`,
+        [company_id, targets]
+      );
+    }
+
+    return { ids: statements.map((s) => s.id) };
+  });
+};
+
+/**
+ * POST /xapi/statements  (requireApiKey('xapi:write'))
+ * Body: one statement or an array. Response: the statement ids, in order.
+ */
+export const postStatements = async (req, res) => {
+  const body = req.body;
+  const input = Array.isArray(body) ? body : [body];
+  if (!Array.isArray(body) && !isObject(body)) return res.status(400).json({ error: "Body must be a statement or an array" });
+  if (!input.length) return res.json([]);
+
+  try {
+    const result = await storeStatements(req, input);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    return res.json(result.ids);
+  } catch (err) {
+    console.error("Error postStatements:", err);
+    return res.status(500).json({ error: "Failed to store statements" });
+  }
+};
+
+/**
+ * PUT /xapi/statements?statementId=…  (requireApiKey('xapi:write'))
+ * Stores one statement under the given id (204); the same statement again is a no-op.
+ */
+export const putStatement = async (req, res) => {
+  const { statementId } = req.query;
+  if (!isUuid(statementId)) return res.status(400).json({ error: "statementId must be a UUID" });
+  if (!isObject(req.body)) return res.status(400).json({ error: "Body must be a statement" });
+  if (req.body.id !== undefined && String(req.body.id).toLowerCase() !== statementId.toLowerCase()) {
+    return res.status(400).json({ error: "id does not match statementId" });
+  }
+
+  try {
+    const result = await storeStatements(req, [{ ...req.body, id: statementId }]);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    return res.status(204).end();
+  } catch (err) {
+    console.error("Error putStatement:", err);
+    return res.status(500).json({ error: "Failed to store statement" });
+  }
+};
+
+const SINGLE_ALLOWED = ["statementId", "voidedStatementId", "format", "attachments"];
+const FORMATS = ["exact", "ids", "canonical"];
+
+// query parameters a `more` link carries over (the cursor is set on it)
+const LIST_PARAMS = [
+  "agent",
+  "verb",
+  "activity",
+  "registration",
+  "related_activities",
+  "since",
+  "until",
+  "limit",
+  "format",
+  "attachments",
+  "ascending",
+];
+
+// <a|d><statement_seq>: the sort direction is part of the cursor, a page cannot continue the other way
+const encodeCursor = (ascending, seq) => `${ascending ? "a" : "d"}${seq}`;
+const decodeCursor = (cursor) => {
+  const m = /^([ad])(\d{1,19})$/.exec(String(cursor));
+  return m ? { ascending: m[1] === "a", seq: m[2] } : null;
+};
+
+/**
+ * GET /xapi/statements  (requireApiKey('xapi:read'))
+ * statementId / voidedStatementId -> one statement; otherwise a StatementResult
+ * { statements, more } filtered by agent, verb, activity (related_activities), registration,
+ * since / until (stored), newest first unless ascending=true; limit (0 = server maximum).
+ * Ship-bound keys only see their ship's statements. Statements are always returned as stored.
+ * X-Experience-API-Consistent-Through is the latest `stored` the key can see (now when none).
+ */
+export const getStatements = async (req, res) => {
+  const q = req.query;
+
+  const where = [];
+  const values = [];
+  const add = (sql, v) => {
+    values.push(v);
+    where.push(sql.replace("?", () => `$${values.length}`));
+  };
+  add("t.company_id = ?", req.apiKey.company_id);
+  if (req.apiKey.ship_id != null) add("t.ship_id = ?", Number(req.apiKey.ship_id));
+
+  try {
+    const latest = await db.query(`SELECT MAX(t.stored) AS stored FROM xapi_statements t WHERE ${where.join(" AND ")}`, values);
+    res.set("X-Experience-API-Consistent-Through", new Date(latest.rows[0].stored ?? Date.now()).toISOString());
+
+    if (q.format !== undefined && !FORMATS.includes(q.format)) {
+      return res.status(400).json({ error: `format must be one of: ${FORMATS.join(", ")}` });
+    }
+
+    if (q.statementId !== undefined || q.voidedStatementId !== undefined) {
+      if (q.statementId !== undefined && q.voidedStatementId !== undefined) {
+        return res.status(400).json({ error: "Use either statementId or voidedStatementId" });
+      }
+      const extra = Object.keys(q).filter((k) => !SINGLE_ALLOWED.includes(k));
+      if (extra.length) return res.status(400).json({ error: `Not allowed with a statement id: ${extra.join(", ")}` });
+
+      const id = q.statementId ?? q.voidedStatementId;
+      if (!isUuid(id)) return res.status(400).json({ error: "Statement id must be a UUID" });
+      add("t.statement_id = ?", id.toLowerCase());
+      where.push(q.statementId !== undefined ? "t.voided = FALSE" : "t.voided = TRUE");
+
+      const { rows } = await db.query(`SELECT t.statement FROM xapi_statements t WHERE ${where.join(" AND ")}`, values);
+      if (!rows.length) return res.status(404).json({ error: "Statement not found" });
+      return res.json(rows[0].statement);
+    }
+
+    where.push("t.voided = FALSE");
+    if (q.agent !== undefined) {
+      const username = agentUsername(parseJsonParam(q.agent));
+      if (!username) return res.status(400).json({ error: AGENT_ERROR });
+      // outside the key's scope looks the same as unknown: no statements
+      const user = await findAgentUser(req.apiKey, username);
+      if (!user) return res.json({ statements: [], more: "" });
+      add("t.user_id = ?", user.user_id);
+    }
+    if (q.verb !== undefined) {
+      if (!isIri(q.verb)) return res.status(400).json({ error: "verb must be an IRI" });
+      add("t.verb_id = ?", q.verb);
+    }
+    if (q.activity !== undefined) {
+      if (!isIri(q.activity)) return res.status(400).json({ error: "activity must be an IRI" });
+      values.push(q.activity);
+      const n = values.length;
+      // related_activities: also statements that have the activity in their context
+      where.push(
+        q.related_activities === "true"
+          ? `(t.object_id = $${n} OR jsonb_path_exists(t.statement,
+               '$.context.contextActivities.*[*] ? (@.id == $iri)', jsonb_build_object('iri', $${n}::text)))`
+          : `t.object_id = $${n}`
+      );
+    }
+    if (q.registration !== undefined) {
+      if (!isUuid(q.registration)) return res.status(400).json({ error: "registration must be a UUID" });
+      add("t.registration = ?", q.registration);
+    }
+    for (const [k, op] of [["since", ">"], ["until", "<="]]) {
+      if (q[k] === undefined) continue;
+      const d = new Date(String(q[k]));
+      if (Number.isNaN(d.getTime())) return res.status(400).json({ error: `${k} must be an ISO 8601 date` });
+      add(`t.stored ${op} ?`, d);
+    }
+
+    const ascending = q.ascending === "true";
+    if (q.cursor !== undefined) {
+      const cursor = decodeCursor(q.cursor);
+      if (!cursor) return res.status(400).json({ error: "Invalid cursor" });
+      if (cursor.ascending !== ascending) {
+        return res.status(400).json({ error: "cursor belongs to the other sort order; follow the more link as given" });
+      }
+      add(`t.statement_seq ${ascending ? ">" : "<"} ?`, cursor.seq);
+    }
+    const requested = Number(q.limit || PAGE_SIZE);
+    if (!Number.isInteger(requested) || requested < 0) {
+      return res.status(400).json({ error: "limit must be a non-negative integer" });
+    }
+    const lim = requested === 0 ? PAGE_MAX : Math.min(requested, PAGE_MAX);
+
+    const { rows } = await db.query(
+      `SELECT t.statement_seq, t.statement
+       FROM xapi_statements t
+       WHERE ${where.join(" AND ")}
+       ORDER BY t.statement_seq ${ascending ? "ASC" : "DESC"}
+       LIMIT ${lim + 1}`,
+      values
+    );
+
+    let more = "";
+    if (rows.length > lim) {
+      rows.length = lim;
+      const params = new URLSearchParams();
+      for (const k of LIST_PARAMS) if (q[k] !== undefined) params.set(k, String(q[k]));
+      params.set("cursor", encodeCursor(ascending, rows[rows.length - 1].statement_seq));
+      more = `${req.baseUrl}${req.path}?${params}`;
+    }
+    return res.json({ statements: rows.map((r) => r.statement), more });
+  } catch (err) {
+    console.error("Error getStatements:", err);
+    return res.status(500).json({ error: "Failed to fetch statements" });
+  }
+};
+
+// -------------------- activities/state --------------------
+
+const isJsonType = (contentType) => /^application\/json\b/i.test(String(contentType || ""));
+
+// activityId, agent (JSON), registration, stateId -> { activityIri, username, registration, stateId } or { error }
+const stateParams = (q, { stateRequired = false } = {}) => {
+  if (!isIri(q.activityId)) return { error: "activityId must be an IRI" };
+  const username = agentUsername(parseJsonParam(q.agent));
+  if (!username) return { error: AGENT_ERROR };
+  if (q.registration !== undefined && !isUuid(q.registration)) return { error: "registration must be a UUID" };
+  if (stateRequired && !q.stateId) return { error: "stateId is required" };
+  return {
+    activityIri: q.activityId,
+    username,
+    registration: q.registration ?? null,
+    stateId: q.stateId ? String(q.stateId) : null,
+  };
+};
+
+const STATE_WHERE = `company_id = $1 AND user_id = $2 AND activity_iri = $3 AND registration IS NOT DISTINCT FROM $4::uuid`;
+const stateKey = (user, p) => [user.company_id, user.user_id, p.activityIri, p.registration];
+
+const UPSERT_STATE = `
+  INSERT INTO xapi_activity_state
+    (company_id, user_id, activity_iri, registration, state_id, ship_id, content, content_type, updated_at)
+  VALUES ($1, $2, $3, $4::uuid, $5, $6, $7, $8, NOW())
+  ON CONFLICT (company_id, user_id, activity_iri,
+    (COALESCE(registration, '00000000-0000-0000-0000-000000000000'::uuid)), state_id)
+  DO UPDATE SET content = EXCLUDED.content, content_type = EXCLUDED.content_type, ship_id = EXCLUDED.ship_id,
+                updated_at = NOW()`;
+
+// the document body (raw parser, see app.js) and its content type, or { error }
+const stateDocument = (req) => {
+  if (!Buffer.isBuffer(req.body) || !req.body.length) return { error: "A document body is required" };
+  const contentType = req.headers["content-type"] || "application/octet-stream";
+  if (isJsonType(contentType)) {
+    const doc = parseJsonParam(req.body.toString("utf8"));
+    if (doc === undefined) return { error: "Body is not valid JSON" };
+    return { content: req.body, contentType, json: doc };
+  }
+  return { content: req.body, contentType };
+};
+
+/**
+ * PUT /xapi/activities/state  (requireApiKey('xapi:write'))
+ * Stores (replaces) one state document: activityId, agent, stateId, registration (optional).
+ */
+export const putState = async (req, res) => {
+  const p = stateParams(req.query, { stateRequired: true });
+  if (p.error) return res.status(400).json({ error: p.error });
+  const doc = stateDocument(req);
+  if (doc.error) return res.status(400).json({ error: doc.error });
+
+  try {
+    const user = await findAgentUser(req.apiKey, p.username);
+    if (!user) return res.status(403).json({ error: "agent is outside this API key's scope" });
+
+    await db.query(UPSERT_STATE, [...stateKey(user, p), p.stateId, user.ship_id ?? null, doc.content, doc.contentType]);
+    return res.status(204).end();
+  } catch (err) {
+    console.error("Error putState:", err);
+    return res.status(500).json({ error: "Failed to store state" });
+  }
+};
+
+/**
+ * POST /xapi/activities/state  (requireApiKey('xapi:write'))
+ * Like PUT, but a JSON object is merged into an existing JSON document (top-level keys).
+ */
+export const postState = async (req, res) => {
+  const p = stateParams(req.query, { stateRequired: true });
+  if (p.error) return res.status(400).json({ error: p.error });
+  const doc = stateDocument(req);
+  if (doc.error) return res.status(400).json({ error: doc.error });
+
+  try {
+    const user = await findAgentUser(req.apiKey, p.username);
+    if (!user) return res.status(403).json({ error: "agent is outside this API key's scope" });
+
+    const error = await withTransaction(async (client) => {
+      const { rows } = await client.query(
+        `SELECT content, content_type FROM xapi_activity_state WHERE ${STATE_WHERE} AND state_id = $5 FOR UPDATE`,
+        [...stateKey(user, p), p.stateId]
+      );
+
+      let { content, contentType } = doc;
+      if (rows.length) {
+        const prior = isJsonType(rows[0].content_type) ? parseJsonParam(rows[0].content.toString("utf8")) : undefined;
+        if (!isObject(prior) || !isObject(doc.json)) {
+          return "Only JSON objects can be merged into a JSON document; use PUT to replace it";
+        }
+        content = Buffer.from(JSON.stringify({ ...prior, ...doc.json }));
+        contentType = "application/json";
+      }
+
+      await client.query(UPSERT_STATE, [...stateKey(user, p), p.stateId, user.ship_id ?? null, content, contentType]);
+      return null;
+    });
+    if (error) return res.status(400).json({ error });
+    return res.status(204).end();
+  } catch (err) {
+    console.error("Error postState:", err);
+    return res.status(500).json({ error: "Failed to store state" });
+  }
+};
+
+/**
+ * GET /xapi/activities/state  (requireApiKey('xapi:read'))
+ * With stateId: the document as stored. Without: the stateIds (optionally updated after `since`).
+ */
+export const getState = async (req, res) => {
+  const p = stateParams(req.query);
+  if (p.error) return res.status(400).json({ error: p.error });
+
+  try {
+    const user = await findAgentUser(req.apiKey, p.username);
+
+    if (p.stateId) {
+      if (!user) return res.status(404).json({ error: "State not found" });
+      const { rows } = await db.query(
+        `SELECT content, content_type, updated_at FROM xapi_activity_state WHERE ${STATE_WHERE} AND state_id = $5`,
+        [...stateKey(user, p), p.stateId]
+      );
+      if (!rows.length) return res.status(404).json({ error: "State not found" });
+      res.set("Content-Type", rows[0].content_type);
+      res.set("Last-Modified", new Date(rows[0].updated_at).toUTCString());
+      return res.send(rows[0].content);
+    }
+
+    if (!user) return res.json([]);
+    const values = stateKey(user, p);
+    let since = "";
+    if (req.query.since !== undefined) {
+      const d = new Date(String(req.query.since));
+      if (Number.isNaN(d.getTime())) return res.status(400).json({ error: "since must be an ISO 8601 date" });
+      values.push(d);
+      since = `AND updated_at > $${values.length}`;
+    }
+    const { rows } = await db.query(
+      `SELECT state_id FROM xapi_activity_state WHERE ${STATE_WHERE} ${since} ORDER BY state_id`,
+      values
+    );
+    return res.json(rows.map((r) => r.state_id));
+  } catch (err) {
+    console.error("Error getState:", err);
+    return res.status(500).json({ error: "Failed to fetch state" });
+  }
+};
+
+/**
+ * DELETE /xapi/activities/state  (requireApiKey('xapi:write'))
+ * With stateId: that document. Without: every document of the activity / agent / registration.
+ */
+export const deleteState = async (req, res) => {
+  const p = stateParams(req.query);
+  if (p.error) return res.status(400).json({ error: p.error });
+
+  try {
+    const user = await findAgentUser(req.apiKey, p.username);
+    if (!user) return res.status(403).json({ error: "agent is outside this API key's scope" });
+
+    const values = stateKey(user, p);
+    if (p.stateId) values.push(p.stateId);
+    await db.query(`DELETE FROM xapi_activity_state WHERE ${STATE_WHERE} ${p.stateId ? "AND state_id = $5" : ""}`, values);
+    return res.status(204).end();
+  } catch (err) {
+    console.error("Error deleteState:", err);
+    return res.status(500).json({ error: "Failed to delete state" });
+  }
+};
+
+// -------------------- agents / about --------------------
+
+/**
+ * GET /xapi/agents?agent=…  (requireApiKey('xapi:read'))
+ * The Person object of a user known to the key's company.
+ */
+export const getAgent = async (req, res) => {
+  const agent = parseJsonParam(req.query.agent);
+  const username = agentUsername(agent);
+  if (!username) return res.status(400).json({ error: AGENT_ERROR });
+
+  try {
+    const user = await findAgentUser(req.apiKey, username);
+    if (!user) return res.status(404).json({ error: "Agent not found" });
+    return res.json({
+      objectType: "Person",
+      name: user.full_name ? [user.full_name] : [],
+      account: [{ homePage: agent.account.homePage || ACCOUNT_HOMEPAGE, name: user.username }],
+    });
+  } catch (err) {
+    console.error("Error getAgent:", err);
+    return res.status(500).json({ error: "Failed to fetch agent" });
+  }
+};
+
+// GET /xapi/about (public, no version header needed)
+export const getAbout = (req, res) => {
+  res.set("X-Experience-API-Version", XAPI_VERSION);
+  return res.json({ version: [XAPI_VERSION, "1.0.2", "1.0.1", "1.0.0"] });
+};
@@ -1,14 +1,170 @@
 import pg from "pg";
 import dotenv from "dotenv";
+import { AsyncLocalStorage } from "async_hooks";
 dotenv.config();
 
 const { Pool } = pg;
 
-export const db = new Pool({
+const connectionConfig = (user, password) => ({
   host: process.env.PG_HOST,
   port: Number(process.env.PG_PORT || 5432),
-  user: process.env.PG_USER,
-  password: process.env.PG_PASSWORD,
+  user,
+  password,
   database: process.env.PG_DATABASE,
   ssl: process.env.PG_SSL === "true" ? { rejectUnauthorized: false } : false,
 });
+
+const pool = new Pool(connectionConfig(process.env.PG_USER, process.env.PG_PASSWORD));
+
+// System connections: a role with BYPASSRLS (migrations/028_rls_default_deny.sql) for code that
+// acts before or without a caller: login / signup / token flows, the API-key lookup, jobs and
+// scripts. Without PG_SYSTEM_USER they use PG_USER, and the policies deny them (fails closed).
+const systemPool = process.env.PG_SYSTEM_USER
+  ? new Pool(connectionConfig(process.env.PG_SYSTEM_USER, process.env.PG_SYSTEM_PASSWORD))
+  : pool;
+
+// -------------------- per-request tenant context (row-level security) --------------------
+// Authenticated requests run inside a context (see middleware/dbContext.js). All their
+// queries go through one pooled client on which app.user_id / app.company_id / app.ship_id /
+// app.scope are set, and the RLS policies of migrations/012_row_level_security.sql filter on them.
+// Code without a caller runs in the system context (runAsSystem). Anything else gets the
+// API's pool with nothing set, where the policies return no rows.
+const requestContext = new AsyncLocalStorage();
+
+const SYSTEM_CONTEXT = Object.freeze({ system: true });
+
+const CONTEXT_SQL = `SELECT set_config('app.user_id', $1, false),
+                            set_config('app.company_id', $2, false),
+                            set_config('app.ship_id', $3, false),
+                            set_config('app.scope', $4, false)`;
+
+// end any transaction a handler left open, then clear the variables before the client goes back
+const RESET_SQL = `ROLLBACK; SELECT set_config('app.user_id', '', false), set_config('app.company_id', '', false),
+                   set_config('app.ship_id', '', false), set_config('app.scope', '', false)`;
+
+const str = (v) => (v === undefined || v === null ? "" : String(v));
+
+const checkoutWithContext = async (ctx) => {
+  const client = await pool.connect();
+  try {
+    await client.query(CONTEXT_SQL, [str(ctx.user_id), str(ctx.company_id), str(ctx.ship_id), str(ctx.scope)]);
+    return client;
+  } catch (err) {
+    client.release(err);
+    throw err;
+  }
+};
+
+const releaseWithReset = async (client) => {
+  try {
+    await client.query(RESET_SQL);
+    client.release();
+  } catch (err) {
+    client.release(err); // drop the connection rather than reuse it with a stale context
+  }
+};
+
+const requestClient = (store) => {
+  if (!store.client) store.client = checkoutWithContext(store.ctx);
+  return store.client;
+};
+
+// after the response is done, stragglers (fire-and-forget logging) get a one-off client
+const withOneOffClient = async (ctx, fn) => {
+  const client = await checkoutWithContext(ctx);
+  try {
+    return await fn(client);
+  } finally {
+    await releaseWithReset(client);
+  }
+};
+
+// remember the SQLSTATEs a request ran into, so middleware can map them (see middleware/dbContext.js)
+const noteError = (store) => (err) => {
+  if (err?.code) store.sqlStates.add(err.code);
+  throw err;
+};
+
+/**
+ * Tenant context { user_id, company_id, ship_id, scope }. The client is checked out on the
+ * first query and released by endDbContext.
+ */
+export const createDbContext = (ctx) => ({ ctx, client: null, ended: false, sqlStates: new Set() });
+
+export const runInDbContext = (store, fn) => requestContext.run(store, fn);
+
+/**
+ * Runs fn with db.query / db.connect on the system connection (not filtered by RLS).
+ * Only for work that has no caller: unauthenticated auth routes (middleware/dbContext.js
+ * systemContext), jobs (utils/jobRunner.js) and scripts.
+ */
+export const runAsSystem = (fn) => requestContext.run(SYSTEM_CONTEXT, fn);
+
+export const endDbContext = async (store) => {
+  if (!store || store.ended) return;
+  store.ended = true;
+  if (!store.client) return;
+
+  // pg queues queries per client, so the reset runs after anything still in flight
+  const client = await store.client.catch(() => null);
+  if (client) await releaseWithReset(client);
+};
+
+export const db = {
+  query: (...args) => {
+    const store = requestContext.getStore();
+    if (!store) return pool.query(...args);
+    if (store.system) return systemPool.query(...args);
+    if (store.ended) return withOneOffClient(store.ctx, (c) => c.query(...args));
+    return requestClient(store)
+      .then((c) => c.query(...args))
+      .catch(noteError(store));
+  },
+
+  // inside a context every "connection" is the request client and release is a no-op
+  // (endDbContext releases it), so transactions and plain queries share one session.
+  connect: async () => {
+    const store = requestContext.getStore();
+    if (!store) return pool.connect();
+    if (store.system) return systemPool.connect();
+    if (store.ended) {
+      const client = await checkoutWithContext(store.ctx);
+      return { query: (...args) => client.query(...args), release: () => releaseWithReset(client) };
+    }
+    const client = await requestClient(store);
+    return { query: (...args) => client.query(...args).catch(noteError(store)), release: () => {} };
+  },
+};
+
+/**
+ * Runs fn(client) in a transaction: COMMIT if it resolves, ROLLBACK (and rethrow) if it throws.
+ */
+export const withTransaction = async (fn) => {
+  const client = await db.connect();
+  try {
+    await client.query("BEGIN");
+    const result = await fn(client);
+    await client.query("COMMIT");
+    return result;
+  } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Closes both pools (tests; long-running code never needs this).
+ */
+export const closeDb = async () => {
+  await pool.end();
+  if (systemPool !== pool) await systemPool.end();
+};
+
+// Bypasses the request context (no RLS filtering). Only for lookups that must see every
+// row regardless of the caller: auth plumbing caches and uniqueness checks.
+export const systemDb = {
+  query: (...args) => systemPool.query(...args),
+  connect: () => systemPool.connect(),
+};
@@ -0,0 +1,35 @@
+// src/middleware/dbContext.js
+import { createDbContext, runInDbContext, endDbContext, runAsSystem } from '../db.js';
+import { COMPANY_READ_ONLY_SQLSTATE, COMPANY_READ_ONLY_ERROR } from '../utils/companyStatus.js';
+
+/**
+ * Runs the rest of the request inside a tenant context so every query is filtered by the
+ * RLS policies (see src/db.js). Called by requireAuth / requireApiKey once the caller is known.
+ */
+export const attachDbContext = (req, res, ctx, next) => {
+  const store = createDbContext(ctx);
+  req.dbContext = store;
+
+  const done = () => endDbContext(store);
+  res.once('finish', done);
+  res.once('close', done);
+
+  // write to a suspended company's rows (DB trigger, migrations/019) -> 423 instead of the handler's 500
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode >= 500 && store.sqlStates.has(COMPANY_READ_ONLY_SQLSTATE)) {
+      return json.call(res.status(423), COMPANY_READ_ONLY_ERROR);
+    }
+    return json(body);
+  };
+
+  return runInDbContext(store, next);
+};
+
+// Put after middleware that continues from stream callbacks (multer), which lose the context.
+export const resumeDbContext = (req, res, next) =>
+  req.dbContext ? runInDbContext(req.dbContext, next) : next();
+
+// Unauthenticated routes (login, signup, token exchanges): their queries need the system
+// connection, since without a tenant context the RLS policies return nothing.
+export const systemContext = (req, res, next) => runAsSystem(next);
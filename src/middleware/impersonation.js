@@ -0,0 +1,45 @@
+// src/middleware/impersonation.js
+import { runInDbContext } from '../db.js';
+import { recordAudit } from '../utils/audit.js';
+
+const SAFE_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+
+/**
+ * Called by requireAuth for impersonation tokens (req.user.impersonator set).
+ * Flags the response, audits the request when it finishes and blocks writes of read-only
+ * sessions. Returns true when it already answered the request.
+ */
+export const handleImpersonatedRequest = (req, res) => {
+  const { impersonator } = req.user;
+
+  res.set('X-Impersonated-By', String(impersonator.user_id));
+  res.set('X-Impersonation-Id', String(impersonator.impersonation_id));
+
+  res.once('finish', () => {
+    const write = () =>
+      recordAudit(req, {
+        action: 'impersonation.request',
+        entity_type: 'user',
+        entity_id: req.user.user_id,
+        company_id: req.user.company_id ?? null,
+        ship_id: req.user.ship_id ?? null,
+        details: { method: req.method, path: req.originalUrl, status: res.statusCode },
+      });
+    const run = req.dbContext ? runInDbContext(req.dbContext, write) : write();
+    run.catch((err) => console.error('Error auditing impersonated request:', err));
+  });
+
+  if (impersonator.read_only && !SAFE_METHODS.has(req.method)) {
+    res.status(403).json({ error: 'Impersonation session is read-only' });
+    return true;
+  }
+  return false;
+};
+
+// For account-security routes (password, 2FA, own sessions) that must never run as someone else.
+export const denyImpersonation = (req, res, next) => {
+  if (req.user?.impersonator) {
+    return res.status(403).json({ error: 'Not allowed while impersonating a user' });
+  }
+  next();
+};
@@ -0,0 +1,13 @@
+// src/middleware/requestId.js
+import crypto from 'crypto';
+
+// Correlates logs and audit events of one request. A well-formed X-Request-Id from a
+// proxy is kept, otherwise a new one is generated; it is echoed back in the response.
+const VALID_ID = /^[A-Za-z0-9._:-]{8,64}$/;
+
+export const requestId = (req, res, next) => {
+  const incoming = req.headers['x-request-id'];
+  req.requestId = incoming && VALID_ID.test(String(incoming)) ? String(incoming) : crypto.randomUUID();
+  res.set('X-Request-Id', req.requestId);
+  next();
+};
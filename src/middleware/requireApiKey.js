@@ -0,0 +1,48 @@
+// src/middleware/requireApiKey.js
+import { authenticateApiKey } from '../utils/apiKeys.js';
+import { getClientIp } from '../utils/authEvents.js';
+import { SCOPE_COMPANY } from '../utils/permissions.js';
+import { companySuspended, COMPANY_SUSPENDED_ERROR } from '../utils/companyStatus.js';
+import { attachDbContext } from './dbContext.js';
+
+// xAPI content only knows HTTP Basic: the key is the password (or the username, if the password is empty)
+const basicKey = (header) => {
+  const m = /^Basic\s+(\S+)$/i.exec(String(header || ''));
+  if (!m) return null;
+  const decoded = Buffer.from(m[1], 'base64').toString('utf8');
+  const i = decoded.indexOf(':');
+  if (i < 0) return decoded || null;
+  return decoded.slice(i + 1) || decoded.slice(0, i) || null;
+};
+
+// Machine clients (Unity simulator builds, xAPI content) send a per-company key.
+// X-Api-Key is preferred; the old activity-key header names are still read so
+// existing builds only need the new key value.
+const readKey = (req) =>
+  req.headers['x-api-key'] ||
+  req.headers['x-activity-key'] ||
+  req.headers['activity_api_key'] ||
+  req.headers['activity-api-key'] ||
+  basicKey(req.headers.authorization);
+
+export const requireApiKey = (scope) => async (req, res, next) => {
+  const key = readKey(req);
+  if (!key) return res.status(401).json({ error: 'Missing API key' });
+
+  try {
+    const apiKey = await authenticateApiKey(key, scope, getClientIp(req));
+    if (!apiKey) return res.status(401).json({ error: 'Invalid API key' });
+
+    // suspended company -> simulator builds get a clear reason instead of silently losing data
+    if (await companySuspended(apiKey.company_id)) return res.status(403).json(COMPANY_SUSPENDED_ERROR);
+
+    // Attach to request for later use (tenant scope of the caller)
+    req.apiKey = apiKey;
+
+    // queries are limited to the key's company; ship-bound keys are checked by the handler
+    return attachDbContext(req, res, { company_id: apiKey.company_id, scope: SCOPE_COMPANY }, next);
+  } catch (err) {
+    console.error('requireApiKey failed:', err);
+    return res.status(500).json({ error: 'API key check failed' });
+  }
+};
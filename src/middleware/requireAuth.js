@@ -1,5 +1,13 @@
 import jwt from 'jsonwebtoken';
-export const requireAuth = (req, res, next) => {
+import { getTokenVersion } from '../utils/tokenVersion.js';
+import { getRole, SCOPE_GLOBAL } from '../utils/permissions.js';
+import { companySuspended, COMPANY_SUSPENDED_ERROR } from '../utils/companyStatus.js';
+import { attachDbContext } from './dbContext.js';
+import { handleImpersonatedRequest } from './impersonation.js';
+import { loadActiveImpersonation } from '../utils/impersonation.js';
+
+export const requireAuth = async (req, res, next) => {
+  let payload;
   try {
     const header = req.headers.authorization || '';
     const [type, token] = header.split(' ');
@@ -11,16 +19,65 @@ export const requireAuth = (req, res, next) => {
     const secret = process.env.JWT_SECRET;
     if (!secret) return res.status(500).json({ error: 'JWT_SECRET missing in .env' });
 
-    const payload = jwt.verify(token, secret);
-    if (process.env.NODE_ENV !== "production") {
-      console.log("AUTH PAYLOAD:", payload);
+    payload = jwt.verify(token, secret);
+
+    // mfa / enrollment tokens are not access tokens
+    if (payload.purpose) return res.status(401).json({ error: 'Invalid or expired token' });
+  } catch (err) {
+    return res.status(401).json({ error: 'Invalid or expired token' });
+  }
+
+  let role;
+  let impersonation = null;
+  try {
+    // ✅ token revoked? (user deleted, offboarded, role/password changed)
+    const currentVersion = await getTokenVersion(payload.user_id);
+    if (currentVersion === null) return res.status(401).json({ error: 'User no longer exists' });
+    if (Number(payload.tv || 0) !== currentVersion) {
+      return res.status(401).json({ error: 'Token has been revoked' });
     }
 
+    // ✅ data scope + permissions come from the role, not the token
+    role = await getRole(payload.role_id);
+    if (!role) return res.status(401).json({ error: 'Role no longer exists' });
 
-    // Attach to request for later use
-    req.user = payload;
-    next();
+    // ✅ impersonation token: session still running and the real caller not revoked
+    if (payload.imp) {
+      impersonation = await loadActiveImpersonation(payload.iid);
+      if (!impersonation || Number(impersonation.target_user_id) !== Number(payload.user_id)) {
+        return res.status(401).json({ error: 'Impersonation session has ended' });
+      }
+      const impersonatorVersion = await getTokenVersion(payload.imp.user_id);
+      if (impersonatorVersion === null || Number(payload.imp.tv || 0) !== impersonatorVersion) {
+        return res.status(401).json({ error: 'Token has been revoked' });
+      }
+    }
+
+    // ✅ suspended company -> its users are locked out (support may still look via read-only impersonation)
+    if (role.scope !== SCOPE_GLOBAL && !impersonation?.read_only && (await companySuspended(payload.company_id))) {
+      return res.status(403).json(COMPANY_SUSPENDED_ERROR);
+    }
   } catch (err) {
-    return res.status(401).json({ error: 'Invalid or expired token' });
+    console.error('requireAuth token version check failed:', err);
+    return res.status(500).json({ error: 'Auth check failed' });
   }
+
+  // Attach to request for later use
+  const { imp, iid, ...claims } = payload;
+  req.user = { ...claims, scope: role.scope, permissions: role.permissions };
+
+  // acting as claims.user_id; scope and permissions are the target's
+  if (impersonation) {
+    req.user.impersonator = {
+      user_id: imp.user_id,
+      role_id: imp.role_id,
+      impersonation_id: iid,
+      read_only: impersonation.read_only,
+    };
+    if (handleImpersonatedRequest(req, res)) return;
+  }
+
+  // ✅ every query of this request runs with the caller's tenant context (RLS)
+  const { user_id, company_id, ship_id, scope } = req.user;
+  return attachDbContext(req, res, { user_id, company_id, ship_id, scope }, next);
 };
@@ -1,21 +1,23 @@
 // src/middleware/scope.js
+import { SCOPE_GLOBAL, SCOPE_COMPANY, SCOPE_SHIP } from '../utils/permissions.js';
+
 export const buildScope = (req, tableAlias = '') => {
   const a = tableAlias ? `${tableAlias}.` : '';
-  const role = Number(req.user?.role_id);
+  const scope = req.user?.scope;
 
-  if (role === 1) return { where: 'TRUE', params: [] };
+  if (scope === SCOPE_GLOBAL) return { where: 'TRUE', params: [] };
 
-  if (role === 2) {
+  if (scope === SCOPE_COMPANY) {
     return { where: `${a}company_id = $1`, params: [req.user.company_id] };
   }
 
-  if (role === 3) {
+  if (scope === SCOPE_SHIP) {
     return {
       where: `${a}company_id = $1 AND ${a}ship_id = $2`,
       params: [req.user.company_id, req.user.ship_id],
     };
   }
 
-  // role 4 => only own records (certificates)
+  // self scope => only own records (certificates)
   return { where: `${a}user_id = $1`, params: [req.user.user_id] };
-};
\ No newline at end of file
+};
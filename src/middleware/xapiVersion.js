@@ -0,0 +1,16 @@
+// src/middleware/xapiVersion.js
+
+// xAPI 1.0.x: every request except /xapi/about carries X-Experience-API-Version,
+// every response answers with the version the LRS implements.
+export const XAPI_VERSION = '1.0.3';
+const SUPPORTED = /^1\.0(\.\d+)?$/;
+
+export const requireXapiVersion = (req, res, next) => {
+  res.set('X-Experience-API-Version', XAPI_VERSION);
+  const version = req.headers['x-experience-api-version'];
+  if (!version) return res.status(400).json({ error: 'Missing X-Experience-API-Version header' });
+  if (!SUPPORTED.test(String(version).trim())) {
+    return res.status(400).json({ error: `Unsupported xAPI version ${version} (supported: 1.0.x)` });
+  }
+  next();
+};
@@ -1,7 +1,11 @@
 // src/routes/activityRoutes.js
 import { Router } from 'express';
 import { requireAuth } from '../middleware/requireAuth.js';
-import { trackActivity, getActivityLogs } from '../controller/activityLogsController.js';
+import { requirePermission } from '../middleware/rbac.js';
+import { requireApiKey } from '../middleware/requireApiKey.js';
+import { trackActivity, trackActivityBatch, getActivityLogs } from '../controller/activityLogsController.js';
+import { getTrainingSessions, getTrainingTotals } from '../controller/trainingSessionsController.js';
+import { getActivityStats } from '../controller/activityStatsController.js';
 
 export const router = Router();
 
@@ -18,16 +22,17 @@ export const router = Router();
  *   post:
  *     summary: Track activity from external app (Unity)
  *     description: |
- *       Public endpoint (recommended to protect via X-Activity-Key header).
+ *       Called by the Unity simulator with a company API key (see /api-keys, scope activity:write).
+ *       The username must belong to the key's company (and ship, for ship-bound keys).
  *       Saves activity into activity_logs table.
  *     tags: [Activity]
  *     security: []
  *     parameters:
  *       - in: header
- *         name: X-Activity-Key
- *         required: false
+ *         name: X-Api-Key
+ *         required: true
  *         schema: { type: string }
- *         description: Optional API key for Unity tracking calls
+ *         description: Company API key (X-Activity-Key is accepted as an alias)
  *     requestBody:
  *       required: true
  *       content:
@@ -39,14 +44,75 @@ export const router = Router();
  *               username: { type: string, example: "user5008" }
  *               trainingType: { type: string, example: "Training" }
  *               activityType: { type: string, example: "login" }
- *               timestamp: { type: string, example: "2025-12-24-09:28" }
+ *               timestamp:
+ *                 type: string
+ *                 example: "2025-12-24T09:28:00+08:00"
+ *                 description: |
+ *                   ISO-8601 with offset, or vessel-local "YYYY-MM-DD-HH:mm" / ISO without offset,
+ *                   read in tz, else the ship's timezone, else UTC. Omitted = now; a value that
+ *                   cannot be read is rejected (400).
+ *               tz: { type: string, example: "Asia/Singapore", description: "IANA timezone or offset like +08:00" }
+ *               eventId: { type: string, maxLength: 64, description: "Optional client-generated id; a resend is not stored twice" }
  *     responses:
+ *       200: { description: Already logged (same eventId) }
  *       201: { description: Logged }
  *       400: { description: Bad request }
- *       401: { description: Invalid activity key }
+ *       401: { description: Missing or invalid API key }
+ *       403: { description: Username outside the key's scope }
+ *       409: { description: eventId already stored for another user }
  *       500: { description: Server error }
  */
-router.post('/track', trackActivity);
+router.post('/track', requireApiKey('activity:write'), trackActivity);
+
+/**
+ * @openapi
+ * /activity/track/batch:
+ *   post:
+ *     summary: Upload many activity events at once (offline sync from Unity)
+ *     description: |
+ *       Same API key and event fields as /activity/track, plus a required client-generated eventId
+ *       per event. Events already stored (same eventId for the company) or repeated in the batch
+ *       come back as duplicate, so a queue can be re-sent safely. Invalid events (including a
+ *       timestamp that cannot be read) come back as rejected with the reason and do not stop the
+ *       others. Everything that is accepted is stored
+ *       in one transaction (a 500 stores nothing).
+ *     tags: [Activity]
+ *     security: []
+ *     parameters:
+ *       - in: header
+ *         name: X-Api-Key
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [events]
+ *             properties:
+ *               events:
+ *                 type: array
+ *                 maxItems: 5000
+ *                 items:
+ *                   type: object
+ *                   required: [eventId, username]
+ *                   properties:
+ *                     eventId: { type: string, maxLength: 64 }
+ *                     username: { type: string }
+ *                     trainingType: { type: string }
+ *                     activityType: { type: string }
+ *                     timestamp: { type: string, example: "2025-12-24-09:28" }
+ *                     tz: { type: string, example: "Asia/Singapore" }
+ *     responses:
+ *       200:
+ *         description: Per-event results (status accepted, duplicate or rejected), in request order
+ *       400: { description: Bad request }
+ *       401: { description: Missing or invalid API key }
+ *       413: { description: Too many events / body too large }
+ *       500: { description: Server error, nothing stored }
+ */
+router.post('/track/batch', requireApiKey('activity:write'), trackActivityBatch);
 
 /**
  * @openapi
@@ -85,7 +151,97 @@ router.post('/track', trackActivity);
  *       401: { description: Unauthorized }
  *       500: { description: Server error }
  */
-router.get('/', requireAuth, getActivityLogs);
+router.get('/', requireAuth, requirePermission('activity.view'), getActivityLogs);
+
+/**
+ * @openapi
+ * /activity/sessions:
+ *   get:
+ *     summary: Simulator training sessions (role-based, like GET /activity)
+ *     description: |
+ *       Rebuilt from activity events by the training-sessions job: start (login) and end (logout)
+ *       events are paired per user and training type; a session without events for
+ *       TRAINING_SESSION_IDLE_MINUTES (default 30) ends at its last event (end_reason idle_timeout).
+ *       Open sessions have ended_at null.
+ *     tags: [Activity]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - { in: query, name: company_id, schema: { type: string, format: uuid }, description: "Role 1 only" }
+ *       - { in: query, name: ship_id, schema: { type: integer }, description: "Role 1 / company scope" }
+ *       - { in: query, name: user_id, schema: { type: integer } }
+ *       - { in: query, name: username, schema: { type: string } }
+ *       - { in: query, name: training_type, schema: { type: string } }
+ *       - { in: query, name: from, schema: { type: string, format: date-time }, description: "started_at >= from" }
+ *       - { in: query, name: to, schema: { type: string, format: date-time }, description: "started_at < to" }
+ *       - { in: query, name: status, schema: { type: string, enum: [open, closed] } }
+ *       - { in: query, name: limit, schema: { type: integer, example: 100 } }
+ *     responses:
+ *       200: { description: OK }
+ *       400: { description: Bad request }
+ *       401: { description: Unauthorized }
+ */
+router.get('/sessions', requireAuth, requirePermission('activity.view'), getTrainingSessions);
+
+/**
+ * @openapi
+ * /activity/sessions/totals:
+ *   get:
+ *     summary: Time spent in the simulator per user, ship, company or training type
+ *     description: |
+ *       Same filters and scoping as /activity/sessions, e.g. from=2026-10-01&to=2026-11-01 for a month.
+ *       Open sessions count up to their last event.
+ *     tags: [Activity]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - { in: query, name: group_by, schema: { type: string, enum: [user, ship, company, training_type], default: user } }
+ *       - { in: query, name: company_id, schema: { type: string, format: uuid } }
+ *       - { in: query, name: ship_id, schema: { type: integer } }
+ *       - { in: query, name: user_id, schema: { type: integer } }
+ *       - { in: query, name: username, schema: { type: string } }
+ *       - { in: query, name: training_type, schema: { type: string } }
+ *       - { in: query, name: from, schema: { type: string, format: date-time } }
+ *       - { in: query, name: to, schema: { type: string, format: date-time } }
+ *     responses:
+ *       200: { description: "{ group_by, totals: [{ ..., sessions, total_seconds, total_hours }] }" }
+ *       400: { description: Bad request }
+ *       401: { description: Unauthorized }
+ */
+router.get('/sessions/totals', requireAuth, requirePermission('activity.view'), getTrainingTotals);
+
+/**
+ * @openapi
+ * /activity/stats:
+ *   get:
+ *     summary: Activity analytics for dashboards (role-based, like GET /activity)
+ *     description: |
+ *       Events, distinct active users and time in training, optionally per day / week / month and
+ *       per training_type, activity_type, ship or rank (current rank of the user). Served from the
+ *       daily rollups (activity-rollups job, ACTIVITY_ROLLUPS_INTERVAL_MINUTES) and training
+ *       sessions, so recent events appear after the next job run. Days are UTC. Time in training is
+ *       left out when grouping or filtering by activity_type.
+ *     tags: [Activity]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - { in: query, name: interval, schema: { type: string, enum: [day, week, month] } }
+ *       - { in: query, name: group_by, schema: { type: string, enum: [training_type, activity_type, ship, rank] } }
+ *       - { in: query, name: from, schema: { type: string, format: date }, description: "First day (inclusive)" }
+ *       - { in: query, name: to, schema: { type: string, format: date }, description: "Last day (exclusive)" }
+ *       - { in: query, name: company_id, schema: { type: string, format: uuid }, description: "Role 1 only" }
+ *       - { in: query, name: ship_id, schema: { type: integer } }
+ *       - { in: query, name: user_id, schema: { type: integer } }
+ *       - { in: query, name: username, schema: { type: string } }
+ *       - { in: query, name: training_type, schema: { type: string } }
+ *       - { in: query, name: activity_type, schema: { type: string } }
+ *     responses:
+ *       200:
+ *         description: "{ summary: { events, active_users, training_seconds, training_hours }, rows: [{ period?, <group>?, ... }] }"
+ *       400: { description: Bad request }
+ *       401: { description: Unauthorized }
+ */
+router.get('/stats', requireAuth, requirePermission('activity.view'), getActivityStats);
 
 
 
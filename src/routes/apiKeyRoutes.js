@@ -0,0 +1,165 @@
+// src/routes/apiKeyRoutes.js
+import { Router } from "express";
+import { requireAuth } from "../middleware/requireAuth.js";
+import { requirePermission } from "../middleware/rbac.js";
+import {
+  createApiKey,
+  listApiKeys,
+  updateApiKey,
+  rotateApiKey,
+  revokeApiKey,
+} from "../controller/apiKeysController.js";
+
+export const router = Router();
+
+/**
+ * @openapi
+ * tags:
+ *   - name: API Keys
+ *     description: Per-company keys for machine clients (Unity activity tracker)
+ */
+
+router.use(requireAuth, requirePermission("api_key.manage"));
+
+/**
+ * @openapi
+ * /api-keys:
+ *   post:
+ *     summary: Create an API key
+ *     description: |
+ *       Global scope for any company, company scope for their own (ship scope: own ship). A ship-bound key can only log
+ *       activity for users of that ship. The key is returned once and stored hashed.
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [label]
+ *             properties:
+ *               label: { type: string, example: "Bridge simulator v2" }
+ *               company_id: { type: string, format: uuid, description: "Required for global scope" }
+ *               ship_id: { type: integer }
+ *               scopes: { type: array, items: { type: string, enum: [activity:write, xapi:write, xapi:read] } }
+ *               expires_at: { type: string, format: date-time }
+ *               expires_in_days: { type: integer }
+ *     responses:
+ *       201:
+ *         description: Created (api_key returned once)
+ *       400:
+ *         description: Bad request
+ *       403:
+ *         description: Forbidden
+ */
+router.post("/", createApiKey);
+
+/**
+ * @openapi
+ * /api-keys:
+ *   get:
+ *     summary: List API keys in scope
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: company_id
+ *         schema: { type: string }
+ *         description: Global scope only
+ *       - in: query
+ *         name: include_revoked
+ *         schema: { type: boolean }
+ *     responses:
+ *       200:
+ *         description: OK
+ */
+router.get("/", listApiKeys);
+
+/**
+ * @openapi
+ * /api-keys/{id}:
+ *   patch:
+ *     summary: Update label or expiry of an API key
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               label: { type: string }
+ *               expires_at: { type: string, format: date-time, nullable: true, description: "null removes the expiry" }
+ *               expires_in_days: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Updated
+ *       404:
+ *         description: Not found
+ *       409:
+ *         description: Revoked
+ */
+router.patch("/:id", updateApiKey);
+
+/**
+ * @openapi
+ * /api-keys/{id}/rotate:
+ *   post:
+ *     summary: Rotate an API key
+ *     description: Creates a replacement with the same scope. The old key is revoked now, or expires after grace_minutes.
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               grace_minutes: { type: integer, default: 0 }
+ *     responses:
+ *       201:
+ *         description: Rotated (new api_key returned once)
+ *       404:
+ *         description: Not found
+ *       409:
+ *         description: Key is revoked or expired
+ */
+router.post("/:id/rotate", rotateApiKey);
+
+/**
+ * @openapi
+ * /api-keys/{id}:
+ *   delete:
+ *     summary: Revoke an API key
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Revoked
+ *       404:
+ *         description: Not found
+ *       409:
+ *         description: Already revoked
+ */
+router.delete("/:id", revokeApiKey);
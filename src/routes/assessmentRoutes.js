@@ -1,7 +1,7 @@
 // src/routes/assessmentRoutes.js
 import { Router } from "express";
 import { requireAuth } from "../middleware/requireAuth.js";
-import { allowRoles } from "../middleware/rbac.js";
+import { requirePermission } from "../middleware/rbac.js";
 import {
   getAllAssessments,
   getAssessmentById,
@@ -32,7 +32,7 @@ router.use(requireAuth);
  *     responses:
  *       200: { description: OK }
  */
-router.get("/", allowRoles(1, 2, 3, 4), getAllAssessments);
+router.get("/", requirePermission("assessment.view"), getAllAssessments);
 
 /**
  * @openapi
@@ -51,7 +51,7 @@ router.get("/", allowRoles(1, 2, 3, 4), getAllAssessments);
  *       200: { description: OK }
  *       404: { description: Not found }
  */
-router.get("/:id", allowRoles(1, 2, 3, 4), getAssessmentById);
+router.get("/:id", requirePermission("assessment.view"), getAssessmentById);
 
 /**
  * @openapi
@@ -71,7 +71,7 @@ router.get("/:id", allowRoles(1, 2, 3, 4), getAssessmentById);
  *     responses:
  *       201: { description: Created }
  */
-router.post("/", allowRoles(1, 2, 3), createAssessment);
+router.post("/", requirePermission("assessment.manage"), createAssessment);
 
 /**
  * @openapi
@@ -96,7 +96,7 @@ router.post("/", allowRoles(1, 2, 3), createAssessment);
  *     responses:
  *       200: { description: Updated }
  */
-router.put("/:id", allowRoles(1, 2, 3), updateAssessment);
+router.put("/:id", requirePermission("assessment.manage"), updateAssessment);
 
 /**
  * @openapi
@@ -114,4 +114,4 @@ router.put("/:id", allowRoles(1, 2, 3), updateAssessment);
  *     responses:
  *       200: { description: Deleted }
  */
-router.delete("/:id", allowRoles(1, 2, 3), deleteAssessment);
+router.delete("/:id", requirePermission("assessment.manage"), deleteAssessment);
@@ -0,0 +1,93 @@
+// src/routes/auditRoutes.js
+import { Router } from "express";
+import { requireAuth } from "../middleware/requireAuth.js";
+import { requirePermission } from "../middleware/rbac.js";
+import { getAuditEvents, exportAuditEvents } from "../controller/auditController.js";
+
+export const router = Router();
+
+/**
+ * @openapi
+ * tags:
+ *   - name: Audit
+ *     description: Audit trail of administrative changes
+ */
+
+router.use(requireAuth, requirePermission("audit.view"));
+
+/**
+ * @openapi
+ * components:
+ *   parameters:
+ *     AuditCompanyId: { in: query, name: company_id, schema: { type: string, format: uuid }, description: "Global scope only" }
+ *     AuditShipId: { in: query, name: ship_id, schema: { type: integer } }
+ *     AuditActorUserId: { in: query, name: actor_user_id, schema: { type: integer } }
+ *     AuditImpersonatorUserId: { in: query, name: impersonator_user_id, schema: { type: integer }, description: "Real caller behind an impersonation" }
+ *     AuditImpersonationId: { in: query, name: impersonation_id, schema: { type: string, format: uuid } }
+ *     AuditEntityType: { in: query, name: entity_type, schema: { type: string }, example: user }
+ *     AuditEntityId: { in: query, name: entity_id, schema: { type: string } }
+ *     AuditAction: { in: query, name: action, schema: { type: string }, description: "Exact (user.update) or prefix (user.*)" }
+ *     AuditRequestId: { in: query, name: request_id, schema: { type: string } }
+ *     AuditFrom: { in: query, name: from, schema: { type: string, format: date-time } }
+ *     AuditTo: { in: query, name: to, schema: { type: string, format: date-time } }
+ */
+
+/**
+ * @openapi
+ * /audit:
+ *   get:
+ *     summary: List audit events in scope (newest first)
+ *     description: Each event has actor, entity, action, before/after rows and a field diff. Secrets are redacted.
+ *     tags: [Audit]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/AuditCompanyId'
+ *       - $ref: '#/components/parameters/AuditShipId'
+ *       - $ref: '#/components/parameters/AuditActorUserId'
+ *       - $ref: '#/components/parameters/AuditImpersonatorUserId'
+ *       - $ref: '#/components/parameters/AuditImpersonationId'
+ *       - $ref: '#/components/parameters/AuditEntityType'
+ *       - $ref: '#/components/parameters/AuditEntityId'
+ *       - $ref: '#/components/parameters/AuditAction'
+ *       - $ref: '#/components/parameters/AuditRequestId'
+ *       - $ref: '#/components/parameters/AuditFrom'
+ *       - $ref: '#/components/parameters/AuditTo'
+ *       - { in: query, name: limit, schema: { type: integer, default: 100, maximum: 500 } }
+ *       - { in: query, name: offset, schema: { type: integer, default: 0 } }
+ *     responses:
+ *       200:
+ *         description: OK
+ *       400:
+ *         description: Invalid filter
+ */
+router.get("/", getAuditEvents);
+
+/**
+ * @openapi
+ * /audit/export:
+ *   get:
+ *     summary: Export audit events in scope as CSV
+ *     description: Same filters as GET /audit. Capped at AUDIT_EXPORT_MAX_ROWS rows (X-Export-Truncated header).
+ *     tags: [Audit]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/AuditCompanyId'
+ *       - $ref: '#/components/parameters/AuditShipId'
+ *       - $ref: '#/components/parameters/AuditActorUserId'
+ *       - $ref: '#/components/parameters/AuditImpersonatorUserId'
+ *       - $ref: '#/components/parameters/AuditImpersonationId'
+ *       - $ref: '#/components/parameters/AuditEntityType'
+ *       - $ref: '#/components/parameters/AuditEntityId'
+ *       - $ref: '#/components/parameters/AuditAction'
+ *       - $ref: '#/components/parameters/AuditRequestId'
+ *       - $ref: '#/components/parameters/AuditFrom'
+ *       - $ref: '#/components/parameters/AuditTo'
+ *     responses:
+ *       200:
+ *         description: CSV file
+ *         content:
+ *           text/csv: {}
+ */
+router.get("/export", exportAuditEvents);
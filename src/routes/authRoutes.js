@@ -1,20 +1,48 @@
 // src/routes/authRoutes.js
 import { Router } from "express";
 import { requireAuth } from "../middleware/requireAuth.js";
-import { allowRoles } from "../middleware/rbac.js";
+import { requirePermission } from "../middleware/rbac.js";
+import { denyImpersonation } from "../middleware/impersonation.js";
+import { systemContext } from "../middleware/dbContext.js";
 import {
   login,
   signup,
   forgotPassword,
   resetPassword,
+  changePassword,
   refreshAccessToken,
   logout,
-  adminViewPassword,
+  getMySessions,
+  revokeMySession,
+  adminGetUserSessions,
+  adminRevokeUserSessions,
+  adminUnlockAccount,
+  claimCredentials,
+  adminIssueResetToken,
   adminSetPassword,
 } from "../controller/authController.js";
+import {
+  setupMfa,
+  verifyMfaSetup,
+  loginWithMfa,
+  regenerateRecoveryCodes,
+  disableMfa,
+  adminResetMfa,
+} from "../controller/mfaController.js";
+import {
+  startImpersonation,
+  listImpersonations,
+  endImpersonation,
+} from "../controller/impersonationController.js";
+import { ssoDiscover, ssoLogin, ssoCallback, ssoExchange } from "../controller/ssoController.js";
 
 export const router = Router();
 
+// Some steps can happen mid-login with a short-lived token in the body
+// (2FA enrollment: mfa_token, forced password change: password_change_token) or while logged in (Bearer)
+const requireAuthUnless = (field) => (req, res, next) =>
+  req.body?.[field] ? systemContext(req, res, next) : requireAuth(req, res, next);
+
 /**
  * @openapi
  * tags:
@@ -27,31 +55,78 @@ export const router = Router();
  * /auth/login:
  *   post:
  *     summary: Login and get access + refresh tokens
- *     description: Returns access_token + refresh_token if credentials are valid and user status is onboard.
+ *     description: |
+ *       Returns access_token + refresh_token if credentials are valid and user status is onboard.
+ *       Repeated failures lock the account (423) or throttle the client IP (429).
  *     tags: [Auth]
  *     security: []
  */
-router.post("/login", login);
+router.post("/login", systemContext, login);
 
 /**
  * @openapi
  * /auth/signup:
  *   post:
- *     summary: Signup (individual registration)
+ *     summary: Signup with an invitation code
+ *     description: >
+ *       Requires a pending invitation (see POST /invitations). Company, ship, rank and role
+ *       are taken from the invitation; the invitation is consumed on success.
  *     tags: [Auth]
  *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [invitation_code, seafarer_id, full_name, username, password]
+ *             properties:
+ *               invitation_code: { type: string }
+ *               seafarer_id: { type: string }
+ *               full_name: { type: string }
+ *               username: { type: string }
+ *               password: { type: string }
+ *               trip: { type: string }
+ *               status: { type: string }
+ *               embarkation_date: { type: string, format: date }
+ *               disembarkation_date: { type: string, format: date }
+ *     responses:
+ *       201:
+ *         description: Created
+ *       400:
+ *         description: Missing fields or invalid / expired invitation
+ *       409:
+ *         description: Duplicate username or seafarer_id
  */
-router.post("/signup", signup);
+router.post("/signup", systemContext, signup);
 
 /**
  * @openapi
  * /auth/forgot-password:
  *   post:
- *     summary: Generate reset token (no email flow)
+ *     summary: Email a password reset link
+ *     description: >
+ *       Sends a reset link to the user's email using the company's password_reset template.
+ *       The response is the same whether or not the account exists; the token is never returned.
  *     tags: [Auth]
  *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [username]
+ *             properties:
+ *               username:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Request accepted
+ *       429:
+ *         description: Too many reset requests
  */
-router.post("/forgot-password", forgotPassword);
+router.post("/forgot-password", systemContext, forgotPassword);
 
 /**
  * @openapi
@@ -61,17 +136,53 @@ router.post("/forgot-password", forgotPassword);
  *     tags: [Auth]
  *     security: []
  */
-router.post("/reset-password", resetPassword);
+router.post("/reset-password", systemContext, resetPassword);
+
+/**
+ * @openapi
+ * /auth/change-password:
+ *   post:
+ *     summary: Change own password
+ *     description: |
+ *       Requires the current password and a new one that satisfies the password policy.
+ *       Use Bearer auth when logged in (returns fresh tokens; other sessions are revoked), or
+ *       pass password_change_token from /auth/login when a change is required (then log in again).
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [current_password, new_password]
+ *             properties:
+ *               current_password: { type: string }
+ *               new_password: { type: string }
+ *               password_change_token: { type: string }
+ *     responses:
+ *       200:
+ *         description: Password changed
+ *       400:
+ *         description: Policy violation (see violations)
+ *       401:
+ *         description: Wrong current password or invalid token
+ *       423:
+ *         description: Account locked
+ */
+router.post("/change-password", requireAuthUnless("password_change_token"), denyImpersonation, changePassword);
 
 /**
  * @openapi
  * /auth/refresh:
  *   post:
  *     summary: Refresh access token using refresh token
+ *     description: Rotates the refresh token. The old one stops working; reusing it revokes the whole login session.
  *     tags: [Auth]
  *     security: []   # public
  */
-router.post("/refresh", refreshAccessToken);
+router.post("/refresh", systemContext, refreshAccessToken);
 
 /**
  * @openapi
@@ -82,22 +193,110 @@ router.post("/refresh", refreshAccessToken);
  *     security:
  *       - bearerAuth: []
  */
-router.post("/logout", requireAuth, logout);
+router.post("/logout", requireAuth, denyImpersonation, logout);
 
 /**
  * @openapi
- * /auth/admin/users/{user_id}/password:
+ * /auth/sessions:
  *   get:
- *     summary: Admin view user password (unsafe requirement)
+ *     summary: List my active sessions (devices)
+ *     description: One entry per login, with created/last-used time, user agent and IP.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get("/sessions", requireAuth, getMySessions);
+
+/**
+ * @openapi
+ * /auth/sessions/{id}:
+ *   delete:
+ *     summary: Revoke one of my sessions
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ */
+router.delete("/sessions/:id", requireAuth, denyImpersonation, revokeMySession);
+
+/**
+ * @openapi
+ * /auth/admin/users/{user_id}/sessions:
+ *   get:
+ *     summary: Admin list a user's active sessions (scoped)
  *     tags: [Auth]
  *     security:
  *       - bearerAuth: []
  */
 router.get(
-  "/admin/users/:user_id/password",
+  "/admin/users/:user_id/sessions",
   requireAuth,
-  allowRoles(1, 2, 3),
-  adminViewPassword
+  requirePermission("user.sessions"),
+  adminGetUserSessions
+);
+
+/**
+ * @openapi
+ * /auth/admin/users/{user_id}/sessions:
+ *   delete:
+ *     summary: Admin revoke all sessions of a user (scoped)
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.delete(
+  "/admin/users/:user_id/sessions",
+  requireAuth,
+  requirePermission("user.sessions"),
+  adminRevokeUserSessions
+);
+
+/**
+ * @openapi
+ * /auth/admin/users/{user_id}/unlock:
+ *   post:
+ *     summary: Admin unlock an account locked after failed logins (scoped)
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post(
+  "/admin/users/:user_id/unlock",
+  requireAuth,
+  requirePermission("user.sessions"),
+  adminUnlockAccount
+);
+
+/**
+ * @openapi
+ * /auth/credentials/claim:
+ *   post:
+ *     summary: Claim generated credentials (one-time code)
+ *     description: Returns username + password once for a claim code issued when credentials were generated.
+ *     tags: [Auth]
+ *     security: []
+ */
+router.post("/credentials/claim", systemContext, claimCredentials);
+
+/**
+ * @openapi
+ * /auth/admin/users/{user_id}/reset-token:
+ *   post:
+ *     summary: Admin issue a password reset token for a user
+ *     description: The user redeems it via /auth/reset-password.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post(
+  "/admin/users/:user_id/reset-token",
+  requireAuth,
+  requirePermission("user.reset_password"),
+  adminIssueResetToken
 );
 
 /**
@@ -105,6 +304,9 @@ router.get(
  * /auth/admin/users/{user_id}/password:
  *   put:
  *     summary: Admin set/change user password
+ *     description: >
+ *       The password must satisfy the password policy. The user has to change it at next
+ *       login unless must_change_password is false.
  *     tags: [Auth]
  *     security:
  *       - bearerAuth: []
@@ -112,6 +314,255 @@ router.get(
 router.put(
   "/admin/users/:user_id/password",
   requireAuth,
-  allowRoles(1, 2, 3),
+  requirePermission("user.reset_password"),
   adminSetPassword
 );
+
+/**
+ * @openapi
+ * /auth/2fa/setup:
+ *   post:
+ *     summary: Start TOTP 2FA enrollment (admin roles)
+ *     description: |
+ *       Returns a TOTP secret + otpauth URL. Authenticate with Bearer token, or with
+ *       body.mfa_token when login returned mfa_enrollment_required.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post("/2fa/setup", requireAuthUnless("mfa_token"), denyImpersonation, setupMfa);
+
+/**
+ * @openapi
+ * /auth/2fa/verify:
+ *   post:
+ *     summary: Confirm 2FA enrollment with a TOTP code
+ *     description: Enables 2FA and returns one-time recovery codes (and login tokens when enrolling during login).
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post("/2fa/verify", requireAuthUnless("mfa_token"), denyImpersonation, verifyMfaSetup);
+
+/**
+ * @openapi
+ * /auth/2fa/login:
+ *   post:
+ *     summary: Complete login with TOTP code or recovery code
+ *     description: Use the mfa_token returned by /auth/login when mfa_required is true.
+ *     tags: [Auth]
+ *     security: []
+ */
+router.post("/2fa/login", systemContext, loginWithMfa);
+
+/**
+ * @openapi
+ * /auth/2fa/recovery-codes:
+ *   post:
+ *     summary: Regenerate 2FA recovery codes (requires current TOTP code)
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post("/2fa/recovery-codes", requireAuth, denyImpersonation, regenerateRecoveryCodes);
+
+/**
+ * @openapi
+ * /auth/2fa/disable:
+ *   post:
+ *     summary: Disable my 2FA (requires current TOTP code, not allowed if company enforces 2FA)
+ *     description: A code already used for login cannot be reused here. Signs out all sessions of the user.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post("/2fa/disable", requireAuth, denyImpersonation, disableMfa);
+
+/**
+ * @openapi
+ * /auth/admin/users/{user_id}/2fa:
+ *   delete:
+ *     summary: Reset a user's 2FA (lost device)
+ *     description: Requires user.mfa_reset; limited to users in the caller's scope.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.delete(
+  "/admin/users/:user_id/2fa",
+  requireAuth,
+  requirePermission("user.mfa_reset"),
+  adminResetMfa
+);
+
+/**
+ * @openapi
+ * /auth/impersonate/{user_id}:
+ *   post:
+ *     summary: Act as a user (support)
+ *     description: |
+ *       Returns a short-lived access token carrying the target's identity and data scope plus
+ *       the caller as impersonator. Responses made with it carry X-Impersonated-By and
+ *       X-Impersonation-Id; every request is audited (impersonation.request).
+ *       Read-only (GET only) unless read_only is false, which needs global scope.
+ *       Only users whose role is narrower than the caller's, inside the caller's company / ship.
+ *       No refresh token; account-security routes (password, 2FA, sessions) are refused.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: user_id
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reason]
+ *             properties:
+ *               reason: { type: string, example: "Crew reports missing assessment (ticket 4411)" }
+ *               read_only: { type: boolean, default: true }
+ *               minutes: { type: integer, default: 15, description: "Up to IMPERSONATION_MAX_MINUTES (60)" }
+ *     responses:
+ *       201:
+ *         description: Impersonation token issued
+ *       403:
+ *         description: Target outside scope or with an equal / wider role
+ */
+router.post(
+  "/impersonate/:user_id",
+  requireAuth,
+  requirePermission("user.impersonate"),
+  startImpersonation
+);
+
+/**
+ * @openapi
+ * /auth/impersonate:
+ *   get:
+ *     summary: List impersonation sessions in scope
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - { in: query, name: active, schema: { type: boolean } }
+ *       - { in: query, name: user_id, schema: { type: integer }, description: "As target or impersonator" }
+ */
+router.get(
+  "/impersonate",
+  requireAuth,
+  requirePermission("user.impersonate", "audit.view"),
+  listImpersonations
+);
+
+/**
+ * @openapi
+ * /auth/impersonate/{impersonation_id}:
+ *   delete:
+ *     summary: End an impersonation session early
+ *     description: Use your own token (not the impersonation token). Global scope can end any session.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: impersonation_id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ */
+router.delete(
+  "/impersonate/:impersonation_id",
+  requireAuth,
+  requirePermission("user.impersonate"),
+  endImpersonation
+);
+
+/**
+ * @openapi
+ * /auth/sso/discover:
+ *   post:
+ *     summary: Does this email sign in with single sign-on?
+ *     description: Matches the email domain against companies with SSO enabled.
+ *     tags: [Auth]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [email]
+ *             properties:
+ *               email: { type: string }
+ *     responses:
+ *       200:
+ *         description: "{ sso: false } or { sso: true, company_id, login_url }"
+ */
+router.post("/sso/discover", systemContext, ssoDiscover);
+
+/**
+ * @openapi
+ * /auth/sso/{company_id}/login:
+ *   get:
+ *     summary: Start single sign-on (browser redirect to the company's identity provider)
+ *     tags: [Auth]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: company_id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *       - in: query
+ *         name: return_to
+ *         schema: { type: string }
+ *         description: Frontend page to come back to (same origin as SSO_RETURN_URL)
+ *     responses:
+ *       302:
+ *         description: Redirect to the identity provider
+ *       404:
+ *         description: SSO is not enabled for this company
+ */
+router.get("/sso/:company_id/login", systemContext, ssoLogin);
+
+/**
+ * @openapi
+ * /auth/sso/callback:
+ *   get:
+ *     summary: Identity provider redirect URI
+ *     description: |
+ *       Validates the ID token, links or provisions the user and redirects to return_to with
+ *       ?code= (one-time, exchange via POST /auth/sso/exchange) or ?error=.
+ *     tags: [Auth]
+ *     security: []
+ *     responses:
+ *       302:
+ *         description: Redirect back to the frontend
+ */
+router.get("/sso/callback", systemContext, ssoCallback);
+
+/**
+ * @openapi
+ * /auth/sso/exchange:
+ *   post:
+ *     summary: Exchange the one-time SSO code for access + refresh tokens
+ *     tags: [Auth]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code]
+ *             properties:
+ *               code: { type: string }
+ *     responses:
+ *       200:
+ *         description: Same body as POST /auth/login
+ *       400:
+ *         description: Invalid or expired code
+ */
+router.post("/sso/exchange", systemContext, ssoExchange);
@@ -1,7 +1,7 @@
 // src/routes/certificateRoutes.js
 import { Router } from "express";
 import { requireAuth } from "../middleware/requireAuth.js";
-import { allowRoles } from "../middleware/rbac.js";
+import { requirePermission } from "../middleware/rbac.js";
 import {
   getAllCertificates,
   getCertificateById,
@@ -32,7 +32,7 @@ router.use(requireAuth);
  *     responses:
  *       200: { description: OK }
  */
-router.get("/", allowRoles(1, 2, 3, 4), getAllCertificates);
+router.get("/", requirePermission("certificate.view"), getAllCertificates);
 
 /**
  * @openapi
@@ -50,7 +50,7 @@ router.get("/", allowRoles(1, 2, 3, 4), getAllCertificates);
  *     responses:
  *       200: { description: OK }
  */
-router.get("/:id", allowRoles(1, 2, 3, 4), getCertificateById);
+router.get("/:id", requirePermission("certificate.view"), getCertificateById);
 
 /**
  * @openapi
@@ -70,7 +70,7 @@ router.get("/:id", allowRoles(1, 2, 3, 4), getCertificateById);
  *     responses:
  *       201: { description: Created }
  */
-router.post("/", allowRoles(1, 2, 3), createCertificate);
+router.post("/", requirePermission("certificate.manage"), createCertificate);
 
 /**
  * @openapi
@@ -95,7 +95,7 @@ router.post("/", allowRoles(1, 2, 3), createCertificate);
  *     responses:
  *       200: { description: Updated }
  */
-router.put("/:id", allowRoles(1, 2, 3), updateCertificate);
+router.put("/:id", requirePermission("certificate.manage"), updateCertificate);
 
 /**
  * @openapi
@@ -113,4 +113,4 @@ router.put("/:id", allowRoles(1, 2, 3), updateCertificate);
  *     responses:
  *       200: { description: Deleted }
  */
-router.delete("/:id", allowRoles(1, 2, 3), deleteCertificate);
+router.delete("/:id", requirePermission("certificate.manage"), deleteCertificate);
@@ -1,13 +1,24 @@
 // src/routes/companyRoutes.js
 import { Router } from "express";
 import { requireAuth } from "../middleware/requireAuth.js";
+import { requirePermission } from "../middleware/rbac.js";
 import {
   getAllCompanies,
   getCompanyById,
   createCompany,
   updateCompany,
   deleteCompany,
+  updateCompanySecurity,
+  suspendCompany,
+  reactivateCompany,
 } from "../controller/companyController.js";
+import { getSsoConfig, putSsoConfig, deleteSsoConfig } from "../controller/ssoController.js";
+import {
+  getRetention,
+  updateRetention,
+  getRetentionReport,
+  runRetentionPurge,
+} from "../controller/retentionController.js";
 
 export const router = Router();
 
@@ -37,7 +48,7 @@ router.use(requireAuth);
  *       401:
  *         description: Unauthorized
  */
-router.get("/", getAllCompanies);
+router.get("/", requirePermission("company.view"), getAllCompanies);
 
 /**
  * @openapi
@@ -67,7 +78,7 @@ router.get("/", getAllCompanies);
  *       404:
  *         description: Company not found
  */
-router.get("/:id", getCompanyById);
+router.get("/:id", requirePermission("company.view"), getCompanyById);
 
 /**
  * @openapi
@@ -127,7 +138,7 @@ router.get("/:id", getCompanyById);
  *       403:
  *         description: Forbidden
  */
-router.post("/", createCompany);
+router.post("/", requirePermission("company.create"), createCompany);
 
 /**
  * @openapi
@@ -137,6 +148,7 @@ router.post("/", createCompany);
  *     description: |
  *       Role 1 can update any company.
  *       Role 2 can update only their own company (company scope).
+ *       Changing is_active needs company.suspend (prefer POST /companies/{id}/suspend and /reactivate).
  *     tags: [Companies]
  *     security:
  *       - bearerAuth: []
@@ -164,7 +176,336 @@ router.post("/", createCompany);
  *       404:
  *         description: Company not found
  */
-router.put("/:id", updateCompany);
+router.put("/:id", requirePermission("company.update"), updateCompany);
+
+/**
+ * @openapi
+ * /companies/{id}/security:
+ *   put:
+ *     summary: Update company login security (2FA enforcement, lockout limits, password policy)
+ *     description: SuperAdmin only (role 1). Merged into metadata_json.login_security / password_policy.
+ *     tags: [Companies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Company UUID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               require_2fa:
+ *                 type: boolean
+ *               max_failed_attempts:
+ *                 type: integer
+ *               window_minutes:
+ *                 type: integer
+ *               lockout_minutes:
+ *                 type: integer
+ *               max_lockout_minutes:
+ *                 type: integer
+ *               password_policy:
+ *                 type: object
+ *                 properties:
+ *                   min_length: { type: integer, minimum: 8 }
+ *                   require_upper: { type: boolean }
+ *                   require_lower: { type: boolean }
+ *                   require_digit: { type: boolean }
+ *                   require_symbol: { type: boolean }
+ *                   history: { type: integer, description: "Previous passwords that may not be reused" }
+ *                   max_age_days: { type: integer, description: "0 = never expires" }
+ *     responses:
+ *       200:
+ *         description: Updated
+ *       400:
+ *         description: Bad request
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Company not found
+ */
+router.put("/:id/security", requirePermission("company.security"), updateCompanySecurity);
+
+/**
+ * @openapi
+ * /companies/{id}/suspend:
+ *   post:
+ *     summary: Suspend a company, now or at a scheduled date
+ *     description: |
+ *       SuperAdmin only (company.suspend). While suspended, the company's users cannot log in or
+ *       refresh tokens, their access tokens and the company's API keys are rejected
+ *       (403, company_suspended true) and its data is read-only, also for SuperAdmin (423).
+ *       With a future `at` the suspension is scheduled (e.g. contract end). Audited.
+ *     tags: [Companies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Company UUID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason: { type: string, maxLength: 500 }
+ *               at: { type: string, format: date-time, description: "Future date = scheduled" }
+ *     responses:
+ *       200:
+ *         description: Suspension state of the company
+ *       400:
+ *         description: Bad request
+ *       404:
+ *         description: Company not found
+ *       409:
+ *         description: Already suspended
+ */
+router.post("/:id/suspend", requirePermission("company.suspend"), suspendCompany);
+
+/**
+ * @openapi
+ * /companies/{id}/reactivate:
+ *   post:
+ *     summary: Reactivate a suspended company, now or at a scheduled date
+ *     description: |
+ *       SuperAdmin only (company.suspend). Without `at` it also cancels a scheduled suspension.
+ *       Audited.
+ *     tags: [Companies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Company UUID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               at: { type: string, format: date-time, description: "Future date = scheduled" }
+ *     responses:
+ *       200:
+ *         description: Suspension state of the company
+ *       404:
+ *         description: Company not found
+ *       409:
+ *         description: Not suspended (scheduled reactivation)
+ */
+router.post("/:id/reactivate", requirePermission("company.suspend"), reactivateCompany);
+
+/**
+ * @openapi
+ * /companies/{id}/sso:
+ *   get:
+ *     summary: Get the company's single sign-on (OpenID Connect) configuration
+ *     description: The client secret is never returned (has_client_secret instead).
+ *     tags: [Companies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Company UUID
+ *     responses:
+ *       200:
+ *         description: SSO configuration
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: SSO is not configured
+ *   put:
+ *     summary: Create or update the company's single sign-on configuration
+ *     description: |
+ *       Shore staff (company-scoped roles) sign in through the company's OpenID Connect provider;
+ *       crew keep their local credentials. The IdP's redirect URI is /auth/sso/callback
+ *       (or SSO_CALLBACK_URL). Mapped roles must be company-scoped and assignable by the caller.
+ *       With enforce_sso, company-scoped users can no longer log in with a local password.
+ *     tags: [Companies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Company UUID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [issuer, client_id]
+ *             properties:
+ *               enabled: { type: boolean }
+ *               issuer: { type: string, example: "https://login.example.com/realms/acme" }
+ *               client_id: { type: string }
+ *               client_secret: { type: string, nullable: true, description: "Omit to keep, null to clear (public client)" }
+ *               scopes: { type: string, example: "openid email profile" }
+ *               email_claim: { type: string, example: "email" }
+ *               role_claim: { type: string, example: "groups", description: "Dotted path allowed (realm_access.roles)" }
+ *               role_mapping:
+ *                 type: object
+ *                 additionalProperties: { type: integer }
+ *                 example: { "fleet-managers": 2, "office": 3 }
+ *                 description: "Claim value -> role_id; first match in this order wins"
+ *               default_role_id: { type: integer, nullable: true, description: "No mapping match; null = deny" }
+ *               allowed_email_domains:
+ *                 type: array
+ *                 items: { type: string }
+ *                 description: "Empty = the company's email_domain"
+ *               auto_provision: { type: boolean, description: "Create unknown users on first login" }
+ *               enforce_sso: { type: boolean }
+ *     responses:
+ *       200:
+ *         description: Saved
+ *       400:
+ *         description: Bad request (or issuer discovery failed)
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Company not found
+ *   delete:
+ *     summary: Remove the company's single sign-on configuration
+ *     tags: [Companies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Company UUID
+ *     responses:
+ *       200:
+ *         description: Removed
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: SSO is not configured
+ */
+router.get("/:id/sso", requirePermission("company.sso"), getSsoConfig);
+router.put("/:id/sso", requirePermission("company.sso"), putSsoConfig);
+router.delete("/:id/sso", requirePermission("company.sso"), deleteSsoConfig);
+
+/**
+ * @openapi
+ * /companies/{id}/retention:
+ *   get:
+ *     summary: Get the company's data-retention policy (defaults merged in)
+ *     tags: [Companies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Company UUID
+ *     responses:
+ *       200:
+ *         description: Retention policy
+ *   put:
+ *     summary: Update the company's data-retention policy
+ *     description: |
+ *       Days kept per data class (null = keep forever). The purge job (npm run retention:purge or
+ *       RETENTION_JOB_INTERVAL_MINUTES) deletes, or for activity logs optionally archives, older rows.
+ *     tags: [Companies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Company UUID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               activity_logs_days: { type: integer, nullable: true }
+ *               activity_logs_action: { type: string, enum: [delete, archive] }
+ *               offboarded_activity_days: { type: integer, nullable: true, description: "Activity of offboarded / erased users" }
+ *               revoked_sessions_days: { type: integer, nullable: true }
+ *               deleted_incidents_days: { type: integer, nullable: true, description: "Soft-deleted incidents" }
+ *     responses:
+ *       200:
+ *         description: Updated
+ *       400:
+ *         description: Bad request
+ *       403:
+ *         description: Forbidden
+ */
+router.get("/:id/retention", requirePermission("company.retention"), getRetention);
+router.put("/:id/retention", requirePermission("company.retention"), updateRetention);
+
+/**
+ * @openapi
+ * /companies/{id}/retention/report:
+ *   get:
+ *     summary: Dry run of the retention purge (rows per data class that would be removed)
+ *     tags: [Companies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Company UUID
+ *     responses:
+ *       200:
+ *         description: Report
+ */
+router.get("/:id/retention/report", requirePermission("company.retention"), getRetentionReport);
+
+/**
+ * @openapi
+ * /companies/{id}/retention/purge:
+ *   post:
+ *     summary: Run the company's retention purge now
+ *     description: Audited as retention.purge, like the scheduled runs.
+ *     tags: [Companies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Company UUID
+ *     responses:
+ *       200:
+ *         description: Rows removed per data class
+ */
+router.post("/:id/retention/purge", requirePermission("company.retention"), runRetentionPurge);
 
 /**
  * @openapi
@@ -192,4 +533,4 @@ router.put("/:id", updateCompany);
  *       404:
  *         description: Company not found
  */
-router.delete("/:id", deleteCompany);
+router.delete("/:id", requirePermission("company.delete"), deleteCompany);
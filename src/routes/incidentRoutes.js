@@ -1,6 +1,7 @@
 // src/routes/incidentRoutes.js
 import { Router } from "express";
 import { requireAuth } from "../middleware/requireAuth.js";
+import { requirePermission } from "../middleware/rbac.js";
 import {
   getAllIncidents,
   getIncidentById,
@@ -31,7 +32,7 @@ router.use(requireAuth);
  *     responses:
  *       200: { description: OK }
  */
-router.get("/", getAllIncidents);
+router.get("/", requirePermission("incident.view"), getAllIncidents);
 
 /**
  * @openapi
@@ -49,7 +50,7 @@ router.get("/", getAllIncidents);
  *     responses:
  *       200: { description: OK }
  */
-router.get("/:id", getIncidentById);
+router.get("/:id", requirePermission("incident.view"), getIncidentById);
 
 /**
  * @openapi
@@ -69,7 +70,7 @@ router.get("/:id", getIncidentById);
  *     responses:
  *       201: { description: Created }
  */
-router.post("/", createIncident);
+router.post("/", requirePermission("incident.create"), createIncident);
 
 /**
  * @openapi
@@ -87,7 +88,7 @@ router.post("/", createIncident);
  *     responses:
  *       200: { description: Updated }
  */
-router.put("/:id", updateIncident);
+router.put("/:id", requirePermission("incident.edit", "incident.edit_own"), updateIncident);
 
 /**
  * @openapi
@@ -105,4 +106,4 @@ router.put("/:id", updateIncident);
  *     responses:
  *       200: { description: Deleted }
  */
-router.delete("/:id", deleteIncident);
+router.delete("/:id", requirePermission("incident.delete", "incident.delete_own"), deleteIncident);
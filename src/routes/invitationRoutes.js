@@ -0,0 +1,103 @@
+// src/routes/invitationRoutes.js
+import { Router } from "express";
+import { requireAuth } from "../middleware/requireAuth.js";
+import { requirePermission } from "../middleware/rbac.js";
+import { createInvitation, listInvitations, revokeInvitation } from "../controller/invitationsController.js";
+
+export const router = Router();
+
+/**
+ * @openapi
+ * tags:
+ *   - name: Invitations
+ *     description: Single-use signup invitations (required by /auth/signup)
+ */
+
+router.use(requireAuth, requirePermission("invitation.manage"));
+
+/**
+ * @openapi
+ * /invitations:
+ *   post:
+ *     summary: Create a signup invitation
+ *     description: |
+ *       The invitation fixes company, ship, rank and role of the account created with it.
+ *       Only roles with a narrower scope than the caller's own (and no permissions the caller
+ *       lacks) can be invited. Company-scoped callers are limited to their company, ship-scoped
+ *       callers to their ship. The invitation_code is returned once; if email is given
+ *       it is also sent there.
+ *     tags: [Invitations]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               company_id: { type: string, format: uuid, description: "Required for global scope" }
+ *               ship_id: { type: integer, description: "Required when the role is ship-scoped" }
+ *               rank: { type: string }
+ *               role_id: { type: integer, default: 4, description: "System role or one of the company's custom roles (see GET /roles)" }
+ *               email: { type: string }
+ *               note: { type: string }
+ *               expires_in_hours: { type: integer, default: 168 }
+ *     responses:
+ *       201:
+ *         description: Created (returns invitation_code once)
+ *       400:
+ *         description: Bad request
+ *       403:
+ *         description: Forbidden
+ */
+router.post("/", createInvitation);
+
+/**
+ * @openapi
+ * /invitations:
+ *   get:
+ *     summary: List invitations in scope
+ *     tags: [Invitations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, used, revoked, expired]
+ *       - in: query
+ *         name: company_id
+ *         schema:
+ *           type: string
+ *         description: Role 1 only
+ *     responses:
+ *       200:
+ *         description: OK
+ */
+router.get("/", listInvitations);
+
+/**
+ * @openapi
+ * /invitations/{id}:
+ *   delete:
+ *     summary: Revoke a pending invitation
+ *     tags: [Invitations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Revoked
+ *       404:
+ *         description: Not found
+ *       409:
+ *         description: Already used, revoked or expired
+ */
+router.delete("/:id", revokeInvitation);
@@ -0,0 +1,153 @@
+// src/routes/roleRoutes.js
+import { Router } from "express";
+import { requireAuth } from "../middleware/requireAuth.js";
+import { requirePermission } from "../middleware/rbac.js";
+import {
+  listRoles,
+  listPermissions,
+  createRole,
+  updateRole,
+  deleteRole,
+} from "../controller/rolesController.js";
+
+export const router = Router();
+
+/**
+ * @openapi
+ * tags:
+ *   - name: Roles
+ *     description: Roles, permissions and per-company custom roles
+ */
+
+router.use(requireAuth);
+
+// anyone who assigns roles needs to see them
+const canSeeRoles = requirePermission("role.manage", "user.create", "invitation.manage");
+
+/**
+ * @openapi
+ * /roles:
+ *   get:
+ *     summary: List roles with their scope and permissions
+ *     description: System roles plus the caller's company custom roles (global scope sees all).
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: company_id
+ *         schema: { type: string }
+ *         description: Global scope only
+ *     responses:
+ *       200:
+ *         description: OK
+ */
+router.get("/", canSeeRoles, listRoles);
+
+/**
+ * @openapi
+ * /roles/permissions:
+ *   get:
+ *     summary: List the permission catalog
+ *     description: global_only permissions cannot be granted to company custom roles.
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: OK
+ */
+router.get("/permissions", canSeeRoles, listPermissions);
+
+/**
+ * @openapi
+ * /roles:
+ *   post:
+ *     summary: Create a custom role for a company
+ *     description: |
+ *       The scope cannot be wider than the caller's own and the caller must hold every
+ *       permission granted. Custom roles are never global.
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, scope]
+ *             properties:
+ *               name: { type: string, example: "Training Officer" }
+ *               description: { type: string }
+ *               scope: { type: string, enum: [company, ship, self] }
+ *               company_id: { type: string, format: uuid, description: "Required for global scope" }
+ *               permissions: { type: array, items: { type: string }, example: ["user.view", "assessment.manage"] }
+ *     responses:
+ *       201:
+ *         description: Created
+ *       400:
+ *         description: Bad request
+ *       403:
+ *         description: Forbidden
+ *       409:
+ *         description: Duplicate name
+ */
+router.post("/", requirePermission("role.manage"), createRole);
+
+/**
+ * @openapi
+ * /roles/{id}:
+ *   put:
+ *     summary: Update a role (permissions replace the current set)
+ *     description: System roles can only be changed by global scope and keep their scope.
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name: { type: string }
+ *               description: { type: string }
+ *               scope: { type: string, enum: [company, ship, self] }
+ *               permissions: { type: array, items: { type: string } }
+ *     responses:
+ *       200:
+ *         description: Updated
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Not found
+ */
+router.put("/:id", requirePermission("role.manage"), updateRole);
+
+/**
+ * @openapi
+ * /roles/{id}:
+ *   delete:
+ *     summary: Delete a custom role
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Deleted
+ *       403:
+ *         description: System role
+ *       409:
+ *         description: Still assigned to users or pending invitations
+ */
+router.delete("/:id", requirePermission("role.manage"), deleteRole);
@@ -1,6 +1,7 @@
 // src/routes/shipRoutes.js
 import { Router } from 'express';
 import { requireAuth } from '../middleware/requireAuth.js';
+import { requirePermission } from '../middleware/rbac.js';
 import {
   getAllShips,
   getShipById,
@@ -38,6 +39,7 @@ router.use(requireAuth);
  *         ship_type: { type: string, example: "Tanker" }
  *         capacity: { type: string, example: "150,000 DWT" }
  *         powered_by: { type: string, example: "Diesel" }
+ *         timezone: { type: string, example: "Asia/Singapore", description: "Vessel-local zone for Unity timestamps without offset (IANA name or +08:00)" }
  *         company_id: { type: string, format: uuid, example: "002f6dad-7f5a-4962-a6b6-eaca609a8fa0" }
  *         created_at: { type: string, format: date-time }
  *         updated_at: { type: string, format: date-time }
@@ -56,6 +58,7 @@ router.use(requireAuth);
  *         ship_type: { type: string, example: "Tanker" }
  *         capacity: { type: string, example: "150,000 DWT" }
  *         powered_by: { type: string, example: "Diesel" }
+ *         timezone: { type: string, example: "Asia/Singapore" }
  *
  *     ShipUpdate:
  *       type: object
@@ -70,6 +73,7 @@ router.use(requireAuth);
  *         ship_type: { type: string, example: "Tanker" }
  *         capacity: { type: string, example: "160,000 DWT" }
  *         powered_by: { type: string, example: "Diesel" }
+ *         timezone: { type: string, example: "Asia/Singapore" }
  *         company_id:
  *           type: string
  *           format: uuid
@@ -101,7 +105,7 @@ router.use(requireAuth);
  *       200: { description: OK }
  *       401: { description: Unauthorized }
  */
-router.get('/', getAllShips);
+router.get('/', requirePermission('ship.view'), getAllShips);
 
 /**
  * @openapi
@@ -125,7 +129,7 @@ router.get('/', getAllShips);
  *       401: { description: Unauthorized }
  *       403: { description: Forbidden }
  */
-router.get('/company/:company_id', getShipsByCompanyId);
+router.get('/company/:company_id', requirePermission('ship.view'), getShipsByCompanyId);
 
 /**
  * @openapi
@@ -163,7 +167,7 @@ router.get('/company/:company_id', getShipsByCompanyId);
  *       500:
  *         description: Server error
  */
-router.get('/:id', getShipById);
+router.get('/:id', requirePermission('ship.view'), getShipById);
 
 /**
  * @openapi
@@ -200,7 +204,7 @@ router.get('/:id', getShipById);
  *       500:
  *         description: Server error
  */
-router.post('/', createShip);
+router.post('/', requirePermission('ship.manage'), createShip);
 
 /**
  * @openapi
@@ -248,7 +252,7 @@ router.post('/', createShip);
  *       500:
  *         description: Server error
  */
-router.put('/:id', updateShip);
+router.put('/:id', requirePermission('ship.manage'), updateShip);
 
 /**
  * @openapi
@@ -287,4 +291,4 @@ router.put('/:id', updateShip);
  *       500:
  *         description: Server error
  */
-router.delete('/:id', deleteShip);
+router.delete('/:id', requirePermission('ship.delete'), deleteShip);
@@ -1,7 +1,7 @@
 // src/routes/userRoutes.js
 import { Router } from "express";
 import { requireAuth } from "../middleware/requireAuth.js";
-import { allowRoles } from "../middleware/rbac.js";
+import { requirePermission } from "../middleware/rbac.js";
 import {
   getAllUsers,
   getUserById,
@@ -12,6 +12,7 @@ import {
   bulkUpdateUserStatus,
   getUserShipHistory ,
 } from "../controller/usersController.js";
+import { exportUserData, eraseUser } from "../controller/dataSubjectController.js";
 
 export const router = Router();
 
@@ -29,19 +30,23 @@ router.use(requireAuth);
  * /users:
  *   get:
  *     summary: Get all users
+ *     description: |
+ *       passport_number, seaman_book_number, date_of_birth and place_of_birth are masked
+ *       ("****1234") unless the caller has user.identity_view or it is their own record.
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
  *     responses:
  *       200: { description: OK }
  */
-router.get("/", getAllUsers);
+router.get("/", requirePermission("user.view"), getAllUsers);
 
 /**
  * @openapi
  * /users/{id}:
  *   get:
  *     summary: Get user by ID
+ *     description: Identity document fields are masked as in GET /users.
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -54,7 +59,7 @@ router.get("/", getAllUsers);
  *       200: { description: OK }
  *       404: { description: User not found }
  */
-router.get("/:id", getUserById);
+router.get("/:id", requirePermission("user.view"), getUserById);
 
 /**
  * @openapi
@@ -73,7 +78,7 @@ router.get("/:id", getUserById);
  *     responses:
  *       201: { description: Created }
  */
-router.post("/", allowRoles(1, 2, 3), createUser);
+router.post("/", requirePermission("user.create"), createUser);
 
 /**
  * @openapi
@@ -97,7 +102,7 @@ router.post("/", allowRoles(1, 2, 3), createUser);
  *     responses:
  *       200: { description: Updated }
  */
-router.put("/:id", allowRoles(1, 2, 3), updateUser);
+router.put("/:id", requirePermission("user.update"), updateUser);
 
 /**
  * @openapi
@@ -114,8 +119,66 @@ router.put("/:id", allowRoles(1, 2, 3), updateUser);
  *         schema: { type: integer }
  *     responses:
  *       200: { description: Deleted }
+ *       409: { description: "User has linked records (use POST /users/{id}/erase)" }
  */
-router.delete("/:id", allowRoles(1, 2), deleteUser);
+router.delete("/:id", requirePermission("user.delete"), deleteUser);
+
+/**
+ * @openapi
+ * /users/{id}/data-export:
+ *   get:
+ *     summary: Export all personal data of a user (data-subject access request)
+ *     description: |
+ *       JSON download: profile (identity documents unmasked), ship history, activity logs,
+ *       assessment results, certificates, incidents reported, SSO identities, sessions and
+ *       auth events. The export itself is audited (user.data_export).
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200: { description: Export document }
+ *       404: { description: User not found }
+ */
+router.get("/:id/data-export", requirePermission("user.export"), exportUserData);
+
+/**
+ * @openapi
+ * /users/{id}/erase:
+ *   post:
+ *     summary: Erase a user's personal data (pseudonymize, keep a tombstone)
+ *     description: |
+ *       Clears name, login, contact and identity document data, removes sessions, 2FA and
+ *       security logs, and marks the user Erased. Incidents, certificates, ship history and
+ *       activity statistics are kept and point at the anonymous tombstone. Not reversible.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reason]
+ *             properties:
+ *               reason: { type: string, maxLength: 500, description: "e.g. request reference" }
+ *     responses:
+ *       200: { description: Erased }
+ *       403: { description: Role outside the caller's reach }
+ *       404: { description: User not found }
+ *       409: { description: Already erased }
+ */
+router.post("/:id/erase", requirePermission("user.erase"), eraseUser);
 
 /**
  * @openapi
@@ -142,8 +205,8 @@ router.delete("/:id", allowRoles(1, 2), deleteUser);
  *       400: { description: Bad request }
  *       403: { description: Forbidden }
  */
-router.post("/import", allowRoles(1, 2, 3), importUsersFromExcel);
+router.post("/import", requirePermission("user.import"), importUsersFromExcel);
 
-router.patch("/bulk-status", allowRoles(1, 2, 3), bulkUpdateUserStatus);
+router.patch("/bulk-status", requirePermission("user.bulk_status"), bulkUpdateUserStatus);
 
-router.get("/users/:id/ship-history", requireAuth, getUserShipHistory);
+router.get("/users/:id/ship-history", requirePermission("user.view"), getUserShipHistory);
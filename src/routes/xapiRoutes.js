@@ -0,0 +1,220 @@
+// src/routes/xapiRoutes.js
+import { Router } from 'express';
+import { requireApiKey } from '../middleware/requireApiKey.js';
+import { requireXapiVersion } from '../middleware/xapiVersion.js';
+import {
+  postStatements,
+  putStatement,
+  getStatements,
+  putState,
+  postState,
+  getState,
+  deleteState,
+  getAgent,
+  getAbout,
+} from '../controller/xapiController.js';
+
+export const router = Router();
+
+/**
+ * @openapi
+ * tags:
+ *   - name: xAPI
+ *     description: |
+ *       Learning Record Store (xAPI 1.0.3 subset) for third-party e-learning content.
+ *       Authenticate with a company API key (scopes xapi:write / xapi:read) as the HTTP Basic
+ *       password or X-Api-Key. Every request except /xapi/about needs X-Experience-API-Version: 1.0.x.
+ *       Actors are users: Agents identified by account, account.name = username.
+ *       Statements also appear in /activity, /activity/sessions and /activity/stats
+ *       (activity_type = verb, training_type = course activity IRI).
+ */
+
+/**
+ * @openapi
+ * /xapi/about:
+ *   get:
+ *     summary: LRS information (supported xAPI versions)
+ *     tags: [xAPI]
+ *     security: []
+ *     responses:
+ *       200: { description: "{ version: [...] }" }
+ */
+router.get('/about', getAbout);
+
+router.use(requireXapiVersion);
+
+/**
+ * @openapi
+ * /xapi/statements:
+ *   post:
+ *     summary: Store one statement or an array of statements
+ *     description: |
+ *       All or nothing. Ids are generated when missing; a statement id already stored with the same
+ *       content is accepted again (no-op), with different content it is a 409. Voiding statements
+ *       (verb http://adlnet.gov/expapi/verbs/voided, StatementRef object) hide their target.
+ *     tags: [xAPI]
+ *     security: []
+ *     parameters:
+ *       - in: header
+ *         name: X-Experience-API-Version
+ *         required: true
+ *         schema: { type: string, example: "1.0.3" }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             oneOf:
+ *               - type: object
+ *               - type: array
+ *                 items: { type: object }
+ *             example:
+ *               actor: { objectType: "Agent", account: { homePage: "https://lms.example.com", name: "user5008" } }
+ *               verb: { id: "http://adlnet.gov/expapi/verbs/completed", display: { en-US: "completed" } }
+ *               object: { id: "https://content.example.com/courses/fire-safety" }
+ *               result: { success: true, completion: true, score: { scaled: 0.9 }, duration: "PT25M" }
+ *     responses:
+ *       200: { description: Statement ids }
+ *       400: { description: Invalid statement or version header }
+ *       401: { description: Missing or invalid API key }
+ *       403: { description: Actor outside the key's scope }
+ *       409: { description: Statement id already used for a different statement }
+ *       413: { description: Too many statements }
+ *   put:
+ *     summary: Store one statement under a given id
+ *     tags: [xAPI]
+ *     security: []
+ *     parameters:
+ *       - in: query
+ *         name: statementId
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *       - in: header
+ *         name: X-Experience-API-Version
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { type: object }
+ *     responses:
+ *       204: { description: Stored }
+ *       400: { description: Invalid statement }
+ *       403: { description: Actor outside the key's scope }
+ *       409: { description: Statement id already used for a different statement }
+ *   get:
+ *     summary: Fetch one statement or query statements
+ *     description: |
+ *       statementId / voidedStatementId return one statement. Otherwise a StatementResult
+ *       { statements, more }, newest first; follow `more` for the next page. Its cursor only
+ *       continues in the sort order it was issued for. Ship-bound keys only see their ship's
+ *       statements. X-Experience-API-Consistent-Through is the latest `stored` the key can see.
+ *     tags: [xAPI]
+ *     security: []
+ *     parameters:
+ *       - in: header
+ *         name: X-Experience-API-Version
+ *         required: true
+ *         schema: { type: string }
+ *       - { in: query, name: statementId, schema: { type: string, format: uuid } }
+ *       - { in: query, name: voidedStatementId, schema: { type: string, format: uuid } }
+ *       - { in: query, name: agent, schema: { type: string }, description: "JSON Agent with account" }
+ *       - { in: query, name: verb, schema: { type: string } }
+ *       - { in: query, name: activity, schema: { type: string } }
+ *       - { in: query, name: related_activities, schema: { type: boolean } }
+ *       - { in: query, name: registration, schema: { type: string, format: uuid } }
+ *       - { in: query, name: since, schema: { type: string, format: date-time } }
+ *       - { in: query, name: until, schema: { type: string, format: date-time } }
+ *       - { in: query, name: limit, schema: { type: integer, maximum: 500 } }
+ *       - { in: query, name: ascending, schema: { type: boolean } }
+ *       - { in: query, name: cursor, schema: { type: string }, description: "Set by the `more` link" }
+ *     responses:
+ *       200: { description: Statement or StatementResult }
+ *       400: { description: Bad request }
+ *       404: { description: Statement not found }
+ */
+router.post('/statements', requireApiKey('xapi:write'), postStatements);
+router.put('/statements', requireApiKey('xapi:write'), putStatement);
+router.get('/statements', requireApiKey('xapi:read'), getStatements);
+
+/**
+ * @openapi
+ * /xapi/activities/state:
+ *   put:
+ *     summary: Store (replace) a state document
+ *     description: Any content type; the document is returned as stored.
+ *     tags: [xAPI]
+ *     security: []
+ *     parameters:
+ *       - { in: header, name: X-Experience-API-Version, required: true, schema: { type: string } }
+ *       - { in: query, name: activityId, required: true, schema: { type: string } }
+ *       - { in: query, name: agent, required: true, schema: { type: string }, description: "JSON Agent with account" }
+ *       - { in: query, name: stateId, required: true, schema: { type: string } }
+ *       - { in: query, name: registration, schema: { type: string, format: uuid } }
+ *     responses:
+ *       204: { description: Stored }
+ *       400: { description: Bad request }
+ *       403: { description: Agent outside the key's scope }
+ *   post:
+ *     summary: Store a state document, merging JSON objects into an existing JSON document
+ *     tags: [xAPI]
+ *     security: []
+ *     parameters:
+ *       - { in: header, name: X-Experience-API-Version, required: true, schema: { type: string } }
+ *       - { in: query, name: activityId, required: true, schema: { type: string } }
+ *       - { in: query, name: agent, required: true, schema: { type: string } }
+ *       - { in: query, name: stateId, required: true, schema: { type: string } }
+ *       - { in: query, name: registration, schema: { type: string, format: uuid } }
+ *     responses:
+ *       204: { description: Stored }
+ *       400: { description: Bad request or documents cannot be merged }
+ *       403: { description: Agent outside the key's scope }
+ *   get:
+ *     summary: Fetch a state document, or the stateIds of an activity / agent
+ *     tags: [xAPI]
+ *     security: []
+ *     parameters:
+ *       - { in: header, name: X-Experience-API-Version, required: true, schema: { type: string } }
+ *       - { in: query, name: activityId, required: true, schema: { type: string } }
+ *       - { in: query, name: agent, required: true, schema: { type: string } }
+ *       - { in: query, name: stateId, schema: { type: string } }
+ *       - { in: query, name: registration, schema: { type: string, format: uuid } }
+ *       - { in: query, name: since, schema: { type: string, format: date-time } }
+ *     responses:
+ *       200: { description: The document, or an array of stateIds }
+ *       404: { description: State not found }
+ *   delete:
+ *     summary: Delete a state document, or all documents of an activity / agent
+ *     tags: [xAPI]
+ *     security: []
+ *     parameters:
+ *       - { in: header, name: X-Experience-API-Version, required: true, schema: { type: string } }
+ *       - { in: query, name: activityId, required: true, schema: { type: string } }
+ *       - { in: query, name: agent, required: true, schema: { type: string } }
+ *       - { in: query, name: stateId, schema: { type: string } }
+ *       - { in: query, name: registration, schema: { type: string, format: uuid } }
+ *     responses:
+ *       204: { description: Deleted }
+ *       403: { description: Agent outside the key's scope }
+ */
+router.put('/activities/state', requireApiKey('xapi:write'), putState);
+router.post('/activities/state', requireApiKey('xapi:write'), postState);
+router.get('/activities/state', requireApiKey('xapi:read'), getState);
+router.delete('/activities/state', requireApiKey('xapi:write'), deleteState);
+
+/**
+ * @openapi
+ * /xapi/agents:
+ *   get:
+ *     summary: Person object of an agent (a user of the key's company)
+ *     tags: [xAPI]
+ *     security: []
+ *     parameters:
+ *       - { in: header, name: X-Experience-API-Version, required: true, schema: { type: string } }
+ *       - { in: query, name: agent, required: true, schema: { type: string }, description: "JSON Agent with account" }
+ *     responses:
+ *       200: { description: Person object }
+ *       404: { description: Agent not found }
+ */
+router.get('/agents', requireApiKey('xapi:read'), getAgent);
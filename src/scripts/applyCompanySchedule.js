@@ -0,0 +1,18 @@
+// src/scripts/applyCompanySchedule.js
+// npm run company:schedule
+//
+// Applies scheduled company suspensions / reactivations that are due (see src/utils/companyStatus.js).
+// For cron / serverless deployments; the long-running server schedules it itself
+// (COMPANY_SCHEDULE_INTERVAL_MINUTES, default 5).
+import { runAsSystem } from "../db.js";
+import { runCompanyScheduleJob } from "../utils/companyStatus.js";
+
+runAsSystem(() => runCompanyScheduleJob())
+  .then((result) => {
+    console.log(JSON.stringify(result, null, 2));
+    process.exit(0);
+  })
+  .catch((err) => {
+    console.error("Company schedule failed:", err);
+    process.exit(1);
+  });
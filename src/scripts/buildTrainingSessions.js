@@ -0,0 +1,21 @@
+// src/scripts/buildTrainingSessions.js
+// npm run sessions:build [-- --rebuild]
+//
+// Turns new activity events into training sessions (see src/utils/trainingSessions.js).
+// --rebuild starts over from the first activity row (e.g. after changing TRAINING_SESSION_IDLE_MINUTES).
+// For cron / serverless deployments; the long-running server schedules it itself
+// (TRAINING_SESSIONS_INTERVAL_MINUTES, default 15).
+import { runAsSystem } from "../db.js";
+import { runTrainingSessionsJob } from "../utils/trainingSessions.js";
+
+const rebuild = process.argv.includes("--rebuild");
+
+runAsSystem(() => runTrainingSessionsJob({ rebuild }))
+  .then((result) => {
+    console.log(JSON.stringify(result, null, 2));
+    process.exit(0);
+  })
+  .catch((err) => {
+    console.error("Training sessions failed:", err);
+    process.exit(1);
+  });
@@ -0,0 +1,20 @@
+// src/scripts/purgeRetention.js
+// npm run retention:purge [-- --dry-run]
+//
+// Applies every company's data-retention policy once (see src/utils/retention.js).
+// For cron / serverless deployments; the long-running server can schedule it itself
+// with RETENTION_JOB_INTERVAL_MINUTES.
+import { runAsSystem } from "../db.js";
+import { runRetentionJob } from "../utils/retention.js";
+
+const dryRun = process.argv.includes("--dry-run");
+
+runAsSystem(() => runRetentionJob({ dryRun }))
+  .then((result) => {
+    console.log(JSON.stringify(result, null, 2));
+    process.exit(0);
+  })
+  .catch((err) => {
+    console.error("Retention purge failed:", err);
+    process.exit(1);
+  });
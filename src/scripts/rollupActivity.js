@@ -0,0 +1,21 @@
+// src/scripts/rollupActivity.js
+// npm run activity:rollup [-- --rebuild]
+//
+// Adds new activity events to the daily rollups behind GET /activity/stats (see src/utils/activityRollups.js).
+// --rebuild recounts everything still in activity_logs.
+// For cron / serverless deployments; the long-running server schedules it itself
+// (ACTIVITY_ROLLUPS_INTERVAL_MINUTES, default 10).
+import { runAsSystem } from "../db.js";
+import { runActivityRollupJob } from "../utils/activityRollups.js";
+
+const rebuild = process.argv.includes("--rebuild");
+
+runAsSystem(() => runActivityRollupJob({ rebuild }))
+  .then((result) => {
+    console.log(JSON.stringify(result, null, 2));
+    process.exit(0);
+  })
+  .catch((err) => {
+    console.error("Activity rollup failed:", err);
+    process.exit(1);
+  });
@@ -0,0 +1,100 @@
+// src/scripts/rotatePiiKeys.js
+// npm run pii:rotate [-- --dry-run]
+//
+// Brings every users row onto the current PII key (PII_ENC_KEY_ID):
+//   - legacy plaintext identity fields -> encrypted into *_enc, plaintext column cleared
+//   - *_enc values wrapped with an older key -> data key re-wrapped (value itself untouched)
+// Safe to re-run. Keep retired keys in PII_ENC_KEYS until a run reports nothing left to do.
+import { runAsSystem, withTransaction } from "../db.js";
+import { recordAudit } from "../utils/audit.js";
+import { PII_FIELDS, currentPiiKeyId, decryptUserPii, encryptPii, rewrapPii } from "../utils/pii.js";
+
+const BATCH_SIZE = 200;
+
+const dryRun = process.argv.includes("--dry-run");
+
+// SET clause + params for one row, or null when it is already current
+const planRow = (row) => {
+  const plain = decryptUserPii(row);
+  const set = {};
+  let encrypted = 0;
+  let rewrapped = 0;
+
+  for (const f of PII_FIELDS) {
+    const enc = row[`${f}_enc`];
+    if (enc) {
+      const next = rewrapPii(enc);
+      if (next !== enc) {
+        set[`${f}_enc`] = next;
+        rewrapped++;
+      }
+    } else if (plain[f] != null && plain[f] !== "") {
+      set[`${f}_enc`] = encryptPii(f, plain[f]);
+      encrypted++;
+    }
+    if (row[f] != null) set[f] = null;
+  }
+
+  return Object.keys(set).length ? { set, encrypted, rewrapped } : null;
+};
+
+const run = async () => {
+  const keyId = currentPiiKeyId();
+  const totals = { rows: 0, updated: 0, encrypted: 0, rewrapped: 0 };
+  let lastId = 0;
+
+  for (;;) {
+    const batch = await withTransaction(async (client) => {
+      const { rows } = await client.query(
+        `SELECT user_id, ${PII_FIELDS.flatMap((f) => [f, `${f}_enc`]).join(", ")}
+         FROM users
+         WHERE user_id > $1
+         ORDER BY user_id
+         LIMIT ${BATCH_SIZE}
+         FOR UPDATE`,
+        [lastId]
+      );
+
+      for (const row of rows) {
+        const plan = planRow(row);
+        if (!plan) continue;
+
+        totals.updated++;
+        totals.encrypted += plan.encrypted;
+        totals.rewrapped += plan.rewrapped;
+        if (dryRun) continue;
+
+        const cols = Object.keys(plan.set);
+        await client.query(
+          `UPDATE users SET ${cols.map((c, i) => `${c} = $${i + 2}`).join(", ")} WHERE user_id = $1`,
+          [row.user_id, ...cols.map((c) => plan.set[c])]
+        );
+      }
+      return rows;
+    });
+
+    if (!batch.length) break;
+    totals.rows += batch.length;
+    lastId = batch[batch.length - 1].user_id;
+  }
+
+  if (!dryRun && totals.updated) {
+    await recordAudit(null, {
+      action: "user.pii_rotate",
+      entity_type: "user",
+      entity_id: null,
+      company_id: null,
+      ship_id: null,
+      details: { key_id: keyId, ...totals },
+    });
+  }
+
+  console.log(`${dryRun ? "[dry run] " : ""}PII key ${keyId}:`, totals);
+};
+
+runAsSystem(() => run())
+  .then(() => process.exit(0))
+  .catch((err) => {
+    console.error("PII key rotation failed:", err);
+    process.exit(1);
+  });
@@ -2,9 +2,28 @@ import dotenv from "dotenv";
 dotenv.config();
 
 import app from "./app.js";
+import { scheduleJob } from "./utils/jobRunner.js";
+import { runRetentionJob } from "./utils/retention.js";
+import { runCompanyScheduleJob } from "./utils/companyStatus.js";
+import { runTrainingSessionsJob } from "./utils/trainingSessions.js";
+import { runActivityRollupJob } from "./utils/activityRollups.js";
 
 const PORT = process.env.PORT || 4000;
 
 app.listen(PORT, () => {
   console.log(`FMC backend listening on http://localhost:${PORT}`);
 });
+
+// data-retention purge (otherwise: npm run retention:purge from a cron)
+if (process.env.RETENTION_JOB_INTERVAL_MINUTES) {
+  scheduleJob("retention-purge", process.env.RETENTION_JOB_INTERVAL_MINUTES, () => runRetentionJob());
+}
+
+// scheduled company suspension / reactivation dates (also: npm run company:schedule)
+scheduleJob("company-schedule", process.env.COMPANY_SCHEDULE_INTERVAL_MINUTES || 5, () => runCompanyScheduleJob());
+
+// training sessions from new activity events (also: npm run sessions:build)
+scheduleJob("training-sessions", process.env.TRAINING_SESSIONS_INTERVAL_MINUTES || 15, () => runTrainingSessionsJob());
+
+// daily activity rollups behind GET /activity/stats (also: npm run activity:rollup)
+scheduleJob("activity-rollups", process.env.ACTIVITY_ROLLUPS_INTERVAL_MINUTES || 10, () => runActivityRollupJob());
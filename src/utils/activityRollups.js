@@ -0,0 +1,55 @@
+// src/utils/activityRollups.js
+import { withTransaction } from "../db.js";
+
+// activity_daily_rollups (migrations/023_activity_rollups.sql): event counts per UTC day, user,
+// training type and activity type. The job adds the rows inserted since its cursor; counts and
+// cursor move in one transaction, so a failed run is simply repeated.
+// Rows are only counted once they are ROLLUP_LAG_MINUTES old: ids are taken at insert time but
+// become visible at commit, and a slow batch upload must not be skipped by the cursor.
+const CURSOR_NAME = "activity-rollups";
+const ROLLUP_LAG_MINUTES = Number(process.env.ACTIVITY_ROLLUP_LAG_MINUTES || 5);
+
+/**
+ * The scheduled job. rebuild = recount everything still in activity_logs (rows already purged by
+ * retention are lost from the counts). Must run outside a request context (sees all tenants).
+ */
+export const runActivityRollupJob = async ({ rebuild = false } = {}) =>
+  withTransaction(async (client) => {
+    // row lock = one run at a time even without the job runner's advisory lock (npm script)
+    await client.query(
+      `INSERT INTO job_cursors (job_name, last_id) VALUES ($1, 0) ON CONFLICT (job_name) DO NOTHING`,
+      [CURSOR_NAME]
+    );
+    const cur = await client.query(`SELECT last_id FROM job_cursors WHERE job_name = $1 FOR UPDATE`, [CURSOR_NAME]);
+
+    if (rebuild) await client.query(`DELETE FROM activity_daily_rollups`);
+    const lastId = rebuild ? 0 : Number(cur.rows[0].last_id);
+
+    const max = await client.query(
+      `SELECT COALESCE(MAX(activity_id), 0) AS max FROM activity_logs
+       WHERE activity_id > $1 AND created_at < NOW() - ($2 || ' minutes')::interval`,
+      [lastId, String(ROLLUP_LAG_MINUTES)]
+    );
+    const maxId = Math.max(lastId, Number(max.rows[0].max));
+    if (maxId === lastId) return { rows: 0, cursor: lastId };
+
+    const { rowCount } = await client.query(
+      `INSERT INTO activity_daily_rollups
+         (day, company_id, ship_id, user_id, training_type, activity_type, event_count, updated_at)
+       SELECT (occurred_at AT TIME ZONE 'UTC')::date, company_id, ship_id, user_id,
+              COALESCE(training_type, ''), COALESCE(activity_type, ''), COUNT(*), NOW()
+       FROM activity_logs
+       WHERE activity_id > $1 AND activity_id <= $2 AND company_id IS NOT NULL AND user_id IS NOT NULL
+       GROUP BY 1, 2, 3, 4, 5, 6
+       ON CONFLICT (day, company_id, (COALESCE(ship_id, 0)), user_id, training_type, activity_type)
+       DO UPDATE SET event_count = activity_daily_rollups.event_count + EXCLUDED.event_count, updated_at = NOW()`,
+      [lastId, maxId]
+    );
+
+    await client.query(`UPDATE job_cursors SET last_id = $2, updated_at = NOW() WHERE job_name = $1`, [
+      CURSOR_NAME,
+      maxId,
+    ]);
+
+    return { rows: rowCount, cursor: maxId };
+  });
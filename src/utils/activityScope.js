@@ -0,0 +1,57 @@
+// src/utils/activityScope.js
+import { SCOPE_GLOBAL, SCOPE_COMPANY, SCOPE_SHIP, SCOPE_SELF } from "./permissions.js";
+
+const parseDate = (v) => {
+  const d = new Date(String(v));
+  return Number.isNaN(d.getTime()) ? null : d;
+};
+
+/**
+ * WHERE clause for activity reports (sessions, stats) over a table aliased t (users u joined),
+ * with the same visibility as GET /activity (RLS enforces it too):
+ * global -> everything (company_id / ship_id filters), company -> own company,
+ * ship -> own ship, self -> own rows only.
+ * Query filters: company_id, ship_id, user_id, username, training_type, activity_type (if the
+ * table has it), from / to on timeColumn ([from, to); dateOnly for DATE columns, compared as UTC days).
+ * Returns { where, values }, { none: true } (caller sees nothing) or { error }.
+ */
+export const buildActivityFilters = (user, q, { timeColumn, activityType = false, dateOnly = false }) => {
+  const where = [];
+  const values = [];
+  const add = (sql, v) => {
+    values.push(v);
+    where.push(sql.replace("?", () => `$${values.length}`));
+  };
+
+  if (user.scope === SCOPE_GLOBAL) {
+    if (q.company_id) add("t.company_id = ?", String(q.company_id));
+  } else if (user.scope === SCOPE_COMPANY) {
+    add("t.company_id = ?", user.company_id);
+  } else if (user.scope === SCOPE_SHIP) {
+    if (!user.ship_id) return { none: true };
+    add("t.ship_id = ?", Number(user.ship_id));
+  } else if (user.scope === SCOPE_SELF) {
+    add("t.user_id = ?", Number(user.user_id));
+  } else {
+    return { none: true };
+  }
+
+  if (q.ship_id && (user.scope === SCOPE_GLOBAL || user.scope === SCOPE_COMPANY)) {
+    add("t.ship_id = ?", Number(q.ship_id));
+  }
+  if (user.scope !== SCOPE_SELF) {
+    if (q.user_id) add("t.user_id = ?", Number(q.user_id));
+    if (q.username) add("u.username = ?", String(q.username));
+  }
+  if (q.training_type) add("t.training_type = ?", String(q.training_type));
+  if (activityType && q.activity_type) add("t.activity_type = ?", String(q.activity_type));
+
+  for (const [k, op] of [["from", ">="], ["to", "<"]]) {
+    if (!q[k]) continue;
+    const d = parseDate(q[k]);
+    if (!d) return { error: `${k} must be an ISO date` };
+    add(`${timeColumn} ${op} ?`, dateOnly ? d.toISOString().slice(0, 10) : d);
+  }
+
+  return { where: where.length ? `WHERE ${where.join(" AND ")}` : "", values };
+};
@@ -0,0 +1,50 @@
+// src/utils/apiKeys.js
+import crypto from "crypto";
+import { systemDb } from "../db.js";
+
+// Key format: fmc_<8 hex prefix>_<48 hex secret>
+// The prefix is stored in clear so admins can tell keys apart; the whole key is stored as sha256.
+// activity:write = Unity /activity/track; xapi:write / xapi:read = the xAPI LRS (/xapi)
+export const API_KEY_SCOPES = ["activity:write", "xapi:write", "xapi:read"];
+
+export const generateApiKey = () => {
+  const prefix = `fmc_${crypto.randomBytes(4).toString("hex")}`;
+  return { key: `${prefix}_${crypto.randomBytes(24).toString("hex")}`, prefix };
+};
+
+export const hashApiKey = (key) => crypto.createHash("sha256").update(String(key).trim()).digest("hex");
+
+// active | expired | revoked
+export const apiKeyStatus = (k) => {
+  if (k.revoked_at) return "revoked";
+  if (k.expires_at && new Date(k.expires_at) <= new Date()) return "expired";
+  return "active";
+};
+
+/**
+ * Looks up an active key carrying the given scope.
+ * Returns { api_key_id, company_id, ship_id, scopes, label } or null.
+ * last_used_at / last_used_ip are updated on every successful lookup.
+ * Runs before the caller's tenant is known, so on the system connection.
+ */
+export const authenticateApiKey = async (rawKey, scope, ip = null) => {
+  if (!rawKey) return null;
+
+  const { rows } = await systemDb.query(
+    `UPDATE api_keys
+     SET last_used_at = NOW(), last_used_ip = $3
+     WHERE key_hash = $1
+       AND revoked_at IS NULL
+       AND (expires_at IS NULL OR expires_at > NOW())
+       AND $2 = ANY(scopes)
+     RETURNING api_key_id, company_id, ship_id, scopes, label`,
+    [hashApiKey(rawKey), String(scope), ip]
+  );
+  return rows[0] || null;
+};
+
+// ✅ a key only reaches users of its own company (and ship, if the key is ship-bound)
+export const userInKeyScope = (apiKey, userRow) =>
+  !!userRow &&
+  String(userRow.company_id) === String(apiKey.company_id) &&
+  (apiKey.ship_id == null || Number(userRow.ship_id) === Number(apiKey.ship_id));
@@ -0,0 +1,128 @@
+// src/utils/audit.js
+import { db } from "../db.js";
+import { getClientIp, getUserAgent } from "./authEvents.js";
+
+// Audit trail of administrative mutations (audit_events, migrations/013_audit_events.sql).
+// Unlike logAuthEvent this throws: pass the transaction's client so the change and its
+// audit row commit (or roll back) together.
+
+// never stored, only whether they changed
+const SECRET_FIELDS = new Set([
+  "password",
+  "password_hash",
+  "new_password",
+  "reset_token_hash",
+  "mfa_secret_enc",
+  "mfa_pending_secret_enc",
+  "client_secret_enc",
+  "key_hash",
+  "code_hash",
+  "token_hash",
+  // crew identity documents (utils/pii.js): ciphertext and legacy plaintext columns
+  "passport_number",
+  "passport_number_enc",
+  "seaman_book_number",
+  "seaman_book_number_enc",
+  "date_of_birth",
+  "date_of_birth_enc",
+  "place_of_birth",
+  "place_of_birth_enc",
+]);
+
+const REDACTED = "[redacted]";
+
+const redact = (row) => {
+  if (!row || typeof row !== "object") return row ?? null;
+  const out = {};
+  for (const [k, v] of Object.entries(row)) {
+    out[k] = SECRET_FIELDS.has(k) && v != null ? REDACTED : v;
+  }
+  return out;
+};
+
+const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * { field: { from, to } } for every field that differs. Secret fields show as "[redacted]".
+ */
+export const diffObjects = (before, after) => {
+  const changes = {};
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  for (const k of keys) {
+    const from = before?.[k];
+    const to = after?.[k];
+    if (same(from, to)) continue;
+    changes[k] = SECRET_FIELDS.has(k)
+      ? { from: from != null ? REDACTED : null, to: to != null ? REDACTED : null }
+      : { from: from ?? null, to: to ?? null };
+  }
+  return changes;
+};
+
+/**
+ * Writes one audit event.
+ * - action: "<entity>.<verb>" e.g. "user.update"
+ * - before / after: entity rows (either may be null for create / delete)
+ * - company_id / ship_id: tenant of the entity, defaults to after ?? before
+ * - actor: defaults to req.user (pass { user_id } for unauthenticated flows)
+ *   when req.user is an impersonation, the real caller is stored as impersonator_user_id
+ */
+export const recordAudit = async (
+  req,
+  { action, entity_type, entity_id, company_id, ship_id, before = null, after = null, details = {}, actor = null },
+  client = db
+) => {
+  const ref = after || before || {};
+  const who = actor || req?.user || {};
+  const impersonator = actor ? null : req?.user?.impersonator;
+
+  await client.query(
+    `INSERT INTO audit_events
+       (request_id, actor_user_id, actor_role_id, actor_scope,
+        action, entity_type, entity_id, company_id, ship_id,
+        before_json, after_json, changes_json, details_json,
+        ip_address, user_agent, impersonator_user_id, impersonation_id, created_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10::jsonb, $11::jsonb, $12::jsonb, $13::jsonb, $14, $15, $16, $17, NOW())`,
+    [
+      req?.requestId ?? null,
+      who.user_id ?? null,
+      who.role_id ?? null,
+      who.scope ?? null,
+      String(action),
+      String(entity_type),
+      entity_id != null ? String(entity_id) : null,
+      company_id !== undefined ? company_id : ref.company_id ?? null,
+      ship_id !== undefined ? ship_id : ref.ship_id ?? null,
+      before ? JSON.stringify(redact(before)) : null,
+      after ? JSON.stringify(redact(after)) : null,
+      JSON.stringify(diffObjects(before, after)),
+      JSON.stringify(details || {}),
+      req ? getClientIp(req) : null,
+      req ? getUserAgent(req) : null,
+      impersonator?.user_id ?? null,
+      impersonator?.impersonation_id ?? null,
+    ]
+  );
+};
+
+/**
+ * Audit event for an action on a user account that has no before/after row of its own
+ * (sessions revoked, password set, MFA reset...). Tenant comes from the user.
+ */
+export const recordUserAction = async (req, { action, user_id, details = {}, actor = null }, client = db) => {
+  const { rows } = await client.query(`SELECT company_id, ship_id FROM users WHERE user_id = $1`, [Number(user_id)]);
+  await recordAudit(
+    req,
+    {
+      action,
+      entity_type: "user",
+      entity_id: user_id,
+      company_id: rows[0]?.company_id ?? null,
+      ship_id: rows[0]?.ship_id ?? null,
+      details,
+      actor,
+    },
+    client
+  );
+};
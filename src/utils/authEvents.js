@@ -0,0 +1,33 @@
+// src/utils/authEvents.js
+import { db } from "../db.js";
+
+// request metadata we keep for security events / sessions.
+// req.ip honours X-Forwarded-For only for the proxy hops app.js trusts, so clients cannot pick their IP.
+export const getClientIp = (req) => req.ip || req.socket?.remoteAddress || null;
+
+export const getUserAgent = (req) => {
+  const ua = req.headers?.["user-agent"];
+  return ua ? String(ua).slice(0, 512) : null;
+};
+
+/**
+ * Records a security-relevant auth event (token reuse, revocations, ...).
+ * Never throws: a logging failure must not break the auth flow itself.
+ */
+export const logAuthEvent = async ({ event_type, user_id = null, req = null, details = {} }) => {
+  try {
+    await db.query(
+      `INSERT INTO auth_events (event_type, user_id, ip_address, user_agent, details_json, created_at)
+       VALUES ($1, $2, $3, $4, $5::jsonb, NOW())`,
+      [
+        String(event_type),
+        user_id ?? null,
+        req ? getClientIp(req) : null,
+        req ? getUserAgent(req) : null,
+        JSON.stringify(details || {}),
+      ]
+    );
+  } catch (err) {
+    console.error("logAuthEvent failed:", event_type, err.message);
+  }
+};
@@ -0,0 +1,117 @@
+// src/utils/authTokens.js
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { db } from "../db.js";
+import { getClientIp, getUserAgent } from "./authEvents.js";
+
+const ACCESS_EXPIRES_IN = process.env.JWT_EXPIRES_IN || "5h";
+const REFRESH_EXPIRES_DAYS = Number(process.env.REFRESH_EXPIRES_DAYS || 7);
+const LOGIN_STEP_EXPIRES_IN = process.env.LOGIN_STEP_TOKEN_EXPIRES_IN || process.env.MFA_TOKEN_EXPIRES_IN || "5m";
+
+const getSecret = () => {
+  const secret = process.env.JWT_SECRET;
+  if (!secret) throw new Error("JWT_SECRET missing in .env");
+  return secret;
+};
+
+// refresh token flow
+export const generateRefreshToken = () => crypto.randomBytes(48).toString("hex");
+export const hashRefreshToken = (token) =>
+  crypto.createHash("sha256").update(String(token)).digest("hex");
+
+// sid = refresh session family, lets /auth/sessions flag the caller's own device
+// tv  = users.token_version, checked by requireAuth (bumped to revoke tokens)
+export const signAccessToken = (user, sid = null) =>
+  jwt.sign(
+    {
+      user_id: user.user_id,
+      role_id: user.role_id,
+      company_id: user.company_id,
+      ship_id: user.ship_id,
+      tv: Number(user.token_version || 0),
+      ...(sid ? { sid } : {}),
+    },
+    getSecret(),
+    { expiresIn: ACCESS_EXPIRES_IN }
+  );
+
+/**
+ * Access token of an impersonation session: identity (and data scope) of the target user,
+ * plus imp = the real caller and iid = impersonation_sessions row checked by requireAuth.
+ * No refresh token; it simply expires with the session.
+ */
+export const signImpersonationToken = (target, impersonator, session) =>
+  jwt.sign(
+    {
+      user_id: target.user_id,
+      role_id: target.role_id,
+      company_id: target.company_id,
+      ship_id: target.ship_id,
+      tv: Number(target.token_version || 0),
+      imp: {
+        user_id: impersonator.user_id,
+        role_id: impersonator.role_id,
+        tv: Number(impersonator.tv || 0),
+      },
+      iid: session.impersonation_id,
+    },
+    getSecret(),
+    { expiresIn: Math.max(1, Math.floor((new Date(session.expires_at).getTime() - Date.now()) / 1000)) }
+  );
+
+/**
+ * Short-lived token for an extra login step.
+ * purpose: 'mfa' (enter code) | 'mfa_enroll' (company requires 2FA, user must enroll first)
+ *        | 'password_change' (password must be changed before a session is issued).
+ * requireAuth rejects any token carrying a purpose, so it cannot be used as an access token.
+ */
+export const signLoginStepToken = (user, purpose) =>
+  jwt.sign(
+    { user_id: user.user_id, purpose, tv: Number(user.token_version || 0) },
+    getSecret(),
+    { expiresIn: LOGIN_STEP_EXPIRES_IN }
+  );
+
+export const verifyLoginStepToken = (token, purpose) => {
+  try {
+    const payload = jwt.verify(String(token), getSecret());
+    return payload.purpose === purpose ? payload : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Opens a new refresh session (own family) and returns the login response body.
+ * user needs: user_id, full_name, role_id, company_id, ship_id, token_version
+ */
+export const issueLoginTokens = async (req, user) => {
+  // Refresh token (stored server-side as hash)
+  const refresh_token = generateRefreshToken();
+  const refresh_hash = hashRefreshToken(refresh_token);
+
+  const { rows } = await db.query(
+    `
+    INSERT INTO refresh_sessions (user_id, refresh_token_hash, expires_at, user_agent, ip_address, last_used_at)
+    VALUES ($1, $2, NOW() + ($3 || ' days')::interval, $4, $5, NOW())
+    RETURNING family_id
+    `,
+    [user.user_id, refresh_hash, String(REFRESH_EXPIRES_DAYS), getUserAgent(req), getClientIp(req)]
+  );
+
+  // Access token (5h or env)
+  const access_token = signAccessToken(user, rows[0].family_id);
+
+  return {
+    message: "Login successful",
+    access_token,
+    refresh_token,
+    user: {
+      user_id: user.user_id,
+      full_name: user.full_name,
+      role_id: user.role_id,
+      company_id: user.company_id,
+      ship_id: user.ship_id,
+    },
+  };
+};
@@ -0,0 +1,59 @@
+// src/utils/companySettings.js
+import { db } from "../db.js";
+
+// company.metadata_json may come back as object (jsonb) or string (json/text)
+export const parseJson = (v) => {
+  if (!v) return {};
+  if (typeof v === "object") return v;
+  try {
+    return JSON.parse(String(v));
+  } catch {
+    return {};
+  }
+};
+
+const getCompanyMetadata = async (companyId) => {
+  if (!companyId) return {};
+  const { rows } = await db.query(`SELECT metadata_json FROM company WHERE company_id = $1`, [companyId]);
+  return parseJson(rows[0]?.metadata_json);
+};
+
+/**
+ * company.metadata_json.login_security for a company ({} if none / no company).
+ * Holds lockout limits and the 2FA enforcement flag.
+ */
+export const getCompanyLoginSecurity = async (companyId) => {
+  return (await getCompanyMetadata(companyId)).login_security || {};
+};
+
+/**
+ * company.metadata_json.email for a company ({} if none / no company).
+ * { "from": "...", "templates": { "password_reset": { "subject", "text", "html" } } }
+ */
+export const getCompanyEmailSettings = async (companyId) => {
+  return (await getCompanyMetadata(companyId)).email || {};
+};
+
+/**
+ * company.metadata_json.password_policy for a company ({} if none / no company).
+ */
+export const getCompanyPasswordPolicy = async (companyId) => {
+  return (await getCompanyMetadata(companyId)).password_policy || {};
+};
+
+/**
+ * company.metadata_json.retention for a company ({} if none / no company).
+ * Days per data class, see utils/retention.js.
+ */
+export const getCompanyRetention = async (companyId) => {
+  return (await getCompanyMetadata(companyId)).retention || {};
+};
+
+/**
+ * company_sso enabled with enforce_sso -> shore staff must sign in through the company IdP.
+ */
+export const isSsoEnforced = async (companyId) => {
+  if (!companyId) return false;
+  const { rows } = await db.query(`SELECT enabled, enforce_sso FROM company_sso WHERE company_id = $1`, [companyId]);
+  return !!rows[0]?.enabled && !!rows[0]?.enforce_sso;
+};
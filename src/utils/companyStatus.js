@@ -0,0 +1,115 @@
+// src/utils/companyStatus.js
+import { db, systemDb } from "../db.js";
+import { recordAudit } from "./audit.js";
+import { getRole, SCOPE_GLOBAL } from "./permissions.js";
+
+// Company suspension (migrations/019_company_suspension.sql). A suspended company's users cannot
+// log in or refresh, their access tokens and the company's API keys stop working, and its data
+// is read-only for everyone else (DB trigger). suspend_at / reactivate_at are scheduled changes.
+//
+// Checked on every authenticated request through this small cache, so a suspension takes
+// effect within COMPANY_STATUS_CACHE_MS on other instances (immediately on this one).
+const CACHE_MS = Number(process.env.COMPANY_STATUS_CACHE_MS || 30000);
+const cache = new Map(); // company_id -> { row, at }
+
+export const COMPANY_SUSPENDED_ERROR = { error: "Company account is suspended", company_suspended: true };
+export const COMPANY_READ_ONLY_ERROR = { error: "Company is suspended, its data is read-only", company_suspended: true };
+export const COMPANY_READ_ONLY_SQLSTATE = "FMC01"; // raised by app_block_suspended_company_writes()
+
+export const invalidateCompanyStatusCache = (companyId) => {
+  cache.delete(String(companyId));
+};
+
+/**
+ * Effective state of a company row, including a scheduled date that has passed but was
+ * not applied by the job yet. Same rule as app_company_suspended() in SQL.
+ */
+export const isCompanySuspended = (row, now = new Date()) => {
+  if (!row) return false;
+  if (row.is_active === false) return !(row.reactivate_at && new Date(row.reactivate_at) <= now);
+  return !!(row.suspend_at && new Date(row.suspend_at) <= now);
+};
+
+const loadStatus = async (companyId) => {
+  const key = String(companyId);
+  const hit = cache.get(key);
+  if (hit && Date.now() - hit.at < CACHE_MS) return hit.row;
+
+  // cached for every caller -> read outside the request's tenant context
+  const { rows } = await systemDb.query(
+    `SELECT is_active, suspend_at, reactivate_at FROM company WHERE company_id = $1`,
+    [companyId]
+  );
+  const row = rows[0] || null;
+  cache.set(key, { row, at: Date.now() });
+  return row;
+};
+
+/**
+ * true if the company is (effectively) suspended. No company = never suspended.
+ */
+export const companySuspended = async (companyId) => {
+  if (!companyId) return false;
+  return isCompanySuspended(await loadStatus(companyId));
+};
+
+/**
+ * true if the user's company blocks them. Global-scope accounts (platform staff) are not
+ * tied to a tenant and are never blocked.
+ */
+export const userBlockedBySuspension = async (user) => {
+  if (!user?.company_id) return false;
+  if ((await getRole(user.role_id))?.scope === SCOPE_GLOBAL) return false;
+  return companySuspended(user.company_id);
+};
+
+// -------------------- scheduled changes --------------------
+
+/**
+ * Applies suspend_at / reactivate_at dates that have passed, with an audit record each.
+ * Must run outside a request context (sees all tenants).
+ */
+export const runCompanyScheduleJob = async () => {
+  const suspended = await db.query(
+    `UPDATE company
+     SET is_active = false, suspended_at = suspend_at, suspend_at = NULL, updated_at = NOW()
+     WHERE is_active IS NOT FALSE AND suspend_at <= NOW()
+     RETURNING company_id, suspended_at, suspension_reason`
+  );
+  const reactivated = await db.query(
+    `UPDATE company
+     SET is_active = true, suspended_at = NULL, suspension_reason = NULL, reactivate_at = NULL, updated_at = NOW()
+     WHERE is_active IS FALSE AND reactivate_at <= NOW()
+     RETURNING company_id`
+  );
+
+  for (const r of suspended.rows) {
+    invalidateCompanyStatusCache(r.company_id);
+    await recordAudit(null, {
+      action: "company.suspend",
+      entity_type: "company",
+      entity_id: r.company_id,
+      company_id: r.company_id,
+      ship_id: null,
+      after: { is_active: false, suspended_at: r.suspended_at },
+      details: { trigger: "schedule", reason: r.suspension_reason },
+    });
+  }
+  for (const r of reactivated.rows) {
+    invalidateCompanyStatusCache(r.company_id);
+    await recordAudit(null, {
+      action: "company.reactivate",
+      entity_type: "company",
+      entity_id: r.company_id,
+      company_id: r.company_id,
+      ship_id: null,
+      after: { is_active: true },
+      details: { trigger: "schedule" },
+    });
+  }
+
+  return {
+    suspended: suspended.rows.map((r) => r.company_id),
+    reactivated: reactivated.rows.map((r) => r.company_id),
+  };
+};
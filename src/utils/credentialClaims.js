@@ -0,0 +1,128 @@
+// src/utils/credentialClaims.js
+import crypto from "crypto";
+import { db } from "../db.js";
+import { recordUserAction } from "./audit.js";
+
+// Generated credentials are never stored readable server-side.
+// The plain password is encrypted with a key derived from a one-time claim code;
+// only the hash of the code is kept, so the secret can be opened exactly once by
+// whoever holds the code (shown to the admin once, handed to the crew member).
+const CLAIM_TTL_HOURS = Number(process.env.CREDENTIAL_CLAIM_TTL_HOURS || 72);
+
+const generateClaimCode = () => crypto.randomBytes(12).toString("hex");
+const hashClaimCode = (code) =>
+  crypto.createHash("sha256").update(String(code).trim().toLowerCase()).digest("hex");
+
+const deriveKey = (code) =>
+  Buffer.from(crypto.hkdfSync("sha256", String(code).trim().toLowerCase(), "", "fmc-credential-claim", 32));
+
+// base64(iv).base64(tag).base64(ciphertext)
+const sealSecret = (code, plain) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", deriveKey(code), iv);
+  const ciphertext = Buffer.concat([cipher.update(String(plain), "utf8"), cipher.final()]);
+  const tag = cipher.getAuthTag();
+  return `${iv.toString("base64")}.${tag.toString("base64")}.${ciphertext.toString("base64")}`;
+};
+
+const openSecret = (code, sealed) => {
+  try {
+    const [ivB64, tagB64, ctB64] = String(sealed || "").split(".");
+    if (!ivB64 || !tagB64 || !ctB64) return null;
+
+    const decipher = crypto.createDecipheriv("aes-256-gcm", deriveKey(code), Buffer.from(ivB64, "base64"));
+    decipher.setAuthTag(Buffer.from(tagB64, "base64"));
+    const plain = Buffer.concat([decipher.update(Buffer.from(ctB64, "base64")), decipher.final()]);
+    return plain.toString("utf8");
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Creates a one-time claim for freshly generated credentials.
+ * Any previous unclaimed claim for the same user is invalidated and the user is
+ * flagged must_change_password.
+ * Returns { claim_code, expires_at } – the code is only ever returned here.
+ */
+export const issueCredentialClaim = async ({ user_id, password, created_by_user_id = null }, client = db) => {
+  const claim_code = generateClaimCode();
+
+  await client.query(
+    `UPDATE credential_claims
+     SET secret_enc = NULL, invalidated_at = NOW()
+     WHERE user_id = $1 AND claimed_at IS NULL AND invalidated_at IS NULL`,
+    [user_id]
+  );
+
+  const { rows } = await client.query(
+    `INSERT INTO credential_claims
+     (user_id, claim_code_hash, secret_enc, created_by_user_id, expires_at, created_at)
+     VALUES ($1, $2, $3, $4, NOW() + ($5 || ' hours')::interval, NOW())
+     RETURNING expires_at`,
+    [user_id, hashClaimCode(claim_code), sealSecret(claim_code, password), created_by_user_id, String(CLAIM_TTL_HOURS)]
+  );
+
+  // generated password -> user has to choose their own at first login
+  await client.query(
+    `UPDATE users SET must_change_password = true, password_changed_at = NOW() WHERE user_id = $1`,
+    [user_id]
+  );
+
+  return { claim_code, expires_at: rows[0].expires_at };
+};
+
+/**
+ * Redeems a claim code. Returns { user_id, username, password } once, or { error }.
+ * The sealed secret is wiped on redemption; the reveal is audited (credentials.claim).
+ */
+export const redeemCredentialClaim = async (claimCode, req = null) => {
+  const client = await db.connect();
+  try {
+    await client.query("BEGIN");
+
+    const { rows } = await client.query(
+      `SELECT c.claim_id, c.user_id, c.secret_enc, u.username
+       FROM credential_claims c
+       JOIN users u ON u.user_id = c.user_id
+       WHERE c.claim_code_hash = $1
+         AND c.claimed_at IS NULL
+         AND c.invalidated_at IS NULL
+         AND c.expires_at > NOW()
+       LIMIT 1
+       FOR UPDATE OF c`,
+      [hashClaimCode(claimCode)]
+    );
+
+    if (!rows.length) {
+      await client.query("ROLLBACK");
+      return { error: "Invalid or expired claim code" };
+    }
+
+    const claim = rows[0];
+    const password = openSecret(claimCode, claim.secret_enc);
+
+    await client.query(
+      `UPDATE credential_claims SET claimed_at = NOW(), secret_enc = NULL WHERE claim_id = $1`,
+      [claim.claim_id]
+    );
+
+    if (password) {
+      await recordUserAction(
+        req,
+        { action: "credentials.claim", user_id: claim.user_id, details: { claim_id: claim.claim_id }, actor: { user_id: claim.user_id } },
+        client
+      );
+    }
+
+    await client.query("COMMIT");
+
+    if (!password) return { error: "Invalid or expired claim code" };
+    return { user_id: claim.user_id, username: claim.username, password };
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+};
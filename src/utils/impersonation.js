@@ -0,0 +1,21 @@
+// src/utils/impersonation.js
+import { systemDb } from "../db.js";
+
+// Support "act as user" sessions (impersonation_sessions, migrations/014_impersonation.sql).
+export const IMPERSONATION_TTL_MINUTES = Number(process.env.IMPERSONATION_TTL_MINUTES || 15);
+export const IMPERSONATION_MAX_MINUTES = Number(process.env.IMPERSONATION_MAX_MINUTES || 60);
+
+/**
+ * The session row if it is still running (not ended, not expired), else null.
+ * Read outside the tenant context: requireAuth calls it before the context exists.
+ */
+export const loadActiveImpersonation = async (impersonationId) => {
+  if (!impersonationId) return null;
+  const { rows } = await systemDb.query(
+    `SELECT impersonation_id, impersonator_user_id, target_user_id, read_only, expires_at
+     FROM impersonation_sessions
+     WHERE impersonation_id = $1 AND ended_at IS NULL AND expires_at > NOW()`,
+    [String(impersonationId)]
+  );
+  return rows[0] || null;
+};
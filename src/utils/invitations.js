@@ -0,0 +1,19 @@
+// src/utils/invitations.js
+import crypto from 'crypto';
+
+// Signup invitations: the code is shown once to the inviting admin (and/or emailed),
+// only its hash is stored.
+export const INVITATION_TTL_HOURS = Number(process.env.INVITATION_TTL_HOURS || 168);
+
+export const generateInvitationCode = () => crypto.randomBytes(16).toString('hex');
+
+export const hashInvitationCode = (code) =>
+  crypto.createHash('sha256').update(String(code).trim().toLowerCase()).digest('hex');
+
+// pending | used | revoked | expired
+export const invitationStatus = (inv) => {
+  if (inv.revoked_at) return 'revoked';
+  if (inv.used_at) return 'used';
+  if (new Date(inv.expires_at) <= new Date()) return 'expired';
+  return 'pending';
+};
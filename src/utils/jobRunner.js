@@ -0,0 +1,46 @@
+// src/utils/jobRunner.js
+import { db, runAsSystem } from "../db.js";
+
+// In-process interval jobs for the long-running server (src/server.js). With several instances
+// only one runs a job at a time: the run holds a Postgres advisory lock named after the job.
+// Serverless deployments call the matching npm script from a cron instead.
+// Jobs run in the system context (runAsSystem in src/db.js): there is no caller to scope them.
+
+const running = new Set();
+
+const runOnce = async (name, fn) => {
+  if (running.has(name)) return; // previous run still busy in this process
+
+  running.add(name);
+  const client = await db.connect();
+  try {
+    const { rows } = await client.query(`SELECT pg_try_advisory_lock(hashtext($1)) AS locked`, [name]);
+    if (!rows[0].locked) return; // another instance has it
+
+    try {
+      const startedAt = Date.now();
+      const result = await fn();
+      console.log(`Job ${name} finished in ${Date.now() - startedAt} ms`, JSON.stringify(result));
+    } finally {
+      await client.query(`SELECT pg_advisory_unlock(hashtext($1))`, [name]);
+    }
+  } catch (err) {
+    console.error(`Job ${name} failed:`, err);
+  } finally {
+    client.release();
+    running.delete(name);
+  }
+};
+
+/**
+ * Runs fn every intervalMinutes (first run after one interval). Returns a stop function.
+ */
+export const scheduleJob = (name, intervalMinutes, fn) => {
+  const minutes = Number(intervalMinutes);
+  if (!Number.isFinite(minutes) || minutes <= 0) throw new Error(`Job ${name}: interval must be > 0 minutes`);
+
+  const timer = setInterval(() => runAsSystem(() => runOnce(name, fn)), minutes * 60 * 1000);
+  timer.unref(); // never keeps the process alive on its own
+  console.log(`Job ${name} scheduled every ${minutes} min`);
+  return () => clearInterval(timer);
+};
@@ -0,0 +1,193 @@
+// src/utils/loginThrottle.js
+import { db } from "../db.js";
+import { getCompanyLoginSecurity } from "./companySettings.js";
+
+// Brute-force protection for /auth/login and /auth/forgot-password.
+// - per account: N failures in a window -> lockout (423), doubling on each repeat lockout
+// - per IP: too many failures / requests in a window -> throttle (429)
+// Account limits can be overridden per company via company.metadata_json.login_security:
+//   { "max_failed_attempts": 5, "window_minutes": 15, "lockout_minutes": 15, "max_lockout_minutes": 1440 }
+const DEFAULT_POLICY = {
+  max_failed_attempts: Number(process.env.LOGIN_MAX_FAILED_ATTEMPTS || 5),
+  window_minutes: Number(process.env.LOGIN_WINDOW_MINUTES || 15),
+  lockout_minutes: Number(process.env.LOGIN_LOCKOUT_MINUTES || 15),
+  max_lockout_minutes: Number(process.env.LOGIN_MAX_LOCKOUT_MINUTES || 1440),
+};
+
+const IP_MAX_FAILURES = Number(process.env.LOGIN_IP_MAX_FAILURES || 50);
+const IP_WINDOW_MINUTES = Number(process.env.LOGIN_IP_WINDOW_MINUTES || 15);
+const FORGOT_MAX_PER_USERNAME = Number(process.env.FORGOT_MAX_PER_USERNAME || 3);
+const FORGOT_MAX_PER_IP = Number(process.env.FORGOT_MAX_PER_IP || 20);
+
+const positiveOr = (v, fallback) => {
+  const n = Number(v);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+};
+
+export const getLoginPolicy = async (companyId) => {
+  const cfg = await getCompanyLoginSecurity(companyId);
+
+  return {
+    max_failed_attempts: positiveOr(cfg.max_failed_attempts, DEFAULT_POLICY.max_failed_attempts),
+    window_minutes: positiveOr(cfg.window_minutes, DEFAULT_POLICY.window_minutes),
+    lockout_minutes: positiveOr(cfg.lockout_minutes, DEFAULT_POLICY.lockout_minutes),
+    max_lockout_minutes: positiveOr(cfg.max_lockout_minutes, DEFAULT_POLICY.max_lockout_minutes),
+  };
+};
+
+const secondsUntil = (date) => Math.max(1, Math.ceil((new Date(date).getTime() - Date.now()) / 1000));
+
+/**
+ * Sends 429 and returns false if this IP exceeded its budget for the given kind.
+ * kind: 'login' counts failures, 'forgot' counts all requests.
+ */
+export const checkIpThrottle = async (res, ip, kind) => {
+  if (!ip) return true;
+
+  const { rows } = await db.query(
+    `SELECT COUNT(*)::int AS n, MIN(created_at) AS oldest
+     FROM login_attempts
+     WHERE ip_address = $1
+       AND kind = $2
+       AND ($2 <> 'login' OR success = false)
+       AND created_at > NOW() - ($3 || ' minutes')::interval`,
+    [ip, kind, String(IP_WINDOW_MINUTES)]
+  );
+
+  const limit = kind === "forgot" ? FORGOT_MAX_PER_IP : IP_MAX_FAILURES;
+  if (rows[0].n < limit) return true;
+
+  const retryAt = new Date(new Date(rows[0].oldest).getTime() + IP_WINDOW_MINUTES * 60000);
+  const retry_after_seconds = secondsUntil(retryAt);
+
+  res.set("Retry-After", String(retry_after_seconds));
+  res.status(429).json({ error: "Too many attempts from this address. Try again later.", retry_after_seconds });
+  return false;
+};
+
+/**
+ * Sends 423 and returns false if the account is currently locked.
+ */
+export const checkAccountLock = async (res, username) => {
+  const { rows } = await db.query(
+    `SELECT locked_until
+     FROM account_lockouts
+     WHERE username = $1 AND unlocked_at IS NULL AND locked_until > NOW()
+     ORDER BY locked_until DESC
+     LIMIT 1`,
+    [String(username)]
+  );
+  if (!rows.length) return true;
+
+  const retry_after_seconds = secondsUntil(rows[0].locked_until);
+  res.set("Retry-After", String(retry_after_seconds));
+  res.status(423).json({
+    error: "Account temporarily locked after repeated failed logins",
+    locked_until: rows[0].locked_until,
+    retry_after_seconds,
+  });
+  return false;
+};
+
+/**
+ * Sends 429 and returns false if password resets for this username are being spammed.
+ */
+export const checkForgotThrottle = async (res, username) => {
+  const { rows } = await db.query(
+    `SELECT COUNT(*)::int AS n
+     FROM login_attempts
+     WHERE username = $1 AND kind = 'forgot' AND created_at > NOW() - ($2 || ' minutes')::interval`,
+    [String(username), String(IP_WINDOW_MINUTES)]
+  );
+  if (rows[0].n < FORGOT_MAX_PER_USERNAME) return true;
+
+  res.set("Retry-After", String(IP_WINDOW_MINUTES * 60));
+  res.status(429).json({
+    error: "Too many reset requests for this account. Try again later.",
+    retry_after_seconds: IP_WINDOW_MINUTES * 60,
+  });
+  return false;
+};
+
+export const recordAttempt = async ({ kind = "login", username, user_id = null, ip, success }) => {
+  await db.query(
+    `INSERT INTO login_attempts (kind, username, user_id, ip_address, success, created_at)
+     VALUES ($1, $2, $3, $4, $5, NOW())`,
+    [kind, String(username), user_id, ip ?? null, !!success]
+  );
+};
+
+/**
+ * Records a failed login and locks the account once the company's limit is hit.
+ * kind 'mfa' counts wrong 2FA codes separately but locks the same account.
+ * Lockout length doubles for every lockout in the last 24h (capped).
+ * Returns the created lockout row or null.
+ */
+export const registerFailedLogin = async ({ kind = "login", username, user_id = null, company_id = null, ip }) => {
+  await recordAttempt({ kind, username, user_id, ip, success: false });
+
+  const policy = await getLoginPolicy(company_id);
+
+  // failures since the last success / last lockout, inside the window
+  const { rows } = await db.query(
+    `SELECT COUNT(*)::int AS n
+     FROM login_attempts a
+     WHERE a.username = $1
+       AND a.kind = $3
+       AND a.success = false
+       AND a.created_at > GREATEST(
+         NOW() - ($2 || ' minutes')::interval,
+         COALESCE((SELECT MAX(created_at) FROM login_attempts
+                   WHERE username = $1 AND kind = $3 AND success = true), '-infinity'),
+         COALESCE((SELECT MAX(created_at) FROM account_lockouts WHERE username = $1), '-infinity')
+       )`,
+    [String(username), String(policy.window_minutes), kind]
+  );
+
+  const failed = rows[0].n;
+  if (failed < policy.max_failed_attempts) return null;
+
+  const prev = await db.query(
+    `SELECT COUNT(*)::int AS n FROM account_lockouts
+     WHERE username = $1 AND created_at > NOW() - INTERVAL '24 hours'`,
+    [String(username)]
+  );
+
+  const minutes = Math.min(policy.lockout_minutes * 2 ** prev.rows[0].n, policy.max_lockout_minutes);
+
+  const lock = await db.query(
+    `INSERT INTO account_lockouts
+     (username, user_id, company_id, ip_address, failed_attempts, lockout_minutes, locked_until, reason, created_at)
+     VALUES ($1, $2, $3, $4, $5, $6, NOW() + ($7 || ' minutes')::interval, $8, NOW())
+     RETURNING lockout_id, locked_until, lockout_minutes`,
+    [
+      String(username),
+      user_id,
+      company_id,
+      ip ?? null,
+      failed,
+      minutes,
+      String(minutes),
+      kind === "mfa" ? "failed_2fa_codes" : "failed_logins",
+    ]
+  );
+
+  return lock.rows[0];
+};
+
+/**
+ * Lifts any active lockout for the user. Returns number of lockouts cleared.
+ */
+export const unlockAccount = async ({ user_id, unlocked_by_user_id }) => {
+  const { rowCount } = await db.query(
+    `UPDATE account_lockouts l
+     SET unlocked_at = NOW(), unlocked_by_user_id = $2
+     FROM users u
+     WHERE u.user_id = $1
+       AND (l.user_id = u.user_id OR l.username = u.username)
+       AND l.unlocked_at IS NULL
+       AND l.locked_until > NOW()`,
+    [Number(user_id), unlocked_by_user_id ?? null]
+  );
+  return rowCount;
+};
@@ -0,0 +1,138 @@
+// src/utils/mailer.js
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+import nodemailer from "nodemailer";
+import { getCompanyEmailSettings } from "./companySettings.js";
+
+// Outgoing mail (password reset, invitations, credential delivery, certificate expiry alerts).
+// MAIL_TRANSPORT:
+//   smtp    -> SMTP_HOST / SMTP_PORT / SMTP_SECURE / SMTP_USER / SMTP_PASS (default)
+//   file    -> one .json per message in MAIL_FILE_DIR (tests, local dev; explicit opt-in)
+//   console -> printed to stdout (local dev; explicit opt-in)
+// file / console write reset and claim links with live tokens in clear, so they are never the default.
+const MAIL_TRANSPORT = (process.env.MAIL_TRANSPORT || "smtp").toLowerCase();
+const MAIL_FROM = process.env.MAIL_FROM || "FMC LMS <no-reply@localhost>";
+const MAIL_FILE_DIR = process.env.MAIL_FILE_DIR || path.resolve("tmp", "mail");
+
+// -------------------- transports --------------------
+let smtp = null;
+const getSmtp = () => {
+  if (smtp) return smtp;
+  if (!process.env.SMTP_HOST) throw new Error("SMTP_HOST missing in .env");
+
+  smtp = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT || 587),
+    secure: String(process.env.SMTP_SECURE || "false") === "true",
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+  });
+  return smtp;
+};
+
+const transports = {
+  smtp: async (msg) => {
+    const info = await getSmtp().sendMail(msg);
+    return { message_id: info.messageId };
+  },
+
+  file: async (msg) => {
+    await fs.mkdir(MAIL_FILE_DIR, { recursive: true });
+    const id = `${Date.now()}-${crypto.randomBytes(4).toString("hex")}`;
+    await fs.writeFile(
+      path.join(MAIL_FILE_DIR, `${id}.json`),
+      JSON.stringify({ ...msg, sent_at: new Date().toISOString() }, null, 2)
+    );
+    return { message_id: id };
+  },
+
+  console: async (msg) => {
+    console.log(`MAIL to=${msg.to} subject="${msg.subject}"\n${msg.text}`);
+    return { message_id: null };
+  },
+};
+
+/**
+ * Sends one message through the configured transport.
+ * msg: { to, subject, text, html?, from? }
+ */
+export const sendMail = async (msg) => {
+  const send = transports[MAIL_TRANSPORT];
+  if (!send) throw new Error(`Unknown MAIL_TRANSPORT: ${MAIL_TRANSPORT}`);
+  if (!msg?.to) throw new Error("sendMail: 'to' is required");
+
+  return send({ from: MAIL_FROM, ...msg });
+};
+
+// -------------------- templates --------------------
+// Default templates. Companies can override any of them (subject/text/html)
+// in company.metadata_json.email.templates.<name>; {{var}} placeholders are filled in.
+const DEFAULT_TEMPLATES = {
+  password_reset: {
+    subject: "Reset your password",
+    text:
+      "Hello {{name}},\n\n" +
+      "A password reset was requested for your account ({{username}}).\n" +
+      "Open the link below within {{expires_in_minutes}} minutes to choose a new password:\n\n" +
+      "{{reset_url}}\n\n" +
+      "If you did not request this, you can ignore this email.",
+  },
+  credential_claim: {
+    subject: "Your {{company_name}} account",
+    text:
+      "Hello {{name}},\n\n" +
+      "An account has been created for you (username: {{username}}).\n" +
+      "Use this one-time code to retrieve your password before {{expires_at}}:\n\n" +
+      "{{claim_code}}\n\n" +
+      "{{claim_url}}",
+  },
+  invitation: {
+    subject: "You're invited to join {{company_name}}",
+    text:
+      "Hello,\n\n" +
+      "You have been invited to create an account for {{company_name}}.\n" +
+      "Sign up before {{expires_at}} using this link:\n\n" +
+      "{{signup_url}}\n\n" +
+      "Invitation code: {{invitation_code}}",
+  },
+  certificate_expiry: {
+    subject: "Certificate expiring: {{certificate_name}}",
+    text:
+      "Hello {{name}},\n\n" +
+      "Your certificate {{certificate_name}} ({{certificate_no}}) expires on {{expiry_date}}.\n" +
+      "Please arrange renewal in time.",
+  },
+};
+
+const escapeHtml = (s) =>
+  String(s).replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+
+const render = (tpl, vars, escape = (s) => s) =>
+  String(tpl || "").replace(/\{\{\s*(\w+)\s*\}\}/g, (_, k) => (vars[k] == null ? "" : escape(vars[k])));
+
+/**
+ * Renders a named template for a company (company override -> default).
+ * Returns { subject, text, html, from }.
+ */
+export const renderTemplate = async (name, companyId, vars = {}) => {
+  const base = DEFAULT_TEMPLATES[name];
+  if (!base) throw new Error(`Unknown mail template: ${name}`);
+
+  const settings = await getCompanyEmailSettings(companyId);
+  const tpl = { ...base, ...(settings.templates?.[name] || {}) };
+
+  return {
+    from: settings.from || undefined,
+    subject: render(tpl.subject, vars),
+    text: render(tpl.text, vars),
+    html: tpl.html ? render(tpl.html, vars, escapeHtml) : undefined,
+  };
+};
+
+/**
+ * renderTemplate + sendMail.
+ */
+export const sendTemplatedMail = async ({ template, company_id = null, to, vars = {} }) => {
+  const { from, ...msg } = await renderTemplate(template, company_id, vars);
+  return sendMail({ to, ...msg, ...(from ? { from } : {}) });
+};
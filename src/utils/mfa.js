@@ -0,0 +1,123 @@
+// src/utils/mfa.js
+import crypto from "crypto";
+
+// TOTP (RFC 6238, SHA-1, 6 digits, 30s) implemented on node crypto only,
+// so enrollment and verification work onboard without any network access.
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const DRIFT_STEPS = 1; // accept previous/next code for clock drift
+const ISSUER = process.env.MFA_ISSUER || "FMC LMS";
+const BASE32 = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+const base32Encode = (buf) => {
+  let bits = 0;
+  let value = 0;
+  let out = "";
+  for (const byte of buf) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += BASE32[(value << (5 - bits)) & 31];
+  return out;
+};
+
+const base32Decode = (str) => {
+  const clean = String(str || "").toUpperCase().replace(/[^A-Z2-7]/g, "");
+  let bits = 0;
+  let value = 0;
+  const out = [];
+  for (const ch of clean) {
+    value = (value << 5) | BASE32.indexOf(ch);
+    bits += 5;
+    if (bits >= 8) {
+      out.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(out);
+};
+
+const hotp = (secretB32, counter) => {
+  const buf = Buffer.alloc(8);
+  buf.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac("sha1", base32Decode(secretB32)).update(buf).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+  return String(code).padStart(DIGITS, "0");
+};
+
+export const currentStep = (now = Date.now()) => Math.floor(now / 1000 / STEP_SECONDS);
+
+export const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+export const buildOtpauthUrl = (secretB32, accountName) =>
+  `otpauth://totp/${encodeURIComponent(`${ISSUER}:${accountName}`)}` +
+  `?secret=${secretB32}&issuer=${encodeURIComponent(ISSUER)}&algorithm=SHA1&digits=${DIGITS}&period=${STEP_SECONDS}`;
+
+/**
+ * Returns the matched time step, or null if the code is wrong.
+ * Pass lastUsedStep to reject replay of an already accepted code.
+ */
+export const verifyTotp = (secretB32, code, lastUsedStep = null) => {
+  const c = String(code || "").replace(/\s+/g, "");
+  if (!/^\d{6}$/.test(c)) return null;
+
+  const now = currentStep();
+  for (let d = -DRIFT_STEPS; d <= DRIFT_STEPS; d++) {
+    const step = now + d;
+    if (lastUsedStep != null && step <= Number(lastUsedStep)) continue;
+    const expected = hotp(secretB32, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(c))) return step;
+  }
+  return null;
+};
+
+// -------------------- secret at rest (AES-256-GCM) --------------------
+// The TOTP secret must be readable to verify codes, so it is encrypted with MFA_ENC_KEY.
+const getMfaKey = () => {
+  const b64 = process.env.MFA_ENC_KEY;
+  if (!b64) throw new Error("MFA_ENC_KEY missing in .env");
+  const key = Buffer.from(b64, "base64");
+  if (key.length !== 32) throw new Error("MFA_ENC_KEY must be 32 bytes base64");
+  return key;
+};
+
+/**
+ * Returns: base64(iv).base64(tag).base64(ciphertext)
+ */
+export const encryptMfaSecret = (plain) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", getMfaKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(String(plain), "utf8"), cipher.final()]);
+  const tag = cipher.getAuthTag();
+  return `${iv.toString("base64")}.${tag.toString("base64")}.${ciphertext.toString("base64")}`;
+};
+
+export const decryptMfaSecret = (enc) => {
+  const [ivB64, tagB64, ctB64] = String(enc || "").split(".");
+  if (!ivB64 || !tagB64 || !ctB64) throw new Error("Invalid mfa secret format");
+
+  const decipher = crypto.createDecipheriv("aes-256-gcm", getMfaKey(), Buffer.from(ivB64, "base64"));
+  decipher.setAuthTag(Buffer.from(tagB64, "base64"));
+  return Buffer.concat([decipher.update(Buffer.from(ctB64, "base64")), decipher.final()]).toString("utf8");
+};
+
+// -------------------- recovery codes --------------------
+export const RECOVERY_CODE_COUNT = 10;
+
+// "a1b2c-d3e4f" style; 40 bits each, single use, stored hashed
+export const generateRecoveryCodes = (count = RECOVERY_CODE_COUNT) =>
+  Array.from({ length: count }, () => {
+    const hex = crypto.randomBytes(5).toString("hex");
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+
+export const hashRecoveryCode = (code) =>
+  crypto
+    .createHash("sha256")
+    .update(String(code).trim().toLowerCase().replace(/[^a-z0-9]/g, ""))
+    .digest("hex");
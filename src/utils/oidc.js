@@ -0,0 +1,241 @@
+// src/utils/oidc.js
+import crypto from "crypto";
+import dns from "dns/promises";
+import net from "net";
+import jwt from "jsonwebtoken";
+import { decryptMfaSecret } from "./mfa.js";
+
+// Minimal OpenID Connect relying party: discovery, authorization code + PKCE, ID token check.
+// No client library: discovery documents and JWKS are plain JSON, keys go through crypto (JWK).
+
+const HTTP_TIMEOUT_MS = Number(process.env.SSO_HTTP_TIMEOUT_MS || 10000);
+const CACHE_MS = Number(process.env.SSO_METADATA_CACHE_MS || 60 * 60 * 1000);
+const ID_TOKEN_ALGS = ["RS256", "RS384", "RS512", "PS256", "PS384", "PS512", "ES256", "ES384", "ES512"];
+
+const discoveryCache = new Map(); // issuer -> { doc, at }
+const jwksCache = new Map(); // jwks_uri -> { keys, at }
+
+const trimSlash = (s) => String(s).replace(/\/+$/, "");
+
+// Company admins configure issuers and the server fetches them (discovery, token endpoint, JWKS):
+// hosts resolving to loopback / private / link-local addresses (cloud metadata, internal services)
+// are refused. A mock IdP on such an address only outside production with SSO_ALLOW_LOCAL_ISSUER=true.
+const LOCAL_RANGES = new net.BlockList();
+for (const [net4, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 3],
+]) {
+  LOCAL_RANGES.addSubnet(net4, prefix, "ipv4");
+}
+for (const [net6, prefix] of [
+  ["::", 127],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+]) {
+  LOCAL_RANGES.addSubnet(net6, prefix, "ipv6");
+}
+
+const isLocalAddress = ({ address, family }) => LOCAL_RANGES.check(address, family === 6 ? "ipv6" : "ipv4");
+
+/**
+ * https URL whose host resolves to public addresses only (see above). False when it does not resolve.
+ */
+export const isAllowedIdpUrl = async (value) => {
+  let u;
+  try {
+    u = new URL(String(value));
+  } catch {
+    return false;
+  }
+  if (!["http:", "https:"].includes(u.protocol)) return false;
+
+  let addresses;
+  try {
+    addresses = await dns.lookup(u.hostname.replace(/^\[|\]$/g, ""), { all: true, verbatim: true });
+  } catch {
+    return false;
+  }
+  if (!addresses.length) return false;
+
+  if (addresses.some(isLocalAddress)) {
+    return process.env.NODE_ENV !== "production" && process.env.SSO_ALLOW_LOCAL_ISSUER === "true";
+  }
+  return u.protocol === "https:";
+};
+
+// checked again on every request (DNS may have changed since the config was saved); redirects
+// are not followed, they could lead anywhere
+const getJson = async (url, init = {}) => {
+  if (!(await isAllowedIdpUrl(url))) throw new Error(`OIDC request to ${url} refused: not a public https URL`);
+  const res = await fetch(url, { ...init, redirect: "error", signal: AbortSignal.timeout(HTTP_TIMEOUT_MS) });
+  const body = await res.json().catch(() => null);
+  if (!res.ok) {
+    const msg = body?.error_description || body?.error || `HTTP ${res.status}`;
+    throw new Error(`OIDC request to ${url} failed: ${msg}`);
+  }
+  return body;
+};
+
+/**
+ * <issuer>/.well-known/openid-configuration (cached per issuer).
+ */
+export const discover = async (issuer) => {
+  const key = trimSlash(issuer);
+  const hit = discoveryCache.get(key);
+  if (hit && Date.now() - hit.at < CACHE_MS) return hit.doc;
+
+  if (!(await isAllowedIdpUrl(key))) throw new Error("OIDC issuer must be a public https URL");
+  const doc = await getJson(`${key}/.well-known/openid-configuration`);
+  if (!doc?.authorization_endpoint || !doc?.token_endpoint || !doc?.jwks_uri) {
+    throw new Error("OIDC discovery document is incomplete");
+  }
+  const endpoints = [doc.authorization_endpoint, doc.token_endpoint, doc.jwks_uri];
+  if (!(await Promise.all(endpoints.map(isAllowedIdpUrl))).every(Boolean)) {
+    throw new Error("OIDC endpoints must be public https URLs");
+  }
+  // the document must describe the configured issuer, not another one
+  if (trimSlash(doc.issuer) !== key) throw new Error("OIDC discovery issuer mismatch");
+
+  discoveryCache.set(key, { doc, at: Date.now() });
+  return doc;
+};
+
+const getSigningKey = async (jwksUri, kid) => {
+  const load = async (force) => {
+    const hit = jwksCache.get(jwksUri);
+    if (!force && hit && Date.now() - hit.at < CACHE_MS) return hit.keys;
+    const { keys = [] } = await getJson(jwksUri);
+    jwksCache.set(jwksUri, { keys, at: Date.now() });
+    return keys;
+  };
+
+  const pick = (keys) =>
+    kid ? keys.find((k) => k.kid === kid) : keys.filter((k) => !k.use || k.use === "sig")[0];
+
+  // unknown kid -> the IdP may have rotated its keys, refetch once
+  const jwk = pick(await load(false)) || pick(await load(true));
+  if (!jwk) throw new Error("No matching signing key in JWKS");
+  return crypto.createPublicKey({ key: jwk, format: "jwk" });
+};
+
+// -------------------- PKCE / state --------------------
+const b64url = (buf) => buf.toString("base64url");
+
+export const randomToken = (bytes = 32) => b64url(crypto.randomBytes(bytes));
+
+export const sha256Hex = (v) => crypto.createHash("sha256").update(String(v)).digest("hex");
+
+export const pkceChallenge = (verifier) => b64url(crypto.createHash("sha256").update(verifier).digest());
+
+// -------------------- client secret at rest (AES-256-GCM) --------------------
+// Own key (SSO_ENC_KEY): rotating the TOTP key (MFA_ENC_KEY) must not break SSO configurations.
+// sso1.<iv>.<tag>.<ciphertext>; values without the prefix predate SSO_ENC_KEY and were sealed
+// with MFA_ENC_KEY (re-sealed whenever the configuration is saved).
+const SECRET_FORMAT = "sso1";
+
+const getSsoKey = () => {
+  const b64 = process.env.SSO_ENC_KEY;
+  if (!b64) throw new Error("SSO_ENC_KEY missing in .env");
+  const key = Buffer.from(b64, "base64");
+  if (key.length !== 32) throw new Error("SSO_ENC_KEY must be 32 bytes base64");
+  return key;
+};
+
+export const encryptClientSecret = (plain) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", getSsoKey(), iv);
+  cipher.setAAD(Buffer.from(SECRET_FORMAT));
+  const ciphertext = Buffer.concat([cipher.update(String(plain), "utf8"), cipher.final()]);
+  return `${SECRET_FORMAT}.${b64url(iv)}.${b64url(cipher.getAuthTag())}.${b64url(ciphertext)}`;
+};
+
+export const decryptClientSecret = (enc) => {
+  const [format, iv, tag, ciphertext] = String(enc || "").split(".");
+  if (format !== SECRET_FORMAT) return decryptMfaSecret(enc);
+  if (!iv || !tag || !ciphertext) throw new Error("Invalid client secret format");
+
+  const decipher = crypto.createDecipheriv("aes-256-gcm", getSsoKey(), Buffer.from(iv, "base64url"));
+  decipher.setAAD(Buffer.from(SECRET_FORMAT));
+  decipher.setAuthTag(Buffer.from(tag, "base64url"));
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, "base64url")), decipher.final()]).toString("utf8");
+};
+
+// sealed with the old MFA_ENC_KEY scheme
+export const isLegacyClientSecret = (enc) => !!enc && !String(enc).startsWith(`${SECRET_FORMAT}.`);
+
+/**
+ * Authorization URL the browser is redirected to.
+ */
+export const buildAuthorizationUrl = (doc, { client_id, redirect_uri, scopes, state, nonce, code_verifier }) => {
+  const url = new URL(doc.authorization_endpoint);
+  url.searchParams.set("response_type", "code");
+  url.searchParams.set("client_id", client_id);
+  url.searchParams.set("redirect_uri", redirect_uri);
+  url.searchParams.set("scope", scopes);
+  url.searchParams.set("state", state);
+  url.searchParams.set("nonce", nonce);
+  url.searchParams.set("code_challenge", pkceChallenge(code_verifier));
+  url.searchParams.set("code_challenge_method", "S256");
+  return url.toString();
+};
+
+/**
+ * Authorization code -> token response ({ id_token, access_token, ... }).
+ * Confidential clients authenticate with client_secret_post; public clients rely on PKCE.
+ */
+export const exchangeCode = async (doc, { client_id, client_secret, redirect_uri, code, code_verifier }) => {
+  const form = new URLSearchParams({
+    grant_type: "authorization_code",
+    code,
+    redirect_uri,
+    client_id,
+    code_verifier,
+  });
+  if (client_secret) form.set("client_secret", client_secret);
+
+  return getJson(doc.token_endpoint, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded", Accept: "application/json" },
+    body: form.toString(),
+  });
+};
+
+/**
+ * Verifies signature, issuer, audience, expiry and nonce. Returns the claims.
+ */
+export const verifyIdToken = async (doc, idToken, { client_id, nonce }) => {
+  const decoded = jwt.decode(String(idToken || ""), { complete: true });
+  if (!decoded?.header) throw new Error("Malformed ID token");
+
+  const { alg, kid } = decoded.header;
+  if (!ID_TOKEN_ALGS.includes(alg)) throw new Error(`Unsupported ID token algorithm: ${alg}`);
+
+  const key = await getSigningKey(doc.jwks_uri, kid);
+  const claims = jwt.verify(idToken, key, {
+    algorithms: [alg],
+    issuer: doc.issuer,
+    audience: client_id,
+    clockTolerance: 60,
+  });
+
+  if (claims.nonce !== nonce) throw new Error("ID token nonce mismatch");
+  return claims;
+};
+
+/**
+ * Claim by dotted path ("email", "realm_access.roles").
+ */
+export const getClaim = (claims, path) =>
+  String(path || "")
+    .split(".")
+    .filter(Boolean)
+    .reduce((v, k) => (v && typeof v === "object" ? v[k] : undefined), claims);
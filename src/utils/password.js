@@ -0,0 +1,43 @@
+// src/utils/password.js
+import crypto from "crypto";
+import bcrypt from "bcrypt";
+
+// Stored format: "<algo>$<hash>"
+//   bcrypt$<bcrypt hash>   -> current scheme
+//   <64 hex chars>         -> legacy unsalted sha256 (no prefix), rehashed on next login
+const BCRYPT_PREFIX = "bcrypt$";
+const BCRYPT_ROUNDS = Number(process.env.BCRYPT_ROUNDS || 12);
+
+const isLegacySha256 = (stored) => /^[0-9a-f]{64}$/i.test(String(stored || ""));
+
+const legacySha256 = (plain) =>
+  crypto.createHash("sha256").update(String(plain)).digest("hex");
+
+export const hashPassword = async (plain) => {
+  const hash = await bcrypt.hash(String(plain), BCRYPT_ROUNDS);
+  return `${BCRYPT_PREFIX}${hash}`;
+};
+
+/**
+ * Checks plain password against a stored hash (bcrypt or legacy sha256).
+ * Returns { ok, needsRehash } so login can upgrade legacy rows transparently.
+ */
+export const verifyPassword = async (plain, stored) => {
+  if (!stored || plain == null) return { ok: false, needsRehash: false };
+
+  const s = String(stored);
+
+  if (s.startsWith(BCRYPT_PREFIX)) {
+    const ok = await bcrypt.compare(String(plain), s.slice(BCRYPT_PREFIX.length));
+    return { ok, needsRehash: false };
+  }
+
+  if (isLegacySha256(s)) {
+    const incoming = Buffer.from(legacySha256(plain), "hex");
+    const expected = Buffer.from(s.toLowerCase(), "hex");
+    const ok = crypto.timingSafeEqual(incoming, expected);
+    return { ok, needsRehash: ok };
+  }
+
+  return { ok: false, needsRehash: false };
+};
@@ -0,0 +1,162 @@
+// src/utils/passwordPolicy.js
+import crypto from "crypto";
+import { db } from "../db.js";
+import { hashPassword, verifyPassword } from "./password.js";
+import { getCompanyPasswordPolicy } from "./companySettings.js";
+
+// Applied to every password a person chooses (signup, reset, change, admin set, company admin).
+// Env defaults, overridable per company via company.metadata_json.password_policy:
+//   { "min_length": 10, "require_upper": true, "require_lower": true, "require_digit": true,
+//     "require_symbol": false, "history": 5, "max_age_days": 0 }
+// history = how many previous passwords may not be reused; max_age_days 0 = never expires.
+const envBool = (v, fallback) => (v === undefined ? fallback : String(v) === "true");
+
+const DEFAULT_POLICY = {
+  min_length: Number(process.env.PASSWORD_MIN_LENGTH || 10),
+  require_upper: envBool(process.env.PASSWORD_REQUIRE_UPPER, true),
+  require_lower: envBool(process.env.PASSWORD_REQUIRE_LOWER, true),
+  require_digit: envBool(process.env.PASSWORD_REQUIRE_DIGIT, true),
+  require_symbol: envBool(process.env.PASSWORD_REQUIRE_SYMBOL, false),
+  history: Number(process.env.PASSWORD_HISTORY || 5),
+  max_age_days: Number(process.env.PASSWORD_MAX_AGE_DAYS || 0),
+};
+
+export const POLICY_KEYS = Object.keys(DEFAULT_POLICY);
+
+// bcrypt ignores everything after 72 bytes
+const MAX_BYTES = 72;
+
+const intOr = (v, fallback) => {
+  const n = Number(v);
+  return Number.isInteger(n) && n >= 0 ? n : fallback;
+};
+
+const boolOr = (v, fallback) => (typeof v === "boolean" ? v : fallback);
+
+export const getPasswordPolicy = async (companyId) => {
+  const cfg = await getCompanyPasswordPolicy(companyId);
+
+  return {
+    min_length: Math.max(8, intOr(cfg.min_length, DEFAULT_POLICY.min_length)),
+    require_upper: boolOr(cfg.require_upper, DEFAULT_POLICY.require_upper),
+    require_lower: boolOr(cfg.require_lower, DEFAULT_POLICY.require_lower),
+    require_digit: boolOr(cfg.require_digit, DEFAULT_POLICY.require_digit),
+    require_symbol: boolOr(cfg.require_symbol, DEFAULT_POLICY.require_symbol),
+    history: intOr(cfg.history, DEFAULT_POLICY.history),
+    max_age_days: intOr(cfg.max_age_days, DEFAULT_POLICY.max_age_days),
+  };
+};
+
+/**
+ * Strength rules only (no DB). Returns a list of violations, empty when ok.
+ */
+export const checkPasswordStrength = (plain, policy, { username } = {}) => {
+  const p = String(plain ?? "");
+  const violations = [];
+
+  if (p.length < policy.min_length) violations.push(`must be at least ${policy.min_length} characters`);
+  if (Buffer.byteLength(p, "utf8") > MAX_BYTES) violations.push(`must be at most ${MAX_BYTES} bytes`);
+  if (policy.require_upper && !/[A-Z]/.test(p)) violations.push("must contain an uppercase letter");
+  if (policy.require_lower && !/[a-z]/.test(p)) violations.push("must contain a lowercase letter");
+  if (policy.require_digit && !/[0-9]/.test(p)) violations.push("must contain a digit");
+  if (policy.require_symbol && !/[^A-Za-z0-9]/.test(p)) violations.push("must contain a symbol");
+  if (username && p.toLowerCase().includes(String(username).toLowerCase())) {
+    violations.push("must not contain the username");
+  }
+
+  return violations;
+};
+
+/**
+ * True if plain matches the current password or one of the last (history - 1) ones.
+ */
+const isRecentlyUsed = async (userId, plain, history, client) => {
+  if (!userId || history <= 0) return false;
+
+  const { rows } = await client.query(
+    `(SELECT password_hash FROM users WHERE user_id = $1 AND password_hash IS NOT NULL)
+     UNION ALL
+     (SELECT password_hash FROM password_history WHERE user_id = $1 ORDER BY created_at DESC LIMIT $2)`,
+    [Number(userId), history]
+  );
+
+  for (const r of rows) {
+    if ((await verifyPassword(plain, r.password_hash)).ok) return true;
+  }
+  return false;
+};
+
+/**
+ * Full policy check for a new password. user_id enables the reuse check
+ * (omit for accounts that don't exist yet). Returns a list of violations.
+ */
+export const validateNewPassword = async ({ password, user_id = null, username = null, company_id = null }, client = db) => {
+  const policy = await getPasswordPolicy(company_id);
+  const violations = checkPasswordStrength(password, policy, { username });
+
+  if (!violations.length && (await isRecentlyUsed(user_id, password, policy.history, client))) {
+    violations.push(`must not match any of your last ${policy.history} passwords`);
+  }
+  return violations;
+};
+
+export const passwordPolicyError = (res, violations) =>
+  res.status(400).json({ error: "Password does not meet the password policy", violations });
+
+/**
+ * Keeps the hash for reuse checks. Call whenever users.password_hash is set.
+ */
+export const recordPasswordHistory = async (userId, passwordHash, client = db) => {
+  await client.query(
+    `INSERT INTO password_history (user_id, password_hash, created_at) VALUES ($1, $2, NOW())`,
+    [Number(userId), passwordHash]
+  );
+};
+
+/**
+ * Hashes and stores a new password for an existing user (already validated).
+ * Clears must_change_password unless mustChange is set.
+ */
+export const setUserPassword = async ({ user_id, password, mustChange = false }, client = db) => {
+  const password_hash = await hashPassword(password);
+
+  await client.query(
+    `UPDATE users
+     SET password_hash = $1,
+         password_changed_at = NOW(),
+         must_change_password = $2,
+         reset_token_hash = NULL,
+         reset_token_expires_at = NULL,
+         updated_at = NOW()
+     WHERE user_id = $3`,
+    [password_hash, !!mustChange, Number(user_id)]
+  );
+  await recordPasswordHistory(user_id, password_hash, client);
+
+  return password_hash;
+};
+
+export const isPasswordExpired = (passwordChangedAt, policy) => {
+  if (!policy.max_age_days || !passwordChangedAt) return false;
+  return Date.now() - new Date(passwordChangedAt).getTime() > policy.max_age_days * 86400000;
+};
+
+/**
+ * Random password that satisfies any policy (used for generated crew credentials,
+ * which are flagged must_change_password anyway).
+ */
+export const generatePassword = (length = 12) => {
+  const sets = ["ABCDEFGHJKLMNPQRSTUVWXYZ", "abcdefghijkmnpqrstuvwxyz", "23456789", "@#$%&*"];
+  const all = sets.join("");
+  const n = Math.max(length, DEFAULT_POLICY.min_length);
+
+  const chars = sets.map((s) => s[crypto.randomInt(s.length)]);
+  while (chars.length < n) chars.push(all[crypto.randomInt(all.length)]);
+
+  // Fisher-Yates so the guaranteed classes are not always first
+  for (let i = chars.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [chars[i], chars[j]] = [chars[j], chars[i]];
+  }
+  return chars.join("");
+};
@@ -0,0 +1,86 @@
+// src/utils/permissions.js
+import { systemDb } from "../db.js";
+
+// Roles live in the roles table (system roles + per-company custom roles).
+// A role has a data scope and a set of named permissions (role_permissions).
+//   scope global  -> all companies            (platform operator)
+//         company -> rows of the user's company
+//         ship    -> rows of the user's company + ship
+//         self    -> the user's own rows (crew)
+export const SCOPE_GLOBAL = "global";
+export const SCOPE_COMPANY = "company";
+export const SCOPE_SHIP = "ship";
+export const SCOPE_SELF = "self";
+export const SCOPES = [SCOPE_GLOBAL, SCOPE_COMPANY, SCOPE_SHIP, SCOPE_SELF];
+
+// lower = wider
+const SCOPE_RANK = { [SCOPE_GLOBAL]: 0, [SCOPE_COMPANY]: 1, [SCOPE_SHIP]: 2, [SCOPE_SELF]: 3 };
+export const isScopeWithin = (scope, outer) => SCOPE_RANK[scope] >= SCOPE_RANK[outer];
+
+// Built-in roles seeded by migrations/011_permissions.sql. Only referenced where the
+// system itself assigns a role (company admin account, default crew, rank-based import).
+export const SYSTEM_ROLE_SUPERADMIN = 1;
+export const SYSTEM_ROLE_ADMIN = 2;
+export const SYSTEM_ROLE_SUBADMIN = 3;
+export const SYSTEM_ROLE_CREW = 4;
+
+// Same trade-off as tokenVersion.js: permission edits reach other instances within CACHE_MS.
+const CACHE_MS = Number(process.env.ROLE_CACHE_MS || 30000);
+const cache = new Map(); // role_id -> { role, at } (role null = deleted)
+
+export const invalidateRoleCache = (roleId) => {
+  if (roleId === undefined) cache.clear();
+  else cache.delete(String(roleId));
+};
+
+/**
+ * { role_id, name, scope, company_id, is_system, permissions: [] } or null.
+ */
+export const getRole = async (roleId) => {
+  const key = String(roleId);
+  const hit = cache.get(key);
+  if (hit && Date.now() - hit.at < CACHE_MS) return hit.role;
+
+  // cached for every caller -> read outside the request's tenant context
+  const { rows } = await systemDb.query(
+    `SELECT r.role_id, r.name, r.scope, r.company_id, r.is_system,
+            COALESCE(array_agg(rp.permission_key) FILTER (WHERE rp.permission_key IS NOT NULL), '{}') AS permissions
+     FROM roles r
+     LEFT JOIN role_permissions rp ON rp.role_id = r.role_id
+     WHERE r.role_id = $1
+     GROUP BY r.role_id`,
+    [Number(roleId)]
+  );
+
+  const role = rows[0] || null;
+  cache.set(key, { role, at: Date.now() });
+  return role;
+};
+
+export const hasPermission = (user, key) => !!user?.permissions?.includes(key);
+
+export const isSelfScope = (user) => user?.scope === SCOPE_SELF;
+
+/**
+ * Whether actor (req.user) may give targetRoleId to a user of companyId.
+ * The role must be a system role or one of that company's custom roles, not be wider
+ * than the actor's own scope, and not carry permissions the actor lacks.
+ * Returns { ok, role } or { ok: false, error }.
+ */
+export const checkRoleAssignable = async (actor, targetRoleId, companyId) => {
+  const role = await getRole(targetRoleId);
+  if (!role) return { ok: false, error: "Unknown role_id" };
+
+  if (role.company_id && String(role.company_id) !== String(companyId)) {
+    return { ok: false, error: "Role belongs to another company" };
+  }
+  if (actor.scope === SCOPE_GLOBAL) return { ok: true, role };
+
+  if (!isScopeWithin(role.scope, actor.scope)) {
+    return { ok: false, error: "Cannot assign a role wider than your own" };
+  }
+  const missing = role.permissions.filter((p) => !hasPermission(actor, p));
+  if (missing.length) return { ok: false, error: "Cannot assign a role with permissions you do not have" };
+
+  return { ok: true, role };
+};
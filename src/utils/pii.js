@@ -0,0 +1,175 @@
+// src/utils/pii.js
+import crypto from "crypto";
+import { hasPermission } from "./permissions.js";
+
+// Crew identity document fields. Stored encrypted as <field>_enc (migrations/016_identity_encryption.sql);
+// the plaintext columns only hold legacy rows until `npm run pii:rotate` has run.
+export const PII_FIELDS = ["passport_number", "seaman_book_number", "date_of_birth", "place_of_birth"];
+export const PII_ENC_COLUMNS = PII_FIELDS.map((f) => `${f}_enc`);
+
+export const PII_VIEW_PERMISSION = "user.identity_view";
+
+// -------------------- keys --------------------
+// Envelope encryption: every value gets its own data key (AES-256-GCM), the data key is wrapped
+// with a versioned master key. Rotation only re-wraps data keys, the ciphertext itself stays.
+//   PII_ENC_KEYS="1:<base64 32 bytes>,2:<base64 32 bytes>"
+//   PII_ENC_KEY_ID=2   (key for new values; default: highest id)
+const FORMAT = "pii1";
+
+let keyCache = null; // { raw, keys: Map<id, Buffer>, current }
+
+const loadKeys = () => {
+  const raw = `${process.env.PII_ENC_KEYS || ""}|${process.env.PII_ENC_KEY_ID || ""}`;
+  if (keyCache?.raw === raw) return keyCache;
+
+  const keys = new Map();
+  for (const part of String(process.env.PII_ENC_KEYS || "").split(",").map((s) => s.trim()).filter(Boolean)) {
+    const [id, b64] = part.split(":");
+    const key = Buffer.from(String(b64 || ""), "base64");
+    if (!/^\d+$/.test(id) || key.length !== 32) throw new Error("PII_ENC_KEYS entries must be <id>:<base64 32 bytes>");
+    keys.set(id, key);
+  }
+
+  const current = process.env.PII_ENC_KEY_ID || [...keys.keys()].sort((a, b) => Number(b) - Number(a))[0];
+  if (current && !keys.has(String(current))) throw new Error(`PII_ENC_KEY_ID ${current} is not in PII_ENC_KEYS`);
+
+  keyCache = { raw, keys, current: current ? String(current) : null };
+  return keyCache;
+};
+
+const getKey = (id) => {
+  const key = loadKeys().keys.get(String(id));
+  if (!key) throw new Error(`Unknown PII key id ${id}`);
+  return key;
+};
+
+export const currentPiiKeyId = () => {
+  const { current } = loadKeys();
+  if (!current) throw new Error("PII_ENC_KEYS is not set");
+  return current;
+};
+
+// -------------------- AES-GCM --------------------
+const seal = (key, plain, aad) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+  if (aad) cipher.setAAD(Buffer.from(aad));
+  const ct = Buffer.concat([cipher.update(plain), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ct]);
+};
+
+const open = (key, sealed, aad) => {
+  const decipher = crypto.createDecipheriv("aes-256-gcm", key, sealed.subarray(0, 12));
+  if (aad) decipher.setAAD(Buffer.from(aad));
+  decipher.setAuthTag(sealed.subarray(12, 28));
+  return Buffer.concat([decipher.update(sealed.subarray(28)), decipher.final()]);
+};
+
+// pii1.<key id>.<wrapped data key>.<sealed value>; the field name is bound as AAD
+const parse = (enc) => {
+  const [format, keyId, wrapped, sealed] = String(enc || "").split(".");
+  if (format !== FORMAT || !keyId || !wrapped || !sealed) throw new Error("Invalid encrypted PII value");
+  return { keyId, wrapped: Buffer.from(wrapped, "base64"), sealed: Buffer.from(sealed, "base64") };
+};
+
+export const encryptPii = (field, plain) => {
+  if (plain === undefined || plain === null || plain === "") return null;
+  const keyId = currentPiiKeyId();
+  const dataKey = crypto.randomBytes(32);
+  const wrapped = seal(getKey(keyId), dataKey, `${FORMAT}.${keyId}`);
+  const sealed = seal(dataKey, Buffer.from(String(plain), "utf8"), field);
+  return `${FORMAT}.${keyId}.${wrapped.toString("base64")}.${sealed.toString("base64")}`;
+};
+
+export const decryptPii = (field, enc) => {
+  if (!enc) return null;
+  const { keyId, wrapped, sealed } = parse(enc);
+  const dataKey = open(getKey(keyId), wrapped, `${FORMAT}.${keyId}`);
+  return open(dataKey, sealed, field).toString("utf8");
+};
+
+export const piiKeyIdOf = (enc) => parse(enc).keyId;
+
+/**
+ * Re-wraps the data key with the current master key (value untouched). Same string if already current.
+ */
+export const rewrapPii = (enc) => {
+  const { keyId, wrapped, sealed } = parse(enc);
+  const current = currentPiiKeyId();
+  if (keyId === current) return enc;
+
+  const dataKey = open(getKey(keyId), wrapped, `${FORMAT}.${keyId}`);
+  const rewrapped = seal(getKey(current), dataKey, `${FORMAT}.${current}`);
+  return `${FORMAT}.${current}.${rewrapped.toString("base64")}.${sealed.toString("base64")}`;
+};
+
+// -------------------- read / write helpers --------------------
+const MASK = "****";
+
+// what clients without the permission see: documents keep their last 4 characters
+export const maskPii = (field, value) => {
+  if (value === null || value === undefined || value === "") return value ?? null;
+  if (field === "passport_number" || field === "seaman_book_number") {
+    const s = String(value);
+    return s.length > 4 ? `${MASK}${s.slice(-4)}` : MASK;
+  }
+  return MASK;
+};
+
+const isMasked = (v) => typeof v === "string" && v.startsWith(MASK);
+
+/**
+ * { <field>_enc: ciphertext } for the PII fields present in body (undefined / null / "" skipped).
+ * Masked values echoed back by a client ("****1234") are ignored, they are not new data.
+ * With the current users row, values equal to the stored (decrypted) ones are skipped too:
+ * a fresh ciphertext of the same value would otherwise show up as a change in the audit trail.
+ */
+export const encryptPiiFields = (body = {}, current = null) => {
+  const stored = current ? decryptUserPii(current) : {};
+  const out = {};
+  for (const f of PII_FIELDS) {
+    const v = body[f];
+    if (v === undefined || v === null || v === "" || isMasked(v)) continue;
+    if (current && stored[f] != null && String(stored[f]) === String(v)) continue;
+    out[`${f}_enc`] = encryptPii(f, v);
+  }
+  return out;
+};
+
+// legacy DATE column comes back from pg as a local-midnight Date
+const legacyValue = (v) => {
+  if (!(v instanceof Date)) return v ?? null;
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${v.getFullYear()}-${pad(v.getMonth() + 1)}-${pad(v.getDate())}`;
+};
+
+/**
+ * Plain PII values of a users row (encrypted column first, legacy plaintext column otherwise).
+ */
+export const decryptUserPii = (row) => {
+  const out = {};
+  for (const f of PII_FIELDS) {
+    const enc = row?.[`${f}_enc`];
+    out[f] = enc ? decryptPii(f, enc) : legacyValue(row?.[f]);
+  }
+  return out;
+};
+
+// own record (not while impersonating) or explicit permission
+export const canViewIdentity = (viewer, userId) =>
+  hasPermission(viewer, PII_VIEW_PERMISSION) ||
+  (!viewer?.impersonator && Number(viewer?.user_id) === Number(userId));
+
+/**
+ * users row -> API shape: *_enc columns dropped, PII decrypted or masked for this viewer.
+ */
+export const presentUserPii = (row, viewer) => {
+  if (!row) return row;
+  const plain = decryptUserPii(row);
+  const unmasked = canViewIdentity(viewer, row.user_id);
+
+  const out = { ...row };
+  for (const c of PII_ENC_COLUMNS) delete out[c];
+  for (const f of PII_FIELDS) out[f] = unmasked ? plain[f] : maskPii(f, plain[f]);
+  return out;
+};
@@ -0,0 +1,216 @@
+// src/utils/retention.js
+import { db } from "../db.js";
+import { recordAudit } from "./audit.js";
+import { getCompanyRetention } from "./companySettings.js";
+
+// Data retention per company (company.metadata_json.retention, migrations/018_data_retention.sql).
+// Days kept per data class; null = keep forever. Companies override the defaults below.
+export const RETENTION_DEFAULTS = {
+  activity_logs_days: null, // Unity telemetry
+  activity_logs_action: "delete", // "delete" | "archive" (moved to activity_logs_archive)
+  offboarded_activity_days: null, // activity of users no longer onboard (usually shorter)
+  revoked_sessions_days: 30, // revoked / expired refresh sessions
+  deleted_incidents_days: 365, // soft-deleted incident_reports
+};
+
+export const RETENTION_MAX_DAYS = 3650;
+const ACTIONS = ["delete", "archive"];
+const BATCH_SIZE = 5000;
+
+// $1 = company_id (NULL = users / rows without company), $2 = cutoff
+const CLASSES = {
+  activity_logs: {
+    days: "activity_logs_days",
+    table: "activity_logs",
+    pk: "activity_id",
+    archivable: true,
+    where: `t.company_id IS NOT DISTINCT FROM $1 AND t.occurred_at < $2`,
+  },
+  offboarded_activity: {
+    days: "offboarded_activity_days",
+    table: "activity_logs",
+    pk: "activity_id",
+    archivable: true,
+    where: `t.company_id IS NOT DISTINCT FROM $1 AND t.occurred_at < $2
+            AND EXISTS (SELECT 1 FROM users u WHERE u.user_id = t.user_id AND LOWER(u.status) IN ('offboard', 'erased'))`,
+  },
+  xapi_statements: {
+    days: "activity_logs_days", // same data as their activity_logs rows, never archived
+    table: "xapi_statements",
+    pk: "statement_seq",
+    where: `t.company_id IS NOT DISTINCT FROM $1 AND t."timestamp" < $2`,
+  },
+  revoked_sessions: {
+    days: "revoked_sessions_days",
+    table: "refresh_sessions",
+    pk: "session_id",
+    where: `EXISTS (SELECT 1 FROM users u WHERE u.user_id = t.user_id AND u.company_id IS NOT DISTINCT FROM $1)
+            AND (t.revoked_at < $2 OR t.expires_at < $2)`,
+  },
+  deleted_incidents: {
+    days: "deleted_incidents_days",
+    table: "incident_reports",
+    pk: "incident_id",
+    where: `t.company_id IS NOT DISTINCT FROM $1 AND t.is_deleted IS TRUE AND COALESCE(t.deleted_at, t.updated_at) < $2`,
+  },
+};
+
+export const RETENTION_CLASSES = Object.keys(CLASSES);
+
+/**
+ * Effective policy of a company (defaults + company.metadata_json.retention).
+ */
+export const getRetentionPolicy = async (companyId) => ({
+  ...RETENTION_DEFAULTS,
+  ...(companyId ? await getCompanyRetention(companyId) : {}),
+});
+
+/**
+ * Validates a PUT body. Returns { patch } or { error }. null days = keep forever.
+ */
+export const parseRetentionPatch = (body = {}) => {
+  const patch = {};
+  for (const k of Object.keys(RETENTION_DEFAULTS)) {
+    const v = body[k];
+    if (v === undefined) continue;
+
+    if (k === "activity_logs_action") {
+      if (!ACTIONS.includes(v)) return { error: `${k} must be one of: ${ACTIONS.join(", ")}` };
+      patch[k] = v;
+      continue;
+    }
+    if (v === null) {
+      patch[k] = null;
+      continue;
+    }
+    const n = Number(v);
+    if (!Number.isInteger(n) || n < 1 || n > RETENTION_MAX_DAYS) {
+      return { error: `${k} must be null or an integer between 1 and ${RETENTION_MAX_DAYS}` };
+    }
+    patch[k] = n;
+  }
+  if (!Object.keys(patch).length) {
+    return { error: `Provide at least one of: ${Object.keys(RETENTION_DEFAULTS).join(", ")}` };
+  }
+  return { patch };
+};
+
+const cutoffFor = (days) => (days ? new Date(Date.now() - days * 24 * 60 * 60 * 1000) : null);
+
+// archive rows are matched by column name: both tables gained columns after the archive was created
+const purgeBatch = async (client, def, params, archive) => {
+  const pick = `SELECT t.${def.pk} FROM ${def.table} t WHERE ${def.where} LIMIT ${BATCH_SIZE}`;
+  const sql = archive
+    ? `WITH moved AS (
+         DELETE FROM ${def.table} WHERE ${def.pk} IN (${pick}) RETURNING *
+       )
+       INSERT INTO activity_logs_archive
+       SELECT (jsonb_populate_record(
+         NULL::activity_logs_archive, to_jsonb(moved) || jsonb_build_object('archived_at', NOW())
+       )).*
+       FROM moved`
+    : `DELETE FROM ${def.table} WHERE ${def.pk} IN (${pick})`;
+  const { rowCount } = await client.query(sql, params);
+  return rowCount;
+};
+
+/**
+ * Applies (or with dryRun only counts) the retention policy of one company.
+ * companyId null = rows without a company, with the default policy.
+ * Each real purge that removed something is audited (retention.purge).
+ */
+export const purgeCompanyData = async (companyId, { dryRun = false, req = null, trigger = "job" } = {}, client = db) => {
+  const policy = await getRetentionPolicy(companyId);
+  const classes = {};
+
+  for (const [name, def] of Object.entries(CLASSES)) {
+    const days = policy[def.days] ?? null;
+    const cutoff = cutoffFor(days);
+    const action = def.archivable ? policy.activity_logs_action : "delete";
+    const entry = { days, cutoff, action, rows: 0 };
+    classes[name] = entry;
+    if (!cutoff) continue;
+
+    const params = [companyId, cutoff];
+    if (dryRun) {
+      const { rows } = await client.query(`SELECT COUNT(*)::int AS n FROM ${def.table} t WHERE ${def.where}`, params);
+      entry.rows = rows[0].n;
+      continue;
+    }
+
+    for (;;) {
+      const n = await purgeBatch(client, def, params, action === "archive");
+      entry.rows += n;
+      if (n < BATCH_SIZE) break;
+    }
+  }
+
+  const total = Object.values(classes).reduce((sum, c) => sum + c.rows, 0);
+  const report = { company_id: companyId, dry_run: dryRun, total, classes };
+
+  if (!dryRun && (total > 0 || trigger === "manual")) {
+    await recordAudit(
+      req,
+      {
+        action: "retention.purge",
+        entity_type: "company",
+        entity_id: companyId,
+        company_id: companyId,
+        ship_id: null,
+        details: { trigger, total, classes },
+      },
+      client
+    );
+  }
+  return report;
+};
+
+// expired one-time secrets, not tied to a company policy
+const housekeeping = async (dryRun) => {
+  const tasks = {
+    expired_reset_tokens: [
+      `SELECT COUNT(*)::int AS n FROM users WHERE reset_token_hash IS NOT NULL AND reset_token_expires_at < NOW()`,
+      `UPDATE users SET reset_token_hash = NULL, reset_token_expires_at = NULL
+       WHERE reset_token_hash IS NOT NULL AND reset_token_expires_at < NOW()`,
+    ],
+    expired_credential_claims: [
+      `SELECT COUNT(*)::int AS n FROM credential_claims WHERE secret_enc IS NOT NULL AND expires_at < NOW()`,
+      `UPDATE credential_claims SET secret_enc = NULL WHERE secret_enc IS NOT NULL AND expires_at < NOW()`,
+    ],
+    orphaned_sessions: [
+      `SELECT COUNT(*)::int AS n FROM refresh_sessions WHERE user_id IS NULL`,
+      `DELETE FROM refresh_sessions WHERE user_id IS NULL`,
+    ],
+    stale_sso_logins: [
+      `SELECT COUNT(*)::int AS n FROM sso_login_requests WHERE expires_at < NOW() - interval '1 day'`,
+      `DELETE FROM sso_login_requests WHERE expires_at < NOW() - interval '1 day'`,
+    ],
+  };
+
+  const out = {};
+  for (const [name, [countSql, purgeSql]] of Object.entries(tasks)) {
+    out[name] = dryRun ? (await db.query(countSql)).rows[0].n : (await db.query(purgeSql)).rowCount;
+  }
+  return out;
+};
+
+/**
+ * The scheduled job: every company, rows without a company, then housekeeping.
+ * Must run outside a request context (sees all tenants).
+ */
+export const runRetentionJob = async ({ dryRun = false } = {}) => {
+  const { rows } = await db.query(`SELECT company_id FROM company ORDER BY company_id`);
+  const companies = [];
+
+  for (const companyId of [...rows.map((r) => r.company_id), null]) {
+    try {
+      companies.push(await purgeCompanyData(companyId, { dryRun }));
+    } catch (err) {
+      // one broken tenant must not stop the others
+      console.error(`Retention purge failed for company ${companyId}:`, err);
+      companies.push({ company_id: companyId, error: err.message });
+    }
+  }
+
+  return { dry_run: dryRun, companies, housekeeping: await housekeeping(dryRun) };
+};
@@ -0,0 +1,44 @@
+// src/utils/tokenVersion.js
+import { db, systemDb } from "../db.js";
+
+// users.token_version is embedded in every access token ("tv").
+// Bumping it invalidates all outstanding access tokens of that user.
+// requireAuth checks it through this small in-memory cache, so a revoked
+// token keeps working for at most TOKEN_VERSION_CACHE_MS on a given instance.
+const CACHE_MS = Number(process.env.TOKEN_VERSION_CACHE_MS || 30000);
+const cache = new Map(); // user_id -> { version, at } (version null = user gone)
+
+export const invalidateTokenVersionCache = (userId) => {
+  cache.delete(String(userId));
+};
+
+/**
+ * Current token version for a user, or null if the user no longer exists.
+ */
+export const getTokenVersion = async (userId) => {
+  const key = String(userId);
+  const hit = cache.get(key);
+  if (hit && Date.now() - hit.at < CACHE_MS) return hit.version;
+
+  // cached for every caller -> read outside the request's tenant context
+  const { rows } = await systemDb.query(`SELECT token_version FROM users WHERE user_id = $1`, [Number(userId)]);
+  const version = rows.length ? Number(rows[0].token_version || 0) : null;
+
+  cache.set(key, { version, at: Date.now() });
+  return version;
+};
+
+/**
+ * Invalidates every access token issued to the given user(s).
+ * Accepts a single id or an array; pass a transaction client when inside one.
+ */
+export const bumpTokenVersion = async (userIds, client = db) => {
+  const ids = (Array.isArray(userIds) ? userIds : [userIds]).map(Number).filter(Boolean);
+  if (!ids.length) return;
+
+  await client.query(
+    `UPDATE users SET token_version = COALESCE(token_version, 0) + 1 WHERE user_id = ANY($1::int[])`,
+    [ids]
+  );
+  ids.forEach(invalidateTokenVersionCache);
+};
@@ -0,0 +1,216 @@
+// src/utils/trainingSessions.js
+import { db, withTransaction } from "../db.js";
+
+// Simulator sessions rebuilt from activity_logs (migrations/022_training_sessions.sql).
+// Per user and training type: a start event opens a session, an end event closes it, any other
+// event extends it. No event for TRAINING_SESSION_IDLE_MINUTES closes it at its last event.
+// End events without a training type (plain "logout") close every open session of the user;
+// other events without one count towards the user's latest open session.
+export const IDLE_TIMEOUT_MINUTES = Number(process.env.TRAINING_SESSION_IDLE_MINUTES || 30);
+
+// initialized / terminated: xAPI verbs (controller/xapiController.js stores the verb's last path segment)
+const START_TYPES = new Set(["login", "start", "session_start", "training_start", "initialized"]);
+const END_TYPES = new Set(["logout", "end", "session_end", "training_end", "terminated"]);
+
+const CURSOR_NAME = "training-sessions";
+const CURSOR_LAG_MINUTES = Number(process.env.TRAINING_SESSIONS_LAG_MINUTES || 5);
+const INSERT_CHUNK = 500;
+
+const COLUMNS = [
+  "user_id",
+  "company_id",
+  "ship_id",
+  "training_type",
+  "started_at",
+  "last_event_at",
+  "ended_at",
+  "end_reason",
+  "duration_seconds",
+  "event_count",
+  "start_activity_id",
+  "end_activity_id",
+];
+
+const kindOf = (activityType) => {
+  const t = String(activityType || "").toLowerCase();
+  if (START_TYPES.has(t)) return "start";
+  if (END_TYPES.has(t)) return "end";
+  return "event";
+};
+
+/**
+ * Pairs one user's events (ordered by occurred_at, activity_id) into sessions.
+ * Sessions whose last event is within the idle timeout of `now` stay open (ended_at null).
+ */
+export const buildSessions = (events, { idleMs = IDLE_TIMEOUT_MINUTES * 60000, now = new Date() } = {}) => {
+  const open = new Map(); // training type ("" = none) -> session
+  const sessions = [];
+
+  const close = (key, s, at, reason, endActivityId = null) => {
+    Object.assign(s, { ended_at: at, end_reason: reason, end_activity_id: endActivityId });
+    open.delete(key);
+  };
+
+  for (const e of events) {
+    const at = new Date(e.occurred_at);
+    const kind = kindOf(e.activity_type);
+    const key = e.training_type ?? "";
+
+    for (const [k, s] of open) {
+      if (at - s.last_event_at > idleMs) close(k, s, s.last_event_at, "idle_timeout");
+    }
+
+    if (kind === "end") {
+      const keys = e.training_type == null ? [...open.keys()] : open.has(key) ? [key] : [];
+      for (const k of keys) {
+        const s = open.get(k);
+        s.last_event_at = at;
+        s.event_count += 1;
+        close(k, s, at, "end_event", e.activity_id);
+      }
+      continue; // an end without an open session has nothing to close
+    }
+
+    let s = open.get(key);
+    if (!s && kind === "event" && e.training_type == null && open.size) {
+      s = [...open.values()].reduce((a, b) => (b.last_event_at > a.last_event_at ? b : a));
+    }
+    if (s && kind === "start") {
+      close(key, s, s.last_event_at, "next_start");
+      s = null;
+    }
+    if (!s) {
+      s = {
+        user_id: e.user_id,
+        company_id: e.company_id ?? null,
+        ship_id: e.ship_id ?? null,
+        training_type: e.training_type ?? null,
+        started_at: at,
+        last_event_at: at,
+        ended_at: null,
+        end_reason: null,
+        event_count: 0,
+        start_activity_id: e.activity_id,
+        end_activity_id: null,
+      };
+      open.set(key, s);
+      sessions.push(s);
+    }
+    s.last_event_at = at;
+    s.event_count += 1;
+  }
+
+  for (const [k, s] of open) {
+    if (now - s.last_event_at > idleMs) close(k, s, s.last_event_at, "idle_timeout");
+  }
+
+  for (const s of sessions) {
+    s.duration_seconds = Math.max(0, Math.round(((s.ended_at || s.last_event_at) - s.started_at) / 1000));
+  }
+  return sessions;
+};
+
+const insertSessions = async (client, sessions) => {
+  for (let i = 0; i < sessions.length; i += INSERT_CHUNK) {
+    const chunk = sessions.slice(i, i + INSERT_CHUNK);
+    const placeholders = chunk.map(
+      (_, r) => `(${COLUMNS.map((__, c) => `$${r * COLUMNS.length + c + 1}`).join(", ")})`
+    );
+    await client.query(
+      `INSERT INTO training_sessions (${COLUMNS.join(", ")}) VALUES ${placeholders.join(", ")}`,
+      chunk.flatMap((s) => COLUMNS.map((c) => s[c]))
+    );
+  }
+};
+
+/**
+ * Rebuilds one user's sessions from `since` (earliest new event) on. Sessions that could
+ * absorb that event are replaced; older ones are kept. Returns the number of sessions written.
+ */
+export const rebuildUserSessions = async (client, userId, since, idleMs = IDLE_TIMEOUT_MINUTES * 60000) => {
+  // walk back while a session reaching past `from` started before it
+  let from = new Date(new Date(since).getTime() - idleMs);
+  for (;;) {
+    const { rows } = await client.query(
+      `SELECT MIN(started_at) AS first FROM training_sessions
+       WHERE user_id = $1 AND COALESCE(ended_at, last_event_at) >= $2`,
+      [userId, from]
+    );
+    if (!rows[0].first || new Date(rows[0].first) >= from) break;
+    from = new Date(rows[0].first);
+  }
+
+  await client.query(
+    `DELETE FROM training_sessions WHERE user_id = $1 AND COALESCE(ended_at, last_event_at) >= $2`,
+    [userId, from]
+  );
+
+  const { rows: events } = await client.query(
+    `SELECT activity_id, user_id, company_id, ship_id, activity_type, training_type, occurred_at
+     FROM activity_logs
+     WHERE user_id = $1 AND occurred_at >= $2
+     ORDER BY occurred_at, activity_id`,
+    [userId, from]
+  );
+
+  const sessions = buildSessions(events, { idleMs });
+  await insertSessions(client, sessions);
+  return sessions.length;
+};
+
+/**
+ * The scheduled job: rebuilds sessions of users with activity rows added since the last run,
+ * then closes open sessions that went idle. rebuild = start over from the first activity row.
+ * Must run outside a request context (sees all tenants).
+ */
+export const runTrainingSessionsJob = async ({ rebuild = false } = {}) => {
+  const idleMs = IDLE_TIMEOUT_MINUTES * 60000;
+
+  const cur = await db.query(`SELECT last_id FROM job_cursors WHERE job_name = $1`, [CURSOR_NAME]);
+  const lastId = rebuild ? 0 : Number(cur.rows[0]?.last_id || 0);
+  // same lag as the rollups (utils/activityRollups.js): ids are taken at insert but become visible at
+  // commit, so a batch upload committing after a later insert would otherwise fall behind the cursor
+  const max = await db.query(
+    `SELECT COALESCE(MAX(activity_id), 0) AS max FROM activity_logs
+     WHERE activity_id > $1 AND created_at < NOW() - ($2 || ' minutes')::interval`,
+    [lastId, String(CURSOR_LAG_MINUTES)]
+  );
+  const maxId = Math.max(lastId, Number(max.rows[0].max));
+
+  const { rows: users } = await db.query(
+    `SELECT user_id, MIN(occurred_at) AS since
+     FROM activity_logs
+     WHERE activity_id > $1 AND activity_id <= $2 AND user_id IS NOT NULL
+     GROUP BY user_id`,
+    [lastId, maxId]
+  );
+
+  let sessions = 0;
+  let failed = 0;
+  for (const u of users) {
+    try {
+      sessions += await withTransaction((client) => rebuildUserSessions(client, u.user_id, u.since, idleMs));
+    } catch (err) {
+      // one broken user must not stop the others; the cursor stays so they are retried
+      console.error(`Training sessions failed for user ${u.user_id}:`, err);
+      failed += 1;
+    }
+  }
+
+  const closed = await db.query(
+    `UPDATE training_sessions
+     SET ended_at = last_event_at, end_reason = 'idle_timeout'
+     WHERE ended_at IS NULL AND last_event_at < NOW() - ($1 || ' minutes')::interval`,
+    [String(IDLE_TIMEOUT_MINUTES)]
+  );
+
+  if (!failed) {
+    await db.query(
+      `INSERT INTO job_cursors (job_name, last_id, updated_at) VALUES ($1, $2, NOW())
+       ON CONFLICT (job_name) DO UPDATE SET last_id = EXCLUDED.last_id, updated_at = NOW()`,
+      [CURSOR_NAME, maxId]
+    );
+  }
+
+  return { users: users.length, sessions_written: sessions, closed_idle: closed.rowCount, failed, cursor: maxId };
+};
@@ -0,0 +1,112 @@
+// src/utils/unityTime.js
+// Event timestamps sent by the Unity simulator (POST /activity/track, /activity/track/batch).
+//
+// - ISO-8601 with an offset ("2025-12-24T09:28:00+08:00", "...Z") is an exact instant.
+// - Legacy "YYYY-MM-DD-HH:mm" and ISO without offset are vessel wall-clock time, resolved with
+//   the event's tz, else the ship's timezone (ships.timezone), else DEFAULT_VESSEL_TIMEZONE (UTC).
+// A timezone is an IANA name ("Asia/Singapore") or a fixed offset ("+08:00").
+
+export const DEFAULT_VESSEL_TIMEZONE = process.env.DEFAULT_VESSEL_TIMEZONE || "UTC";
+
+const LEGACY_RE = /^(\d{4})-(\d{2})-(\d{2})-(\d{2}):(\d{2})$/;
+const ISO_RE = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3})\d*)?)?(Z|[+-]\d{2}:?\d{2})?$/i;
+const OFFSET_RE = /^([+-])(\d{2}):?(\d{2})$/;
+
+const parseOffset = (s) => {
+  const m = String(s).match(OFFSET_RE);
+  if (!m || Number(m[2]) > 14 || Number(m[3]) > 59) return null;
+  return (m[1] === "-" ? -1 : 1) * (Number(m[2]) * 60 + Number(m[3]));
+};
+
+/**
+ * true for an IANA zone name known to this runtime or a ±HH:MM offset.
+ */
+export const isValidTimeZone = (tz) => {
+  if (typeof tz !== "string" || !tz || tz.length > 64) return false;
+  if (OFFSET_RE.test(tz)) return parseOffset(tz) !== null;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+const formatters = new Map();
+
+// minutes the zone is ahead of UTC at the given instant
+const zoneOffsetMinutes = (tz, date) => {
+  const fixed = parseOffset(tz);
+  if (fixed !== null) return fixed;
+
+  let fmt = formatters.get(tz);
+  if (!fmt) {
+    fmt = new Intl.DateTimeFormat("en-US", {
+      timeZone: tz,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+    });
+    formatters.set(tz, fmt);
+  }
+  const p = Object.fromEntries(fmt.formatToParts(date).map(({ type, value }) => [type, Number(value)]));
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+};
+
+// wall-clock time in tz -> UTC (second pass settles DST transitions)
+const zonedToUtc = (parts, tz) => {
+  const wall = Date.UTC(...parts);
+  let offset = zoneOffsetMinutes(tz, new Date(wall));
+  const second = zoneOffsetMinutes(tz, new Date(wall - offset * 60000));
+  if (second !== offset) offset = second;
+  return { date: new Date(wall - offset * 60000), offset };
+};
+
+const validParts = ([Y, M, D, h, min, s]) => {
+  const d = new Date(Date.UTC(Y, M, D, h, min, s));
+  return d.getUTCFullYear() === Y && d.getUTCMonth() === M && d.getUTCDate() === D && h < 24 && min < 60 && s < 60;
+};
+
+/**
+ * Parses a Unity timestamp. Returns null if missing or not understood, otherwise
+ * { occurredAt (Date, UTC), timezone (zone or offset applied), utcOffset (minutes ahead of UTC) }.
+ */
+export const parseUnityTimestamp = (value, tz = DEFAULT_VESSEL_TIMEZONE) => {
+  if (!value) return null;
+  const s = String(value).trim();
+
+  let parts;
+  let explicitOffset = null;
+
+  const legacy = s.match(LEGACY_RE);
+  const iso = legacy ? null : s.match(ISO_RE);
+  if (legacy) {
+    const [, Y, M, D, h, min] = legacy.map(Number);
+    parts = [Y, M - 1, D, h, min, 0, 0];
+  } else if (iso) {
+    const [, Y, M, D, h, min, sec, ms, offset] = iso;
+    parts = [Y, M - 1, D, h, min, sec || 0, String(ms || "0").padEnd(3, "0")].map(Number);
+    explicitOffset = offset || null;
+  } else {
+    return null;
+  }
+  if (!validParts(parts)) return null;
+
+  if (explicitOffset) {
+    const offset = /^z$/i.test(explicitOffset) ? 0 : parseOffset(explicitOffset);
+    if (offset === null) return null;
+    return {
+      occurredAt: new Date(Date.UTC(...parts) - offset * 60000),
+      timezone: /^z$/i.test(explicitOffset) ? "UTC" : explicitOffset,
+      utcOffset: offset,
+    };
+  }
+
+  const { date, offset } = zonedToUtc(parts, tz);
+  return { occurredAt: date, timezone: tz, utcOffset: offset };
+};
@@ -0,0 +1,8 @@
+// src/utils/validation.js
+// Small input checks shared by the controllers.
+
+// 8-4-4-4-12 hex, any version: anything that passes can be cast to Postgres uuid
+// (ids come from gen_random_uuid(), crypto.randomUUID() and, for xAPI, from clients)
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+export const isUuid = (v) => typeof v === "string" && UUID_RE.test(v);
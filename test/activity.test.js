@@ -0,0 +1,95 @@
+// test/activity.test.js
+// Unity activity tracking (src/controller/activityLogsController.js) with a company API key.
+import { describe, test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { createTestDatabase, skipWithoutDb } from "./helpers/testDb.js";
+import { startApp } from "./helpers/api.js";
+
+describe("activity tracking", { skip: skipWithoutDb }, () => {
+  let database;
+  let api;
+  let key;
+  const ids = { user: {} };
+
+  const systemQuery = async (sql, params) => {
+    const client = await database.system();
+    try {
+      return (await client.query(sql, params)).rows;
+    } finally {
+      await client.end();
+    }
+  };
+
+  const seed = async () => {
+    const { generateApiKey, hashApiKey } = await import("../src/utils/apiKeys.js");
+
+    const [company] = await systemQuery(`INSERT INTO company (company_name) VALUES ('Company A') RETURNING company_id`);
+    const [ship] = await systemQuery(
+      `INSERT INTO ships (ship_name, company_id, timezone) VALUES ('Ship A1', $1, 'UTC') RETURNING ship_id`,
+      [company.company_id]
+    );
+    for (const username of ["crewA1", "crewA2"]) {
+      const [row] = await systemQuery(
+        `INSERT INTO users (seafarer_id, full_name, username, role_id, company_id, ship_id, status)
+         VALUES ($1, $1, $1, 4, $2, $3, 'Onboard') RETURNING user_id`,
+        [username, company.company_id, ship.ship_id]
+      );
+      ids.user[username] = row.user_id;
+    }
+
+    const generated = generateApiKey();
+    await systemQuery(
+      `INSERT INTO api_keys (key_prefix, key_hash, label, company_id, scopes)
+       VALUES ($1, $2, 'simulator', $3, ARRAY['activity:write'])`,
+      [generated.prefix, hashApiKey(generated.key), company.company_id]
+    );
+    key = generated.key;
+  };
+
+  const track = (body) => api.request("POST", "/activity/track", { body, headers: { "X-Api-Key": key } });
+
+  before(async () => {
+    database = await createTestDatabase();
+    await seed();
+    api = await startApp();
+  });
+
+  after(async () => {
+    await api?.close();
+    await database?.drop();
+  });
+
+  test("a resent eventId returns the stored log of the same user only", async () => {
+    const event = { username: "crewA1", eventId: "evt-1", timestamp: "2025-12-24T09:28:00+08:00" };
+    const first = await track(event);
+    assert.equal(first.status, 201);
+
+    const again = await track(event);
+    assert.equal(again.status, 200);
+    assert.equal(again.body.log.activity_id, first.body.log.activity_id);
+
+    const other = await track({ ...event, username: "crewA2" });
+    assert.equal(other.status, 409);
+    assert.equal(other.body.log, undefined);
+
+    const rows = await systemQuery(`SELECT user_id FROM activity_logs WHERE client_event_id = 'evt-1'`);
+    assert.deepEqual(rows, [{ user_id: ids.user.crewA1 }]);
+  });
+
+  test("an unreadable timestamp is refused by the single and the batch endpoint", async () => {
+    const event = { username: "crewA1", eventId: "evt-bad", timestamp: "yesterday-ish" };
+
+    const single = await track(event);
+    assert.equal(single.status, 400);
+    assert.equal(single.body.error, "timestamp is not a readable date");
+
+    const batch = await api.request("POST", "/activity/track/batch", {
+      body: { events: [event] },
+      headers: { "X-Api-Key": key },
+    });
+    assert.equal(batch.body.results[0].status, "rejected");
+    assert.equal(batch.body.results[0].error, "timestamp is not a readable date");
+
+    assert.deepEqual(await systemQuery(`SELECT 1 FROM activity_logs WHERE client_event_id = 'evt-bad'`), []);
+  });
+});
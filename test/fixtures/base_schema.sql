@@ -0,0 +1,194 @@
+-- test/fixtures/base_schema.sql
+-- Tables that predate migrations/ (only the columns the API reads or writes), so the test
+-- database can be built as: this file, then every migration in order (test/helpers/testDb.js).
+
+CREATE TABLE company (
+  company_id           UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  company_name         VARCHAR(255) NOT NULL,
+  code                 VARCHAR(64),
+  email_domain         VARCHAR(255),
+  is_active            BOOLEAN NOT NULL DEFAULT true,
+  metadata_json        JSONB NOT NULL DEFAULT '{}'::jsonb,
+  ships_count          INTEGER,
+  role                 VARCHAR(64),
+  regional_address     TEXT,
+  ism_address          TEXT,
+  type                 VARCHAR(64),
+  contact_person_name  VARCHAR(255),
+  phone_no             VARCHAR(64),
+  email                VARCHAR(255),
+  username             VARCHAR(255),
+  password_hash        VARCHAR(255),
+  created_at           TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at           TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE ships (
+  ship_id     SERIAL PRIMARY KEY,
+  ship_name   VARCHAR(255) NOT NULL,
+  imo_number  VARCHAR(64),
+  flag        VARCHAR(64),
+  class       VARCHAR(64),
+  owner       VARCHAR(255),
+  validity    DATE,
+  ship_type   VARCHAR(64),
+  capacity    VARCHAR(64),
+  powered_by  VARCHAR(64),
+  company_id  UUID REFERENCES company(company_id) ON DELETE CASCADE,
+  created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE users (
+  user_id                  SERIAL PRIMARY KEY,
+  seafarer_id              VARCHAR(64) UNIQUE,
+  full_name                VARCHAR(255),
+  rank                     VARCHAR(64),
+  trip                     VARCHAR(64),
+  embarkation_date         DATE,
+  disembarkation_date      DATE,
+  status                   VARCHAR(32),
+  username                 VARCHAR(64) UNIQUE,
+  password_hash            VARCHAR(255),
+  password_enc             TEXT,
+  reset_token_hash         VARCHAR(64),
+  reset_token_expires_at   TIMESTAMPTZ,
+  email                    VARCHAR(255),
+  role_id                  INTEGER,
+  ship_id                  INTEGER REFERENCES ships(ship_id) ON DELETE SET NULL,
+  company_id               UUID REFERENCES company(company_id) ON DELETE CASCADE,
+  sex                      VARCHAR(16),
+  date_of_birth            DATE,
+  place_of_birth           VARCHAR(255),
+  nationality              VARCHAR(64),
+  embarkation_port         VARCHAR(255),
+  disembarkation_port      VARCHAR(255),
+  end_of_contract          DATE,
+  plus_months              INTEGER,
+  passport_number          VARCHAR(64),
+  passport_issue_place     VARCHAR(255),
+  passport_issue_date      DATE,
+  passport_expiry_date     DATE,
+  seaman_book_number       VARCHAR(64),
+  seaman_book_issue_date   DATE,
+  seaman_book_expiry_date  DATE,
+  created_at               TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at               TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE user_ship_history (
+  history_id           SERIAL PRIMARY KEY,
+  user_id              INTEGER NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+  company_id           UUID,
+  ship_id              INTEGER,
+  embarkation_date     DATE,
+  disembarkation_date  DATE,
+  embarkation_port     VARCHAR(255),
+  disembarkation_port  VARCHAR(255),
+  changed_by_user_id   INTEGER,
+  notes                TEXT,
+  created_at           TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at           TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE refresh_sessions (
+  session_id          SERIAL PRIMARY KEY,
+  user_id             INTEGER NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+  refresh_token_hash  VARCHAR(64) NOT NULL,
+  expires_at          TIMESTAMPTZ NOT NULL,
+  revoked_at          TIMESTAMPTZ
+);
+
+CREATE TABLE incident_reports (
+  incident_id           UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  ship_id               INTEGER,
+  company_id            UUID,
+  reported_by_user_id   INTEGER REFERENCES users(user_id) ON DELETE SET NULL,
+  visible_to_ship_only  BOOLEAN,
+  title                 VARCHAR(255),
+  description           TEXT,
+  incident_type         VARCHAR(64),
+  severity              VARCHAR(32),
+  location_on_ship      VARCHAR(255),
+  root_cause            TEXT,
+  corrective_action     TEXT,
+  preventive_action     TEXT,
+  status                VARCHAR(32),
+  occurred_at           TIMESTAMPTZ,
+  reported_at           TIMESTAMPTZ,
+  closed_at             TIMESTAMPTZ,
+  reference_code        VARCHAR(64),
+  is_deleted            BOOLEAN NOT NULL DEFAULT false,
+  created_at            TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at            TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE certificates (
+  certificate_id      SERIAL PRIMARY KEY,
+  user_id             INTEGER REFERENCES users(user_id) ON DELETE CASCADE,
+  company_id          UUID,
+  ship_id             INTEGER,
+  full_name           VARCHAR(255),
+  company_name        VARCHAR(255),
+  title               VARCHAR(255),
+  certificate_name    VARCHAR(255),
+  certificate_number  VARCHAR(64),
+  issued_by           VARCHAR(255),
+  grade               VARCHAR(64),
+  issue_date          DATE,
+  expiry_date         DATE,
+  status              VARCHAR(32),
+  file_url            TEXT,
+  created_at          TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at          TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE assessments (
+  assessment_id       SERIAL PRIMARY KEY,
+  company_id          UUID,
+  ship_id             INTEGER,
+  created_by_user_id  INTEGER REFERENCES users(user_id) ON DELETE SET NULL,
+  title               VARCHAR(255),
+  description         TEXT,
+  status              VARCHAR(32),
+  metadata_json       JSONB,
+  created_at          TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at          TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE assessment_questions (
+  question_id          SERIAL PRIMARY KEY,
+  assessment_id        INTEGER NOT NULL REFERENCES assessments(assessment_id) ON DELETE CASCADE,
+  question_order       INTEGER,
+  question_type        VARCHAR(32),
+  question_text        TEXT,
+  points               NUMERIC,
+  correct_answer_text  TEXT,
+  explanation          TEXT,
+  metadata_json        JSONB,
+  created_at           TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at           TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE assessment_options (
+  option_id     SERIAL PRIMARY KEY,
+  question_id   INTEGER NOT NULL REFERENCES assessment_questions(question_id) ON DELETE CASCADE,
+  option_order  INTEGER,
+  option_text   TEXT,
+  is_correct    BOOLEAN,
+  created_at    TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at    TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE activity_logs (
+  activity_id    BIGSERIAL PRIMARY KEY,
+  user_id        INTEGER REFERENCES users(user_id) ON DELETE CASCADE,
+  username       VARCHAR(64),
+  company_id     UUID,
+  ship_id        INTEGER,
+  activity_type  VARCHAR(64),
+  training_type  VARCHAR(255),
+  payload_json   JSONB,
+  occurred_at    TIMESTAMPTZ,
+  created_at     TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
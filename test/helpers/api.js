@@ -0,0 +1,62 @@
+// test/helpers/api.js
+// The API on an ephemeral port and a small fetch wrapper around it.
+import crypto from "crypto";
+
+const TEST_ENV = {
+  NODE_ENV: "test",
+  JWT_SECRET: "test-jwt-secret",
+  BCRYPT_ROUNDS: "4",
+  PII_ENC_KEYS: `1:${crypto.randomBytes(32).toString("base64")}`,
+  MFA_ENC_KEY: crypto.randomBytes(32).toString("base64"),
+  SSO_ENC_KEY: crypto.randomBytes(32).toString("base64"),
+  MAIL_TRANSPORT: "console",
+};
+
+/**
+ * Imports src/app.js (after createTestDatabase) and listens on 127.0.0.1.
+ * Returns { request, login, close }; request() never follows redirects.
+ */
+export const startApp = async (env = {}) => {
+  Object.assign(process.env, TEST_ENV, env);
+  const { default: app } = await import("../../src/app.js");
+  const { closeDb } = await import("../../src/db.js");
+
+  const server = await new Promise((resolve) => {
+    const s = app.listen(0, "127.0.0.1", () => resolve(s));
+  });
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  const request = async (method, path, { token, body, headers = {} } = {}) => {
+    const res = await fetch(`${base}${path}`, {
+      method,
+      redirect: "manual",
+      headers: {
+        ...(body !== undefined ? { "Content-Type": "application/json" } : {}),
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        ...headers,
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+    });
+    const text = await res.text();
+    let json = null;
+    try {
+      json = JSON.parse(text);
+    } catch {
+      // not JSON (redirects, CSV)
+    }
+    return { status: res.status, body: json, headers: res.headers };
+  };
+
+  const login = async (username, password) => {
+    const res = await request("POST", "/auth/login", { body: { username, password } });
+    if (!res.body?.access_token) throw new Error(`login ${username}: ${res.status} ${JSON.stringify(res.body)}`);
+    return res.body.access_token;
+  };
+
+  const close = async () => {
+    await new Promise((resolve) => server.close(resolve));
+    await closeDb();
+  };
+
+  return { request, login, close };
+};
@@ -0,0 +1,102 @@
+// test/helpers/mockIdp.js
+// OpenID Connect provider on 127.0.0.1 for the SSO tests: discovery, JWKS and a token endpoint
+// that checks client_id (and client_secret, when given), redirect_uri and the PKCE verifier before
+// handing out an RS256 ID token.
+// There is no login page: authorize() plays the browser + IdP and returns the code the IdP would
+// send back to /auth/sso/callback.
+import crypto from "crypto";
+import http from "http";
+import jwt from "jsonwebtoken";
+
+const KID = "mock-1";
+
+export const startMockIdp = async ({ clientId, clientSecret = null }) => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+  const codes = new Map(); // code -> { claims, nonce, challenge, redirect_uri, signWith, audience }
+
+  let issuer = "";
+
+  const send = (res, status, body) => {
+    res.writeHead(status, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(body));
+  };
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, issuer);
+
+    if (req.method === "GET" && url.pathname === "/.well-known/openid-configuration") {
+      return send(res, 200, {
+        issuer,
+        authorization_endpoint: `${issuer}/authorize`,
+        token_endpoint: `${issuer}/token`,
+        jwks_uri: `${issuer}/jwks`,
+      });
+    }
+
+    if (req.method === "GET" && url.pathname === "/jwks") {
+      return send(res, 200, { keys: [{ ...publicKey.export({ format: "jwk" }), kid: KID, use: "sig", alg: "RS256" }] });
+    }
+
+    if (req.method === "POST" && url.pathname === "/token") {
+      let raw = "";
+      req.on("data", (chunk) => (raw += chunk));
+      req.on("end", () => {
+        const form = new URLSearchParams(raw);
+        const grant = codes.get(form.get("code"));
+        codes.delete(form.get("code"));
+        const verifier = form.get("code_verifier") || "";
+        const challenge = crypto.createHash("sha256").update(verifier).digest("base64url");
+        if (
+          form.get("grant_type") !== "authorization_code" ||
+          !grant ||
+          form.get("client_id") !== clientId ||
+          (clientSecret !== null && form.get("client_secret") !== clientSecret) ||
+          form.get("redirect_uri") !== grant.redirect_uri ||
+          challenge !== grant.challenge
+        ) {
+          return send(res, 400, { error: "invalid_grant" });
+        }
+
+        const now = Math.floor(Date.now() / 1000);
+        const idToken = jwt.sign(
+          { iss: issuer, aud: grant.audience, iat: now, exp: now + 300, nonce: grant.nonce, ...grant.claims },
+          grant.signWith,
+          { algorithm: "RS256", keyid: KID }
+        );
+        return send(res, 200, { access_token: "mock-access-token", token_type: "Bearer", id_token: idToken });
+      });
+      return;
+    }
+
+    return send(res, 404, { error: "not_found" });
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  issuer = `http://127.0.0.1:${server.address().port}`;
+
+  /**
+   * Takes the authorization URL the API redirected to; returns { state, code }.
+   * claims: what the ID token says about the user (sub, email, email_verified, ...).
+   * forge: { audience, signWith } to hand out a token the API must reject.
+   */
+  const authorize = (authorizationUrl, claims, forge = {}) => {
+    const url = new URL(authorizationUrl);
+    if (`${url.origin}${url.pathname}` !== `${issuer}/authorize`) throw new Error(`not our IdP: ${authorizationUrl}`);
+    if (url.searchParams.get("code_challenge_method") !== "S256") throw new Error("PKCE S256 expected");
+
+    const code = crypto.randomBytes(16).toString("hex");
+    codes.set(code, {
+      claims,
+      nonce: url.searchParams.get("nonce"),
+      challenge: url.searchParams.get("code_challenge"),
+      redirect_uri: url.searchParams.get("redirect_uri"),
+      audience: forge.audience || clientId,
+      signWith: forge.signWith || privateKey,
+    });
+    return { state: url.searchParams.get("state"), code };
+  };
+
+  const close = () => new Promise((resolve) => server.close(resolve));
+
+  return { issuer, authorize, close };
+};
@@ -0,0 +1,255 @@
+// test/sso.test.js
+// OpenID Connect sign-in (src/controller/ssoController.js) against the mock IdP in
+// test/helpers/mockIdp.js: login redirect -> callback -> one-time code exchange.
+import { describe, test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import { createTestDatabase, skipWithoutDb } from "./helpers/testDb.js";
+import { startApp } from "./helpers/api.js";
+import { startMockIdp } from "./helpers/mockIdp.js";
+
+const PASSWORD = "Sso-Test-1";
+const CLIENT_ID = "fmc-test-client";
+const CLIENT_SECRET = "fmc-test-secret";
+
+describe("SSO login", { skip: skipWithoutDb }, () => {
+  let database;
+  let api;
+  let idp;
+  const ids = { company: {}, user: {} };
+
+  const systemQuery = async (sql, params) => {
+    const client = await database.system();
+    try {
+      return (await client.query(sql, params)).rows;
+    } finally {
+      await client.end();
+    }
+  };
+
+  const seed = async () => {
+    const { hashPassword } = await import("../src/utils/password.js");
+    const hash = await hashPassword(PASSWORD);
+
+    const [company] = await systemQuery(
+      `INSERT INTO company (company_name, email_domain) VALUES ('Company A', 'a.example.com') RETURNING company_id`
+    );
+    ids.company.A = company.company_id;
+    const [ship] = await systemQuery(`INSERT INTO ships (ship_name, company_id) VALUES ('Ship A1', $1) RETURNING ship_id`, [
+      ids.company.A,
+    ]);
+
+    const users = [
+      ["adminA", 2, null, "admin@a.example.com"],
+      ["opsA", 2, null, "ops@a.example.com"],
+      ["crewA", 4, ship.ship_id, "crew@a.example.com"],
+    ];
+    for (const [username, roleId, shipId, email] of users) {
+      const [row] = await systemQuery(
+        `INSERT INTO users
+           (seafarer_id, full_name, username, password_hash, password_changed_at, role_id,
+            company_id, ship_id, status, email)
+         VALUES ($1, $2, $1, $3, NOW(), $4, $5, $6, 'Onboard', $7)
+         RETURNING user_id`,
+        [username, `User ${username}`, hash, roleId, ids.company.A, shipId, email]
+      );
+      ids.user[username] = row.user_id;
+    }
+  };
+
+  const identitiesOf = (userId) => systemQuery(`SELECT issuer, subject FROM user_identities WHERE user_id = $1`, [userId]);
+
+  /**
+   * Browser round trip: /login -> IdP -> /callback. Returns the query of the page the API
+   * sent the browser back to (code= or error=).
+   */
+  const signIn = async (claims, forge) => {
+    const start = await api.request("GET", `/auth/sso/${ids.company.A}/login`);
+    assert.equal(start.status, 302, JSON.stringify(start.body));
+    const { state, code } = idp.authorize(start.headers.get("location"), claims, forge);
+
+    const back = await api.request("GET", `/auth/sso/callback?${new URLSearchParams({ state, code })}`);
+    assert.equal(back.status, 302, JSON.stringify(back.body));
+    return new URL(back.headers.get("location")).searchParams;
+  };
+
+  const exchange = async (code) => {
+    const res = await api.request("POST", "/auth/sso/exchange", { body: { code } });
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    return res.body.access_token;
+  };
+
+  before(async () => {
+    database = await createTestDatabase();
+    await seed();
+    idp = await startMockIdp({ clientId: CLIENT_ID, clientSecret: CLIENT_SECRET });
+    api = await startApp({ SSO_ALLOW_LOCAL_ISSUER: "true" });
+
+    const admin = await api.login("adminA", PASSWORD);
+    const res = await api.request("PUT", `/companies/${ids.company.A}/sso`, {
+      token: admin,
+      body: {
+        enabled: true,
+        issuer: idp.issuer,
+        client_id: CLIENT_ID,
+        client_secret: CLIENT_SECRET,
+        default_role_id: 2,
+        auto_provision: true,
+      },
+    });
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+  });
+
+  after(async () => {
+    await api?.close();
+    await idp?.close();
+    await database?.drop();
+  });
+
+  test("a verified email links the existing staff account and signs it in", async () => {
+    const params = await signIn({ sub: "ops-1", email: "Ops@A.example.com", email_verified: true });
+    assert.equal(params.get("error"), null);
+
+    const token = await exchange(params.get("code"));
+    const me = await api.request("GET", `/users/${ids.user.opsA}`, { token });
+    assert.equal(me.status, 200);
+    assert.equal(me.body.user_id, ids.user.opsA);
+    assert.deepEqual(await identitiesOf(ids.user.opsA), [{ issuer: idp.issuer, subject: "ops-1" }]);
+
+    // the code is single use
+    const again = await api.request("POST", "/auth/sso/exchange", { body: { code: params.get("code") } });
+    assert.equal(again.status, 400);
+
+    // the linked subject signs in without email_verified from now on
+    const next = await signIn({ sub: "ops-1", email: "ops@a.example.com" });
+    assert.ok(next.get("code"), next.get("error"));
+  });
+
+  test("an existing account is not taken over without email_verified: true", async () => {
+    for (const claims of [
+      { sub: "admin-x", email: "admin@a.example.com" },
+      { sub: "admin-y", email: "admin@a.example.com", email_verified: false },
+      { sub: "admin-z", email: "admin@a.example.com", email_verified: "true" },
+    ]) {
+      const params = await signIn(claims);
+      assert.equal(params.get("error"), "email_not_verified", claims.sub);
+      assert.equal(params.get("code"), null);
+    }
+    assert.deepEqual(await identitiesOf(ids.user.adminA), []);
+  });
+
+  test("an unknown staff email is provisioned with the default role", async () => {
+    const params = await signIn({ sub: "new-1", email: "new.hire@a.example.com", email_verified: true, name: "New Hire" });
+    const token = await exchange(params.get("code"));
+
+    const [user] = await systemQuery(
+      `SELECT user_id, role_id, company_id, auth_provider, full_name FROM users WHERE LOWER(email) = 'new.hire@a.example.com'`
+    );
+    assert.equal(user.role_id, 2);
+    assert.equal(user.company_id, ids.company.A);
+    assert.equal(user.auth_provider, "sso");
+    assert.equal(user.full_name, "New Hire");
+    assert.equal((await api.request("GET", `/users/${user.user_id}`, { token })).status, 200);
+  });
+
+  test("emails outside the company domains and crew accounts are refused", async () => {
+    const foreign = await signIn({ sub: "out-1", email: "someone@b.example.com", email_verified: true });
+    assert.equal(foreign.get("error"), "email_domain_not_allowed");
+
+    const crew = await signIn({ sub: "crew-1", email: "crew@a.example.com", email_verified: true });
+    assert.equal(crew.get("error"), "crew_use_local_login");
+    assert.deepEqual(await identitiesOf(ids.user.crewA), []);
+  });
+
+  test("ID tokens with a foreign signature or audience are rejected", async () => {
+    const { privateKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+    const claims = { sub: "ops-1", email: "ops@a.example.com", email_verified: true };
+
+    assert.equal((await signIn(claims, { signWith: privateKey })).get("error"), "invalid_id_token");
+    assert.equal((await signIn(claims, { audience: "another-client" })).get("error"), "invalid_id_token");
+  });
+
+  test("the client secret is sealed with SSO_ENC_KEY, not the 2FA key", async () => {
+    const { encryptMfaSecret } = await import("../src/utils/mfa.js");
+    const storedSecret = async () =>
+      (await systemQuery(`SELECT client_secret_enc FROM company_sso WHERE company_id = $1`, [ids.company.A]))[0]
+        .client_secret_enc;
+    const signsIn = async () => {
+      const params = await signIn({ sub: "ops-1", email: "ops@a.example.com" });
+      assert.ok(params.get("code"), params.get("error"));
+    };
+
+    assert.match(await storedSecret(), /^sso1\./);
+
+    // rotating the TOTP key leaves SSO alone
+    const mfaKey = process.env.MFA_ENC_KEY;
+    process.env.MFA_ENC_KEY = crypto.randomBytes(32).toString("base64");
+    try {
+      await signsIn();
+    } finally {
+      process.env.MFA_ENC_KEY = mfaKey;
+    }
+
+    // a secret from before SSO_ENC_KEY still works and moves to it on the next save
+    await systemQuery(`UPDATE company_sso SET client_secret_enc = $2 WHERE company_id = $1`, [
+      ids.company.A,
+      encryptMfaSecret(CLIENT_SECRET),
+    ]);
+    await signsIn();
+
+    const admin = await api.login("adminA", PASSWORD);
+    const res = await api.request("PUT", `/companies/${ids.company.A}/sso`, { token: admin, body: { scopes: "openid email" } });
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    assert.match(await storedSecret(), /^sso1\./);
+    await signsIn();
+  });
+
+  test("issuers on loopback or private addresses need SSO_ALLOW_LOCAL_ISSUER outside production", async () => {
+    const { isAllowedIdpUrl } = await import("../src/utils/oidc.js");
+    const local = [
+      idp.issuer,
+      "http://localhost:8080",
+      "https://10.1.2.3",
+      "https://172.20.0.1",
+      "https://192.168.1.10",
+      "https://169.254.169.254/latest/meta-data",
+      "https://[fd00::1]",
+      "https://[::ffff:127.0.0.1]",
+    ];
+    const saved = { flag: process.env.SSO_ALLOW_LOCAL_ISSUER, env: process.env.NODE_ENV };
+    try {
+      for (const url of local) assert.equal(await isAllowedIdpUrl(url), true, url);
+
+      delete process.env.SSO_ALLOW_LOCAL_ISSUER;
+      for (const url of local) assert.equal(await isAllowedIdpUrl(url), false, url);
+
+      process.env.SSO_ALLOW_LOCAL_ISSUER = "true";
+      process.env.NODE_ENV = "production";
+      for (const url of local) assert.equal(await isAllowedIdpUrl(url), false, url);
+
+      // public addresses: https only (literal IPs, no DNS needed)
+      assert.equal(await isAllowedIdpUrl("https://93.184.215.14"), true);
+      assert.equal(await isAllowedIdpUrl("http://93.184.215.14"), false);
+      assert.equal(await isAllowedIdpUrl("https://[2606:4700::1111]"), true);
+    } finally {
+      process.env.SSO_ALLOW_LOCAL_ISSUER = saved.flag;
+      process.env.NODE_ENV = saved.env;
+    }
+  });
+
+  test("an admin cannot point the issuer at an internal address", async () => {
+    const admin = await api.login("adminA", PASSWORD);
+    const saved = process.env.SSO_ALLOW_LOCAL_ISSUER;
+    delete process.env.SSO_ALLOW_LOCAL_ISSUER;
+    try {
+      for (const issuer of ["https://169.254.169.254", "https://10.0.0.8", idp.issuer]) {
+        const res = await api.request("PUT", `/companies/${ids.company.A}/sso`, { token: admin, body: { issuer } });
+        assert.equal(res.status, 400, issuer);
+      }
+    } finally {
+      process.env.SSO_ALLOW_LOCAL_ISSUER = saved;
+    }
+    const [config] = await systemQuery(`SELECT issuer FROM company_sso WHERE company_id = $1`, [ids.company.A]);
+    assert.equal(config.issuer, idp.issuer);
+  });
+});
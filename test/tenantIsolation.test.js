@@ -0,0 +1,266 @@
+// test/tenantIsolation.test.js
+// Role scopes end to end: system roles 1-4 (global, company, ship, self) against two companies
+// with two ships each side, through the HTTP API and the RLS policies (migrations/012, 028).
+import { describe, test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { createTestDatabase, skipWithoutDb } from "./helpers/testDb.js";
+import { startApp } from "./helpers/api.js";
+
+const PASSWORD = "Tenant-Test-1";
+
+const hidden = (status) => [403, 404].includes(status);
+
+describe("tenant isolation", { skip: skipWithoutDb }, () => {
+  let database;
+  let api;
+  const ids = { company: {}, ship: {}, user: {} };
+  const tokens = {};
+
+  const seed = async () => {
+    const { hashPassword } = await import("../src/utils/password.js");
+    const hash = await hashPassword(PASSWORD);
+    const client = await database.system();
+    try {
+      for (const c of ["A", "B"]) {
+        const { rows } = await client.query(
+          `INSERT INTO company (company_name, email_domain) VALUES ($1, $2) RETURNING company_id`,
+          [`Company ${c}`, `${c.toLowerCase()}.example.com`]
+        );
+        ids.company[c] = rows[0].company_id;
+      }
+      for (const [ship, c] of [["A1", "A"], ["A2", "A"], ["B1", "B"]]) {
+        const { rows } = await client.query(
+          `INSERT INTO ships (ship_name, company_id) VALUES ($1, $2) RETURNING ship_id`,
+          [`Ship ${ship}`, ids.company[c]]
+        );
+        ids.ship[ship] = rows[0].ship_id;
+      }
+
+      const users = [
+        ["super", 1, null, null],
+        ["adminA", 2, "A", null],
+        ["subA1", 3, "A", "A1"],
+        ["crewA1", 4, "A", "A1"],
+        ["crewA2", 4, "A", "A2"],
+        ["adminB", 2, "B", null],
+        ["crewB1", 4, "B", "B1"],
+      ];
+      for (const [username, roleId, c, ship] of users) {
+        const { rows } = await client.query(
+          `INSERT INTO users
+             (seafarer_id, full_name, username, password_hash, password_changed_at, role_id,
+              company_id, ship_id, status, email)
+           VALUES ($1, $2, $1, $3, NOW(), $4, $5, $6, 'Onboard', $7)
+           RETURNING user_id`,
+          [
+            username,
+            `User ${username}`,
+            hash,
+            roleId,
+            c ? ids.company[c] : null,
+            ship ? ids.ship[ship] : null,
+            `${username.toLowerCase()}@${(c || "platform").toLowerCase()}.example.com`,
+          ]
+        );
+        ids.user[username] = rows[0].user_id;
+      }
+    } finally {
+      await client.end();
+    }
+  };
+
+  const systemRow = async (sql, params) => {
+    const client = await database.system();
+    try {
+      return (await client.query(sql, params)).rows[0] || null;
+    } finally {
+      await client.end();
+    }
+  };
+
+  before(async () => {
+    database = await createTestDatabase();
+    await seed();
+    api = await startApp();
+    for (const username of Object.keys(ids.user)) tokens[username] = await api.login(username, PASSWORD);
+  });
+
+  after(async () => {
+    await api?.close();
+    await database?.drop();
+  });
+
+  test("the API's database user sees nothing without a tenant context", async () => {
+    const client = await database.app();
+    try {
+      for (const table of ["users", "company", "ships", "roles"]) {
+        const { rows } = await client.query(`SELECT COUNT(*)::int AS n FROM ${table} WHERE company_id IS NOT NULL`);
+        assert.equal(rows[0].n, 0, table);
+      }
+      await assert.rejects(
+        client.query(`INSERT INTO ships (ship_name, company_id) VALUES ('Stray', $1)`, [ids.company.A]),
+        /row-level security/
+      );
+    } finally {
+      await client.end();
+    }
+
+    const { db, runAsSystem } = await import("../src/db.js");
+    assert.equal((await db.query(`SELECT COUNT(*)::int AS n FROM users`)).rows[0].n, 0);
+    const all = await runAsSystem(() => db.query(`SELECT COUNT(*)::int AS n FROM users`));
+    assert.equal(all.rows[0].n, Object.keys(ids.user).length);
+  });
+
+  test("sessions and login history follow the user they belong to", async () => {
+    const tables = ["refresh_sessions", "login_attempts"];
+    const visibleUsers = async (ctx) => {
+      const client = await database.app();
+      try {
+        await client.query(
+          `SELECT set_config('app.user_id', $1, false), set_config('app.company_id', $2, false),
+                  set_config('app.ship_id', $3, false), set_config('app.scope', $4, false)`,
+          [String(ctx.user_id ?? ""), String(ctx.company_id ?? ""), String(ctx.ship_id ?? ""), ctx.scope ?? ""]
+        );
+        const seen = {};
+        for (const table of tables) {
+          const { rows } = await client.query(`SELECT DISTINCT user_id FROM ${table} WHERE user_id IS NOT NULL`);
+          seen[table] = rows.map((r) => r.user_id).sort((a, b) => a - b);
+        }
+        return seen;
+      } finally {
+        await client.end();
+      }
+    };
+    const userIds = (...names) => names.map((n) => ids.user[n]).sort((a, b) => a - b);
+
+    // every user logged in during setup, so both tables hold rows for all of them
+    for (const table of tables) {
+      const all = await systemRow(`SELECT COUNT(DISTINCT user_id)::int AS n FROM ${table}`);
+      assert.equal(all.n, Object.keys(ids.user).length, table);
+    }
+
+    const none = await visibleUsers({});
+    const companyA = await visibleUsers({ user_id: ids.user.adminA, company_id: ids.company.A, scope: "company" });
+    const shipA1 = await visibleUsers({
+      user_id: ids.user.subA1,
+      company_id: ids.company.A,
+      ship_id: ids.ship.A1,
+      scope: "ship",
+    });
+    const self = await visibleUsers({ user_id: ids.user.crewB1, company_id: ids.company.B, ship_id: ids.ship.B1, scope: "self" });
+    for (const table of tables) {
+      assert.deepEqual(none[table], [], table);
+      assert.deepEqual(companyA[table], userIds("adminA", "subA1", "crewA1", "crewA2"), table);
+      assert.deepEqual(shipA1[table], userIds("subA1", "crewA1"), table);
+      assert.deepEqual(self[table], userIds("crewB1"), table);
+    }
+
+    const res = await api.request("GET", `/auth/admin/users/${ids.user.crewB1}/sessions`, { token: tokens.adminA });
+    assert.ok(hidden(res.status), `sessions of crewB1 as adminA: ${res.status}`);
+  });
+
+  test("GET /users/:id only returns users in the caller's scope", async () => {
+    const cases = [
+      ["super", "crewB1", 200],
+      ["adminA", "crewA2", 200],
+      ["adminA", "crewB1", 404],
+      ["adminA", "adminB", 404],
+      ["subA1", "crewA1", 200],
+      ["subA1", "crewA2", 404],
+      ["subA1", "crewB1", 404],
+      ["crewA1", "crewA1", 200],
+      ["crewA1", "crewA2", 404],
+      ["crewA1", "crewB1", 404],
+      ["adminB", "crewA1", 404],
+    ];
+    for (const [viewer, target, expected] of cases) {
+      const res = await api.request("GET", `/users/${ids.user[target]}`, { token: tokens[viewer] });
+      assert.equal(res.status, expected, `${viewer} -> ${target}`);
+      if (expected === 200) assert.equal(res.body.user_id, ids.user[target]);
+    }
+  });
+
+  test("user responses carry no password, 2FA or session secrets", async () => {
+    const secrets = ["password_hash", "reset_token_hash", "mfa_secret_enc", "mfa_pending_secret_enc", "mfa_last_used_step", "token_version"];
+    const one = await api.request("GET", `/users/${ids.user.crewA1}`, { token: tokens.adminA });
+    const list = await api.request("GET", "/users", { token: tokens.adminA });
+    for (const user of [one.body, ...list.body]) {
+      for (const column of secrets) assert.equal(column in user, false, `${user.username}.${column}`);
+    }
+  });
+
+  test("GET /users lists only the caller's scope", async () => {
+    const listed = async (viewer) =>
+      (await api.request("GET", "/users", { token: tokens[viewer] })).body.map((u) => u.username).sort();
+
+    assert.deepEqual(await listed("adminA"), ["adminA", "crewA1", "crewA2", "subA1"]);
+    assert.deepEqual(await listed("subA1"), ["crewA1", "subA1"]);
+    assert.deepEqual(await listed("crewA1"), ["crewA1"]);
+    assert.deepEqual(await listed("adminB"), ["adminB", "crewB1"]);
+  });
+
+  test("user writes outside the caller's scope are refused and change nothing", async () => {
+    const attempts = [
+      ["PUT", "adminA", "crewB1", { full_name: "Changed by A" }],
+      ["PUT", "subA1", "crewA2", { full_name: "Changed by A1" }],
+      ["PUT", "adminB", "subA1", { full_name: "Changed by B" }],
+      ["DELETE", "adminA", "crewB1"],
+      ["DELETE", "subA1", "crewA2"],
+      ["DELETE", "adminB", "crewA1"],
+    ];
+    for (const [method, viewer, target, body] of attempts) {
+      const res = await api.request(method, `/users/${ids.user[target]}`, { token: tokens[viewer], body });
+      assert.ok(hidden(res.status), `${method} ${viewer} -> ${target}: ${res.status}`);
+
+      const row = await systemRow(`SELECT full_name FROM users WHERE user_id = $1`, [ids.user[target]]);
+      assert.equal(row?.full_name, `User ${target}`, `${method} ${viewer} -> ${target} changed the row`);
+    }
+
+    // inside the scope the same request goes through
+    const ok = await api.request("PUT", `/users/${ids.user.crewA2}`, {
+      token: tokens.adminA,
+      body: { full_name: "Renamed by A" },
+    });
+    assert.equal(ok.status, 200);
+    const row = await systemRow(`SELECT full_name FROM users WHERE user_id = $1`, [ids.user.crewA2]);
+    assert.equal(row.full_name, "Renamed by A");
+  });
+
+  test("ships and companies of another tenant are not reachable", async () => {
+    const reads = [
+      ["adminA", `/ships/${ids.ship.B1}`],
+      ["subA1", `/ships/${ids.ship.A2}`],
+      ["crewA1", `/ships/${ids.ship.A2}`],
+      ["adminB", `/ships/${ids.ship.A1}`],
+      ["adminA", `/companies/${ids.company.B}`],
+      ["subA1", `/companies/${ids.company.B}`],
+      ["crewB1", `/companies/${ids.company.A}`],
+    ];
+    for (const [viewer, path] of reads) {
+      const res = await api.request("GET", path, { token: tokens[viewer] });
+      assert.ok(hidden(res.status), `GET ${path} as ${viewer}: ${res.status}`);
+    }
+
+    const writes = [
+      ["PUT", "adminA", `/ships/${ids.ship.B1}`, { ship_name: "Taken" }],
+      ["DELETE", "adminA", `/ships/${ids.ship.B1}`],
+      ["PUT", "adminB", `/ships/${ids.ship.A1}`, { ship_name: "Taken" }],
+      ["DELETE", "adminB", `/ships/${ids.ship.A2}`],
+      ["PUT", "adminA", `/companies/${ids.company.B}`, { company_name: "Taken" }],
+    ];
+    for (const [method, viewer, path, body] of writes) {
+      const res = await api.request(method, path, { token: tokens[viewer], body });
+      assert.ok(hidden(res.status), `${method} ${path} as ${viewer}: ${res.status}`);
+    }
+
+    for (const ship of ["A1", "A2", "B1"]) {
+      const row = await systemRow(`SELECT ship_name FROM ships WHERE ship_id = $1`, [ids.ship[ship]]);
+      assert.equal(row?.ship_name, `Ship ${ship}`);
+    }
+    const company = await systemRow(`SELECT company_name FROM company WHERE company_id = $1`, [ids.company.B]);
+    assert.equal(company.company_name, "Company B");
+
+    const own = await api.request("GET", `/ships/${ids.ship.A1}`, { token: tokens.subA1 });
+    assert.equal(own.status, 200);
+  });
+});
@@ -0,0 +1,127 @@
+// test/xapi.test.js
+// xAPI statements (src/controller/xapiController.js) with company API keys of two tenants.
+import { describe, test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { createTestDatabase, skipWithoutDb } from "./helpers/testDb.js";
+import { startApp } from "./helpers/api.js";
+
+const VERB = "http://adlnet.gov/expapi/verbs/completed";
+
+describe("xAPI statements", { skip: skipWithoutDb }, () => {
+  let database;
+  let api;
+  const keys = {};
+
+  const systemQuery = async (sql, params) => {
+    const client = await database.system();
+    try {
+      return (await client.query(sql, params)).rows;
+    } finally {
+      await client.end();
+    }
+  };
+
+  const seed = async () => {
+    const { generateApiKey, hashApiKey } = await import("../src/utils/apiKeys.js");
+    for (const c of ["A", "B"]) {
+      const [company] = await systemQuery(`INSERT INTO company (company_name) VALUES ($1) RETURNING company_id`, [
+        `Company ${c}`,
+      ]);
+      const [ship] = await systemQuery(`INSERT INTO ships (ship_name, company_id) VALUES ($1, $2) RETURNING ship_id`, [
+        `Ship ${c}1`,
+        company.company_id,
+      ]);
+      await systemQuery(
+        `INSERT INTO users (seafarer_id, full_name, username, role_id, company_id, ship_id, status)
+         VALUES ($1, $1, $1, 4, $2, $3, 'Onboard')`,
+        [`crew${c}1`, company.company_id, ship.ship_id]
+      );
+
+      const generated = generateApiKey();
+      await systemQuery(
+        `INSERT INTO api_keys (key_prefix, key_hash, label, company_id, scopes)
+         VALUES ($1, $2, 'lrs', $3, ARRAY['xapi:read', 'xapi:write'])`,
+        [generated.prefix, hashApiKey(generated.key), company.company_id]
+      );
+      keys[c] = generated.key;
+    }
+  };
+
+  const xapi = (company, method, path, body) =>
+    api.request(method, `/xapi${path}`, {
+      body,
+      headers: { "X-Api-Key": keys[company], "X-Experience-API-Version": "1.0.3" },
+    });
+
+  const agent = (username) => JSON.stringify({ objectType: "Agent", account: { homePage: "http://localhost:3000", name: username } });
+
+  const statement = (username, n) => ({
+    actor: { objectType: "Agent", account: { homePage: "http://localhost:3000", name: username } },
+    verb: { id: VERB },
+    object: { id: `http://example.com/courses/${n}` },
+  });
+
+  before(async () => {
+    database = await createTestDatabase();
+    await seed();
+    api = await startApp();
+
+    for (const c of ["A", "B"]) {
+      const res = await xapi(c, "POST", "/statements", [1, 2, 3].map((n) => statement(`crew${c}1`, n)));
+      assert.equal(res.status, 200, JSON.stringify(res.body));
+    }
+  });
+
+  after(async () => {
+    await api?.close();
+    await database?.drop();
+  });
+
+  test("the agent filter only finds agents inside the key's company", async () => {
+    const own = await xapi("A", "GET", `/statements?agent=${encodeURIComponent(agent("crewA1"))}`);
+    assert.equal(own.status, 200);
+    assert.equal(own.body.statements.length, 3);
+
+    // another tenant's username answers like an unknown one
+    for (const username of ["crewB1", "nobody"]) {
+      const res = await xapi("A", "GET", `/statements?agent=${encodeURIComponent(agent(username))}`);
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body, { statements: [], more: "" }, username);
+    }
+  });
+
+  test("X-Experience-API-Consistent-Through is the latest stored statement of the key", async () => {
+    const [{ stored }] = await systemQuery(
+      `SELECT MAX(t.stored) AS stored FROM xapi_statements t JOIN company c USING (company_id)
+       WHERE c.company_name = 'Company A'`
+    );
+    const res = await xapi("A", "GET", "/statements");
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get("x-experience-api-consistent-through"), stored.toISOString());
+  });
+
+  test("more pages through every statement and keeps its sort order", async () => {
+    for (const ascending of [false, true]) {
+      const seen = [];
+      let path = `/statements?limit=2&ascending=${ascending}&foo=bar`;
+      while (path) {
+        const res = await xapi("A", "GET", path);
+        assert.equal(res.status, 200, JSON.stringify(res.body));
+        seen.push(...res.body.statements.map((s) => s.object.id));
+        path = res.body.more && res.body.more.replace(/^\/xapi/, "");
+        if (path) assert.doesNotMatch(path, /foo=/);
+      }
+      const expected = [1, 2, 3].map((n) => `http://example.com/courses/${n}`);
+      assert.deepEqual(seen, ascending ? expected : expected.reverse());
+    }
+
+    const first = await xapi("A", "GET", "/statements?limit=1");
+    const more = new URL(first.body.more, "http://x");
+    more.searchParams.set("ascending", "true");
+    const flipped = await xapi("A", "GET", `/statements${more.search}`);
+    assert.equal(flipped.status, 400);
+
+    const bare = await xapi("A", "GET", "/statements?cursor=2");
+    assert.equal(bare.status, 400);
+  });
+});